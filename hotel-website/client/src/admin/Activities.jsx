@@ -0,0 +1,544 @@
+/**
+ * Activities Component
+ *
+ * Admin section for the activity schedule. Everyone with access to bookings
+ * sees a day's sessions with the guests signed up and waiting. Managers
+ * also create and edit activities: weekly series with an instructor,
+ * location and capacity. Sessions guests have signed up for cannot be
+ * dropped from the schedule; raising the capacity confirms waitlisted guests.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ACTIVITY_CATEGORIES } from '../../../shared/schemas.mjs';
+import { today } from '../utils/dates';
+
+// Days of the week, indexed like Date.getDay()
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Values for a new, empty activity
+const EMPTY_ACTIVITY = {
+  name: '',
+  category: ACTIVITY_CATEGORIES[0],
+  description: '',
+  instructor: '',
+  location: '',
+  daysOfWeek: [],
+  startTime: '07:30',
+  durationMinutes: 60,
+  capacity: 12,
+  startDate: '',
+  endDate: '',
+  active: true
+};
+
+/**
+ * Converts an optional number input to a number
+ *
+ * @param {string|number} value - Input value
+ * @return {number|undefined} Number, or undefined when the input is empty
+ */
+const toOptionalNumber = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * Activities Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.canManage - Whether the user may create and edit activities
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const Activities = ({ canManage, onUnauthorized }) => {
+  const [rosterDate, setRosterDate] = useState(today());  // Day whose sessions are shown
+  const [sessions, setSessions] = useState([]);              // That day's sessions with their rosters
+  const [activities, setActivities] = useState([]);          // Activities from the API (managers only)
+  const [isLoading, setIsLoading] = useState(true);          // Loading state
+  const [error, setError] = useState('');                    // Error message
+  const [notice, setNotice] = useState('');                  // Success message
+  const [formValues, setFormValues] = useState({ ...EMPTY_ACTIVITY, startDate: today() }); // Activity being created or edited
+  const [editingId, setEditingId] = useState(null);          // Id of the activity being edited, if any
+  const [fieldErrors, setFieldErrors] = useState({});        // Per-field validation errors from the API
+  const [isSaving, setIsSaving] = useState(false);           // Save in progress
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the sessions of the roster day
+   */
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/admin/activity-sessions', {
+        ...authConfig(),
+        params: { date: rosterDate }
+      });
+      setSessions(response.data.sessions);
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load sessions.');
+    }
+  }, [handleRequestError, rosterDate]);
+
+  /**
+   * Fetches all activities from the API
+   */
+  const fetchActivities = useCallback(async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/admin/activities', authConfig());
+      setActivities(response.data);
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load activities.');
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchSessions().finally(() => setIsLoading(false));
+  }, [fetchSessions]);
+
+  useEffect(() => {
+    if (canManage) fetchActivities();
+  }, [canManage, fetchActivities]);
+
+  /**
+   * Handles changes to text, number, select and checkbox inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  /**
+   * Adds or removes a day of the week
+   *
+   * @param {number} day - Day index (0 = Sunday)
+   */
+  const handleToggleDay = (day) => {
+    setFormValues(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(existing => existing !== day)
+        : [...prev.daysOfWeek, day].sort((a, b) => a - b)
+    }));
+  };
+
+  /**
+   * Loads an activity into the form for editing
+   *
+   * @param {Object} activity - Activity to edit
+   */
+  const handleEdit = (activity) => {
+    setEditingId(activity.id);
+    setFormValues({
+      ...EMPTY_ACTIVITY,
+      ...activity,
+      description: activity.description || '',
+      endDate: activity.endDate || ''
+    });
+    setFieldErrors({});
+    setError('');
+    setNotice('');
+  };
+
+  /**
+   * Clears the form and leaves edit mode
+   */
+  const handleResetForm = () => {
+    setEditingId(null);
+    setFormValues({ ...EMPTY_ACTIVITY, startDate: today() });
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Builds the request body for an activity
+   *
+   * @param {Object} values - Form values or an existing activity
+   * @return {Object} Fields of activitySchema, with numbers sent as numbers
+   */
+  const toPayload = (values) => ({
+    name: values.name,
+    category: values.category,
+    description: values.description,
+    instructor: values.instructor,
+    location: values.location,
+    daysOfWeek: values.daysOfWeek,
+    startTime: values.startTime,
+    durationMinutes: toOptionalNumber(values.durationMinutes),
+    capacity: toOptionalNumber(values.capacity),
+    startDate: values.startDate,
+    endDate: values.endDate,
+    active: values.active
+  });
+
+  /**
+   * Saves an activity and refreshes the lists
+   *
+   * @param {string|null} id - Activity to update, or null to create one
+   * @param {Object} values - Form values or an existing activity
+   */
+  const saveActivity = async (id, values) => {
+    const response = id
+      ? await axios.put(`http://localhost:5000/api/admin/activities/${id}`, toPayload(values), authConfig())
+      : await axios.post('http://localhost:5000/api/admin/activities', toPayload(values), authConfig());
+
+    setNotice(response.data.promoted > 0
+      ? `${response.data.activity.name} saved. ${response.data.promoted} waitlisted sign-up${response.data.promoted === 1 ? ' was' : 's were'} confirmed.`
+      : `${response.data.activity.name} saved.`);
+    await Promise.all([fetchActivities(), fetchSessions()]);
+  };
+
+  /**
+   * Creates or updates an activity
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      await saveActivity(editingId, formValues);
+      handleResetForm();
+    } catch (requestError) {
+      setNotice('');
+      handleRequestError(requestError, 'Failed to save activity.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Switches an activity on or off without changing anything else
+   *
+   * @param {Object} activity - Activity to toggle
+   */
+  const handleToggleActive = async (activity) => {
+    try {
+      setError('');
+      await saveActivity(activity.id, { ...activity, active: !activity.active });
+    } catch (requestError) {
+      setNotice('');
+      handleRequestError(requestError, 'Failed to update activity.');
+    }
+  };
+
+  /**
+   * Deletes an activity after confirmation
+   *
+   * @param {Object} activity - Activity to delete
+   */
+  const handleDelete = async (activity) => {
+    if (!window.confirm(`Delete ${activity.name}?`)) return;
+
+    try {
+      await axios.delete(`http://localhost:5000/api/admin/activities/${activity.id}`, authConfig());
+      setActivities(prev => prev.filter(existing => existing.id !== activity.id));
+      if (editingId === activity.id) handleResetForm();
+      await fetchSessions();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to delete activity.');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  /**
+   * Renders the error for a field, if any
+   *
+   * @param {string} field - Field key
+   * @return {JSX.Element|null} Error message
+   */
+  const renderFieldError = (field) => fieldErrors[field]
+    ? <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>
+    : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Activities</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Yoga sessions, fitness classes and guided climbs. Guests with a confirmed booking sign up from Manage My Booking; full sessions keep a waitlist that moves up automatically.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg" role="status">
+          {notice}
+        </div>
+      )}
+
+      {/* Sessions of one day with their guests */}
+      <div className="mb-8">
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Sessions and sign-ups</h3>
+          <div>
+            <label htmlFor="activity-roster-date" className="block text-sm font-medium text-gray-700 mb-1">Day</label>
+            <input
+              id="activity-roster-date"
+              type="date"
+              value={rosterDate}
+              onChange={(e) => setRosterDate(e.target.value || today())}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <p className="text-gray-600">Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p className="text-gray-600">No sessions on this day.</p>
+        ) : (
+          <ul className="space-y-4">
+            {sessions.map((session) => (
+              <li key={session.activityId} className={`border border-gray-200 rounded-lg p-4 ${session.active ? '' : 'opacity-50'}`}>
+                <div className="flex flex-wrap justify-between gap-2 mb-2">
+                  <div>
+                    <p className="font-medium text-gray-900">{session.startTime}–{session.endTime} · {session.name}</p>
+                    <p className="text-sm text-gray-500">{session.instructor} · {session.location}</p>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {session.booked} / {session.capacity} booked
+                    {session.waitlisted > 0 && ` · ${session.waitlisted} waiting`}
+                  </p>
+                </div>
+                {session.roster.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nobody has signed up yet.</p>
+                ) : (
+                  <ol className="text-sm text-gray-700 space-y-1">
+                    {session.roster.map((signup) => (
+                      <li key={signup.id} className="flex justify-between gap-4">
+                        <span>
+                          {signup.guestName} <span className="font-mono text-gray-500">({signup.reference})</span>
+                          {signup.participants > 1 && ` × ${signup.participants}`}
+                        </span>
+                        <span className={signup.status === 'confirmed' ? 'text-green-700' : 'text-yellow-700'}>
+                          {signup.status === 'confirmed' ? 'Confirmed' : 'Waitlist'}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {canManage && (
+        <>
+          {/* Existing activities */}
+          {activities.length === 0 ? (
+            <p className="text-gray-600 mb-6 border-t border-gray-200 pt-6">No activities yet.</p>
+          ) : (
+            <div className="overflow-x-auto mb-8 border-t border-gray-200 pt-6">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Activity</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Upcoming</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {activities.map((activity) => (
+                    <tr key={activity.id} className={activity.active ? '' : 'opacity-50'}>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="font-medium text-gray-900">{activity.name}</div>
+                        <div className="text-gray-500">{activity.category} · {activity.instructor} · {activity.location}</div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        <div>{activity.daysOfWeek.map(day => DAYS[day]).join(', ')}</div>
+                        <div>{activity.startTime}–{activity.endTime}</div>
+                        <div className="text-gray-500">
+                          {activity.endDate ? `${activity.startDate} to ${activity.endDate}` : `From ${activity.startDate}`}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{activity.capacity}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {activity.upcomingSignups} signed up
+                        {activity.upcomingWaitlisted > 0 && <div>{activity.upcomingWaitlisted} waiting</div>}
+                      </td>
+                      <td className="px-4 py-3 text-sm font-medium">
+                        <div className="flex space-x-3">
+                          <button
+                            onClick={() => handleEdit(activity)}
+                            className="text-primary hover:text-accent focus:outline-none focus:underline"
+                            aria-label={`Edit ${activity.name}`}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(activity)}
+                            className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                            aria-label={`${activity.active ? 'Disable' : 'Enable'} ${activity.name}`}
+                          >
+                            {activity.active ? 'Disable' : 'Enable'}
+                          </button>
+                          {activity.upcomingSignups === 0 && activity.upcomingWaitlisted === 0 && (
+                            <button
+                              onClick={() => handleDelete(activity)}
+                              className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+                              aria-label={`Delete ${activity.name}`}
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Create / edit form */}
+          <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {editingId ? 'Edit activity' : 'Add an activity'}
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="activity-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input id="activity-name" name="name" type="text" value={formValues.name} onChange={handleChange} className={inputClass} placeholder="e.g. Sunrise Yoga" />
+                {renderFieldError('name')}
+              </div>
+              <div>
+                <label htmlFor="activity-category" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select id="activity-category" name="category" value={formValues.category} onChange={handleChange} className={inputClass}>
+                  {ACTIVITY_CATEGORIES.map((category) => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+                {renderFieldError('category')}
+              </div>
+              <div className="flex items-end">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input name="active" type="checkbox" checked={formValues.active} onChange={handleChange} className="mr-2" />
+                  Active
+                </label>
+              </div>
+
+              <div>
+                <label htmlFor="activity-instructor" className="block text-sm font-medium text-gray-700 mb-1">Instructor</label>
+                <input id="activity-instructor" name="instructor" type="text" value={formValues.instructor} onChange={handleChange} className={inputClass} />
+                {renderFieldError('instructor')}
+              </div>
+              <div>
+                <label htmlFor="activity-location" className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                <input id="activity-location" name="location" type="text" value={formValues.location} onChange={handleChange} className={inputClass} placeholder="e.g. Summit Studio" />
+                {renderFieldError('location')}
+              </div>
+              <div>
+                <label htmlFor="activity-capacity" className="block text-sm font-medium text-gray-700 mb-1">Capacity</label>
+                <input id="activity-capacity" name="capacity" type="number" min="1" value={formValues.capacity} onChange={handleChange} className={inputClass} />
+                {renderFieldError('capacity')}
+              </div>
+
+              <fieldset className="md:col-span-3">
+                <legend className="block text-sm font-medium text-gray-700 mb-1">Repeats on</legend>
+                <div className="flex flex-wrap gap-4">
+                  {DAYS.map((day, index) => (
+                    <label key={day} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formValues.daysOfWeek.includes(index)}
+                        onChange={() => handleToggleDay(index)}
+                        className="mr-2"
+                      />
+                      {day}
+                    </label>
+                  ))}
+                </div>
+                {renderFieldError('daysOfWeek')}
+              </fieldset>
+
+              <div>
+                <label htmlFor="activity-start-time" className="block text-sm font-medium text-gray-700 mb-1">Start time</label>
+                <input id="activity-start-time" name="startTime" type="time" value={formValues.startTime} onChange={handleChange} className={inputClass} />
+                {renderFieldError('startTime')}
+              </div>
+              <div>
+                <label htmlFor="activity-duration" className="block text-sm font-medium text-gray-700 mb-1">Duration (minutes)</label>
+                <input id="activity-duration" name="durationMinutes" type="number" min="15" step="5" value={formValues.durationMinutes} onChange={handleChange} className={inputClass} />
+                {renderFieldError('durationMinutes')}
+              </div>
+              <div />
+
+              <div>
+                <label htmlFor="activity-start-date" className="block text-sm font-medium text-gray-700 mb-1">First day</label>
+                <input id="activity-start-date" name="startDate" type="date" value={formValues.startDate} onChange={handleChange} className={inputClass} />
+                {renderFieldError('startDate')}
+              </div>
+              <div>
+                <label htmlFor="activity-end-date" className="block text-sm font-medium text-gray-700 mb-1">Last day</label>
+                <input id="activity-end-date" name="endDate" type="date" value={formValues.endDate} onChange={handleChange} className={inputClass} />
+                <p className="mt-1 text-xs text-gray-500">Leave empty to repeat indefinitely.</p>
+                {renderFieldError('endDate')}
+              </div>
+              <div />
+
+              <div className="md:col-span-3">
+                <label htmlFor="activity-description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea id="activity-description" name="description" rows="2" value={formValues.description} onChange={handleChange} className={inputClass} />
+                {renderFieldError('description')}
+              </div>
+            </div>
+
+            <div className="mt-6 flex justify-end space-x-4">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={handleResetForm}
+                  className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+                >
+                  Cancel
+                </button>
+              )}
+              <button type="submit" disabled={isSaving} className="btn-primary disabled:opacity-70 disabled:cursor-not-allowed">
+                {isSaving ? 'Saving...' : editingId ? 'Save activity' : 'Add activity'}
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Activities;
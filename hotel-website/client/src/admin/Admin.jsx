@@ -1,59 +1,110 @@
 /**
  * Admin Component
- * 
+ *
  * This is the main container component for the admin section of the application.
  * It manages authentication state and renders either the Login or Dashboard component
- * based on the user's authentication status.
+ * based on the user's authentication status. A stored token is only trusted after
+ * the server confirms that its session is still valid.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
 import Login from './Login';
 import Dashboard from './Dashboard';
 
 const Admin = () => {
-  // State to track if the user is logged in
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
-  
+  // The signed-in admin user, or null when logged out
+  const [user, setUser] = useState(null);
+
+  // True while a stored token is being validated against the server
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+
   /**
-   * Effect to check if user is already logged in when component mounts
-   * Looks for an adminToken in localStorage as a simple form of persistent authentication
+   * Effect to restore an existing session when component mounts
+   * Validates the adminToken from localStorage with the server before showing the dashboard
    */
   useEffect(() => {
-    // Check localStorage for existing token
-    const token = localStorage.getItem('adminToken');
-    
-    // If token exists, set logged in state to true
-    if (token) {
-      setIsLoggedIn(true);
-    }
+    const checkSession = async () => {
+      // Check localStorage for existing token
+      const token = localStorage.getItem('adminToken');
+
+      if (!token) {
+        setIsCheckingSession(false);
+        return;
+      }
+
+      try {
+        const response = await axios.get('http://localhost:5000/api/admin/session', {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        setUser(response.data.user);
+      } catch (error) {
+        // Expired or revoked token: forget it and show the login screen
+        console.error('Session check failed:', error);
+        localStorage.removeItem('adminToken');
+      } finally {
+        setIsCheckingSession(false);
+      }
+    };
+
+    checkSession();
   }, []); // Empty dependency array ensures this only runs once on component mount
 
   /**
    * Handler for successful login
    * Called by the Login component when authentication succeeds
+   *
+   * @param {Object} loggedInUser - The user returned by the login endpoint
    */
-  const handleLoginSuccess = () => {
-    setIsLoggedIn(true);
+  const handleLoginSuccess = (loggedInUser) => {
+    setUser(loggedInUser);
   };
 
   /**
    * Handler for logout
-   * Removes the admin token from localStorage and updates state
+   * Revokes the session on the server, removes the admin token from localStorage and updates state.
+   * Kept stable so dashboard sections can use it in their data loaders.
    */
-  const handleLogout = () => {
+  const handleLogout = useCallback(async () => {
+    const token = localStorage.getItem('adminToken');
+
+    if (token) {
+      try {
+        await axios.post('http://localhost:5000/api/admin/logout', {}, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+      } catch (error) {
+        // The session may already be expired; logging out locally is still correct
+        console.error('Logout error:', error);
+      }
+    }
+
     // Remove token from localStorage
     localStorage.removeItem('adminToken');
-    
+
     // Update state to show login screen
-    setIsLoggedIn(false);
-  };
+    setUser(null);
+  }, []);
+
+  // Avoid flashing the login form while a stored session is being checked
+  if (isCheckingSession) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100">
+        <p className="text-gray-600">Checking your session...</p>
+      </div>
+    );
+  }
 
   // Render either Dashboard or Login based on authentication state
   return (
     <div>
-      {isLoggedIn ? (
+      {user ? (
         // If logged in, show the dashboard with logout handler
-        <Dashboard onLogout={handleLogout} />
+        <Dashboard user={user} onLogout={handleLogout} />
       ) : (
         // If not logged in, show the login form with success handler
         <Login onLoginSuccess={handleLoginSuccess} />
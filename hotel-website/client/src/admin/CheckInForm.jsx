@@ -0,0 +1,256 @@
+/**
+ * Check-in Form Component
+ *
+ * Checks the guests of a confirmed booking in at the front desk. Staff
+ * confirm they have seen an ID, note its type and the last four characters
+ * of its number, may choose the rooms (only free rooms of the booked type
+ * can be picked; the server gives lines left alone their room) and record
+ * the number of keys handed over. Every room must be ready; the server
+ * refuses rooms housekeeping has not finished.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ID_DOCUMENT_TYPES } from '../../../shared/schemas.mjs';
+
+// Display names of the ID documents
+const ID_DOCUMENT_LABELS = {
+  'passport': 'Passport',
+  'drivers-license': "Driver's license",
+  'national-id': 'National ID card',
+  'other': 'Other'
+};
+
+// Housekeeping states as shown next to each room
+const HOUSEKEEPING_LABELS = {
+  'dirty': 'dirty',
+  'cleaning': 'being cleaned',
+  'inspected': 'inspected',
+  'ready': 'ready'
+};
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * CheckInForm Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking to check in
+ * @param {Function} props.onCheckedIn - Function to call with the server's message once the guests are in
+ * @param {Function} props.onCancel - Function to call when the form is closed
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const CheckInForm = ({ booking, onCheckedIn, onCancel, onUnauthorized }) => {
+  const [formValues, setFormValues] = useState({
+    idVerified: false,
+    idType: 'passport',
+    idLast4: '',
+    keyCount: '1'
+  });
+  const [lines, setLines] = useState([]);            // Room lines with the rooms they could be given
+  const [chosenRooms, setChosenRooms] = useState({}); // Room numbers chosen at the desk, by room line
+  const [fieldErrors, setFieldErrors] = useState({}); // Per-field validation errors from the API
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the room lines of the booking and the rooms each could be given
+   */
+  const fetchOptions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get(`http://localhost:5000/api/admin/bookings/${booking.id}/room-options`, authConfig());
+      setLines(response.data.rooms);
+      setChosenRooms(Object.fromEntries(response.data.rooms.map(line => [line.roomIndex, line.roomNumber || ''])));
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load the rooms of this booking.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError, booking.id]);
+
+  useEffect(() => {
+    fetchOptions();
+  }, [fetchOptions]);
+
+  /**
+   * Handles changes to text, number, select and checkbox inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormValues(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setFieldErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  /**
+   * Checks the guests in
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formValues.idVerified) {
+      setFieldErrors({ idVerified: 'Check the guest\'s ID before checking them in' });
+      return;
+    }
+
+    // Only rooms staff changed are sent; the server keeps or assigns the rest
+    const rooms = lines
+      .filter(line => chosenRooms[line.roomIndex] && chosenRooms[line.roomIndex] !== line.roomNumber)
+      .map(line => ({ roomIndex: line.roomIndex, roomNumber: chosenRooms[line.roomIndex] }));
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const response = await axios.post(`http://localhost:5000/api/admin/bookings/${booking.id}/check-in`, {
+        idVerified: formValues.idVerified,
+        idType: formValues.idType,
+        idLast4: formValues.idLast4.trim(),
+        keyCount: Number(formValues.keyCount),
+        ...(rooms.length > 0 && { rooms })
+      }, authConfig());
+      onCheckedIn(response.data.message);
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to check the guests in.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  /**
+   * Renders the error for a field, if any
+   *
+   * @param {string} field - Field key
+   * @return {JSX.Element|null} Error message
+   */
+  const renderFieldError = (field) => fieldErrors[field]
+    ? <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>
+    : null;
+
+  const idPrefix = `check-in-${booking.id}`;
+
+  return (
+    <form onSubmit={handleSubmit} aria-busy={isLoading || isSaving}>
+      <h3 className="text-sm font-semibold text-gray-900 mb-3">Check in {booking.fullName}</h3>
+
+      {error && <p className="mb-3 text-sm text-red-700" role="alert">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input name="idVerified" type="checkbox" checked={formValues.idVerified} onChange={handleChange} className="mr-2" />
+            I have checked the guest&apos;s photo ID
+          </label>
+          {renderFieldError('idVerified')}
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-id-type`} className="block text-sm font-medium text-gray-700 mb-1">ID type</label>
+          <select id={`${idPrefix}-id-type`} name="idType" value={formValues.idType} onChange={handleChange} className={inputClass}>
+            {ID_DOCUMENT_TYPES.map(type => (
+              <option key={type} value={type}>{ID_DOCUMENT_LABELS[type] || type}</option>
+            ))}
+          </select>
+          {renderFieldError('idType')}
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-id-last4`} className="block text-sm font-medium text-gray-700 mb-1">Last 4 of ID number</label>
+          <input id={`${idPrefix}-id-last4`} name="idLast4" type="text" maxLength="4" value={formValues.idLast4} onChange={handleChange} className={inputClass} />
+          {renderFieldError('idLast4')}
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-keys`} className="block text-sm font-medium text-gray-700 mb-1">Keys issued</label>
+          <input id={`${idPrefix}-keys`} name="keyCount" type="number" min="1" max="20" value={formValues.keyCount} onChange={handleChange} className={inputClass} />
+          {renderFieldError('keyCount')}
+        </div>
+      </div>
+
+      <div className="mt-4">
+        {isLoading && lines.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading rooms...</p>
+        ) : (
+          <ul className="space-y-2">
+            {lines.map((line) => {
+              const selectId = `${idPrefix}-room-${line.roomIndex}`;
+              return (
+                <li key={line.roomIndex} className="flex flex-wrap items-center gap-3 text-sm">
+                  <label htmlFor={selectId} className="w-64 text-gray-700">
+                    {lines.length > 1 && `Room ${line.roomIndex + 1}: `}{line.roomType}
+                  </label>
+                  <select
+                    id={selectId}
+                    value={chosenRooms[line.roomIndex] || ''}
+                    onChange={(e) => setChosenRooms(prev => ({ ...prev, [line.roomIndex]: e.target.value }))}
+                    className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary"
+                  >
+                    <option value="">Assign automatically</option>
+                    {line.options.map((option) => (
+                      <option
+                        key={option.roomNumber}
+                        value={option.roomNumber}
+                        disabled={Boolean(option.unavailableReason) && option.roomNumber !== line.roomNumber}
+                      >
+                        {option.roomNumber} · floor {option.floor} · {HOUSEKEEPING_LABELS[option.housekeeping] || option.housekeeping}
+                        {option.unavailableReason && option.roomNumber !== line.roomNumber ? ` (${option.unavailableReason})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <div className="mt-4 flex justify-end space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving || isLoading}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+        >
+          {isSaving ? 'Checking in...' : 'Check in'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CheckInForm;
@@ -0,0 +1,164 @@
+/**
+ * Check-out Form Component
+ *
+ * Checks the guests of a checked-in booking out at the front desk. Whatever
+ * is still owed is settled first, in cash or by card; staff note how many
+ * keys came back. Once the guests are out, their rooms go on the
+ * housekeeping board as dirty.
+ */
+
+import { useState } from 'react';
+import axios from 'axios';
+import PaymentFields from '../components/PaymentFields';
+import { formatCurrency } from '../utils/money';
+
+// Empty card details
+const EMPTY_PAYMENT = { cardName: '', cardNumber: '', expiry: '', cvc: '' };
+
+/**
+ * CheckOutForm Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking to check out, with its payment summary
+ * @param {Function} props.onCheckedOut - Function to call with the server's message once the guests are out
+ * @param {Function} props.onCancel - Function to call when the form is closed
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const CheckOutForm = ({ booking, onCheckedOut, onCancel, onUnauthorized }) => {
+  const [keysReturned, setKeysReturned] = useState(String(booking.checkInRecord?.keyCount ?? 0));
+  const [method, setMethod] = useState('card');        // How the balance is settled
+  const [paymentData, setPaymentData] = useState(EMPTY_PAYMENT);
+  const [fieldErrors, setFieldErrors] = useState({});  // Errors keyed like PaymentFields expects
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const outstanding = booking.payment?.outstanding || 0;
+  const idPrefix = `check-out-${booking.id}`;
+
+  /**
+   * Handles changes to the card inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPaymentData(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [`payment.${name}`]: '', payment: '' }));
+  };
+
+  /**
+   * Checks the guests out, settling the balance first
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const settlement = outstanding > 0
+      ? { method, ...(method === 'card' && { payment: paymentData }) }
+      : undefined;
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const response = await axios.post(
+        `http://localhost:5000/api/admin/bookings/${booking.id}/check-out`,
+        { keysReturned: Number(keysReturned), ...(settlement && { settlement }) },
+        { headers: { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` } }
+      );
+      onCheckedOut(response.data.message);
+    } catch (requestError) {
+      console.error('Failed to check the guests out.', requestError);
+
+      if (requestError.response?.status === 401) {
+        onUnauthorized();
+        return;
+      }
+
+      // The server nests card errors under settlement, e.g. 'settlement.payment.cvc'
+      const errors = requestError.response?.data?.errors || {};
+      setFieldErrors(Object.fromEntries(Object.entries(errors).map(([key, message]) => [key.replace(/^settlement\./, ''), message])));
+      setError(requestError.response?.data?.message || 'Failed to check the guests out.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <form onSubmit={handleSubmit} aria-busy={isSaving}>
+      <h3 className="text-sm font-semibold text-gray-900 mb-3">Check out {booking.fullName}</h3>
+
+      {error && !fieldErrors.payment && <p className="mb-3 text-sm text-red-700" role="alert">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-keys`} className="block text-sm font-medium text-gray-700 mb-1">
+            Keys returned{booking.checkInRecord && ` (of ${booking.checkInRecord.keyCount})`}
+          </label>
+          <input
+            id={`${idPrefix}-keys`}
+            type="number"
+            min="0"
+            max="20"
+            value={keysReturned}
+            onChange={(e) => setKeysReturned(e.target.value)}
+            className={inputClass}
+          />
+          {fieldErrors.keysReturned && <p className="mt-1 text-sm text-red-600">{fieldErrors.keysReturned}</p>}
+        </div>
+        <div className="md:col-span-2 text-sm">
+          <p className="block font-medium text-gray-700 mb-1">Balance</p>
+          {outstanding > 0 ? (
+            <p className="text-gray-900">{formatCurrency(outstanding)} still owed of {formatCurrency(booking.payment.total)}</p>
+          ) : (
+            <p className="text-green-700">Paid in full</p>
+          )}
+        </div>
+      </div>
+
+      {outstanding > 0 && (
+        <fieldset className="mt-4">
+          <legend className="text-sm font-medium text-gray-700 mb-2">Settle the balance</legend>
+          <div className="flex gap-6 mb-4 text-sm text-gray-700">
+            <label className="flex items-center">
+              <input type="radio" name={`${idPrefix}-method`} value="card" checked={method === 'card'} onChange={() => setMethod('card')} className="mr-2" />
+              Card
+            </label>
+            <label className="flex items-center">
+              <input type="radio" name={`${idPrefix}-method`} value="cash" checked={method === 'cash'} onChange={() => setMethod('cash')} className="mr-2" />
+              Cash
+            </label>
+          </div>
+          {fieldErrors.method && <p className="mb-3 text-sm text-red-600">{fieldErrors.method}</p>}
+          {method === 'card' ? (
+            <div className="max-w-md">
+              <PaymentFields values={paymentData} errors={fieldErrors} onChange={handlePaymentChange} idPrefix={`${idPrefix}-payment`} />
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Take {formatCurrency(outstanding)} in cash before checking the guests out.</p>
+          )}
+        </fieldset>
+      )}
+
+      <div className="mt-4 flex justify-end space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+        >
+          {isSaving ? 'Checking out...' : outstanding > 0 ? `Take ${formatCurrency(outstanding)} and check out` : 'Check out'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CheckOutForm;
@@ -2,37 +2,86 @@
  * Admin Dashboard Component
  * 
  * This component displays the administrative dashboard for managing hotel bookings.
- * It provides functionality to view, search, filter, and update the status of bookings.
+ * It provides functionality to view, search, filter, and update the status of bookings
+ * (offering only the next steps of each booking's lifecycle), shows each booking's status
+ * history, and hosts the front desk (check-in and check-out), each booking's folio and invoice, tape chart, rate rules, activity schedule, spa calendar, guest email and staff user sections. Actions and sections the signed-in
+ * user's role does not permit are hidden (the server enforces the same permissions).
  */
 
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import RateRules from './RateRules';
+import RoomBlocks from './RoomBlocks';
+import Activities from './Activities';
+import SpaCalendar from './SpaCalendar';
+import FrontDesk from './FrontDesk';
+import CheckInForm from './CheckInForm';
+import CheckOutForm from './CheckOutForm';
+import Folio from './Folio';
+import TapeChart from './TapeChart';
+import RoomAssignment from './RoomAssignment';
+import Housekeeping from './Housekeeping';
+import Rooms from './Rooms';
+import PromoCodes from './PromoCodes';
+import EmailTemplates from './EmailTemplates';
+import UserManagement from './UserManagement';
+import { formatCurrency } from '../utils/money';
+
+// Booking statuses in lifecycle order, with their display names
+const STATUS_LABELS = {
+  'pending': 'Pending',
+  'confirmed': 'Confirmed',
+  'checked-in': 'Checked in',
+  'checked-out': 'Checked out',
+  'completed': 'Completed',
+  'cancelled': 'Cancelled',
+  'no-show': 'No-show',
+  'declined': 'Declined'
+};
+
+// Action buttons for each target status; the server decides which ones apply.
+// Check-in and check-out open a form instead of changing the status directly.
+const STATUS_ACTIONS = {
+  'confirmed': { label: 'Confirm', className: 'text-green-600 hover:text-green-900' },
+  'checked-in': { label: 'Check in', className: 'text-indigo-600 hover:text-indigo-900', opensForm: true },
+  'checked-out': { label: 'Check out', className: 'text-indigo-600 hover:text-indigo-900', opensForm: true },
+  'completed': { label: 'Complete', className: 'text-blue-600 hover:text-blue-900' },
+  'no-show': { label: 'No-show', className: 'text-orange-600 hover:text-orange-900', askReason: true },
+  'declined': { label: 'Decline', className: 'text-red-600 hover:text-red-900', askReason: true },
+  'cancelled': { label: 'Cancel', className: 'text-red-600 hover:text-red-900', askReason: true }
+};
 
 /**
  * Dashboard Component
  * @param {Object} props - Component props
+ * @param {Object} props.user - The signed-in admin user
  * @param {Function} props.onLogout - Function to call when user logs out or session expires
  */
-const Dashboard = ({ onLogout }) => {
+const Dashboard = ({ user, onLogout }) => {
   // State for bookings data and UI control
   const [bookings, setBookings] = useState([]);          // All bookings from the API
   const [isLoading, setIsLoading] = useState(true);      // Loading state
   const [error, setError] = useState('');               // Error message
   const [statusFilter, setStatusFilter] = useState('all'); // Filter by booking status
   const [searchTerm, setSearchTerm] = useState('');      // Search term for filtering
+  const [historyBookingId, setHistoryBookingId] = useState(null); // Booking whose history is open
+  const [roomsBookingId, setRoomsBookingId] = useState(null); // Booking whose room assignment is open
+  const [frontDeskAction, setFrontDeskAction] = useState(null); // { bookingId, status } of the open check-in or check-out form
+  const [folioBookingId, setFolioBookingId] = useState(null); // Booking whose folio is open
   
   /**
-   * Effect to load bookings data when component mounts
+   * Checks whether the signed-in user's role grants a permission
+   * 
+   * @param {string} permission - Permission such as 'bookings:cancel'
+   * @return {boolean} True if the action is allowed
    */
-  useEffect(() => {
-    fetchBookings();
-  }, []); // Empty dependency array ensures this only runs once on component mount
+  const can = (permission) => Boolean(user.permissions?.includes(permission));
   
   /**
    * Fetches booking data from the API
    * Automatically handles authentication errors by logging out
    */
-  const fetchBookings = async () => {
+  const fetchBookings = useCallback(async () => {
     try {
       // Show loading indicator
       setIsLoading(true);
@@ -74,22 +123,40 @@ const Dashboard = ({ onLogout }) => {
       // Hide loading indicator regardless of outcome
       setIsLoading(false);
     }
-  };
+  }, [onLogout]);
   
   /**
-   * Updates the status of a booking
+   * Effect to load bookings data when component mounts
+   */
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]); // onLogout is stable, so this only runs once on component mount
+  
+  /**
+   * Moves a booking to its next status
    * 
-   * @param {string} bookingId - ID of the booking to update
-   * @param {string} newStatus - New status to set (pending, confirmed, cancelled, completed)
+   * Cancelling, declining and no-shows ask for an optional reason, which is
+   * kept in the booking's status history.
+   * 
+   * @param {Object} booking - Booking to update
+   * @param {string} newStatus - One of the booking's allowedStatuses
    */
-  const handleUpdateStatus = async (bookingId, newStatus) => {
+  const handleUpdateStatus = async (booking, newStatus) => {
+    let reason = '';
+    if (STATUS_ACTIONS[newStatus]?.askReason) {
+      // Cancellations are charged according to the booking's rate plan
+      const policy = booking.quote?.cancellationPolicy?.description;
+      reason = window.prompt(`${STATUS_ACTIONS[newStatus].label} booking for ${booking.fullName}?${policy ? ` ${policy}` : ''} Reason (optional):`);
+      if (reason === null) return; // Dialog dismissed
+    }
+    
     try {
       // Get authentication token
       const token = localStorage.getItem('adminToken');
       
       // Send update request to API
-      await axios.put(`http://localhost:5000/api/admin/bookings/${bookingId}`, 
-        { status: newStatus }, // Request body with new status
+      const response = await axios.put(`http://localhost:5000/api/admin/bookings/${booking.id}`, 
+        { status: newStatus, reason }, // Request body with new status
         {
           headers: {
             'Authorization': `Bearer ${token}` // Add token to request headers
@@ -97,20 +164,77 @@ const Dashboard = ({ onLogout }) => {
         }
       );
       
-      // Update the booking in local state to avoid refetching all data
+      // Replace the booking with the server's copy (new history and next actions)
       setBookings(prevBookings => 
-        prevBookings.map(booking => 
-          booking.id === bookingId 
-            ? {...booking, status: newStatus, updatedAt: new Date().toISOString()} 
-            : booking
+        prevBookings.map(existing => 
+          existing.id === booking.id ? response.data.booking : existing
         )
       );
+      
+      // Closing a booking charges the penalty and refunds the rest
+      const cancellation = response.data.refund && response.data.booking.cancellation;
+      if (cancellation) {
+        alert(`Cancellation charge: ${formatCurrency(cancellation.retained)}. Refunded to the guest's card: ${formatCurrency(cancellation.refunded)}.`);
+      }
     } catch (error) {
       console.error('Error updating booking status:', error);
-      alert('Failed to update booking status');
+      alert(error.response?.data?.message || 'Failed to update booking status');
+      
+      // Someone else may have changed the booking; show its current state
+      if (error.response?.status === 409) {
+        fetchBookings();
+      }
     }
   };
   
+  /**
+   * Shows or hides the status history of a booking
+   * 
+   * @param {string} bookingId - ID of the booking
+   */
+  const handleToggleHistory = (bookingId) => {
+    setHistoryBookingId(prev => (prev === bookingId ? null : bookingId));
+  };
+  
+  /**
+   * Shows or hides the rooms given to a booking
+   * 
+   * @param {string} bookingId - ID of the booking
+   */
+  const handleToggleRooms = (bookingId) => {
+    setRoomsBookingId(prev => (prev === bookingId ? null : bookingId));
+  };
+  
+  /**
+   * Shows or hides the folio of a booking
+   * 
+   * @param {string} bookingId - ID of the booking
+   */
+  const handleToggleFolio = (bookingId) => {
+    setFolioBookingId(prev => (prev === bookingId ? null : bookingId));
+  };
+  
+  /**
+   * Shows or hides the check-in or check-out form of a booking
+   * 
+   * @param {string} bookingId - ID of the booking
+   * @param {string} status - 'checked-in' or 'checked-out'
+   */
+  const handleToggleFrontDesk = (bookingId, status) => {
+    setFrontDeskAction(prev => (prev?.bookingId === bookingId && prev.status === status ? null : { bookingId, status }));
+  };
+  
+  /**
+   * Closes the check-in or check-out form and reloads the bookings
+   * 
+   * @param {string} message - Result from the server
+   */
+  const handleFrontDeskDone = (message) => {
+    setFrontDeskAction(null);
+    alert(message);
+    fetchBookings();
+  };
+  
   /**
    * Handles search input changes
    * 
@@ -146,14 +270,21 @@ const Dashboard = ({ onLogout }) => {
    * This computed value is derived from the bookings array and filter states
    */
   const filteredBookings = bookings.filter(booking => {
-    // Check if booking matches search term (by name, email, or phone)
+    // Check if booking matches search term (by name, email, phone, group or promo code, the name of any
+    // guest staying or a booked add-on)
     const matchesSearch = 
       booking.fullName.toLowerCase().includes(searchTerm.toLowerCase()) ||
       booking.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      booking.phone.includes(searchTerm);
+      booking.phone.includes(searchTerm) ||
+      (booking.groupCode || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (booking.promoCode || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (booking.rooms || []).some(room => 
+        room.guestNames.some(name => name.toLowerCase().includes(searchTerm.toLowerCase()))
+      ) ||
+      (booking.quote?.addOns || []).some(addOn => addOn.name.toLowerCase().includes(searchTerm.toLowerCase()));
       
     // Check if booking matches status filter
-    const matchesFilter = statusFilter === 'all' || booking.status === statusFilter;
+    const matchesFilter = statusFilter === 'all' || (booking.status || 'pending') === statusFilter;
     
     // Only include bookings that match both conditions
     return matchesSearch && matchesFilter;
@@ -170,10 +301,31 @@ const Dashboard = ({ onLogout }) => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
   
+  /**
+   * Formats an ISO timestamp with date and time
+   * 
+   * @param {string} timestamp - ISO timestamp
+   * @return {string} Formatted date and time
+   */
+  const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+  
+  /**
+   * Describes who made a status change
+   * 
+   * @param {Object} actor - History entry actor
+   * @return {string} Actor description
+   */
+  const describeActor = (actor) => {
+    if (actor?.type === 'staff') return `${actor.username} (${actor.role})`;
+    if (actor?.type === 'guest') return 'Guest';
+    if (actor?.type === 'system') return 'Automatic';
+    return 'Unknown';
+  };
+  
   /**
    * Returns CSS class names for status badges based on status value
    * 
-   * @param {string} status - Booking status (pending, confirmed, cancelled, completed)
+   * @param {string} status - Booking status (see STATUS_LABELS)
    * @return {string} CSS class names
    */
   const getStatusBadgeClass = (status) => {
@@ -182,8 +334,14 @@ const Dashboard = ({ onLogout }) => {
         return 'bg-yellow-100 text-yellow-800';
       case 'confirmed':
         return 'bg-green-100 text-green-800';
+      case 'checked-in':
+      case 'checked-out':
+        return 'bg-indigo-100 text-indigo-800';
       case 'cancelled':
+      case 'declined':
         return 'bg-red-100 text-red-800';
+      case 'no-show':
+        return 'bg-orange-100 text-orange-800';
       case 'completed':
         return 'bg-blue-100 text-blue-800';
       default:
@@ -215,15 +373,18 @@ const Dashboard = ({ onLogout }) => {
       <header className="bg-primary text-white shadow-md">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
           <h1 className="text-2xl font-bold">Alpine Athletics Resort Admin</h1>
-          <button 
-            onClick={onLogout}
-            onKeyDown={(e) => handleKeyDown(e, onLogout)}
-            className="bg-white text-primary px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-white"
-            tabIndex="0"
-            aria-label="Log out"
-          >
-            Log Out
-          </button>
+          <div className="flex items-center space-x-4">
+            <span className="text-sm text-white/80">Signed in as {user.username} ({user.role})</span>
+            <button 
+              onClick={onLogout}
+              onKeyDown={(e) => handleKeyDown(e, onLogout)}
+              className="bg-white text-primary px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-white"
+              tabIndex="0"
+              aria-label="Log out"
+            >
+              Log Out
+            </button>
+          </div>
         </div>
       </header>
       
@@ -244,7 +405,7 @@ const Dashboard = ({ onLogout }) => {
             {/* Search input */}
             <div className="md:w-1/2">
               <label htmlFor="search" className="block text-sm font-medium text-gray-700 mb-1">
-                Search by name, email or phone
+                Search by name, email, phone or guest
               </label>
               <input
                 type="text"
@@ -268,10 +429,9 @@ const Dashboard = ({ onLogout }) => {
                 className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
               >
                 <option value="all">All Statuses</option>
-                <option value="pending">Pending</option>
-                <option value="confirmed">Confirmed</option>
-                <option value="cancelled">Cancelled</option>
-                <option value="completed">Completed</option>
+                {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>{label}</option>
+                ))}
               </select>
             </div>
             
@@ -325,6 +485,12 @@ const Dashboard = ({ onLogout }) => {
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Total
                     </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Paid
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Outstanding
+                    </th>
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Status
                     </th>
@@ -339,83 +505,306 @@ const Dashboard = ({ onLogout }) => {
                 {/* Table body - mapping through filtered bookings */}
                 <tbody className="bg-white divide-y divide-gray-200">
                   {filteredBookings.map((booking) => (
-                    <tr key={booking.id} className="hover:bg-gray-50">
-                      {/* Guest information */}
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">{booking.fullName}</div>
-                        <div className="text-sm text-gray-500">{booking.email}</div>
-                        <div className="text-sm text-gray-500">{booking.phone}</div>
-                      </td>
-                      {/* Stay dates */}
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm text-gray-900">
-                          {formatDate(booking.checkIn)} - {formatDate(booking.checkOut)}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {nightsCount(booking.checkIn, booking.checkOut)} nights
-                        </div>
-                      </td>
-                      {/* Price information */}
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">
-                          ${booking.totalPrice || (nightsCount(booking.checkIn, booking.checkOut) * 350)}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          ($350/night)
-                        </div>
-                      </td>
-                      {/* Status badge */}
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(booking.status)}`}>
-                          {booking.status || 'pending'}
-                        </span>
-                      </td>
-                      {/* Booking creation date */}
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {formatDate(booking.createdAt)}
-                      </td>
-                      {/* Action buttons */}
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                        <div className="flex space-x-2">
-                          {/* Confirm button - only show if not already confirmed */}
-                          {booking.status !== 'confirmed' && (
+                    <Fragment key={booking.id}>
+                      <tr className="hover:bg-gray-50">
+                        {/* Guest information */}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">{booking.fullName}</div>
+                          <div className="text-sm text-gray-500">{booking.email}</div>
+                          <div className="text-sm text-gray-500">{booking.phone}</div>
+                        </td>
+                        {/* Stay dates */}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">
+                            {formatDate(booking.checkIn)} - {formatDate(booking.checkOut)}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {nightsCount(booking.checkIn, booking.checkOut)} nights
+                          </div>
+                        </td>
+                        {/* Price information - uses the server-side quote stored on the booking */}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">
+                            {formatCurrency(booking.totalPrice)}
+                          </div>
+                          {booking.quote?.ratePlan && (
+                            <div className="text-xs text-gray-700">{booking.quote.ratePlan.name}</div>
+                          )}
+                          {booking.quote?.group && (
+                            <div className="text-xs text-gray-700">
+                              Group: {booking.quote.group.name} <span className="font-mono">({booking.quote.group.code})</span>
+                            </div>
+                          )}
+                          {booking.quote?.promo && (
+                            <div className="text-xs text-green-700">
+                              Promo <span className="font-mono">{booking.quote.promo.code}</span> ({booking.quote.promo.description}): -{formatCurrency(booking.quote.promo.discount)}
+                            </div>
+                          )}
+                          {booking.quote ? (
+                            // Line items grouped by room; older quotes cover a single room
+                            (booking.quote.rooms || [booking.quote]).map((line, index) => {
+                              const room = booking.rooms?.[index];
+                              const guestNames = room?.guestNames?.filter(Boolean) || [];
+                              
+                              return (
+                                <div key={index} className="mt-1">
+                                  {room && (
+                                    <div className="text-xs font-medium text-gray-700">
+                                      {booking.rooms.length > 1 && `Room ${index + 1}: `}{room.roomType} · {room.adults} adult{room.adults === 1 ? '' : 's'}
+                                      {room.children > 0 && `, ${room.children} ${room.children === 1 ? 'child' : 'children'}`}
+                                      {room.roomNumber && <span className="text-primary"> · Room {room.roomNumber}</span>}
+                                    </div>
+                                  )}
+                                  {guestNames.length > 0 && (
+                                    <div className="text-xs text-gray-500">{guestNames.join(', ')}</div>
+                                  )}
+                                  <ul className="text-xs text-gray-500">
+                                    {line.lineItems.map((item) => (
+                                      <li key={item.code}>
+                                        {item.description}: {formatCurrency(item.amount)}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </div>
+                              );
+                            })
+                          ) : (
+                            <div className="text-sm text-gray-500">
+                              {booking.roomType || 'Room type not recorded'}
+                            </div>
+                          )}
+                          {booking.quote?.addOns?.length > 0 && (
+                            <div className="mt-1">
+                              <div className="text-xs font-medium text-gray-700">Add-ons</div>
+                              <ul className="text-xs text-gray-500">
+                                {booking.quote.addOns.map((addOn) => (
+                                  <li key={`${addOn.code}-${addOn.date || ''}`}>
+                                    {addOn.description}: {formatCurrency(addOn.amount)}
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+                        </td>
+                        {/* Payments taken so far, net of refunds */}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">{formatCurrency(booking.payment?.paid)}</div>
+                          {booking.payment?.refunded > 0 && (
+                            <div className="text-xs text-gray-500">{formatCurrency(booking.payment.refunded)} refunded</div>
+                          )}
+                        </td>
+                        {/* Balance still owed and when it is due */}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className={`text-sm ${booking.payment?.outstanding > 0 ? 'font-medium text-gray-900' : 'text-gray-500'}`}>
+                            {formatCurrency(booking.payment?.outstanding)}
+                          </div>
+                          {booking.payment?.outstanding > 0 && (
+                            <div className="text-xs text-gray-500">due {formatDate(booking.payment.balanceDueDate)}</div>
+                          )}
+                        </td>
+                        {/* Status badge */}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(booking.status)}`}>
+                            {STATUS_LABELS[booking.status || 'pending'] || booking.status}
+                          </span>
+                          {/* Outcome of the cancellation policy for closed bookings */}
+                          {booking.cancellation && (
+                            <div className="mt-1 text-xs text-gray-500" title={booking.cancellation.policy}>
+                              Charge {formatCurrency(booking.cancellation.retained)} · Refund {formatCurrency(booking.cancellation.refunded)}
+                            </div>
+                          )}
+                        </td>
+                        {/* Booking creation date */}
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(booking.createdAt)}
+                        </td>
+                        {/* Action buttons */}
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-2">
+                            {/* Only the next steps of the booking's lifecycle that the user's role allows */}
+                            {(booking.allowedStatuses || []).map((status) => (
+                              <button
+                                key={status}
+                                onClick={() => STATUS_ACTIONS[status]?.opensForm
+                                  ? handleToggleFrontDesk(booking.id, status)
+                                  : handleUpdateStatus(booking, status)}
+                                className={`${STATUS_ACTIONS[status]?.className || 'text-gray-600 hover:text-gray-900'} focus:outline-none focus:underline`}
+                                aria-label={`${STATUS_ACTIONS[status]?.label || status} booking for ${booking.fullName}`}
+                                {...(STATUS_ACTIONS[status]?.opensForm && {
+                                  'aria-expanded': frontDeskAction?.bookingId === booking.id && frontDeskAction.status === status,
+                                  'aria-controls': `front-desk-${booking.id}`
+                                })}
+                              >
+                                {STATUS_ACTIONS[status]?.label || status}
+                              </button>
+                            ))}
                             <button
-                              onClick={() => handleUpdateStatus(booking.id, 'confirmed')}
-                              className="text-green-600 hover:text-green-900 focus:outline-none focus:underline"
-                              aria-label={`Confirm booking for ${booking.fullName}`}
+                              onClick={() => handleToggleHistory(booking.id)}
+                              className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                              aria-expanded={historyBookingId === booking.id}
+                              aria-controls={`history-${booking.id}`}
                             >
-                              Confirm
+                              History
                             </button>
-                          )}
-                          {/* Cancel button - only show if not already cancelled */}
-                          {booking.status !== 'cancelled' && (
                             <button
-                              onClick={() => handleUpdateStatus(booking.id, 'cancelled')}
-                              className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
-                              aria-label={`Cancel booking for ${booking.fullName}`}
+                              onClick={() => handleToggleRooms(booking.id)}
+                              className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                              aria-expanded={roomsBookingId === booking.id}
+                              aria-controls={`rooms-${booking.id}`}
                             >
-                              Cancel
+                              Rooms
                             </button>
-                          )}
-                          {/* Complete button - only show for confirmed bookings that aren't completed */}
-                          {(booking.status === 'confirmed' && booking.status !== 'completed') && (
                             <button
-                              onClick={() => handleUpdateStatus(booking.id, 'completed')}
-                              className="text-blue-600 hover:text-blue-900 focus:outline-none focus:underline"
-                              aria-label={`Mark booking for ${booking.fullName} as completed`}
+                              onClick={() => handleToggleFolio(booking.id)}
+                              className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                              aria-expanded={folioBookingId === booking.id}
+                              aria-controls={`folio-${booking.id}`}
                             >
-                              Complete
+                              Folio
                             </button>
-                          )}
-                        </div>
-                      </td>
-                    </tr>
+                          </div>
+                        </td>
+                      </tr>
+                      {/* Status timeline */}
+                      {historyBookingId === booking.id && (
+                        <tr id={`history-${booking.id}`} className="bg-gray-50">
+                          <td colSpan="8" className="px-6 py-4">
+                            <h3 className="text-sm font-semibold text-gray-900 mb-3">Status history</h3>
+                            {booking.statusHistory?.length ? (
+                              <ol className="relative border-l border-gray-300 ml-2">
+                                {booking.statusHistory.map((entry, index) => (
+                                  <li key={index} className="mb-3 ml-4">
+                                    <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full bg-primary" aria-hidden="true"></span>
+                                    <p className="text-sm text-gray-900">
+                                      {entry.from
+                                        ? `${STATUS_LABELS[entry.from] || entry.from} → ${STATUS_LABELS[entry.to] || entry.to}`
+                                        : `Requested (${STATUS_LABELS[entry.to] || entry.to})`}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                      {formatTimestamp(entry.at)} by {describeActor(entry.actor)}
+                                    </p>
+                                    {entry.reason && <p className="text-xs text-gray-600 italic">{entry.reason}</p>}
+                                  </li>
+                                ))}
+                              </ol>
+                            ) : (
+                              <p className="text-sm text-gray-500">
+                                No history was recorded for this booking. Requested {formatTimestamp(booking.createdAt)}
+                                {booking.updatedAt && `, last updated ${formatTimestamp(booking.updatedAt)}`}.
+                              </p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                      {/* Rooms given to the booking */}
+                      {roomsBookingId === booking.id && (
+                        <tr id={`rooms-${booking.id}`} className="bg-gray-50">
+                          <td colSpan="8" className="px-6 py-4">
+                            <RoomAssignment
+                              booking={booking}
+                              canAssign={can('bookings:confirm')}
+                              onAssigned={fetchBookings}
+                              onUnauthorized={onLogout}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                      {/* Charges, payments and invoice of the stay */}
+                      {folioBookingId === booking.id && (
+                        <tr id={`folio-${booking.id}`} className="bg-gray-50">
+                          <td colSpan="8" className="px-6 py-4">
+                            <Folio
+                              booking={booking}
+                              canPost={can('folio:post')}
+                              canVoid={can('folio:void')}
+                              onChanged={fetchBookings}
+                              onUnauthorized={onLogout}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                      {/* Check-in or check-out at the front desk */}
+                      {frontDeskAction?.bookingId === booking.id && (
+                        <tr id={`front-desk-${booking.id}`} className="bg-gray-50">
+                          <td colSpan="8" className="px-6 py-4">
+                            {frontDeskAction.status === 'checked-in' ? (
+                              <CheckInForm
+                                booking={booking}
+                                onCheckedIn={handleFrontDeskDone}
+                                onCancel={() => setFrontDeskAction(null)}
+                                onUnauthorized={onLogout}
+                              />
+                            ) : (
+                              <CheckOutForm
+                                booking={booking}
+                                onCheckedOut={handleFrontDeskDone}
+                                onCancel={() => setFrontDeskAction(null)}
+                                onUnauthorized={onLogout}
+                              />
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
                   ))}
                 </tbody>
               </table>
             </div>
           )}
         </div>
+        
+        {/* Today's arrivals and departures (all staff; checking guests in and out needs bookings:confirm) */}
+        {can('bookings:view') && (
+          <FrontDesk
+            canCheckIn={can('bookings:confirm')}
+            refreshKey={bookings}
+            onChanged={fetchBookings}
+            onUnauthorized={onLogout}
+          />
+        )}
+        
+        {/* Occupancy by room and day (all staff; moving stays needs bookings:move) */}
+        {can('bookings:view') && (
+          <TapeChart
+            canMove={can('bookings:move')}
+            refreshKey={bookings}
+            onMoved={fetchBookings}
+            onUnauthorized={onLogout}
+          />
+        )}
+        
+        {/* Housekeeping task board (all staff) */}
+        {can('bookings:view') && (
+          <Housekeeping
+            canUpdate={can('housekeeping:update')}
+            refreshKey={bookings}
+            onUnauthorized={onLogout}
+          />
+        )}
+        
+        {/* Room registry (managers and owners) */}
+        {can('rooms:manage') && <Rooms onUnauthorized={onLogout} />}
+        
+        {/* Pricing rules management (managers and owners) */}
+        {can('pricing:manage') && <RateRules onUnauthorized={onLogout} />}
+        
+        {/* Promo codes (managers and owners) */}
+        {can('pricing:manage') && <PromoCodes onUnauthorized={onLogout} />}
+        
+        {/* Group room blocks (managers and owners) */}
+        {can('groups:manage') && <RoomBlocks onUnauthorized={onLogout} />}
+        
+        {/* Activity sessions and sign-ups (all staff; managers and owners edit the schedule) */}
+        {can('bookings:view') && <Activities canManage={can('activities:manage')} onUnauthorized={onLogout} />}
+        
+        {/* Spa appointments (all staff; managers and owners cancel them) */}
+        {can('bookings:view') && <SpaCalendar canCancel={can('bookings:cancel')} onUnauthorized={onLogout} />}
+        
+        {/* Guest email templates (managers and owners) */}
+        {can('notifications:manage') && <EmailTemplates onUnauthorized={onLogout} />}
+        
+        {/* Staff accounts (owners) */}
+        {can('users:manage') && <UserManagement currentUser={user} onUnauthorized={onLogout} />}
       </main>
     </div>
   );
@@ -0,0 +1,337 @@
+/**
+ * Email Templates Component
+ *
+ * Admin section for the emails guests receive: request received, confirmed,
+ * cancelled, pre-arrival reminder and post-stay thank-you. Staff can reword
+ * each email, switch it off, preview it with a sample booking and restore the
+ * original wording. The most recent emails sent are listed underneath.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * EmailTemplates Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const EmailTemplates = ({ onUnauthorized }) => {
+  const [templates, setTemplates] = useState([]);       // Templates from the API
+  const [placeholders, setPlaceholders] = useState({}); // Placeholder names and descriptions
+  const [recent, setRecent] = useState([]);             // Most recent emails sent
+  const [isLoading, setIsLoading] = useState(true);     // Loading state
+  const [error, setError] = useState('');               // Error message
+  const [selectedId, setSelectedId] = useState(null);   // Template being edited
+  const [formValues, setFormValues] = useState({ subject: '', body: '', enabled: true }); // Editor values
+  const [fieldErrors, setFieldErrors] = useState({});   // Per-field validation errors from the API
+  const [preview, setPreview] = useState(null);         // Rendered sample email
+  const [isSaving, setIsSaving] = useState(false);      // Save in progress
+  const [notice, setNotice] = useState('');             // Confirmation after saving
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Loads a template into the editor
+   *
+   * @param {Object} template - Template to edit
+   */
+  const selectTemplate = useCallback((template) => {
+    setSelectedId(template.id);
+    setFormValues({ subject: template.subject, body: template.body, enabled: template.enabled });
+    setFieldErrors({});
+    setPreview(null);
+    setNotice('');
+    setError('');
+  }, []);
+
+  /**
+   * Fetches the templates and recent emails from the API and opens the first template
+   */
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/email-templates', authConfig());
+      setTemplates(response.data.templates);
+      setPlaceholders(response.data.placeholders);
+      setRecent(response.data.recent);
+      setError('');
+
+      if (response.data.templates.length > 0) {
+        selectTemplate(response.data.templates[0]);
+      }
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load email templates.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError, selectTemplate]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  /**
+   * Handles changes to the editor inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    setNotice('');
+  };
+
+  /**
+   * Replaces the saved template in the list
+   *
+   * @param {Object} template - Template returned by the API
+   */
+  const replaceTemplate = (template) => {
+    setTemplates(prev => prev.map(existing => existing.id === template.id ? template : existing));
+  };
+
+  /**
+   * Saves the edited template
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const response = await axios.put(`http://localhost:5000/api/admin/email-templates/${selectedId}`, formValues, authConfig());
+      replaceTemplate(response.data.template);
+      setFieldErrors({});
+      setError('');
+      setNotice('Template saved.');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to save email template.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Renders the editor contents with a sample booking
+   */
+  const handlePreview = async () => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/admin/email-templates/preview', formValues, authConfig());
+      setPreview(response.data);
+      setFieldErrors({});
+      setError('');
+    } catch (requestError) {
+      setPreview(null);
+      handleRequestError(requestError, 'Failed to preview email template.');
+    }
+  };
+
+  /**
+   * Restores the original wording after confirmation
+   */
+  const handleReset = async () => {
+    if (!window.confirm('Restore the original wording of this email? Your changes will be lost.')) return;
+
+    try {
+      const response = await axios.post(`http://localhost:5000/api/admin/email-templates/${selectedId}/reset`, {}, authConfig());
+      replaceTemplate(response.data.template);
+      selectTemplate(response.data.template);
+      setNotice('Original wording restored.');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to reset email template.');
+    }
+  };
+
+  /**
+   * Formats an ISO timestamp for display
+   *
+   * @param {string} timestamp - ISO timestamp
+   * @return {string} Formatted date and time
+   */
+  const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+  // Template names keyed by id, for the recent emails table
+  const templateNames = Object.fromEntries(templates.map(template => [template.id, template.name]));
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Guest Emails</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Emails sent to guests when they book, when a booking is confirmed or cancelled, before arrival and after their stay.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600 mb-6">Loading email templates...</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          {/* Template list */}
+          <nav aria-label="Email templates" className="space-y-1">
+            {templates.map((template) => (
+              <button
+                key={template.id}
+                onClick={() => selectTemplate(template)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary ${
+                  selectedId === template.id ? 'bg-primary/10 text-primary font-medium' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+                aria-current={selectedId === template.id}
+              >
+                {template.name}
+                {!template.enabled && <span className="ml-2 text-xs text-gray-500">(off)</span>}
+              </button>
+            ))}
+          </nav>
+
+          {/* Editor */}
+          {selectedId && (
+            <form onSubmit={handleSave} className="md:col-span-3">
+              <p className="text-sm text-gray-600 mb-4">
+                {templates.find(template => template.id === selectedId)?.description}
+              </p>
+
+              <div className="mb-4">
+                <label htmlFor="template-subject" className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                <input id="template-subject" name="subject" type="text" value={formValues.subject} onChange={handleChange} className={inputClass} />
+                {fieldErrors.subject && <p className="mt-1 text-sm text-red-600">{fieldErrors.subject}</p>}
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="template-body" className="block text-sm font-medium text-gray-700 mb-1">Message</label>
+                <textarea id="template-body" name="body" rows="12" value={formValues.body} onChange={handleChange} className={`${inputClass} font-mono text-sm`} />
+                {fieldErrors.body && <p className="mt-1 text-sm text-red-600">{fieldErrors.body}</p>}
+              </div>
+
+              <details className="mb-4 text-sm text-gray-600">
+                <summary className="cursor-pointer font-medium text-gray-700">Placeholders</summary>
+                <ul className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                  {Object.entries(placeholders).map(([name, description]) => (
+                    <li key={name}>
+                      <code className="text-primary">{`{{${name}}}`}</code> {description}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+
+              <label className="flex items-center text-sm text-gray-700 mb-6">
+                <input name="enabled" type="checkbox" checked={formValues.enabled} onChange={handleChange} className="mr-2" />
+                Send this email
+              </label>
+
+              {preview && (
+                <div className="mb-6 p-4 bg-gray-50 rounded-lg" aria-live="polite">
+                  <p className="text-sm font-medium text-gray-900 mb-2">Subject: {preview.subject}</p>
+                  <pre className="whitespace-pre-wrap text-sm text-gray-700 font-sans">{preview.text}</pre>
+                </div>
+              )}
+
+              {notice && <p className="mb-4 text-sm text-green-700" role="status">{notice}</p>}
+
+              <div className="flex justify-end space-x-4">
+                <button
+                  type="button"
+                  onClick={handleReset}
+                  className="px-4 py-2 text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                >
+                  Restore original
+                </button>
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+                >
+                  Preview
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+                >
+                  {isSaving ? 'Saving...' : 'Save template'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      {/* Recent emails */}
+      <div className="border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Recently sent</h3>
+        {recent.length === 0 ? (
+          <p className="text-sm text-gray-600">No emails have been sent yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sent</th>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Booking</th>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {recent.map((entry) => (
+                  <tr key={entry.id}>
+                    <td className="px-4 py-3 text-sm text-gray-600">{formatTimestamp(entry.createdAt)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{templateNames[entry.templateId] || entry.templateId}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{entry.reference}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{entry.to}</td>
+                    <td className="px-4 py-3 text-sm">
+                      {entry.status === 'sent' ? (
+                        <span className="text-green-700">Sent ({entry.transport})</span>
+                      ) : (
+                        <span className="text-red-700" title={entry.error}>Failed</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailTemplates;
@@ -0,0 +1,406 @@
+/**
+ * Folio Component
+ *
+ * Opens under a booking on the dashboard and shows its folio: the room
+ * nights, fees, taxes and add-ons of the stay, incidental charges posted by
+ * staff, and payments and refunds, each with the running balance. Staff with
+ * the folio:post permission post incidentals (restaurant, gear rental, ...)
+ * while the guests are checked in or just checked out; managers void charges
+ * posted in error. The itemized invoice opens as a printable page or
+ * downloads as a PDF, both generated by the server.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { INCIDENTAL_CATEGORIES } from '../../../shared/schemas.mjs';
+import { formatCurrency } from '../utils/money';
+
+// Display names of the incidental categories
+const CATEGORY_LABELS = {
+  'restaurant': 'Restaurant',
+  'bar': 'Bar',
+  'gear-rental': 'Gear rental',
+  'spa': 'Spa',
+  'minibar': 'Minibar',
+  'laundry': 'Laundry',
+  'other': 'Other'
+};
+
+// Empty post-charge form
+const EMPTY_CHARGE = { category: 'restaurant', description: '', unitPrice: '', quantity: '1', date: '' };
+
+/**
+ * Builds request options with the admin token
+ *
+ * @param {Object} [options] - Extra axios options
+ * @return {Object} Axios request config
+ */
+const authConfig = (options = {}) => ({
+  ...options,
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * Folio Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking whose folio is shown
+ * @param {boolean} props.canPost - Whether the user may post incidental charges
+ * @param {boolean} props.canVoid - Whether the user may void charges
+ * @param {Function} props.onChanged - Function to call after a charge was posted or voided
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const Folio = ({ booking, canPost, canVoid, onChanged, onUnauthorized }) => {
+  const [folio, setFolio] = useState(null);          // { entries, totals }
+  const [reference, setReference] = useState('');
+  const [isOpenForCharges, setIsOpenForCharges] = useState(false); // Booking status allows posting
+  const [charge, setCharge] = useState(EMPTY_CHARGE);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const idPrefix = `folio-${booking.id}`;
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the folio of the booking
+   */
+  const fetchFolio = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get(`http://localhost:5000/api/admin/bookings/${booking.id}/folio`, authConfig());
+      setFolio(response.data.folio);
+      setReference(response.data.reference);
+      setIsOpenForCharges(response.data.canPost);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load the folio.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError, booking.id]);
+
+  // Reload whenever the dashboard has a newer copy of the booking
+  useEffect(() => {
+    fetchFolio();
+  }, [fetchFolio, booking]);
+
+  /**
+   * Handles changes to the post-charge inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChargeChange = (e) => {
+    const { name, value } = e.target;
+    setCharge(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  /**
+   * Posts an incidental charge to the folio
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handlePostCharge = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      setNotice('');
+      const response = await axios.post(`http://localhost:5000/api/admin/bookings/${booking.id}/folio/charges`, {
+        category: charge.category,
+        description: charge.description,
+        unitPrice: charge.unitPrice === '' ? undefined : Number(charge.unitPrice),
+        quantity: Number(charge.quantity) || 1,
+        ...(charge.date && { date: charge.date })
+      }, authConfig());
+      setFolio(response.data.folio);
+      setCharge(EMPTY_CHARGE);
+      setFieldErrors({});
+      setNotice(response.data.message);
+      onChanged();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to post the charge.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Voids an incidental charge after asking why
+   *
+   * @param {Object} entry - Folio entry of the charge
+   */
+  const handleVoid = async (entry) => {
+    const reason = window.prompt(`Void ${entry.description} (${formatCurrency(entry.amount)})? Reason:`);
+    if (reason === null) return; // Dialog dismissed
+
+    try {
+      setIsSaving(true);
+      setError('');
+      setNotice('');
+      const response = await axios.post(
+        `http://localhost:5000/api/admin/bookings/${booking.id}/folio/charges/${entry.id}/void`,
+        { reason },
+        authConfig()
+      );
+      setFolio(response.data.folio);
+      setNotice(response.data.message);
+      onChanged();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to void the charge.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Opens the printable invoice in a new window
+   *
+   * The invoice needs the admin token, so it is fetched here and shown from
+   * a blob URL. The window is opened first so pop-up blockers allow it.
+   */
+  const handlePrintInvoice = async () => {
+    const invoiceWindow = window.open('', '_blank');
+
+    try {
+      const response = await axios.get(`http://localhost:5000/api/admin/bookings/${booking.id}/invoice`, authConfig({ responseType: 'blob' }));
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/html' }));
+      if (invoiceWindow) {
+        invoiceWindow.location.href = url;
+      } else {
+        window.open(url, '_blank');
+      }
+    } catch (requestError) {
+      invoiceWindow?.close();
+      handleRequestError(requestError, 'Failed to open the invoice.');
+    }
+  };
+
+  /**
+   * Downloads the invoice as a PDF
+   */
+  const handleDownloadPdf = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/admin/bookings/${booking.id}/invoice.pdf`, authConfig({ responseType: 'blob' }));
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `INV-${reference || booking.id}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to download the invoice.');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div aria-busy={isLoading || isSaving}>
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">Folio{reference && ` · ${reference}`}</h3>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handlePrintInvoice}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+          >
+            Print invoice
+          </button>
+          <button
+            type="button"
+            onClick={handleDownloadPdf}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+          >
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-700" role="alert">{error}</p>}
+      {notice && <p className="mb-3 text-sm text-green-700" role="status">{notice}</p>}
+
+      {isLoading && !folio ? (
+        <p className="text-sm text-gray-600">Loading folio...</p>
+      ) : folio && (
+        <>
+          {folio.entries.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing has been charged or paid yet.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                  <th scope="col" className="py-2 pr-4">Date</th>
+                  <th scope="col" className="py-2 pr-4">Description</th>
+                  <th scope="col" className="py-2 pr-4 text-right">Amount</th>
+                  <th scope="col" className="py-2 pr-4 text-right">Balance</th>
+                  <th scope="col" className="py-2"><span className="sr-only">Actions</span></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {folio.entries.map((entry) => (
+                  <tr key={entry.id} className={entry.voided ? 'text-gray-400' : 'text-gray-700'}>
+                    <td className="py-2 pr-4 whitespace-nowrap">{entry.date}</td>
+                    <td className="py-2 pr-4">
+                      <span className={entry.voided ? 'line-through' : ''}>{entry.description}</span>
+                      {entry.type === 'incidental' && (
+                        <span className="text-xs text-gray-500">
+                          {' '}· {CATEGORY_LABELS[entry.category] || entry.category}
+                          {entry.quantity > 1 && ` · ${entry.quantity} × ${formatCurrency(entry.unitPrice)}`}
+                          {entry.postedBy && ` · by ${entry.postedBy}`}
+                        </span>
+                      )}
+                      {entry.voided && (
+                        <div className="text-xs italic">Voided by {entry.voided.by}: {entry.voided.reason}</div>
+                      )}
+                    </td>
+                    <td className={`py-2 pr-4 text-right whitespace-nowrap ${entry.amount < 0 ? 'text-green-700' : ''}`}>
+                      {formatCurrency(entry.amount)}
+                    </td>
+                    <td className="py-2 pr-4 text-right whitespace-nowrap">{formatCurrency(entry.balance)}</td>
+                    <td className="py-2 text-right">
+                      {canVoid && entry.type === 'incidental' && !entry.voided && (
+                        <button
+                          type="button"
+                          onClick={() => handleVoid(entry)}
+                          disabled={isSaving}
+                          className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+                          aria-label={`Void ${entry.description}`}
+                        >
+                          Void
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="border-t-2 border-gray-300 font-medium text-gray-900">
+                <tr>
+                  <td colSpan="3" className="py-2 pr-4 text-right">
+                    Stay {formatCurrency(folio.totals.charges)}
+                    {folio.totals.incidentals !== 0 && ` · Incidentals ${formatCurrency(folio.totals.incidentals)}`}
+                    {' '}· Paid {formatCurrency(folio.totals.payments)}
+                    {folio.totals.refunds !== 0 && ` · Refunded ${formatCurrency(folio.totals.refunds)}`}
+                  </td>
+                  <td className="py-2 pr-4 text-right whitespace-nowrap">
+                    {folio.totals.balance < 0 ? 'Credit ' : 'Due '}{formatCurrency(Math.abs(folio.totals.balance))}
+                  </td>
+                  <td></td>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+
+          {canPost && (isOpenForCharges ? (
+            <form onSubmit={handlePostCharge} className="mt-4" aria-label={`Post a charge to ${booking.fullName}'s folio`}>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Post a charge</h4>
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+                <div>
+                  <label htmlFor={`${idPrefix}-category`} className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+                  <select id={`${idPrefix}-category`} name="category" value={charge.category} onChange={handleChargeChange} className={inputClass}>
+                    {INCIDENTAL_CATEGORIES.map(category => (
+                      <option key={category} value={category}>{CATEGORY_LABELS[category] || category}</option>
+                    ))}
+                  </select>
+                  {fieldErrors.category && <p className="mt-1 text-xs text-red-600">{fieldErrors.category}</p>}
+                </div>
+                <div className="col-span-2">
+                  <label htmlFor={`${idPrefix}-description`} className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+                  <input
+                    id={`${idPrefix}-description`}
+                    name="description"
+                    value={charge.description}
+                    onChange={handleChargeChange}
+                    maxLength={200}
+                    placeholder="e.g. Dinner, table 4"
+                    className={inputClass}
+                  />
+                  {fieldErrors.description && <p className="mt-1 text-xs text-red-600">{fieldErrors.description}</p>}
+                </div>
+                <div>
+                  <label htmlFor={`${idPrefix}-unitPrice`} className="block text-xs font-medium text-gray-600 mb-1">Unit price ($)</label>
+                  <input
+                    id={`${idPrefix}-unitPrice`}
+                    name="unitPrice"
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={charge.unitPrice}
+                    onChange={handleChargeChange}
+                    className={inputClass}
+                  />
+                  {fieldErrors.unitPrice && <p className="mt-1 text-xs text-red-600">{fieldErrors.unitPrice}</p>}
+                </div>
+                <div>
+                  <label htmlFor={`${idPrefix}-quantity`} className="block text-xs font-medium text-gray-600 mb-1">Quantity</label>
+                  <input
+                    id={`${idPrefix}-quantity`}
+                    name="quantity"
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={charge.quantity}
+                    onChange={handleChargeChange}
+                    className={inputClass}
+                  />
+                  {fieldErrors.quantity && <p className="mt-1 text-xs text-red-600">{fieldErrors.quantity}</p>}
+                </div>
+                <div>
+                  <label htmlFor={`${idPrefix}-date`} className="block text-xs font-medium text-gray-600 mb-1">Date</label>
+                  <input
+                    id={`${idPrefix}-date`}
+                    name="date"
+                    type="date"
+                    min={booking.checkIn}
+                    max={booking.checkOut}
+                    value={charge.date}
+                    onChange={handleChargeChange}
+                    className={inputClass}
+                  />
+                  {fieldErrors.date && <p className="mt-1 text-xs text-red-600">{fieldErrors.date}</p>}
+                </div>
+              </div>
+              <div className="mt-3 flex justify-end">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+                >
+                  {isSaving ? 'Posting...' : 'Post charge'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <p className="mt-4 text-sm text-gray-500">Charges can be posted once the guests have checked in.</p>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Folio;
@@ -0,0 +1,250 @@
+/**
+ * Front Desk Component
+ *
+ * Today's arrivals and departures. Arrivals list guests still expected,
+ * guests already checked in and no-shows; guests still pending or confirmed
+ * at the arrival cutoff are marked as no-shows automatically. Departures
+ * list guests leaving today and guests still in the house after their
+ * check-out day. Staff with the bookings:confirm permission check guests in
+ * and out from here (see CheckInForm and CheckOutForm).
+ */
+
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import CheckInForm from './CheckInForm';
+import CheckOutForm from './CheckOutForm';
+import { formatCurrency } from '../utils/money';
+
+// Display names of the statuses shown on the lists
+const STATUS_LABELS = {
+  'pending': 'Pending',
+  'confirmed': 'Expected',
+  'checked-in': 'Checked in',
+  'checked-out': 'Checked out',
+  'no-show': 'No-show'
+};
+
+// Housekeeping states as shown next to each room
+const HOUSEKEEPING_LABELS = {
+  'dirty': 'dirty',
+  'cleaning': 'being cleaned',
+  'inspected': 'inspected',
+  'ready': 'ready'
+};
+
+/**
+ * FrontDesk Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.canCheckIn - Whether the user may check guests in and out
+ * @param {*} props.refreshKey - Changes whenever the dashboard reloads its bookings
+ * @param {Function} props.onChanged - Function to call after a guest was checked in or out
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const FrontDesk = ({ canCheckIn, refreshKey, onChanged, onUnauthorized }) => {
+  const [view, setView] = useState('arrivals');        // 'arrivals' or 'departures'
+  const [arrivals, setArrivals] = useState([]);
+  const [departures, setDepartures] = useState([]);
+  const [date, setDate] = useState('');                // Day the lists are for
+  const [arrivalCutoff, setArrivalCutoff] = useState('');
+  const [openBookingId, setOpenBookingId] = useState(null); // Booking whose check-in or check-out form is open
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  /**
+   * Fetches today's arrivals and departures
+   */
+  const fetchFrontDesk = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/front-desk', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        }
+      });
+      setArrivals(response.data.arrivals);
+      setDepartures(response.data.departures);
+      setDate(response.data.date);
+      setArrivalCutoff(response.data.arrivalCutoff);
+      setError('');
+    } catch (requestError) {
+      console.error('Failed to load the front desk.', requestError);
+
+      if (requestError.response?.status === 401) {
+        onUnauthorized();
+        return;
+      }
+
+      setError(requestError.response?.data?.message || 'Failed to load the front desk.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    fetchFrontDesk();
+  }, [fetchFrontDesk, refreshKey]);
+
+  /**
+   * Switches between arrivals and departures
+   *
+   * @param {string} nextView - 'arrivals' or 'departures'
+   */
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    setOpenBookingId(null);
+  };
+
+  /**
+   * Closes the form and reloads the dashboard after a check-in or check-out
+   *
+   * @param {string} message - Result from the server
+   */
+  const handleDone = (message) => {
+    setOpenBookingId(null);
+    setNotice(message);
+    onChanged();
+  };
+
+  const bookings = view === 'arrivals' ? arrivals : departures;
+  const action = view === 'arrivals' ? 'checked-in' : 'checked-out';
+  const expected = arrivals.filter(booking => ['pending', 'confirmed'].includes(booking.status)).length;
+  const inHouse = departures.filter(booking => booking.status === 'checked-in').length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-primary">Front Desk</h2>
+          <p className="text-sm text-gray-600">
+            {expected} arrival{expected === 1 ? '' : 's'} expected · {inHouse} departure{inHouse === 1 ? '' : 's'} to check out
+            {arrivalCutoff && ` · Arrivals not checked in by ${arrivalCutoff} UTC become no-shows`}
+          </p>
+        </div>
+        <div className="flex gap-2" role="group" aria-label="Front desk lists">
+          {[['arrivals', 'Arrivals today'], ['departures', 'Departures today']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => handleViewChange(key)}
+              aria-pressed={view === key}
+              className={`px-3 py-2 rounded-lg text-sm ${view === key ? 'bg-primary text-white' : 'border border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg" role="alert">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg" role="status">
+          {notice}
+        </div>
+      )}
+
+      {isLoading && bookings.length === 0 ? (
+        <p className="text-gray-600">Loading front desk...</p>
+      ) : bookings.length === 0 ? (
+        <p className="text-gray-600">{view === 'arrivals' ? 'No arrivals today.' : 'No departures today.'}</p>
+      ) : (
+        <div className="overflow-x-auto" aria-busy={isLoading}>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Guest</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stay</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rooms</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {bookings.map((booking) => (
+                <Fragment key={booking.id}>
+                  <tr>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900">{booking.fullName}</div>
+                      <div className="font-mono text-xs text-gray-500">{booking.reference}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {booking.checkIn} – {booking.checkOut}
+                      {view === 'departures' && booking.status === 'checked-in' && booking.checkOut < date && (
+                        <div className="text-xs font-medium text-red-700">Overdue</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {booking.rooms.map((room) => (
+                        <div key={room.roomIndex}>
+                          {room.roomNumber ? `Room ${room.roomNumber}` : 'No room yet'}
+                          <span className="text-xs text-gray-500"> · {room.roomType}</span>
+                          {room.housekeeping && view === 'arrivals' && booking.status !== 'checked-in' && (
+                            <span className={`text-xs ${room.housekeeping === 'ready' ? 'text-green-700' : 'text-red-700'}`}>
+                              {' '}({HOUSEKEEPING_LABELS[room.housekeeping] || room.housekeeping})
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {booking.payment?.outstanding > 0
+                        ? <span className="text-gray-900">{formatCurrency(booking.payment.outstanding)} due</span>
+                        : <span className="text-green-700">Paid</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {STATUS_LABELS[booking.status] || booking.status}
+                      {booking.checkInRecord && booking.status === 'checked-in' && (
+                        <div className="text-xs text-gray-500">
+                          {booking.checkInRecord.keyCount} key{booking.checkInRecord.keyCount === 1 ? '' : 's'} · by {booking.checkInRecord.by}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-medium">
+                      {canCheckIn && booking.allowedStatuses?.includes(action) && (
+                        <button
+                          onClick={() => setOpenBookingId(openBookingId === booking.id ? null : booking.id)}
+                          className="text-indigo-600 hover:text-indigo-900 focus:outline-none focus:underline"
+                          aria-expanded={openBookingId === booking.id}
+                          aria-controls={`front-desk-${booking.id}`}
+                        >
+                          {view === 'arrivals' ? 'Check in' : 'Check out'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {openBookingId === booking.id && (
+                    <tr id={`front-desk-${booking.id}`} className="bg-gray-50">
+                      <td colSpan="6" className="px-4 py-4">
+                        {view === 'arrivals' ? (
+                          <CheckInForm
+                            booking={booking}
+                            onCheckedIn={handleDone}
+                            onCancel={() => setOpenBookingId(null)}
+                            onUnauthorized={onUnauthorized}
+                          />
+                        ) : (
+                          <CheckOutForm
+                            booking={booking}
+                            onCheckedOut={handleDone}
+                            onCancel={() => setOpenBookingId(null)}
+                            onUnauthorized={onUnauthorized}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FrontDesk;
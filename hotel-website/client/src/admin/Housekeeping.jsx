@@ -0,0 +1,217 @@
+/**
+ * Housekeeping Component
+ *
+ * Task board for turning rooms around: one column per housekeeping state
+ * (dirty, cleaning, inspected, ready) with a card for every room. Rooms
+ * become dirty when their guests check out, so the board reloads whenever
+ * the dashboard does. Rooms with guests arriving today come first in each
+ * column. Staff with the housekeeping:update permission move a room to its
+ * next state with the buttons on its card.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Column headings and styles by housekeeping state
+const HOUSEKEEPING_STYLES = {
+  'dirty': { label: 'Dirty', action: 'Mark dirty', className: 'border-red-300 bg-red-50' },
+  'cleaning': { label: 'Cleaning', action: 'Start cleaning', className: 'border-orange-300 bg-orange-50' },
+  'inspected': { label: 'Inspected', action: 'Passed inspection', className: 'border-blue-300 bg-blue-50' },
+  'ready': { label: 'Ready', action: 'Mark ready', className: 'border-green-300 bg-green-50' }
+};
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * Housekeeping Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.canUpdate - Whether the user may change housekeeping states
+ * @param {*} props.refreshKey - Changes whenever the dashboard reloads its bookings
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const Housekeeping = ({ canUpdate, refreshKey, onUnauthorized }) => {
+  const [rooms, setRooms] = useState([]);            // Registry rooms with today's guests
+  const [statuses, setStatuses] = useState([]);      // Housekeeping states in turnaround order
+  const [today, setToday] = useState('');            // Day the guests are shown for
+  const [savingRoom, setSavingRoom] = useState(null); // Room whose state is being saved
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the rooms and their housekeeping states
+   */
+  const fetchRooms = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/rooms', authConfig());
+      setRooms(response.data.rooms);
+      setStatuses(response.data.statuses);
+      setToday(response.data.today);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load the housekeeping board.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchRooms();
+  }, [fetchRooms, refreshKey]);
+
+  /**
+   * Moves a room to another housekeeping state
+   *
+   * @param {Object} room - Room to update
+   * @param {string} status - New state
+   */
+  const handleUpdate = async (room, status) => {
+    try {
+      setSavingRoom(room.roomNumber);
+      const response = await axios.put(
+        `http://localhost:5000/api/admin/rooms/${room.roomNumber}/housekeeping`,
+        { status },
+        authConfig()
+      );
+      setRooms(prev => prev.map(existing => existing.roomNumber === room.roomNumber
+        ? { ...existing, ...response.data.room }
+        : existing));
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to update the room.');
+      fetchRooms();
+    } finally {
+      setSavingRoom(null);
+    }
+  };
+
+  /**
+   * Checks whether guests are due in a room today
+   *
+   * @param {Object} room - Room from the board
+   * @return {boolean} True if tonight's stay starts today
+   */
+  const hasArrival = (room) => Boolean(room.tonight && room.tonight.checkIn === today && room.tonight.status !== 'checked-in');
+
+  // Rooms needed for today's arrivals come first
+  const sortedRooms = [...rooms].sort((a, b) => Number(hasArrival(b)) - Number(hasArrival(a)));
+  const toTurnAround = rooms.filter(room => room.housekeeping !== 'ready').length;
+  const waiting = rooms.filter(room => hasArrival(room) && room.housekeeping !== 'ready').length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-primary">Housekeeping</h2>
+          <p className="text-sm text-gray-600">
+            {toTurnAround} room{toTurnAround === 1 ? '' : 's'} to turn around
+            {waiting > 0 && ` · ${waiting} needed for today's arrivals`}
+          </p>
+        </div>
+        <button
+          onClick={fetchRooms}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg" role="alert">
+          {error}
+        </div>
+      )}
+
+      {isLoading && rooms.length === 0 ? (
+        <p className="text-gray-600">Loading housekeeping board...</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4" aria-busy={isLoading}>
+          {statuses.map((status) => {
+            const column = sortedRooms.filter(room => room.housekeeping === status);
+            return (
+              <section key={status} aria-labelledby={`housekeeping-${status}`} className="rounded-lg bg-gray-50 p-3">
+                <h3 id={`housekeeping-${status}`} className="mb-3 text-sm font-semibold text-gray-900">
+                  {HOUSEKEEPING_STYLES[status]?.label || status} <span className="font-normal text-gray-500">({column.length})</span>
+                </h3>
+                <ul className="space-y-2">
+                  {column.map((room) => (
+                    <li key={room.roomNumber} className={`rounded border p-2 text-sm ${HOUSEKEEPING_STYLES[room.housekeeping]?.className || 'border-gray-200 bg-white'}`}>
+                      <div className="flex justify-between gap-2">
+                        <span className="font-medium text-gray-900">Room {room.roomNumber}</span>
+                        <span className="text-xs text-gray-500">Floor {room.floor}</span>
+                      </div>
+                      <div className="text-xs text-gray-600">{room.roomType}</div>
+                      {room.outOfOrderToday && (
+                        <div className="text-xs font-medium text-red-700">
+                          Out of order{room.outOfOrderReason && `: ${room.outOfOrderReason}`}
+                        </div>
+                      )}
+                      {room.departing && (
+                        <div className="text-xs text-gray-700">Due out: {room.departing.guestName}</div>
+                      )}
+                      {room.tonight && (
+                        <div className={`text-xs ${hasArrival(room) ? 'font-medium text-indigo-700' : 'text-gray-700'}`}>
+                          {hasArrival(room) ? 'Arriving today' : 'In house'}: {room.tonight.guestName}
+                        </div>
+                      )}
+                      {room.housekeepingUpdatedAt && (
+                        <div className="text-xs text-gray-500">
+                          Since {new Date(room.housekeepingUpdatedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })} by {room.housekeepingUpdatedBy}
+                        </div>
+                      )}
+                      {canUpdate && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {room.nextHousekeeping.map((next) => (
+                            <button
+                              key={next}
+                              onClick={() => handleUpdate(room, next)}
+                              disabled={savingRoom === room.roomNumber}
+                              className="text-xs font-medium text-primary hover:underline focus:outline-none focus:underline disabled:opacity-70"
+                              aria-label={`${HOUSEKEEPING_STYLES[next]?.action || next}: room ${room.roomNumber}`}
+                            >
+                              {next === 'cleaning' && room.housekeeping === 'inspected'
+                                ? 'Failed inspection'
+                                : HOUSEKEEPING_STYLES[next]?.action || next}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Housekeeping;
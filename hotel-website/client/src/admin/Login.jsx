@@ -2,24 +2,38 @@
  * Admin Login Component
  * 
  * This component provides a login interface for the admin dashboard.
- * It handles password validation against the backend API and manages login state.
- * For this demo, authentication is done with a simple password check.
+ * It sends the username and password to the backend API, which returns a signed
+ * session token that is stored for subsequent admin requests.
  */
 
 import { useState } from 'react';
 import axios from 'axios';
+import { validate } from '../../../shared/validation.mjs';
+import { loginSchema } from '../../../shared/schemas.mjs';
 
 /**
  * Login Component
  * @param {Object} props - Component props
- * @param {Function} props.onLoginSuccess - Callback function to execute on successful login
+ * @param {Function} props.onLoginSuccess - Callback function to execute on successful login, receives the signed-in user
  */
 const Login = ({ onLoginSuccess }) => {
-  // State for form input, error messages, and loading status
+  // State for form inputs, error messages, and loading status
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
+  /**
+   * Handle username input change
+   * Updates username state and clears error messages
+   * 
+   * @param {Event} e - Input change event
+   */
+  const handleUsernameChange = (e) => {
+    setUsername(e.target.value);
+    if (error) setError('');
+  };
+
   /**
    * Handle password input change
    * Updates password state and clears error messages
@@ -33,7 +47,7 @@ const Login = ({ onLoginSuccess }) => {
   };
 
   /**
-   * Handle key down events in the password field
+   * Handle key down events in the login fields
    * Allows submitting the form by pressing Enter
    * 
    * @param {KeyboardEvent} e - Keyboard event
@@ -46,12 +60,14 @@ const Login = ({ onLoginSuccess }) => {
 
   /**
    * Handle login form submission
-   * Validates password locally, then sends login request to the API
+   * Validates the fields locally, then sends login request to the API
    */
   const handleLogin = async () => {
-    // Validate that password is not empty
-    if (!password) {
-      setError('Password is required');
+    // Validate the fields with the same rules as the server
+    const { errors } = validate(loginSchema, { username, password });
+    const firstError = Object.values(errors)[0];
+    if (firstError) {
+      setError(firstError);
       return;
     }
 
@@ -61,7 +77,7 @@ const Login = ({ onLoginSuccess }) => {
       setError('');
 
       // Send login request to the backend API
-      const response = await axios.post('http://localhost:5000/api/admin/login', { password });
+      const response = await axios.post('http://localhost:5000/api/admin/login', { username, password });
       
       // Check if login was successful
       if (response.data.success) {
@@ -69,7 +85,7 @@ const Login = ({ onLoginSuccess }) => {
         localStorage.setItem('adminToken', response.data.token);
         
         // Notify parent component of successful login
-        onLoginSuccess();
+        onLoginSuccess(response.data.user);
       } else {
         // Handle unsuccessful login with explicit success: false response
         setError('Invalid credentials');
@@ -97,6 +113,24 @@ const Login = ({ onLoginSuccess }) => {
 
         {/* Login Form */}
         <div className="space-y-6">
+          {/* Username Input Field */}
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+              Username
+            </label>
+            <input
+              type="text"
+              id="username"
+              value={username}
+              onChange={handleUsernameChange}
+              onKeyDown={handleKeyDown}
+              className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              placeholder="Enter your username"
+              autoComplete="username"
+              aria-required="true"
+            />
+          </div>
+
           {/* Password Input Field */}
           <div>
             <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
@@ -0,0 +1,472 @@
+/**
+ * Promo Codes Component
+ *
+ * Admin section for promotional discount codes. A code takes a percentage
+ * or a fixed amount off the room price and can be limited to booking and
+ * stay dates, room types, a minimum stay and a number of uses. Guests enter
+ * codes in the booking form; the server checks every limit.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Room types a code can be limited to
+const ROOM_TYPES = ['Adventure Room', 'Wellness Room', 'Athletic Suite'];
+
+// Values for a new, empty code
+const EMPTY_PROMO = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  amount: 10,
+  validFrom: '',
+  validUntil: '',
+  stayFrom: '',
+  stayUntil: '',
+  roomTypes: [],
+  minNights: '',
+  maxUses: '',
+  active: true
+};
+
+/**
+ * Formats a date string for display
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} Formatted date, e.g. 'Jun 1, 2026'
+ */
+const formatDate = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Describes an optional date range
+ *
+ * @param {string} [from] - First date (YYYY-MM-DD)
+ * @param {string} [until] - Last date (YYYY-MM-DD)
+ * @return {string|null} e.g. 'Jun 1, 2026 – Jun 30, 2026', or null when neither date is set
+ */
+const formatRange = (from, until) => {
+  if (from && until) return `${formatDate(from)} – ${formatDate(until)}`;
+  if (from) return `From ${formatDate(from)}`;
+  if (until) return `Until ${formatDate(until)}`;
+  return null;
+};
+
+/**
+ * Converts an optional number input to a number
+ *
+ * @param {string|number} value - Input value
+ * @return {number|undefined} Number, or undefined when the input is empty
+ */
+const toOptionalNumber = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * PromoCodes Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const PromoCodes = ({ onUnauthorized }) => {
+  const [promos, setPromos] = useState([]);              // Codes from the API
+  const [isLoading, setIsLoading] = useState(true);      // Loading state
+  const [error, setError] = useState('');                // Error message
+  const [formValues, setFormValues] = useState(EMPTY_PROMO); // Code being created or edited
+  const [editingId, setEditingId] = useState(null);      // Id of the code being edited, if any
+  const [fieldErrors, setFieldErrors] = useState({});    // Per-field validation errors from the API
+  const [isSaving, setIsSaving] = useState(false);       // Save in progress
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches all promo codes from the API
+   */
+  const fetchPromos = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/promo-codes', authConfig());
+      setPromos(response.data);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load promo codes.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchPromos();
+  }, [fetchPromos]);
+
+  /**
+   * Handles changes to text, number, select and checkbox inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  /**
+   * Adds or removes a room type the code is limited to
+   *
+   * @param {string} roomType - Room type name
+   */
+  const handleToggleRoomType = (roomType) => {
+    setFormValues(prev => ({
+      ...prev,
+      roomTypes: prev.roomTypes.includes(roomType)
+        ? prev.roomTypes.filter(name => name !== roomType)
+        : [...prev.roomTypes, roomType]
+    }));
+  };
+
+  /**
+   * Loads a code into the form for editing
+   *
+   * @param {Object} promo - Code to edit
+   */
+  const handleEdit = (promo) => {
+    setEditingId(promo.id);
+    setFormValues({
+      ...EMPTY_PROMO,
+      ...promo,
+      minNights: promo.minNights ?? '',
+      maxUses: promo.maxUses ?? ''
+    });
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Clears the form and leaves edit mode
+   */
+  const handleResetForm = () => {
+    setEditingId(null);
+    setFormValues(EMPTY_PROMO);
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Builds the request body for a code
+   *
+   * @param {Object} values - Form values or an existing code
+   * @return {Object} Fields of promoCodeSchema, with numbers sent as numbers
+   */
+  const toPayload = (values) => ({
+    code: values.code,
+    description: values.description,
+    discountType: values.discountType,
+    amount: toOptionalNumber(values.amount),
+    validFrom: values.validFrom,
+    validUntil: values.validUntil,
+    stayFrom: values.stayFrom,
+    stayUntil: values.stayUntil,
+    roomTypes: values.roomTypes,
+    minNights: toOptionalNumber(values.minNights),
+    maxUses: toOptionalNumber(values.maxUses),
+    active: values.active
+  });
+
+  /**
+   * Creates or updates a code
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+
+      if (editingId) {
+        const response = await axios.put(`http://localhost:5000/api/admin/promo-codes/${editingId}`, toPayload(formValues), authConfig());
+        setPromos(prev => prev.map(promo => promo.id === editingId ? response.data.promoCode : promo));
+      } else {
+        const response = await axios.post('http://localhost:5000/api/admin/promo-codes', toPayload(formValues), authConfig());
+        setPromos(prev => [response.data.promoCode, ...prev]);
+      }
+
+      handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to save promo code.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Switches a code on or off without changing anything else
+   *
+   * @param {Object} promo - Code to toggle
+   */
+  const handleToggleActive = async (promo) => {
+    try {
+      const response = await axios.put(
+        `http://localhost:5000/api/admin/promo-codes/${promo.id}`,
+        toPayload({ ...promo, active: !promo.active }),
+        authConfig()
+      );
+      setPromos(prev => prev.map(existing => existing.id === promo.id ? response.data.promoCode : existing));
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to update promo code.');
+    }
+  };
+
+  /**
+   * Deletes a code after confirmation
+   *
+   * @param {Object} promo - Code to delete
+   */
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete the promo code ${promo.code}?`)) return;
+
+    try {
+      await axios.delete(`http://localhost:5000/api/admin/promo-codes/${promo.id}`, authConfig());
+      setPromos(prev => prev.filter(existing => existing.id !== promo.id));
+      if (editingId === promo.id) handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to delete promo code.');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  /**
+   * Renders the error for a field, if any
+   *
+   * @param {string} field - Field key
+   * @return {JSX.Element|null} Error message
+   */
+  const renderFieldError = (field) => fieldErrors[field]
+    ? <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>
+    : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Promo Codes</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Discount codes guests can enter when booking. The discount comes off the room price before tax; codes cannot be combined with group rates.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Existing codes */}
+      {isLoading ? (
+        <p className="text-gray-600 mb-6">Loading promo codes...</p>
+      ) : promos.length === 0 ? (
+        <p className="text-gray-600 mb-6">No promo codes yet.</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Conditions</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Uses</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {promos.map((promo) => (
+                <tr key={promo.id} className={promo.active ? '' : 'opacity-50'}>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-mono font-medium text-gray-900">{promo.code}</div>
+                    {promo.description && <div className="text-gray-500">{promo.description}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{promo.summary}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {formatRange(promo.validFrom, promo.validUntil) && (
+                      <div>Book: {formatRange(promo.validFrom, promo.validUntil)}</div>
+                    )}
+                    {formatRange(promo.stayFrom, promo.stayUntil) && (
+                      <div>Stay: {formatRange(promo.stayFrom, promo.stayUntil)}</div>
+                    )}
+                    {promo.minNights && <div>At least {promo.minNights} nights</div>}
+                    <div>{promo.roomTypes?.length > 0 ? promo.roomTypes.join(', ') : 'All rooms'}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {promo.uses}{promo.maxUses ? ` / ${promo.maxUses}` : ''}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleEdit(promo)}
+                        className="text-primary hover:text-accent focus:outline-none focus:underline"
+                        aria-label={`Edit promo code ${promo.code}`}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(promo)}
+                        className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                        aria-label={`${promo.active ? 'Disable' : 'Enable'} promo code ${promo.code}`}
+                      >
+                        {promo.active ? 'Disable' : 'Enable'}
+                      </button>
+                      {promo.uses === 0 && (
+                        <button
+                          onClick={() => handleDelete(promo)}
+                          className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+                          aria-label={`Delete promo code ${promo.code}`}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Create / edit form */}
+      <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          {editingId ? 'Edit promo code' : 'Add a promo code'}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="promo-code" className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+            <input id="promo-code" name="code" type="text" value={formValues.code} onChange={handleChange} className={`${inputClass} font-mono uppercase`} placeholder="e.g. SPRING15" />
+            {renderFieldError('code')}
+          </div>
+          <div className="md:col-span-2">
+            <label htmlFor="promo-description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input id="promo-description" name="description" type="text" value={formValues.description} onChange={handleChange} className={inputClass} placeholder="e.g. Spring newsletter offer" />
+            {renderFieldError('description')}
+          </div>
+
+          <div>
+            <label htmlFor="promo-type" className="block text-sm font-medium text-gray-700 mb-1">Discount type</label>
+            <select id="promo-type" name="discountType" value={formValues.discountType} onChange={handleChange} className={inputClass}>
+              <option value="percent">Percentage of the room price</option>
+              <option value="fixed">Fixed amount per booking</option>
+            </select>
+            {renderFieldError('discountType')}
+          </div>
+          <div>
+            <label htmlFor="promo-amount" className="block text-sm font-medium text-gray-700 mb-1">
+              {formValues.discountType === 'percent' ? 'Discount (%)' : 'Discount ($)'}
+            </label>
+            <input id="promo-amount" name="amount" type="number" min="0" step="0.01" value={formValues.amount} onChange={handleChange} className={inputClass} />
+            {renderFieldError('amount')}
+          </div>
+          <div className="flex items-end">
+            <label className="flex items-center text-sm text-gray-700">
+              <input name="active" type="checkbox" checked={formValues.active} onChange={handleChange} className="mr-2" />
+              Active
+            </label>
+          </div>
+
+          <div>
+            <label htmlFor="promo-valid-from" className="block text-sm font-medium text-gray-700 mb-1">Bookable from</label>
+            <input id="promo-valid-from" name="validFrom" type="date" value={formValues.validFrom} onChange={handleChange} className={inputClass} />
+            {renderFieldError('validFrom')}
+          </div>
+          <div>
+            <label htmlFor="promo-valid-until" className="block text-sm font-medium text-gray-700 mb-1">Bookable until</label>
+            <input id="promo-valid-until" name="validUntil" type="date" value={formValues.validUntil} onChange={handleChange} className={inputClass} />
+            {renderFieldError('validUntil')}
+          </div>
+          <div>
+            <label htmlFor="promo-max-uses" className="block text-sm font-medium text-gray-700 mb-1">Maximum uses</label>
+            <input id="promo-max-uses" name="maxUses" type="number" min="1" value={formValues.maxUses} onChange={handleChange} className={inputClass} placeholder="Unlimited" />
+            {renderFieldError('maxUses')}
+          </div>
+
+          <div>
+            <label htmlFor="promo-stay-from" className="block text-sm font-medium text-gray-700 mb-1">Stays from (first night)</label>
+            <input id="promo-stay-from" name="stayFrom" type="date" value={formValues.stayFrom} onChange={handleChange} className={inputClass} />
+            {renderFieldError('stayFrom')}
+          </div>
+          <div>
+            <label htmlFor="promo-stay-until" className="block text-sm font-medium text-gray-700 mb-1">Stays until (last night)</label>
+            <input id="promo-stay-until" name="stayUntil" type="date" value={formValues.stayUntil} onChange={handleChange} className={inputClass} />
+            {renderFieldError('stayUntil')}
+          </div>
+          <div>
+            <label htmlFor="promo-min-nights" className="block text-sm font-medium text-gray-700 mb-1">Minimum nights</label>
+            <input id="promo-min-nights" name="minNights" type="number" min="1" value={formValues.minNights} onChange={handleChange} className={inputClass} placeholder="Any length" />
+            {renderFieldError('minNights')}
+          </div>
+
+          <fieldset className="md:col-span-3">
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Room types (none selected means all)</legend>
+            <div className="flex flex-wrap gap-4">
+              {ROOM_TYPES.map((roomType) => (
+                <label key={roomType} className="flex items-center text-sm text-gray-700">
+                  <input type="checkbox" checked={formValues.roomTypes.includes(roomType)} onChange={() => handleToggleRoomType(roomType)} className="mr-1" />
+                  {roomType}
+                </label>
+              ))}
+            </div>
+            {renderFieldError('roomTypes')}
+          </fieldset>
+        </div>
+
+        <div className="mt-6 flex justify-end space-x-4">
+          {editingId && (
+            <button
+              type="button"
+              onClick={handleResetForm}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+            >
+              Cancel edit
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save promo code' : 'Add promo code'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PromoCodes;
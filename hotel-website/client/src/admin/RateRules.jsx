@@ -0,0 +1,432 @@
+/**
+ * Rate Rules Component
+ *
+ * Admin section for managing the server-side pricing rules: peak seasons,
+ * weekend surcharges, minimum-stay restrictions and length-of-stay discounts.
+ * The pricing engine applies these rules to every quote and booking.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Labels for the supported rule types
+const RULE_TYPE_LABELS = {
+  'season': 'Season',
+  'weekend': 'Weekend surcharge',
+  'min-stay': 'Minimum stay',
+  'length-of-stay': 'Length-of-stay discount'
+};
+
+// Weekdays as used by the server (0 = Sunday)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Room types a rule can be limited to
+const ROOM_TYPES = ['Adventure Room', 'Wellness Room', 'Athletic Suite'];
+
+// Values for a new, empty rule
+const EMPTY_RULE = {
+  type: 'season',
+  name: '',
+  startDate: '',
+  endDate: '',
+  repeatsAnnually: true,
+  days: [5, 6],
+  minNights: 7,
+  adjustmentPercent: 10,
+  roomTypes: [],
+  active: true
+};
+
+/**
+ * Converts an optional number input to a number
+ *
+ * @param {string|number} value - Input value
+ * @return {number|undefined} Number, or undefined when the input is empty
+ */
+const toOptionalNumber = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+/**
+ * Builds the request body for a rule
+ *
+ * @param {Object} values - Form values or an existing rule
+ * @return {Object} Fields of rateRuleSchema, with numbers sent as numbers
+ */
+const toPayload = (values) => ({
+  type: values.type,
+  name: values.name,
+  startDate: values.startDate,
+  endDate: values.endDate,
+  repeatsAnnually: values.repeatsAnnually,
+  days: values.days,
+  minNights: toOptionalNumber(values.minNights),
+  adjustmentPercent: toOptionalNumber(values.adjustmentPercent),
+  roomTypes: values.roomTypes,
+  active: values.active
+});
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * RateRules Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const RateRules = ({ onUnauthorized }) => {
+  const [rules, setRules] = useState([]);               // Rules from the API
+  const [isLoading, setIsLoading] = useState(true);     // Loading state
+  const [error, setError] = useState('');               // Error message
+  const [formValues, setFormValues] = useState(EMPTY_RULE); // Rule being created or edited
+  const [editingId, setEditingId] = useState(null);     // Id of the rule being edited, if any
+  const [fieldErrors, setFieldErrors] = useState({});   // Per-field validation errors from the API
+  const [isSaving, setIsSaving] = useState(false);      // Save in progress
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches all rate rules from the API
+   */
+  const fetchRules = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/rate-rules', authConfig());
+      setRules(response.data);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load rate rules.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  /**
+   * Handles changes to text, number and select inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  /**
+   * Toggles a value in one of the rule's list fields (days or roomTypes)
+   *
+   * @param {string} field - Field name
+   * @param {*} value - Value to add or remove
+   */
+  const handleToggleListValue = (field, value) => {
+    setFormValues(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  /**
+   * Loads a rule into the form for editing
+   *
+   * @param {Object} rule - Rule to edit
+   */
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setFormValues({ ...EMPTY_RULE, ...rule });
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Clears the form and leaves edit mode
+   */
+  const handleResetForm = () => {
+    setEditingId(null);
+    setFormValues(EMPTY_RULE);
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Creates or updates a rule
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+
+      if (editingId) {
+        const response = await axios.put(`http://localhost:5000/api/admin/rate-rules/${editingId}`, toPayload(formValues), authConfig());
+        setRules(prev => prev.map(rule => rule.id === editingId ? response.data.rule : rule));
+      } else {
+        const response = await axios.post('http://localhost:5000/api/admin/rate-rules', toPayload(formValues), authConfig());
+        setRules(prev => [...prev, response.data.rule]);
+      }
+
+      handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to save rate rule.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Switches a rule on or off without changing anything else
+   *
+   * @param {Object} rule - Rule to toggle
+   */
+  const handleToggleActive = async (rule) => {
+    try {
+      const response = await axios.put(
+        `http://localhost:5000/api/admin/rate-rules/${rule.id}`,
+        toPayload({ ...rule, active: !rule.active }),
+        authConfig()
+      );
+      setRules(prev => prev.map(existing => existing.id === rule.id ? response.data.rule : existing));
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to update rate rule.');
+    }
+  };
+
+  /**
+   * Deletes a rule after confirmation
+   *
+   * @param {Object} rule - Rule to delete
+   */
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+
+    try {
+      await axios.delete(`http://localhost:5000/api/admin/rate-rules/${rule.id}`, authConfig());
+      setRules(prev => prev.filter(existing => existing.id !== rule.id));
+      if (editingId === rule.id) handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to delete rate rule.');
+    }
+  };
+
+  // Which fields the selected rule type uses
+  const usesDateRange = formValues.type === 'season' || formValues.type === 'min-stay';
+  const usesDays = formValues.type === 'weekend';
+  const usesMinNights = formValues.type === 'min-stay' || formValues.type === 'length-of-stay';
+  const usesAdjustment = formValues.type !== 'min-stay';
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Rate Rules</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Seasonal prices, weekend surcharges, minimum stays and long-stay discounts. Changes apply to new quotes immediately.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Existing rules */}
+      {isLoading ? (
+        <p className="text-gray-600 mb-6">Loading rate rules...</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rooms</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rules.map((rule) => (
+                <tr key={rule.id} className={rule.active ? '' : 'opacity-50'}>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">{rule.name}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{RULE_TYPE_LABELS[rule.type]}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{rule.summary}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {rule.roomTypes?.length > 0 ? rule.roomTypes.join(', ') : 'All rooms'}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleEdit(rule)}
+                        className="text-primary hover:text-accent focus:outline-none focus:underline"
+                        aria-label={`Edit rule ${rule.name}`}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(rule)}
+                        className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                        aria-label={`${rule.active ? 'Disable' : 'Enable'} rule ${rule.name}`}
+                      >
+                        {rule.active ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(rule)}
+                        className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+                        aria-label={`Delete rule ${rule.name}`}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Create / edit form */}
+      <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          {editingId ? 'Edit rule' : 'Add a rule'}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="rule-type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select id="rule-type" name="type" value={formValues.type} onChange={handleChange} className={inputClass}>
+              {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="md:col-span-2">
+            <label htmlFor="rule-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input id="rule-name" name="name" type="text" value={formValues.name} onChange={handleChange} maxLength={100} className={inputClass} placeholder="e.g. Ski season" />
+            {fieldErrors.name && <p className="mt-1 text-sm text-red-600">{fieldErrors.name}</p>}
+          </div>
+
+          {usesDateRange && (
+            <>
+              <div>
+                <label htmlFor="rule-start" className="block text-sm font-medium text-gray-700 mb-1">First night</label>
+                <input id="rule-start" name="startDate" type="date" value={formValues.startDate} onChange={handleChange} className={inputClass} />
+                {fieldErrors.startDate && <p className="mt-1 text-sm text-red-600">{fieldErrors.startDate}</p>}
+              </div>
+              <div>
+                <label htmlFor="rule-end" className="block text-sm font-medium text-gray-700 mb-1">Last night</label>
+                <input id="rule-end" name="endDate" type="date" value={formValues.endDate} onChange={handleChange} className={inputClass} />
+                {fieldErrors.endDate && <p className="mt-1 text-sm text-red-600">{fieldErrors.endDate}</p>}
+              </div>
+              <div className="flex items-end">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input name="repeatsAnnually" type="checkbox" checked={formValues.repeatsAnnually} onChange={handleChange} className="mr-2" />
+                  Repeat every year
+                </label>
+              </div>
+            </>
+          )}
+
+          {usesDays && (
+            <fieldset className="md:col-span-3">
+              <legend className="block text-sm font-medium text-gray-700 mb-1">Nights starting on</legend>
+              <div className="flex flex-wrap gap-4">
+                {WEEKDAYS.map((label, day) => (
+                  <label key={label} className="flex items-center text-sm text-gray-700">
+                    <input type="checkbox" checked={formValues.days.includes(day)} onChange={() => handleToggleListValue('days', day)} className="mr-1" />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              {fieldErrors.days && <p className="mt-1 text-sm text-red-600">{fieldErrors.days}</p>}
+            </fieldset>
+          )}
+
+          {usesMinNights && (
+            <div>
+              <label htmlFor="rule-min-nights" className="block text-sm font-medium text-gray-700 mb-1">Minimum nights</label>
+              <input id="rule-min-nights" name="minNights" type="number" min="1" value={formValues.minNights} onChange={handleChange} className={inputClass} />
+              {fieldErrors.minNights && <p className="mt-1 text-sm text-red-600">{fieldErrors.minNights}</p>}
+            </div>
+          )}
+
+          {usesAdjustment && (
+            <div>
+              <label htmlFor="rule-adjustment" className="block text-sm font-medium text-gray-700 mb-1">
+                {formValues.type === 'length-of-stay' ? 'Discount (%, negative)' : 'Price adjustment (%)'}
+              </label>
+              <input id="rule-adjustment" name="adjustmentPercent" type="number" value={formValues.adjustmentPercent} onChange={handleChange} className={inputClass} />
+              {fieldErrors.adjustmentPercent && <p className="mt-1 text-sm text-red-600">{fieldErrors.adjustmentPercent}</p>}
+            </div>
+          )}
+
+          <fieldset className="md:col-span-3">
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Room types (none selected means all)</legend>
+            <div className="flex flex-wrap gap-4">
+              {ROOM_TYPES.map((roomType) => (
+                <label key={roomType} className="flex items-center text-sm text-gray-700">
+                  <input type="checkbox" checked={formValues.roomTypes.includes(roomType)} onChange={() => handleToggleListValue('roomTypes', roomType)} className="mr-1" />
+                  {roomType}
+                </label>
+              ))}
+            </div>
+            {fieldErrors.roomTypes && <p className="mt-1 text-sm text-red-600">{fieldErrors.roomTypes}</p>}
+          </fieldset>
+        </div>
+
+        <div className="mt-6 flex justify-end space-x-4">
+          {editingId && (
+            <button
+              type="button"
+              onClick={handleResetForm}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+            >
+              Cancel edit
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save rule' : 'Add rule'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RateRules;
@@ -0,0 +1,197 @@
+/**
+ * Room Assignment Component
+ *
+ * Opens under a booking on the dashboard and shows the room each of its
+ * room lines was given. Bookings get their rooms when they are confirmed;
+ * staff with the bookings:confirm permission can choose another free room
+ * of the same type, or let the server assign them all again. Rooms that are
+ * out of order or taken on some of the nights are listed but disabled.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Housekeeping states as shown next to each room
+const HOUSEKEEPING_LABELS = {
+  'dirty': 'dirty',
+  'cleaning': 'being cleaned',
+  'inspected': 'inspected',
+  'ready': 'ready'
+};
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * RoomAssignment Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking whose rooms are shown
+ * @param {boolean} props.canAssign - Whether the user may change the rooms
+ * @param {Function} props.onAssigned - Function to call after the rooms have changed
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const RoomAssignment = ({ booking, canAssign, onAssigned, onUnauthorized }) => {
+  const [lines, setLines] = useState([]);            // Room lines with their options
+  const [isAssignable, setIsAssignable] = useState(false); // Booking status allows changes
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the room lines of the booking and the rooms each could be given
+   */
+  const fetchOptions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get(`http://localhost:5000/api/admin/bookings/${booking.id}/room-options`, authConfig());
+      setLines(response.data.rooms);
+      setIsAssignable(response.data.canAssign);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load the rooms of this booking.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError, booking.id]);
+
+  // Reload whenever the dashboard has a newer copy of the booking
+  useEffect(() => {
+    fetchOptions();
+  }, [fetchOptions, booking]);
+
+  /**
+   * Sends a room change to the server and reloads the bookings
+   *
+   * @param {Function} request - Makes the request and returns its response
+   * @param {string} fallbackMessage - Message to show when it fails
+   */
+  const saveAssignment = async (request, fallbackMessage) => {
+    try {
+      setIsSaving(true);
+      setError('');
+      setNotice('');
+      const response = await request();
+      setNotice(response.data.message);
+      onAssigned();
+    } catch (requestError) {
+      handleRequestError(requestError, fallbackMessage);
+      fetchOptions();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Gives a room line the room chosen in its select
+   *
+   * @param {number} roomIndex - Room line of the booking
+   * @param {string} roomNumber - Chosen room
+   */
+  const handleRoomChange = (roomIndex, roomNumber) => {
+    saveAssignment(
+      () => axios.put(`http://localhost:5000/api/admin/bookings/${booking.id}/rooms/${roomIndex}`, { roomNumber }, authConfig()),
+      'Failed to change the room.'
+    );
+  };
+
+  /**
+   * Lets the server give every room line a room
+   */
+  const handleAutoAssign = () => {
+    saveAssignment(
+      () => axios.post(`http://localhost:5000/api/admin/bookings/${booking.id}/assign-rooms`, {}, authConfig()),
+      'Failed to assign rooms.'
+    );
+  };
+
+  const isEditable = canAssign && isAssignable && !isSaving;
+
+  return (
+    <div aria-busy={isLoading || isSaving}>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">Rooms</h3>
+        {canAssign && isAssignable && (
+          <button
+            onClick={handleAutoAssign}
+            disabled={isSaving}
+            className="text-sm font-medium text-primary hover:underline focus:outline-none focus:underline disabled:opacity-70"
+          >
+            Auto-assign
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-700" role="alert">{error}</p>}
+      {notice && <p className="mb-3 text-sm text-green-700" role="status">{notice}</p>}
+
+      {isLoading && lines.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading rooms...</p>
+      ) : (
+        <ul className="space-y-2">
+          {lines.map((line) => {
+            const selectId = `room-${booking.id}-${line.roomIndex}`;
+            return (
+              <li key={line.roomIndex} className="flex flex-wrap items-center gap-3 text-sm">
+                <label htmlFor={selectId} className="w-64 text-gray-700">
+                  {lines.length > 1 && `Room ${line.roomIndex + 1}: `}{line.roomType} · {line.adults} adult{line.adults === 1 ? '' : 's'}
+                  {line.children > 0 && `, ${line.children} ${line.children === 1 ? 'child' : 'children'}`}
+                </label>
+                <select
+                  id={selectId}
+                  value={line.roomNumber || ''}
+                  onChange={(e) => handleRoomChange(line.roomIndex, e.target.value)}
+                  disabled={!isEditable}
+                  className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary disabled:bg-gray-100"
+                >
+                  <option value="" disabled>No room given</option>
+                  {line.options.map((option) => (
+                    <option
+                      key={option.roomNumber}
+                      value={option.roomNumber}
+                      disabled={Boolean(option.unavailableReason) && option.roomNumber !== line.roomNumber}
+                    >
+                      {option.roomNumber} · floor {option.floor} · {HOUSEKEEPING_LABELS[option.housekeeping] || option.housekeeping}
+                      {option.unavailableReason && option.roomNumber !== line.roomNumber ? ` (${option.unavailableReason})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!isLoading && !isAssignable && (
+        <p className="mt-3 text-xs text-gray-500">Rooms can only be changed while the booking is pending or confirmed.</p>
+      )}
+    </div>
+  );
+};
+
+export default RoomAssignment;
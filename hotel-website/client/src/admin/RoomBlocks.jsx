@@ -0,0 +1,494 @@
+/**
+ * Room Blocks Component
+ *
+ * Admin section for group room blocks. A block holds rooms of one or more
+ * room types for a sports team or retreat at an agreed nightly rate; members
+ * book them on the website with the block's group code. Rooms nobody has
+ * claimed are released automatically after the cutoff date, or earlier with
+ * the Release button.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Room types a block can hold
+const ROOM_TYPES = ['Adventure Room', 'Wellness Room', 'Athletic Suite'];
+
+// Values for a new allocation line
+const EMPTY_ALLOCATION = { roomType: 'Adventure Room', rooms: 5, nightlyRate: '' };
+
+// Values for a new, empty block
+const EMPTY_BLOCK = {
+  name: '',
+  contactName: '',
+  contactEmail: '',
+  checkIn: '',
+  checkOut: '',
+  cutoffDate: '',
+  allocations: [EMPTY_ALLOCATION],
+  notes: ''
+};
+
+/**
+ * Formats a date string for display
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} Formatted date, e.g. 'Jun 1, 2026'
+ */
+const formatDate = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * RoomBlocks Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const RoomBlocks = ({ onUnauthorized }) => {
+  const [blocks, setBlocks] = useState([]);              // Blocks from the API
+  const [isLoading, setIsLoading] = useState(true);      // Loading state
+  const [error, setError] = useState('');                // Error message
+  const [formValues, setFormValues] = useState(EMPTY_BLOCK); // Block being created or edited
+  const [editingId, setEditingId] = useState(null);      // Id of the block being edited, if any
+  const [fieldErrors, setFieldErrors] = useState({});    // Per-field validation errors from the API
+  const [isSaving, setIsSaving] = useState(false);       // Save in progress
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches all room blocks from the API
+   */
+  const fetchBlocks = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/room-blocks', authConfig());
+      setBlocks(response.data);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load room blocks.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchBlocks();
+  }, [fetchBlocks]);
+
+  /**
+   * Handles changes to the block's own fields
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Changes one field of an allocation line
+   *
+   * @param {number} index - Line index
+   * @param {string} field - Field name
+   * @param {string} value - New value
+   */
+  const handleAllocationChange = (index, field, value) => {
+    setFormValues(prev => ({
+      ...prev,
+      allocations: prev.allocations.map((allocation, allocationIndex) =>
+        allocationIndex === index ? { ...allocation, [field]: value } : allocation
+      )
+    }));
+  };
+
+  const handleAddAllocation = () => {
+    // Suggest a room type the block does not hold yet
+    const roomType = ROOM_TYPES.find(name => !formValues.allocations.some(allocation => allocation.roomType === name));
+    setFormValues(prev => ({
+      ...prev,
+      allocations: [...prev.allocations, { ...EMPTY_ALLOCATION, roomType: roomType || EMPTY_ALLOCATION.roomType }]
+    }));
+  };
+
+  const handleRemoveAllocation = (index) => {
+    setFormValues(prev => ({
+      ...prev,
+      allocations: prev.allocations.filter((allocation, allocationIndex) => allocationIndex !== index)
+    }));
+  };
+
+  /**
+   * Loads a block into the form for editing
+   *
+   * @param {Object} block - Block to edit
+   */
+  const handleEdit = (block) => {
+    setEditingId(block.id);
+    setFormValues({
+      ...EMPTY_BLOCK,
+      ...block,
+      allocations: block.allocations.map(({ roomType, rooms, nightlyRate }) => ({ roomType, rooms, nightlyRate }))
+    });
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Clears the form and leaves edit mode
+   */
+  const handleResetForm = () => {
+    setEditingId(null);
+    setFormValues(EMPTY_BLOCK);
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Creates or updates a block
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Only the fields of roomBlockSchema, with numbers sent as numbers
+    const { name, contactName, contactEmail, checkIn, checkOut, cutoffDate, notes } = formValues;
+    const payload = {
+      name,
+      contactName,
+      contactEmail,
+      checkIn,
+      checkOut,
+      cutoffDate,
+      notes,
+      allocations: formValues.allocations.map(allocation => ({
+        roomType: allocation.roomType,
+        rooms: Number(allocation.rooms),
+        nightlyRate: allocation.nightlyRate === '' ? undefined : Number(allocation.nightlyRate)
+      }))
+    };
+
+    try {
+      setIsSaving(true);
+
+      if (editingId) {
+        const response = await axios.put(`http://localhost:5000/api/admin/room-blocks/${editingId}`, payload, authConfig());
+        setBlocks(prev => prev.map(block => block.id === editingId ? response.data.block : block));
+      } else {
+        const response = await axios.post('http://localhost:5000/api/admin/room-blocks', payload, authConfig());
+        setBlocks(prev => [...prev, response.data.block]);
+      }
+
+      handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to save room block.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Releases a block's unclaimed rooms before the cutoff date
+   *
+   * @param {Object} block - Block to release
+   */
+  const handleRelease = async (block) => {
+    if (!window.confirm(`Release the rooms held for "${block.name}"? The group code will stop working.`)) return;
+
+    try {
+      const response = await axios.post(`http://localhost:5000/api/admin/room-blocks/${block.id}/release`, {}, authConfig());
+      setBlocks(prev => prev.map(existing => existing.id === block.id ? response.data.block : existing));
+      if (editingId === block.id) handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to release room block.');
+    }
+  };
+
+  /**
+   * Deletes a block after confirmation
+   *
+   * @param {Object} block - Block to delete
+   */
+  const handleDelete = async (block) => {
+    if (!window.confirm(`Delete the block "${block.name}"?`)) return;
+
+    try {
+      await axios.delete(`http://localhost:5000/api/admin/room-blocks/${block.id}`, authConfig());
+      setBlocks(prev => prev.filter(existing => existing.id !== block.id));
+      if (editingId === block.id) handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to delete room block.');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  /**
+   * Renders the error for a field, if any
+   *
+   * @param {string} field - Field key, e.g. 'cutoffDate' or 'allocations.0.rooms'
+   * @return {JSX.Element|null} Error message
+   */
+  const renderFieldError = (field) => fieldErrors[field]
+    ? <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>
+    : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Group Blocks</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Rooms held for teams and retreats. Held rooms are off public sale; members book them with the group code until the cutoff date, then unclaimed rooms are released.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Existing blocks */}
+      {isLoading ? (
+        <p className="text-gray-600 mb-6">Loading room blocks...</p>
+      ) : blocks.length === 0 ? (
+        <p className="text-gray-600 mb-6">No group blocks yet.</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Group</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rooms claimed</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {blocks.map((block) => (
+                <tr key={block.id} className={block.open ? '' : 'opacity-50'}>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium text-gray-900">{block.name}</div>
+                    <div className="font-mono text-gray-600">{block.code}</div>
+                    {block.contactName && <div className="text-gray-500">{block.contactName}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    <div>{formatDate(block.checkIn)} – {formatDate(block.checkOut)}</div>
+                    <div className="text-gray-500">Cutoff {formatDate(block.cutoffDate)}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    <ul>
+                      {block.allocations.map((allocation) => (
+                        <li key={allocation.roomType}>
+                          {allocation.claimed}/{allocation.rooms} {allocation.roomType} at ${allocation.nightlyRate}
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="text-gray-500">{block.bookingCount} booking{block.bookingCount === 1 ? '' : 's'}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {block.open ? 'Holding' : block.status === 'released' ? 'Released' : 'Closed'}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    <div className="flex space-x-3">
+                      {block.status !== 'released' && (
+                        <>
+                          <button
+                            onClick={() => handleEdit(block)}
+                            className="text-primary hover:text-accent focus:outline-none focus:underline"
+                            aria-label={`Edit block ${block.name}`}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleRelease(block)}
+                            className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline"
+                            aria-label={`Release block ${block.name}`}
+                          >
+                            Release
+                          </button>
+                        </>
+                      )}
+                      {block.bookingCount === 0 && (
+                        <button
+                          onClick={() => handleDelete(block)}
+                          className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+                          aria-label={`Delete block ${block.name}`}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Create / edit form */}
+      <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          {editingId ? 'Edit block' : 'Hold rooms for a group'}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="block-name" className="block text-sm font-medium text-gray-700 mb-1">Group name</label>
+            <input id="block-name" name="name" type="text" value={formValues.name} onChange={handleChange} className={inputClass} placeholder="e.g. Valley Rowing Club" />
+            {renderFieldError('name')}
+          </div>
+          <div>
+            <label htmlFor="block-contact-name" className="block text-sm font-medium text-gray-700 mb-1">Contact name</label>
+            <input id="block-contact-name" name="contactName" type="text" value={formValues.contactName} onChange={handleChange} className={inputClass} />
+            {renderFieldError('contactName')}
+          </div>
+          <div>
+            <label htmlFor="block-contact-email" className="block text-sm font-medium text-gray-700 mb-1">Contact email</label>
+            <input id="block-contact-email" name="contactEmail" type="email" value={formValues.contactEmail} onChange={handleChange} className={inputClass} />
+            {renderFieldError('contactEmail')}
+          </div>
+
+          <div>
+            <label htmlFor="block-check-in" className="block text-sm font-medium text-gray-700 mb-1">Check-in</label>
+            <input id="block-check-in" name="checkIn" type="date" value={formValues.checkIn} onChange={handleChange} className={inputClass} />
+            {renderFieldError('checkIn')}
+          </div>
+          <div>
+            <label htmlFor="block-check-out" className="block text-sm font-medium text-gray-700 mb-1">Check-out</label>
+            <input id="block-check-out" name="checkOut" type="date" value={formValues.checkOut} onChange={handleChange} className={inputClass} />
+            {renderFieldError('checkOut')}
+          </div>
+          <div>
+            <label htmlFor="block-cutoff" className="block text-sm font-medium text-gray-700 mb-1">Cutoff date (last day to book)</label>
+            <input id="block-cutoff" name="cutoffDate" type="date" value={formValues.cutoffDate} onChange={handleChange} className={inputClass} />
+            {renderFieldError('cutoffDate')}
+          </div>
+
+          <fieldset className="md:col-span-3">
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Rooms held</legend>
+            {renderFieldError('allocations')}
+            <div className="space-y-3">
+              {formValues.allocations.map((allocation, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-start" role="group" aria-label={`Room type ${index + 1}`}>
+                  <div>
+                    <select
+                      value={allocation.roomType}
+                      onChange={(e) => handleAllocationChange(index, 'roomType', e.target.value)}
+                      className={inputClass}
+                      aria-label="Room type"
+                    >
+                      {ROOM_TYPES.map((roomType) => (
+                        <option key={roomType} value={roomType}>{roomType}</option>
+                      ))}
+                    </select>
+                    {renderFieldError(`allocations.${index}.roomType`)}
+                  </div>
+                  <div>
+                    <input
+                      type="number"
+                      min="1"
+                      value={allocation.rooms}
+                      onChange={(e) => handleAllocationChange(index, 'rooms', e.target.value)}
+                      className={inputClass}
+                      aria-label="Rooms"
+                      placeholder="Rooms"
+                    />
+                    {renderFieldError(`allocations.${index}.rooms`)}
+                  </div>
+                  <div>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={allocation.nightlyRate}
+                      onChange={(e) => handleAllocationChange(index, 'nightlyRate', e.target.value)}
+                      className={inputClass}
+                      aria-label="Group rate per night"
+                      placeholder="Group rate per night ($)"
+                    />
+                    {renderFieldError(`allocations.${index}.nightlyRate`)}
+                  </div>
+                  {formValues.allocations.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveAllocation(index)}
+                      className="py-2 text-sm text-red-600 hover:underline text-left"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {formValues.allocations.length < ROOM_TYPES.length && (
+              <button
+                type="button"
+                onClick={handleAddAllocation}
+                className="mt-3 text-sm text-primary hover:underline"
+              >
+                Add a room type
+              </button>
+            )}
+          </fieldset>
+
+          <div className="md:col-span-3">
+            <label htmlFor="block-notes" className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea id="block-notes" name="notes" rows="2" value={formValues.notes} onChange={handleChange} className={inputClass} />
+            {renderFieldError('notes')}
+          </div>
+        </div>
+
+        <div className="mt-6 flex justify-end space-x-4">
+          {editingId && (
+            <button
+              type="button"
+              onClick={handleResetForm}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+            >
+              Cancel edit
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save block' : 'Hold rooms'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RoomBlocks;
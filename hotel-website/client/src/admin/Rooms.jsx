@@ -0,0 +1,319 @@
+/**
+ * Rooms Component
+ *
+ * Admin section for the room registry: every room of the resort with its
+ * type, floor and features. Managers take a room out of order, e.g. for
+ * repairs, with a reason and the day it is back in service; the room is not
+ * sold or given to bookings until then. Bookings that already have the room
+ * on those nights are listed so the front desk can give them another.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+/**
+ * Formats a date string for display
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} Formatted date, e.g. 'Jun 1, 2026'
+ */
+const formatDate = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Fills the edit form from a room
+ *
+ * @param {Object} room - Registry room
+ * @return {Object} Form values
+ */
+const toFormValues = (room) => ({
+  floor: room.floor,
+  features: room.features.join(', '),
+  outOfOrder: room.outOfOrder,
+  outOfOrderReason: room.outOfOrderReason || '',
+  outOfOrderUntil: room.outOfOrderUntil || ''
+});
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * Rooms Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const Rooms = ({ onUnauthorized }) => {
+  const [rooms, setRooms] = useState([]);                // Registry rooms from the API
+  const [isLoading, setIsLoading] = useState(true);      // Loading state
+  const [error, setError] = useState('');                // Error message
+  const [notice, setNotice] = useState('');              // Result of the last save
+  const [affectedBookings, setAffectedBookings] = useState([]); // Bookings that need another room
+  const [editingRoom, setEditingRoom] = useState(null);  // Room number being edited, if any
+  const [formValues, setFormValues] = useState(null);    // Values of the edit form
+  const [fieldErrors, setFieldErrors] = useState({});    // Per-field validation errors from the API
+  const [isSaving, setIsSaving] = useState(false);       // Save in progress
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setFieldErrors(requestError.response?.data?.errors || {});
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the room registry from the API
+   */
+  const fetchRooms = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/rooms', authConfig());
+      setRooms(response.data.rooms);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load rooms.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchRooms();
+  }, [fetchRooms]);
+
+  /**
+   * Opens the edit form for a room
+   *
+   * @param {Object} room - Room to edit
+   */
+  const handleEdit = (room) => {
+    setEditingRoom(room.roomNumber);
+    setFormValues(toFormValues(room));
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Closes the edit form
+   */
+  const handleResetForm = () => {
+    setEditingRoom(null);
+    setFormValues(null);
+    setFieldErrors({});
+  };
+
+  /**
+   * Handles changes to text, number, date and checkbox inputs
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormValues(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  /**
+   * Saves the room being edited
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      floor: Number(formValues.floor),
+      features: formValues.features.split(',').map(feature => feature.trim()).filter(Boolean),
+      outOfOrder: formValues.outOfOrder,
+      outOfOrderReason: formValues.outOfOrder ? formValues.outOfOrderReason : '',
+      ...(formValues.outOfOrder && formValues.outOfOrderUntil && { outOfOrderUntil: formValues.outOfOrderUntil })
+    };
+
+    try {
+      setIsSaving(true);
+      setNotice('');
+      const response = await axios.put(`http://localhost:5000/api/admin/rooms/${editingRoom}`, payload, authConfig());
+      setRooms(prev => prev.map(room => room.roomNumber === editingRoom ? { ...room, ...response.data.room } : room));
+      setNotice(response.data.message);
+      setAffectedBookings(response.data.affectedBookings);
+      setError('');
+      handleResetForm();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to save the room.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  /**
+   * Renders the error for a field, if any
+   *
+   * @param {string} field - Field key
+   * @return {JSX.Element|null} Error message
+   */
+  const renderFieldError = (field) => fieldErrors[field]
+    ? <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>
+    : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Rooms</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        The resort&apos;s rooms. Rooms that are out of order are not sold or given to bookings until they are back in service.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg" role="status">
+          {notice}
+          {affectedBookings.length > 0 && (
+            <ul className="mt-2 list-disc list-inside text-sm">
+              {affectedBookings.map((booking) => (
+                <li key={booking.bookingId}>
+                  {booking.guestName} <span className="font-mono">({booking.reference})</span>, {formatDate(booking.checkIn)} – {formatDate(booking.checkOut)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600">Loading rooms...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Floor</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Features</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Service</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rooms.map((room) => (
+                <tr key={room.roomNumber}>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium text-gray-900">{room.roomNumber}</div>
+                    <div className="text-gray-500">{room.roomType}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{room.floor}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{room.features.join(', ') || '—'}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {room.outOfOrder ? (
+                      <div className="text-red-700">
+                        Out of order{room.outOfOrderReason && `: ${room.outOfOrderReason}`}
+                        <div className="text-xs text-gray-500">
+                          {room.outOfOrderUntil ? `Back in service ${formatDate(room.outOfOrderUntil)}` : 'Until further notice'}
+                        </div>
+                      </div>
+                    ) : (
+                      <span className="text-gray-600">In service</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    <button
+                      onClick={() => handleEdit(room)}
+                      className="text-primary hover:text-accent focus:outline-none focus:underline"
+                      aria-label={`Edit room ${room.roomNumber}`}
+                    >
+                      Edit
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Edit form */}
+      {editingRoom && formValues && (
+        <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-6 mt-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Edit room {editingRoom}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="room-floor" className="block text-sm font-medium text-gray-700 mb-1">Floor</label>
+              <input id="room-floor" name="floor" type="number" min="0" value={formValues.floor} onChange={handleChange} className={inputClass} />
+              {renderFieldError('floor')}
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="room-features" className="block text-sm font-medium text-gray-700 mb-1">Features (comma separated)</label>
+              <input id="room-features" name="features" type="text" value={formValues.features} onChange={handleChange} className={inputClass} placeholder="e.g. Balcony, Gear locker" />
+              {renderFieldError('features')}
+            </div>
+
+            <div className="flex items-end">
+              <label className="flex items-center text-sm text-gray-700">
+                <input name="outOfOrder" type="checkbox" checked={formValues.outOfOrder} onChange={handleChange} className="mr-2" />
+                Out of order
+              </label>
+            </div>
+            {formValues.outOfOrder && (
+              <>
+                <div>
+                  <label htmlFor="room-out-of-order-reason" className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                  <input id="room-out-of-order-reason" name="outOfOrderReason" type="text" value={formValues.outOfOrderReason} onChange={handleChange} className={inputClass} placeholder="e.g. Water damage" />
+                  {renderFieldError('outOfOrderReason')}
+                </div>
+                <div>
+                  <label htmlFor="room-out-of-order-until" className="block text-sm font-medium text-gray-700 mb-1">Back in service on</label>
+                  <input id="room-out-of-order-until" name="outOfOrderUntil" type="date" value={formValues.outOfOrderUntil} onChange={handleChange} className={inputClass} />
+                  {renderFieldError('outOfOrderUntil')}
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-4">
+            <button
+              type="button"
+              onClick={handleResetForm}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+            >
+              Cancel edit
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+            >
+              {isSaving ? 'Saving...' : 'Save room'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Rooms;
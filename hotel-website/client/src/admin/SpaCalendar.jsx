@@ -0,0 +1,289 @@
+/**
+ * Spa Calendar Component
+ *
+ * Admin day view of the spa: one column per therapist (or per room), with
+ * their working hours and the treatments booked for them, a quarter hour per
+ * row. Managers can cancel an appointment, e.g. when a therapist is ill;
+ * the guest can then book another time.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { addDays, today } from '../utils/dates';
+
+// Minutes per row of the calendar
+const ROW_MINUTES = 15;
+
+/**
+ * Converts an 'HH:MM' time to minutes after midnight
+ *
+ * @param {string} time - Time such as '07:30'
+ * @return {number} Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * SpaCalendar Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.canCancel - Whether the user may cancel appointments
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const SpaCalendar = ({ canCancel, onUnauthorized }) => {
+  const [date, setDate] = useState(today()); // Day shown
+  const [view, setView] = useState('therapist');     // Columns: 'therapist' or 'room'
+  const [resources, setResources] = useState([]);    // Therapists and rooms with their hours
+  const [appointments, setAppointments] = useState([]); // Appointments of the day
+  const [selectedId, setSelectedId] = useState(null); // Appointment whose details are shown
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the resources and appointments of the day shown
+   */
+  const fetchCalendar = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/spa-appointments', {
+        ...authConfig(),
+        params: { date }
+      });
+      setResources(response.data.resources);
+      setAppointments(response.data.appointments);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load spa appointments.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError, date]);
+
+  useEffect(() => {
+    setSelectedId(null);
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  /**
+   * Cancels an appointment after asking for a reason
+   *
+   * @param {Object} appointment - Appointment to cancel
+   */
+  const handleCancel = async (appointment) => {
+    const reason = window.prompt(`Cancel ${appointment.treatmentName} for ${appointment.guestName} at ${appointment.startTime}? Reason (optional):`);
+    if (reason === null) return; // Dialog dismissed
+
+    try {
+      await axios.post(`http://localhost:5000/api/admin/spa-appointments/${appointment.id}/cancel`, { reason }, authConfig());
+      setSelectedId(null);
+      await fetchCalendar();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to cancel the appointment.');
+    }
+  };
+
+  const columns = resources.filter(resource => resource.kind === view);
+  const field = view === 'therapist' ? 'therapistId' : 'roomId';
+  const working = resources.filter(resource => resource.start);
+  const opens = working.length > 0 ? Math.min(...working.map(resource => toMinutes(resource.start))) : 0;
+  const closes = working.length > 0 ? Math.max(...working.map(resource => toMinutes(resource.end))) : 0;
+  const rowCount = (closes - opens) / ROW_MINUTES;
+
+  /**
+   * Returns the grid rows a time range covers (row 1 holds the column headings)
+   *
+   * @param {string} start - Start time ('HH:MM')
+   * @param {string} end - End time ('HH:MM')
+   * @return {string} CSS grid-row value
+   */
+  const gridRows = (start, end) =>
+    `${(toMinutes(start) - opens) / ROW_MINUTES + 2} / ${(toMinutes(end) - opens) / ROW_MINUTES + 2}`;
+
+  const hourLabels = [];
+  for (let minutes = Math.ceil(opens / 60) * 60; minutes < closes; minutes += 60) {
+    hourLabels.push(`${String(minutes / 60).padStart(2, '0')}:00`);
+  }
+
+  const selected = appointments.find(appointment => appointment.id === selectedId);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-primary">Spa Calendar</h2>
+          <p className="text-sm text-gray-600">
+            {appointments.length} treatment{appointments.length === 1 ? '' : 's'} booked
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <button
+            onClick={() => setDate(addDays(date, -1))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            aria-label="Previous day"
+          >
+            ←
+          </button>
+          <div>
+            <label htmlFor="spa-calendar-date" className="sr-only">Day</label>
+            <input
+              id="spa-calendar-date"
+              type="date"
+              value={date}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+              className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            />
+          </div>
+          <button
+            onClick={() => setDate(addDays(date, 1))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            aria-label="Next day"
+          >
+            →
+          </button>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Columns">
+            {[['therapist', 'Therapists'], ['room', 'Rooms']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                aria-pressed={view === value}
+                className={`px-3 py-2 text-sm ${view === value ? 'bg-primary text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600">Loading spa calendar...</p>
+      ) : rowCount <= 0 ? (
+        <p className="text-gray-600">The spa is closed on this day.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <div
+            className="grid min-w-max text-xs"
+            style={{
+              gridTemplateColumns: `3.5rem repeat(${columns.length}, minmax(9rem, 1fr))`,
+              gridTemplateRows: `auto repeat(${rowCount}, 1.25rem)`
+            }}
+          >
+            {/* Column headings */}
+            <div />
+            {columns.map((resource, index) => (
+              <div key={resource.id} className="px-2 pb-2 font-medium text-gray-900" style={{ gridColumn: index + 2, gridRow: 1 }}>
+                {resource.name}
+                <span className="block font-normal text-gray-500">
+                  {resource.start ? `${resource.start}–${resource.end}` : 'Off'}
+                </span>
+              </div>
+            ))}
+
+            {/* Hours */}
+            {hourLabels.map((time) => (
+              <div
+                key={time}
+                className="pr-2 text-right text-gray-500 border-t border-gray-200"
+                style={{ gridColumn: 1, gridRow: `${(toMinutes(time) - opens) / ROW_MINUTES + 2} / span ${60 / ROW_MINUTES}` }}
+              >
+                {time}
+              </div>
+            ))}
+
+            {/* Working hours of each column; the rest is shaded */}
+            {columns.map((resource, index) => (
+              <div
+                key={`${resource.id}-day`}
+                className="bg-gray-100 border-l border-gray-200"
+                style={{ gridColumn: index + 2, gridRow: `2 / ${rowCount + 2}` }}
+              />
+            ))}
+            {columns.filter(resource => resource.start).map((resource) => (
+              <div
+                key={`${resource.id}-hours`}
+                className="bg-white border-l border-gray-200"
+                style={{ gridColumn: columns.indexOf(resource) + 2, gridRow: gridRows(resource.start, resource.end) }}
+              />
+            ))}
+
+            {/* Appointments */}
+            {appointments.map((appointment) => {
+              const column = columns.findIndex(resource => resource.id === appointment[field]);
+              if (column < 0) return null;
+
+              return (
+                <button
+                  key={appointment.id}
+                  onClick={() => setSelectedId(appointment.id === selectedId ? null : appointment.id)}
+                  aria-pressed={appointment.id === selectedId}
+                  className={`m-px p-1 rounded text-left overflow-hidden border focus:outline-none focus:ring-2 focus:ring-primary ${appointment.id === selectedId ? 'bg-primary text-white border-primary' : 'bg-accent/10 text-gray-900 border-accent/40 hover:bg-accent/20'}`}
+                  style={{ gridColumn: column + 2, gridRow: gridRows(appointment.startTime, appointment.endTime) }}
+                >
+                  <span className="font-medium">{appointment.startTime} {appointment.treatmentName}</span>
+                  <span className="block">{appointment.guestName}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {selected && (
+        <div className="mt-6 p-4 border border-gray-200 rounded-lg flex flex-wrap justify-between gap-4" aria-live="polite">
+          <div className="text-sm text-gray-700">
+            <p className="font-medium text-gray-900">
+              {selected.startTime}–{selected.endTime} · {selected.treatmentName} (${selected.price})
+            </p>
+            <p>{selected.guestName} <span className="font-mono text-gray-500">({selected.reference})</span></p>
+            <p className="text-gray-500">{selected.therapistName} · {selected.roomName}</p>
+          </div>
+          {canCancel && (
+            <button
+              onClick={() => handleCancel(selected)}
+              className="self-start text-sm font-medium text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+            >
+              Cancel appointment
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpaCalendar;
@@ -0,0 +1,485 @@
+/**
+ * Tape Chart Component
+ *
+ * Front desk occupancy chart: one row per room, one column per day, and a
+ * bar for every room of a booking, coloured by its status. Shows a week or a
+ * month at a time with a marker on today. Days a room is out of order are
+ * shaded, and stays that have not been given their room yet are dashed. Staff with the bookings:move
+ * permission drag a pending or confirmed stay to another room or other
+ * dates, or pick a bar and use the move form below the chart. The server
+ * checks availability and re-prices the stay; when the total changes the
+ * new price is confirmed before the move is made.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { addDays, nightsBetween, today } from '../utils/dates';
+
+// Short housekeeping labels for the room column
+const HOUSEKEEPING_LABELS = {
+  'dirty': 'Dirty',
+  'cleaning': 'Cleaning',
+  'inspected': 'Inspected',
+  'ready': 'Ready'
+};
+
+// Days shown per zoom level
+const ZOOM_DAYS = {
+  week: 7,
+  month: 30
+};
+
+// Bar colours and legend labels by booking status (as on the bookings table)
+const STATUS_STYLES = {
+  'pending': { label: 'Pending', className: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+  'confirmed': { label: 'Confirmed', className: 'bg-green-100 text-green-800 border-green-300' },
+  'checked-in': { label: 'Checked in', className: 'bg-indigo-100 text-indigo-800 border-indigo-300' },
+  'checked-out': { label: 'Checked out', className: 'bg-gray-100 text-gray-700 border-gray-300' },
+  'completed': { label: 'Completed', className: 'bg-blue-100 text-blue-800 border-blue-300' }
+};
+
+/**
+ * Formats a date for column headings and details
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @return {string} Formatted date
+ */
+const formatDay = (dateString, options) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', options);
+
+/**
+ * Identifies one room of a booking
+ *
+ * @param {Object} bar - Bar from the tape chart
+ * @return {string} Key such as '<booking id>-0'
+ */
+const barKey = (bar) => `${bar.bookingId}-${bar.roomIndex}`;
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * TapeChart Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.canMove - Whether the user may move bookings
+ * @param {*} props.refreshKey - Changes whenever the dashboard reloads its bookings
+ * @param {Function} props.onMoved - Function to call after a booking has been moved
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const TapeChart = ({ canMove, refreshKey, onMoved, onUnauthorized }) => {
+  const todayDate = today();
+  const [zoom, setZoom] = useState('week');          // 'week' or 'month'
+  const [from, setFrom] = useState(addDays(todayDate, -1)); // First day shown
+  const [rooms, setRooms] = useState([]);            // Rows: { roomNumber, roomType, housekeeping, outOfOrderDays }
+  const [bars, setBars] = useState([]);              // Stays drawn in the rows
+  const [selectedKey, setSelectedKey] = useState(null); // Bar whose details are shown
+  const [moveForm, setMoveForm] = useState({ roomNumber: '', checkIn: '' }); // Move form for the selected bar
+  const [dropTarget, setDropTarget] = useState(null); // Cell under a dragged bar: '<room>|<date>'
+  const [isLoading, setIsLoading] = useState(true);
+  const [isMoving, setIsMoving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // The bar being dragged and the day of the stay it was grabbed by
+  const dragRef = useRef(null);
+
+  const dayCount = ZOOM_DAYS[zoom];
+  const to = addDays(from, dayCount - 1);
+  const days = Array.from({ length: dayCount }, (_, index) => addDays(from, index));
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches the rooms and stays of the days shown
+   */
+  const fetchChart = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/tape-chart', {
+        ...authConfig(),
+        params: { from, to }
+      });
+      setRooms(response.data.rooms);
+      setBars(response.data.bars);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load the tape chart.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError, from, to]);
+
+  useEffect(() => {
+    fetchChart();
+  }, [fetchChart, refreshKey]);
+
+  const selected = bars.find(bar => barKey(bar) === selectedKey);
+  const selectedRoomNumber = selected?.roomNumber;
+  const selectedCheckIn = selected?.checkIn;
+
+  // Start the move form from the selected stay, again once it has been moved
+  useEffect(() => {
+    if (selectedCheckIn) {
+      setMoveForm({ roomNumber: selectedRoomNumber || '', checkIn: selectedCheckIn });
+    }
+  }, [selectedKey, selectedRoomNumber, selectedCheckIn]);
+
+  /**
+   * Asks the server to move a room of a booking
+   *
+   * When the move changes the total, the server answers with the new quote;
+   * the move is sent again with that total once it has been confirmed.
+   *
+   * @param {Object} bar - Stay to move
+   * @param {string} roomNumber - Room to put it in
+   * @param {string} checkIn - New check-in date (the length of stay is kept)
+   */
+  const moveStay = async (bar, roomNumber, checkIn) => {
+    const checkOut = addDays(checkIn, nightsBetween(bar.checkIn, bar.checkOut));
+    if (roomNumber === bar.roomNumber && checkIn === bar.checkIn) return;
+
+    const move = { roomIndex: bar.roomIndex, roomNumber, checkIn, checkOut };
+
+    try {
+      setIsMoving(true);
+      setError('');
+      setNotice('');
+
+      let response;
+      try {
+        response = await axios.post(`http://localhost:5000/api/admin/bookings/${bar.bookingId}/move`, move, authConfig());
+      } catch (requestError) {
+        const { data, status } = requestError.response || {};
+        const isPriceChange = status === 409 && data?.quote && !data.availability && !data.addOnShortages;
+        if (!isPriceChange) throw requestError;
+        if (!window.confirm(`${data.message} Move the booking at the new price?`)) return;
+
+        response = await axios.post(
+          `http://localhost:5000/api/admin/bookings/${bar.bookingId}/move`,
+          { ...move, totalPrice: data.quote.total },
+          authConfig()
+        );
+      }
+
+      setNotice(response.data.message);
+      onMoved();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to move the booking.');
+    } finally {
+      setIsMoving(false);
+    }
+  };
+
+  /**
+   * Starts dragging a bar, remembering which day of the stay was grabbed
+   *
+   * @param {DragEvent} e - Drag event
+   * @param {Object} bar - Stay being dragged
+   */
+  const handleDragStart = (e, bar) => {
+    const firstShown = bar.checkIn < from ? from : bar.checkIn;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const shownDays = Math.min(nightsBetween(firstShown, bar.checkOut), nightsBetween(firstShown, addDays(to, 1)));
+    const grabbedDay = Math.min(shownDays - 1, Math.floor((e.clientX - rect.left) / (rect.width / shownDays)));
+
+    dragRef.current = { bar, offset: nightsBetween(bar.checkIn, firstShown) + Math.max(0, grabbedDay) };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', barKey(bar));
+  };
+
+  const handleDragEnd = () => {
+    dragRef.current = null;
+    setDropTarget(null);
+  };
+
+  /**
+   * Moves the dragged stay so the grabbed day lands on the dropped cell
+   *
+   * @param {DragEvent} e - Drop event
+   * @param {string} roomNumber - Room of the cell
+   * @param {string} date - Day of the cell
+   */
+  const handleDrop = (e, roomNumber, date) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    handleDragEnd();
+    if (drag) moveStay(drag.bar, roomNumber, addDays(date, -drag.offset));
+  };
+
+  /**
+   * Moves the selected stay with the move form
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleMoveSubmit = (e) => {
+    e.preventDefault();
+    if (selected && moveForm.roomNumber && moveForm.checkIn) {
+      moveStay(selected, moveForm.roomNumber, moveForm.checkIn);
+    }
+  };
+
+  // Stays the server could not fit in a room get a row of their own
+  const rows = bars.some(bar => !bar.roomNumber)
+    ? [...rooms, { roomNumber: null, roomType: 'Overbooked' }]
+    : rooms;
+  const rowOf = (roomNumber) => rows.findIndex(row => row.roomNumber === roomNumber) + 2;
+  const columnOf = (date) => nightsBetween(from, date) + 2;
+  const roomTypes = [...new Set(rooms.map(room => room.roomType))];
+  const isDraggable = (bar) => canMove && bar.movable && !isMoving;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-primary">Tape Chart</h2>
+          <p className="text-sm text-gray-600">
+            {formatDay(from, { month: 'short', day: 'numeric' })} – {formatDay(to, { month: 'short', day: 'numeric', year: 'numeric' })}
+            {canMove && ' · Drag a pending or confirmed stay to another room or other dates'}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <button
+            onClick={() => setFrom(addDays(from, -dayCount))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            aria-label={`Previous ${zoom}`}
+          >
+            ←
+          </button>
+          <button
+            onClick={() => setFrom(addDays(todayDate, -1))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => setFrom(addDays(from, dayCount))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            aria-label={`Next ${zoom}`}
+          >
+            →
+          </button>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Zoom">
+            {[['week', 'Week'], ['month', 'Month']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setZoom(value)}
+                aria-pressed={zoom === value}
+                className={`px-3 py-2 text-sm ${zoom === value ? 'bg-primary text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg" role="alert">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg" role="status">
+          {notice}
+        </div>
+      )}
+
+      {isLoading && rows.length === 0 ? (
+        <p className="text-gray-600">Loading tape chart...</p>
+      ) : (
+        <div className={`overflow-x-auto ${isLoading || isMoving ? 'opacity-70' : ''}`} aria-busy={isLoading || isMoving}>
+          <div
+            className="grid min-w-max text-xs"
+            style={{
+              gridTemplateColumns: `7rem repeat(${dayCount}, ${zoom === 'week' ? 'minmax(6rem, 1fr)' : '2.5rem'})`,
+              gridTemplateRows: `auto repeat(${rows.length}, 2.25rem)`
+            }}
+          >
+            {/* Day headings */}
+            <div className="sticky left-0 bg-white" />
+            {days.map((date) => (
+              <div
+                key={date}
+                className={`px-1 pb-2 text-center ${date === todayDate ? 'font-semibold text-red-600' : 'text-gray-500'}`}
+                style={{ gridColumn: columnOf(date), gridRow: 1 }}
+              >
+                {formatDay(date, { weekday: zoom === 'week' ? 'short' : 'narrow' })}
+                <span className="block">{formatDay(date, zoom === 'week' ? { month: 'short', day: 'numeric' } : { day: 'numeric' })}</span>
+              </div>
+            ))}
+
+            {/* Rooms, with a cell per day to drop stays on */}
+            {rows.map((row, rowIndex) => (
+              <div
+                key={row.roomNumber || 'overbooked'}
+                className={`sticky left-0 z-10 bg-white pr-2 border-t ${row.roomType !== rows[rowIndex - 1]?.roomType ? 'border-gray-400' : 'border-gray-200'}`}
+                style={{ gridColumn: 1, gridRow: rowIndex + 2 }}
+              >
+                <span className={`font-medium ${row.roomNumber ? 'text-gray-900' : 'text-red-700'}`}>
+                  {row.roomNumber || 'No room'}
+                </span>
+                {row.housekeeping && (
+                  <span className={row.housekeeping === 'ready' ? 'text-gray-500' : 'text-orange-700'}>
+                    {' · '}{HOUSEKEEPING_LABELS[row.housekeeping] || row.housekeeping}
+                  </span>
+                )}
+                <span className="block truncate text-gray-500">{row.roomType}</span>
+              </div>
+            ))}
+            {rows.filter(row => row.roomNumber).flatMap((row) => days.map((date) => {
+              const cellKey = `${row.roomNumber}|${date}`;
+              const isOutOfOrder = row.outOfOrderDays?.includes(date);
+              return (
+                <div
+                  key={cellKey}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    if (dropTarget !== cellKey) setDropTarget(cellKey);
+                  }}
+                  onDrop={(e) => handleDrop(e, row.roomNumber, date)}
+                  className={`border-t border-l border-gray-100 ${dropTarget === cellKey ? 'bg-primary/20' : isOutOfOrder ? 'bg-red-100' : [0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay()) ? 'bg-gray-50' : ''}`}
+                  style={{ gridColumn: columnOf(date), gridRow: rowOf(row.roomNumber) }}
+                  title={isOutOfOrder ? `Out of order${row.outOfOrderReason ? `: ${row.outOfOrderReason}` : ''}` : undefined}
+                />
+              );
+            }))}
+
+            {/* Today */}
+            {todayDate >= from && todayDate <= to && (
+              <div
+                className="border-l-2 border-red-500 pointer-events-none z-20"
+                style={{ gridColumn: columnOf(todayDate), gridRow: `1 / ${rows.length + 2}` }}
+                aria-hidden="true"
+              />
+            )}
+
+            {/* Stays */}
+            {bars.map((bar) => {
+              const start = Math.max(columnOf(bar.checkIn), 2);
+              const end = Math.min(columnOf(bar.checkOut), dayCount + 2);
+              const style = STATUS_STYLES[bar.status] || STATUS_STYLES.pending;
+              const key = barKey(bar);
+
+              return (
+                <button
+                  key={key}
+                  draggable={isDraggable(bar)}
+                  onDragStart={(e) => handleDragStart(e, bar)}
+                  onDragEnd={handleDragEnd}
+                  onClick={() => setSelectedKey(key === selectedKey ? null : key)}
+                  aria-pressed={key === selectedKey}
+                  aria-label={`${bar.guestName}, ${bar.roomNumber ? `room ${bar.roomNumber}${bar.isAssigned ? '' : ' (not given yet)'}` : `${bar.roomType} without a room`}, ${bar.checkIn} to ${bar.checkOut}, ${style.label}`}
+                  className={`m-0.5 px-1 rounded border ${bar.isAssigned ? '' : 'border-dashed'} text-left truncate z-10 focus:outline-none focus:ring-2 focus:ring-primary ${style.className} ${key === selectedKey ? 'ring-2 ring-primary' : ''} ${isDraggable(bar) ? 'cursor-grab' : 'cursor-pointer'}`}
+                  style={{ gridColumn: `${start} / ${end}`, gridRow: rowOf(bar.roomNumber) }}
+                >
+                  <span className="font-medium">{bar.guestName}</span>
+                  {zoom === 'week' && <span className="block truncate">{bar.reference}</span>}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <ul className="mt-4 flex flex-wrap gap-3 text-xs text-gray-600" aria-label="Legend">
+        {Object.entries(STATUS_STYLES).map(([status, { label, className }]) => (
+          <li key={status} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded border ${className}`} aria-hidden="true" />
+            {label}
+          </li>
+        ))}
+        <li className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded border border-dashed border-gray-400" aria-hidden="true" />
+          No room given yet
+        </li>
+        <li className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded border border-red-200 bg-red-100" aria-hidden="true" />
+          Out of order
+        </li>
+      </ul>
+
+      {selected && (
+        <div className="mt-6 p-4 border border-gray-200 rounded-lg flex flex-wrap justify-between gap-4" aria-live="polite">
+          <div className="text-sm text-gray-700">
+            <p className="font-medium text-gray-900">
+              {selected.guestName} <span className="font-mono text-gray-500">({selected.reference})</span>
+            </p>
+            <p>
+              {selected.roomNumber ? `Room ${selected.roomNumber}${selected.isAssigned ? '' : ' (not given yet)'}` : 'No room'} · {selected.roomType} · {selected.adults} adult{selected.adults === 1 ? '' : 's'}
+              {selected.children > 0 && `, ${selected.children} child${selected.children === 1 ? '' : 'ren'}`}
+            </p>
+            <p className="text-gray-500">
+              {formatDay(selected.checkIn, { weekday: 'short', month: 'short', day: 'numeric' })} – {formatDay(selected.checkOut, { weekday: 'short', month: 'short', day: 'numeric' })}
+              {' · '}{(STATUS_STYLES[selected.status] || STATUS_STYLES.pending).label} · ${selected.totalPrice}
+            </p>
+          </div>
+          {canMove && selected.movable && (
+            <form onSubmit={handleMoveSubmit} className="flex flex-wrap items-end gap-2">
+              <div>
+                <label htmlFor="tape-move-room" className="block mb-1 text-xs font-medium text-gray-700">Room</label>
+                <select
+                  id="tape-move-room"
+                  value={moveForm.roomNumber}
+                  onChange={(e) => setMoveForm({ ...moveForm, roomNumber: e.target.value })}
+                  className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary"
+                >
+                  <option value="" disabled>Choose a room</option>
+                  {roomTypes.map((roomType) => (
+                    <optgroup key={roomType} label={roomType}>
+                      {rooms.filter(room => room.roomType === roomType).map((room) => (
+                        <option key={room.roomNumber} value={room.roomNumber}>{room.roomNumber}</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="tape-move-check-in" className="block mb-1 text-xs font-medium text-gray-700">Check-in</label>
+                <input
+                  id="tape-move-check-in"
+                  type="date"
+                  value={moveForm.checkIn}
+                  min={todayDate}
+                  onChange={(e) => setMoveForm({ ...moveForm, checkIn: e.target.value })}
+                  className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isMoving || !moveForm.roomNumber || !moveForm.checkIn}
+                className="btn-primary text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+              >
+                {isMoving ? 'Moving...' : 'Move stay'}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TapeChart;
@@ -0,0 +1,317 @@
+/**
+ * User Management Component
+ *
+ * Owner-only admin section for managing staff accounts: creating users,
+ * changing their role, resetting passwords and removing accounts.
+ * Changing a role or password signs that user out of every session.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// What each role may do, shown next to the role picker
+const ROLE_DESCRIPTIONS = {
+  'front-desk': 'View and confirm bookings',
+  'manager': 'Front desk, plus cancel bookings, manage pricing and guest emails',
+  'owner': 'Everything, including staff accounts'
+};
+
+// Values for a new, empty account
+const EMPTY_USER = {
+  username: '',
+  password: '',
+  role: 'front-desk'
+};
+
+/**
+ * Builds request options with the admin token
+ *
+ * @return {Object} Axios request config
+ */
+const authConfig = () => ({
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  }
+});
+
+/**
+ * UserManagement Component
+ * @param {Object} props - Component props
+ * @param {Object} props.currentUser - The signed-in owner
+ * @param {Function} props.onUnauthorized - Function to call when the session is no longer valid
+ */
+const UserManagement = ({ currentUser, onUnauthorized }) => {
+  const [users, setUsers] = useState([]);                 // Staff accounts from the API
+  const [roles, setRoles] = useState(Object.keys(ROLE_DESCRIPTIONS)); // Roles the server accepts
+  const [isLoading, setIsLoading] = useState(true);       // Loading state
+  const [error, setError] = useState('');                 // Error message
+  const [newUser, setNewUser] = useState(EMPTY_USER);     // Create form values
+  const [isSaving, setIsSaving] = useState(false);        // Create in progress
+  const [resetUserId, setResetUserId] = useState(null);   // User whose password is being reset
+  const [resetPassword, setResetPassword] = useState(''); // New password for that user
+
+  /**
+   * Handles API errors, logging out when the session is no longer valid
+   *
+   * @param {Error} requestError - Axios error
+   * @param {string} fallbackMessage - Message to show for other failures
+   */
+  const handleRequestError = useCallback((requestError, fallbackMessage) => {
+    console.error(fallbackMessage, requestError);
+
+    if (requestError.response?.status === 401) {
+      onUnauthorized();
+      return;
+    }
+
+    setError(requestError.response?.data?.message || fallbackMessage);
+  }, [onUnauthorized]);
+
+  /**
+   * Fetches all staff accounts from the API
+   */
+  const fetchUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get('http://localhost:5000/api/admin/users', authConfig());
+      setUsers(response.data.users);
+      setRoles(response.data.roles);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to load users.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleRequestError]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  /**
+   * Handles changes to the create form
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleNewUserChange = (e) => {
+    const { name, value } = e.target;
+    setNewUser(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  /**
+   * Creates a new staff account
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const response = await axios.post('http://localhost:5000/api/admin/users', newUser, authConfig());
+      setUsers(prev => [...prev, response.data.user]);
+      setNewUser(EMPTY_USER);
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to create user.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Changes a user's role
+   *
+   * @param {Object} user - User to update
+   * @param {string} role - New role
+   */
+  const handleRoleChange = async (user, role) => {
+    try {
+      const response = await axios.put(`http://localhost:5000/api/admin/users/${user.id}`, { role }, authConfig());
+      setUsers(prev => prev.map(existing => existing.id === user.id ? response.data.user : existing));
+      setError('');
+
+      // Changing your own role ends your session
+      if (user.id === currentUser.id) onUnauthorized();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to change role.');
+    }
+  };
+
+  /**
+   * Saves a new password for the user being reset
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.put(`http://localhost:5000/api/admin/users/${resetUserId}`, { password: resetPassword }, authConfig());
+      const wasCurrentUser = resetUserId === currentUser.id;
+      setResetUserId(null);
+      setResetPassword('');
+      setError('');
+
+      // Resetting your own password ends your session
+      if (wasCurrentUser) onUnauthorized();
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to reset password.');
+    }
+  };
+
+  /**
+   * Deletes a staff account after confirmation
+   *
+   * @param {Object} user - User to delete
+   */
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete the account ${user.username}?`)) return;
+
+    try {
+      await axios.delete(`http://localhost:5000/api/admin/users/${user.id}`, authConfig());
+      setUsers(prev => prev.filter(existing => existing.id !== user.id));
+      setError('');
+    } catch (requestError) {
+      handleRequestError(requestError, 'Failed to delete user.');
+    }
+  };
+
+  /**
+   * Formats an ISO timestamp for display
+   *
+   * @param {string} timestamp - ISO timestamp
+   * @return {string} Formatted date and time
+   */
+  const formatTimestamp = (timestamp) =>
+    timestamp ? new Date(timestamp).toLocaleString() : 'Never';
+
+  const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-semibold text-primary mb-2">Staff Accounts</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Manage who can sign in to the admin dashboard and what they can do.
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600 mb-6">Loading users...</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Username</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last login</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map((user) => (
+                <tr key={user.id}>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                    {user.username}
+                    {user.id === currentUser.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    <select
+                      value={user.role}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      className="px-2 py-1 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                      aria-label={`Role for ${user.username}`}
+                    >
+                      {roles.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{formatTimestamp(user.lastLoginAt)}</td>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    {resetUserId === user.id ? (
+                      <form onSubmit={handleResetPassword} className="flex items-center space-x-2">
+                        <input
+                          type="password"
+                          value={resetPassword}
+                          onChange={(e) => setResetPassword(e.target.value)}
+                          className="px-2 py-1 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                          placeholder="New password"
+                          autoComplete="new-password"
+                          aria-label={`New password for ${user.username}`}
+                        />
+                        <button type="submit" className="text-primary hover:text-accent focus:outline-none focus:underline">Save</button>
+                        <button type="button" onClick={() => setResetUserId(null)} className="text-gray-600 hover:text-gray-900 focus:outline-none focus:underline">Cancel</button>
+                      </form>
+                    ) : (
+                      <div className="flex space-x-3">
+                        <button
+                          onClick={() => { setResetUserId(user.id); setResetPassword(''); }}
+                          className="text-primary hover:text-accent focus:outline-none focus:underline"
+                          aria-label={`Reset password for ${user.username}`}
+                        >
+                          Reset password
+                        </button>
+                        {user.id !== currentUser.id && (
+                          <button
+                            onClick={() => handleDelete(user)}
+                            className="text-red-600 hover:text-red-900 focus:outline-none focus:underline"
+                            aria-label={`Delete account ${user.username}`}
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Create form */}
+      <form onSubmit={handleCreate} className="border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Add a staff account</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="new-username" className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+            <input id="new-username" name="username" type="text" value={newUser.username} onChange={handleNewUserChange} className={inputClass} autoComplete="off" />
+          </div>
+          <div>
+            <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 mb-1">Password (10+ characters)</label>
+            <input id="new-password" name="password" type="password" value={newUser.password} onChange={handleNewUserChange} className={inputClass} autoComplete="new-password" />
+          </div>
+          <div>
+            <label htmlFor="new-role" className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select id="new-role" name="role" value={newUser.role} onChange={handleNewUserChange} className={inputClass}>
+              {roles.map((role) => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">{ROLE_DESCRIPTIONS[newUser.role]}</p>
+          </div>
+        </div>
+        <div className="mt-6 flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-70"
+          >
+            {isSaving ? 'Creating...' : 'Create account'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,177 @@
+/**
+ * Add-On Fields Component
+ *
+ * Picker for the add-on services of a booking (gear rental, guided tours,
+ * personal training and meal plans). Each selected add-on is
+ * { code, quantity, date }; scheduled add-ons need a day of the stay. The
+ * choices stop at the add-on's limit per booking, the guests of the booking
+ * for per-guest add-ons, and what is left on the chosen days. Errors use the
+ * keys the shared validator gives the addOns array, e.g. 'addOns.0.date'.
+ */
+
+// Price wording for each pricing model
+const PRICING_LABELS = {
+  'per-stay': 'each',
+  'per-night': 'per night',
+  'per-person': 'per guest',
+  'per-person-per-night': 'per guest per night'
+};
+
+/**
+ * Formats a date string as a short weekday and date
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} e.g. 'Fri, Jul 3'
+ */
+const formatDay = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Lists the whole numbers from 1 to end
+ *
+ * @param {number} end - Last number (inclusive)
+ * @return {number[]} Numbers in order
+ */
+const upTo = (end) => Array.from({ length: Math.max(end, 0) }, (_, index) => index + 1);
+
+const AddOnFields = ({ addOns, selected, dates, guests, errors, onChange, idPrefix = 'add-ons' }) => {
+  /**
+   * Works out how many of an add-on are left for a selection
+   *
+   * @param {Object} addOn - Add-on from the catalog
+   * @param {string} [date] - Chosen day, for scheduled add-ons
+   * @return {number|null} Units left, or null when the add-on has no limit or the dates are not known
+   */
+  const getRemaining = (addOn, date) => {
+    if (!addOn.remaining) return null;
+
+    const days = addOn.scheduled ? [date].filter(Boolean) : dates;
+    const left = days.map(day => addOn.remaining[day]).filter(value => value !== undefined);
+    return left.length > 0 ? Math.min(...left) : null;
+  };
+
+  /**
+   * Returns the largest quantity a guest can choose
+   *
+   * @param {Object} addOn - Add-on from the catalog
+   * @param {string} [date] - Chosen day, for scheduled add-ons
+   * @return {number} Largest quantity
+   */
+  const getMaxQuantity = (addOn, date) => {
+    const remaining = getRemaining(addOn, date);
+    return Math.min(
+      addOn.maxQuantity,
+      addOn.pricing.startsWith('per-person') ? guests : addOn.maxQuantity,
+      remaining === null ? addOn.maxQuantity : remaining
+    );
+  };
+
+  const handleToggle = (addOn) => {
+    if (selected.some(selection => selection.code === addOn.code)) {
+      onChange(selected.filter(selection => selection.code !== addOn.code));
+      return;
+    }
+
+    // Per-guest add-ons start with everyone in the booking
+    const quantity = addOn.pricing.startsWith('per-person') ? Math.min(guests, addOn.maxQuantity) : 1;
+    onChange([...selected, { code: addOn.code, quantity, ...(addOn.scheduled && { date: dates[0] || '' }) }]);
+  };
+
+  const handleSelectionChange = (code, changes) => {
+    onChange(selected.map(selection => selection.code === code ? { ...selection, ...changes } : selection));
+  };
+
+  const selectClass = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="space-y-3">
+      {addOns.map((addOn) => {
+        const index = selected.findIndex(selection => selection.code === addOn.code);
+        const selection = selected[index];
+        const id = `${idPrefix}-${addOn.code}`;
+        const remaining = getRemaining(addOn, selection?.date);
+        const soldOut = !selection && remaining === 0;
+        const error = index >= 0 && (errors[`addOns.${index}.code`] || errors[`addOns.${index}.quantity`] || errors[`addOns.${index}.date`]);
+
+        return (
+          <div
+            key={addOn.code}
+            className={`border rounded-lg p-4 ${selection ? 'border-primary bg-primary/5' : 'border-gray-200'} ${soldOut ? 'opacity-50' : ''}`}
+          >
+            <label htmlFor={id} className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                id={id}
+                checked={Boolean(selection)}
+                disabled={soldOut}
+                onChange={() => handleToggle(addOn)}
+                className="mt-1 text-primary focus:ring-primary"
+              />
+              <span className="flex-1">
+                <span className="flex justify-between gap-4">
+                  <span className="font-medium text-gray-900">{addOn.name}</span>
+                  <span className="text-sm text-gray-700 whitespace-nowrap">${addOn.price} {PRICING_LABELS[addOn.pricing]}</span>
+                </span>
+                <span className="block text-sm text-gray-500">
+                  {addOn.category} · {addOn.description}
+                  {soldOut && ' Sold out for these dates.'}
+                </span>
+              </span>
+            </label>
+
+            {selection && (
+              <div className="mt-3 ml-7 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {addOn.scheduled && (
+                  <div>
+                    <label htmlFor={`${id}-date`} className="block mb-1 text-xs font-medium text-gray-700">Day</label>
+                    <select
+                      id={`${id}-date`}
+                      value={selection.date || ''}
+                      onChange={(e) => handleSelectionChange(addOn.code, { date: e.target.value })}
+                      className={selectClass}
+                      disabled={dates.length === 0}
+                    >
+                      {dates.length === 0 && <option value="">Choose your dates first</option>}
+                      {dates.map((date) => {
+                        const left = addOn.remaining?.[date];
+                        return (
+                          <option key={date} value={date} disabled={left === 0}>
+                            {formatDay(date)}{left !== undefined && ` (${left === 0 ? 'full' : `${left} left`})`}
+                          </option>
+                        );
+                      })}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label htmlFor={`${id}-quantity`} className="block mb-1 text-xs font-medium text-gray-700">
+                    {addOn.pricing.startsWith('per-person') ? 'Guests' : 'Quantity'}
+                  </label>
+                  <select
+                    id={`${id}-quantity`}
+                    value={selection.quantity}
+                    onChange={(e) => handleSelectionChange(addOn.code, { quantity: Number(e.target.value) })}
+                    className={selectClass}
+                  >
+                    {upTo(Math.max(getMaxQuantity(addOn, selection.date), selection.quantity)).map((quantity) => (
+                      <option key={quantity} value={quantity}>{quantity}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {error && (
+              <p className="mt-2 ml-7 text-sm text-red-600" role="alert">{error}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AddOnFields;
@@ -0,0 +1,464 @@
+/**
+ * Availability Calendar Component
+ *
+ * Two-month date range picker for the booking form. Each day shows the
+ * nightly price of the rooms the guest chose; nights without enough free
+ * rooms are struck through and cannot start a stay, and while a check-out
+ * date is being picked, days that would include a sold-out night or break a
+ * minimum stay are not offered. Availability and prices come from
+ * GET /api/availability/calendar; the quote still prices the chosen stay.
+ *
+ * Follows the ARIA date grid pattern: each month is a grid with one focusable
+ * day at a time. Arrow keys move by day and week, Home and End to the start
+ * and end of the week, Page Up and Page Down by month (with Shift, by year),
+ * and Enter or Space picks the day.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { addDays, nightsBetween, today } from '../utils/dates';
+
+// Column headings, Sunday first like the server's weekday numbers
+const WEEKDAYS = [
+  ['Sun', 'Sunday'],
+  ['Mon', 'Monday'],
+  ['Tue', 'Tuesday'],
+  ['Wed', 'Wednesday'],
+  ['Thu', 'Thursday'],
+  ['Fri', 'Friday'],
+  ['Sat', 'Saturday']
+];
+
+/**
+ * Moves a date by whole months, keeping the day where the month allows
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} months - Months to add (negative to go back)
+ * @return {string} New date (YYYY-MM-DD), e.g. Jan 31 + 1 month is Feb 28
+ */
+const addMonths = (dateString, months) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Returns the first day of a date's month
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} First of the month (YYYY-MM-01)
+ */
+const startOfMonth = (dateString) => `${dateString.slice(0, 7)}-01`;
+
+/**
+ * Returns the weekday of a date
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {number} 0 (Sunday) to 6 (Saturday)
+ */
+const weekdayOf = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+/**
+ * Lists the weeks of a month, padded with nulls outside the month
+ *
+ * @param {string} monthStart - First of the month (YYYY-MM-01)
+ * @return {Array<Array<string|null>>} Rows of seven dates
+ */
+const getWeeks = (monthStart) => {
+  const days = Array(weekdayOf(monthStart)).fill(null);
+  for (let date = monthStart; date.slice(0, 7) === monthStart.slice(0, 7); date = addDays(date, 1)) {
+    days.push(date);
+  }
+  while (days.length % 7 !== 0) days.push(null);
+
+  const weeks = [];
+  for (let index = 0; index < days.length; index += 7) {
+    weeks.push(days.slice(index, index + 7));
+  }
+  return weeks;
+};
+
+/**
+ * Formats a date for screen readers and the summary
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @return {string} e.g. 'Wednesday, November 11, 2026'
+ */
+const formatDate = (dateString, options = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }) =>
+  new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', options);
+
+/**
+ * AvailabilityCalendar Component
+ * @param {Object} props - Component props
+ * @param {string} props.checkIn - Chosen check-in date, or ''
+ * @param {string} props.checkOut - Chosen check-out date, or ''
+ * @param {Object[]} props.rooms - Room lines of the booking ({ roomType })
+ * @param {string} props.ratePlan - Rate plan code the prices are shown for
+ * @param {string} [props.groupCode] - Group code, for the group's rooms and rates
+ * @param {string} props.minDate - Earliest check-in date (YYYY-MM-DD)
+ * @param {string} [props.maxDate] - Latest check-out date (YYYY-MM-DD)
+ * @param {Function} props.onChange - Called with (checkIn, checkOut) when the guest picks dates
+ * @param {boolean} [props.invalid] - Whether the dates have an error
+ * @param {string} [props.describedBy] - Id of the element describing the error
+ */
+const AvailabilityCalendar = ({ checkIn, checkOut, rooms, ratePlan, groupCode, minDate, maxDate, onChange, invalid, describedBy }) => {
+  const [month, setMonth] = useState(startOfMonth(checkIn || minDate)); // First of the two months shown
+  const [calendar, setCalendar] = useState({});       // Nights keyed by room type, then date
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [focusedDate, setFocusedDate] = useState(checkIn || minDate); // Day that takes the keyboard focus
+  const [hoverDate, setHoverDate] = useState('');     // Day under the pointer, for the range preview
+  const [shownCheckIn, setShownCheckIn] = useState(checkIn); // Last check-in date brought into view
+
+  const cellRefs = useRef({});
+  const shouldFocus = useRef(false);
+
+  const todayDate = today();
+  const secondMonth = addMonths(month, 1);
+  const lastShown = addDays(addMonths(month, 2), -1);
+
+  // Show dates set from outside (e.g. by a group code), but only when they
+  // change, so the guest can still browse away from them
+  if (checkIn !== shownCheckIn) {
+    setShownCheckIn(checkIn);
+    if (checkIn && (checkIn < month || checkIn > lastShown)) {
+      setMonth(startOfMonth(checkIn));
+      setFocusedDate(checkIn);
+    }
+  }
+
+  // Load two months of nights whenever the months, rate plan or group change
+  useEffect(() => {
+    let isCurrent = true;
+
+    const fetchCalendar = async () => {
+      try {
+        setIsLoading(true);
+        const response = await axios.get('http://localhost:5000/api/availability/calendar', {
+          params: { from: month, to: lastShown, ratePlan, ...(groupCode && { groupCode }) }
+        });
+        if (!isCurrent) return;
+
+        const byRoomType = {};
+        response.data.roomTypes.forEach(summary => {
+          byRoomType[summary.roomType] = Object.fromEntries(summary.nights.map(night => [night.date, night]));
+        });
+        setCalendar(byRoomType);
+        setLoadError('');
+      } catch (error) {
+        console.error('Availability calendar error:', error);
+        if (isCurrent) {
+          setCalendar({});
+          setLoadError('We could not load prices and availability. You can still choose your dates.');
+        }
+      } finally {
+        if (isCurrent) setIsLoading(false);
+      }
+    };
+
+    fetchCalendar();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [month, lastShown, ratePlan, groupCode]);
+
+  // Move the keyboard focus along with focusedDate
+  useEffect(() => {
+    if (shouldFocus.current) {
+      shouldFocus.current = false;
+      cellRefs.current[focusedDate]?.focus();
+    }
+  }, [focusedDate, month]);
+
+  // Units of each room type the booking needs
+  const requested = {};
+  rooms.forEach(room => {
+    requested[room.roomType] = (requested[room.roomType] || 0) + 1;
+  });
+
+  /**
+   * Combines the chosen rooms' nights into one
+   *
+   * @param {string} date - Night date (YYYY-MM-DD)
+   * @return {Object|null} { soldOut, rate, minNights }, or null while it is not known
+   */
+  const getNight = (date) => {
+    const nights = Object.entries(requested).map(([roomType, count]) => ({ night: calendar[roomType]?.[date], count }));
+    if (nights.length === 0 || nights.some(({ night }) => !night)) return null;
+
+    const minimums = nights.map(({ night }) => night.minNights).filter(Boolean);
+    return {
+      soldOut: nights.some(({ night, count }) => night.available < count),
+      rate: nights.reduce((sum, { night, count }) => sum + night.rate * count, 0),
+      minNights: minimums.length > 0 ? Math.max(...minimums) : null
+    };
+  };
+
+  const isOutOfRange = (date) => date < minDate || (maxDate && date > maxDate);
+
+  /**
+   * Checks whether a stay can start on a day
+   *
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @return {boolean} True when the night is free (or not known yet)
+   */
+  const canCheckIn = (date) =>
+    !isOutOfRange(date) && (!maxDate || date < maxDate) && !getNight(date)?.soldOut;
+
+  /**
+   * Works out why a day cannot end the stay that starts at checkIn
+   *
+   * @param {string} date - Date (YYYY-MM-DD) after checkIn
+   * @return {string|null} Reason, or null when the day can be the check-out date
+   */
+  const getCheckOutProblem = (date) => {
+    if (isOutOfRange(date)) return 'unavailable';
+
+    let minNights = 0;
+    let nights = 0;
+    for (let night = checkIn; night < date; night = addDays(night, 1)) {
+      const details = getNight(night);
+      if (details?.soldOut) return 'sold out';
+      minNights = Math.max(minNights, details?.minNights || 0);
+      nights += 1;
+    }
+
+    return nights < minNights ? `minimum stay ${minNights} nights` : null;
+  };
+
+  const isPickingCheckOut = Boolean(checkIn && !checkOut);
+
+  /**
+   * Picks a day: the check-in date first, then the check-out date
+   *
+   * @param {string} date - Date (YYYY-MM-DD)
+   */
+  const handleSelect = (date) => {
+    if (isPickingCheckOut && date > checkIn && !getCheckOutProblem(date)) {
+      onChange(checkIn, date);
+    } else if (canCheckIn(date)) {
+      onChange(date, '');
+    }
+    setFocusedDate(date);
+  };
+
+  /**
+   * Moves the focus to another day, showing its month if needed
+   *
+   * @param {string} date - Date (YYYY-MM-DD)
+   */
+  const moveFocus = (date) => {
+    shouldFocus.current = true;
+    if (date < month) {
+      setMonth(startOfMonth(date));
+    } else if (date > lastShown) {
+      setMonth(addMonths(startOfMonth(date), -1));
+    }
+    setFocusedDate(date);
+  };
+
+  const handleKeyDown = (e, date) => {
+    const moves = {
+      ArrowLeft: () => addDays(date, -1),
+      ArrowRight: () => addDays(date, 1),
+      ArrowUp: () => addDays(date, -7),
+      ArrowDown: () => addDays(date, 7),
+      Home: () => addDays(date, -weekdayOf(date)),
+      End: () => addDays(date, 6 - weekdayOf(date)),
+      PageUp: () => addMonths(date, e.shiftKey ? -12 : -1),
+      PageDown: () => addMonths(date, e.shiftKey ? 12 : 1)
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      moveFocus(moves[e.key]());
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handleSelect(date);
+    }
+  };
+
+  const handleClear = () => {
+    onChange('', '');
+    setHoverDate('');
+  };
+
+  // The day in the tab order: the focused day if it is shown, else the first shown day
+  const tabDate = focusedDate >= month && focusedDate <= lastShown ? focusedDate : month;
+  const rangeEnd = checkOut || (isPickingCheckOut && hoverDate > checkIn && !getCheckOutProblem(hoverDate) ? hoverDate : '');
+  const nights = checkIn && checkOut ? nightsBetween(checkIn, checkOut) : 0;
+
+  /**
+   * Renders one day of a month grid
+   *
+   * @param {string|null} date - Date (YYYY-MM-DD), or null for padding
+   * @param {number} index - Column index
+   * @return {JSX.Element} Grid cell
+   */
+  const renderDay = (date, index) => {
+    if (!date) return <td key={`pad-${index}`} role="gridcell" aria-hidden="true" />;
+
+    const night = getNight(date);
+    const isCheckIn = date === checkIn;
+    const isCheckOut = date === checkOut;
+    const inRange = checkIn && rangeEnd && date > checkIn && date < rangeEnd;
+    const checkOutProblem = isPickingCheckOut && date > checkIn ? getCheckOutProblem(date) : null;
+    const selectable = isPickingCheckOut && date > checkIn ? !checkOutProblem || canCheckIn(date) : canCheckIn(date);
+
+    const status = [
+      isCheckIn && 'check-in',
+      isCheckOut && 'check-out',
+      night?.soldOut && 'sold out',
+      !night?.soldOut && checkOutProblem && checkOutProblem !== 'unavailable' && `not available as check-out, ${checkOutProblem}`,
+      !checkOutProblem && night?.minNights && `minimum stay ${night.minNights} nights`,
+      night && !night.soldOut && `$${Math.round(night.rate)} per night`,
+      !selectable && !night?.soldOut && 'unavailable'
+    ].filter(Boolean).join(', ');
+
+    let className = 'text-gray-900 hover:bg-primary/10';
+    if (isCheckIn || isCheckOut) {
+      className = 'bg-primary text-white';
+    } else if (inRange) {
+      className = 'bg-primary/15 text-gray-900';
+    } else if (!selectable || (checkOutProblem && isPickingCheckOut)) {
+      className = 'text-gray-400';
+    }
+
+    return (
+      <td
+        key={date}
+        ref={(element) => { cellRefs.current[date] = element; }}
+        role="gridcell"
+        tabIndex={date === tabDate ? 0 : -1}
+        aria-selected={Boolean(isCheckIn || isCheckOut || inRange)}
+        aria-disabled={!selectable}
+        aria-label={`${formatDate(date)}${status ? `, ${status}` : ''}`}
+        aria-current={date === todayDate ? 'date' : undefined}
+        onClick={() => selectable && handleSelect(date)}
+        onKeyDown={(e) => handleKeyDown(e, date)}
+        onFocus={() => setFocusedDate(date)}
+        onMouseEnter={() => setHoverDate(date)}
+        className={`h-14 p-1 text-center align-top rounded-md cursor-pointer focus:outline-none focus:ring-2 focus:ring-primary ${className} ${selectable ? '' : 'cursor-not-allowed'}`}
+      >
+        <span className={`block text-sm font-medium ${night?.soldOut ? 'line-through' : ''}`}>
+          {Number(date.slice(8))}
+        </span>
+        <span className="block text-[11px] leading-tight" aria-hidden="true">
+          {night?.soldOut
+            ? 'Full'
+            : night && !isOutOfRange(date) ? `$${Math.round(night.rate)}` : ''}
+        </span>
+        {night?.minNights && !night.soldOut && !isOutOfRange(date) && (
+          <span className="block text-[10px] leading-tight opacity-75" aria-hidden="true">min {night.minNights}</span>
+        )}
+      </td>
+    );
+  };
+
+  /**
+   * Renders one month as a grid
+   *
+   * @param {string} monthStart - First of the month (YYYY-MM-01)
+   * @return {JSX.Element} Month heading and grid
+   */
+  const renderMonth = (monthStart) => {
+    const headingId = `calendar-${monthStart.slice(0, 7)}`;
+
+    return (
+      <div key={monthStart}>
+        <h3 id={headingId} className="mb-2 text-center text-sm font-semibold text-gray-900">
+          {formatDate(monthStart, { month: 'long', year: 'numeric' })}
+        </h3>
+        <table role="grid" aria-labelledby={headingId} className="w-full table-fixed border-separate border-spacing-0.5">
+          <thead>
+            <tr role="row">
+              {WEEKDAYS.map(([short, full]) => (
+                <th key={short} role="columnheader" scope="col" abbr={full} className="pb-1 text-xs font-medium text-gray-500">
+                  {short}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {getWeeks(monthStart).map((week) => (
+              <tr key={week.find(Boolean)} role="row">
+                {week.map(renderDay)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className={`p-4 border rounded-lg ${invalid ? 'border-red-500' : 'border-gray-300'}`}
+      aria-describedby={describedBy}
+      onMouseLeave={() => setHoverDate('')}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <button
+          type="button"
+          onClick={() => setMonth(addMonths(month, -1))}
+          disabled={month <= startOfMonth(minDate)}
+          className="px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Previous month"
+        >
+          ←
+        </button>
+        <p className="text-sm text-gray-700" aria-live="polite">
+          {isPickingCheckOut ? 'Now choose your check-out date' : 'Choose your check-in date'}
+          {isLoading && <span className="sr-only"> Loading prices…</span>}
+        </p>
+        <button
+          type="button"
+          onClick={() => setMonth(addMonths(month, 1))}
+          disabled={Boolean(maxDate) && secondMonth >= startOfMonth(maxDate)}
+          className="px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Next month"
+        >
+          →
+        </button>
+      </div>
+
+      <div className={`grid grid-cols-1 md:grid-cols-2 gap-6 ${isLoading ? 'opacity-70' : ''}`} aria-busy={isLoading}>
+        {renderMonth(month)}
+        {renderMonth(secondMonth)}
+      </div>
+
+      {loadError && (
+        <p className="mt-2 text-sm text-yellow-700" role="status">{loadError}</p>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <p className="text-gray-700" aria-live="polite">
+          {checkIn
+            ? <>
+                {formatDate(checkIn, { weekday: 'short', month: 'short', day: 'numeric' })}
+                {' – '}
+                {checkOut ? formatDate(checkOut, { weekday: 'short', month: 'short', day: 'numeric' }) : '…'}
+                {nights > 0 && ` · ${nights} night${nights === 1 ? '' : 's'}`}
+              </>
+            : 'No dates chosen'}
+        </p>
+        <p className="text-xs text-gray-500">
+          Nightly price of your rooms before taxes. Struck-through days are sold out.
+        </p>
+        {checkIn && (
+          <button type="button" onClick={handleClear} className="text-primary hover:underline">
+            Clear dates
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
@@ -1,15 +1,114 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
+import { validate } from '../../../shared/validation.mjs';
+import { bookingSchema } from '../../../shared/schemas.mjs';
+import PaymentFields from './PaymentFields';
+import RoomLineFields from './RoomLineFields';
+import AddOnFields from './AddOnFields';
+import AvailabilityCalendar from './AvailabilityCalendar';
+import { addDays, today } from '../utils/dates';
+import { formatCurrency } from '../utils/money';
+
+// Blank card details; they are cleared again once a payment goes through
+const EMPTY_PAYMENT = { cardName: '', cardNumber: '', expiry: '', cvc: '' };
+
+/**
+ * Lists the nights of a stay
+ *
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {string[]} Dates from check-in up to the day before check-out; empty until both are set
+ */
+const getStayDates = (checkIn, checkOut) => {
+  const dates = [];
+  if (!checkIn || !checkOut || checkOut <= checkIn) return dates;
+  
+  for (let day = checkIn; day < checkOut; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+  return dates;
+};
 
 const BookingForm = ({ visible, setVisible }) => {
-  // Room types with different price points
+  // Room types offered in the form; prices come from the server
   const roomTypes = [
-    { id: 2, name: "Adventure Room", price: 275 },
-    { id: 3, name: "Wellness Room", price: 350 },
-    { id: 1, name: "Athletic Suite", price: 500 }
+    { id: 2, name: "Adventure Room" },
+    { id: 3, name: "Wellness Room" },
+    { id: 1, name: "Athletic Suite" }
   ];
   
-  const [selectedRoomType, setSelectedRoomType] = useState(roomTypes[0].id); // Default to Adventure Room
+  // Base nightly rate and occupancy limits keyed by room type name
+  const [roomTypeDetails, setRoomTypeDetails] = useState({});
+  
+  useEffect(() => {
+    const fetchRoomTypes = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/room-types');
+        const details = {};
+        response.data.forEach(roomType => {
+          details[roomType.name] = roomType;
+        });
+        setRoomTypeDetails(details);
+      } catch (error) {
+        console.error('Error fetching room rates:', error);
+      }
+    };
+    
+    fetchRoomTypes();
+  }, []);
+  
+  // Group block looked up from the code the guest entered; while it is
+  // applied, only the block's room types, dates and group rates are offered
+  const [group, setGroup] = useState(null);
+  const [groupCodeInput, setGroupCodeInput] = useState('');
+  const [groupError, setGroupError] = useState('');
+  const [isCheckingGroup, setIsCheckingGroup] = useState(false);
+  
+  // Promo code as typed; it is applied by copying it into formData.promoCode,
+  // which re-prices the stay. The server says in the quote whether it applies.
+  const [promoCodeInput, setPromoCodeInput] = useState('');
+  
+  // Room types in display order, with whatever the server told us about them
+  const roomTypeOptions = roomTypes
+    .map(room => ({ ...room, ...roomTypeDetails[room.name] }))
+    .filter(room => !group || group.roomTypes.some(allocation => allocation.roomType === room.name))
+    .map(room => {
+      const allocation = group?.roomTypes.find(candidate => candidate.roomType === room.name);
+      return allocation ? { ...room, nightlyRate: allocation.nightlyRate } : room;
+    });
+  
+  // Rate plans trade a lower price for less flexibility; each has its own cancellation policy
+  const [ratePlans, setRatePlans] = useState([]);
+  
+  useEffect(() => {
+    const fetchRatePlans = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/rate-plans');
+        setRatePlans(response.data);
+      } catch (error) {
+        console.error('Error fetching rate plans:', error);
+      }
+    };
+    
+    fetchRatePlans();
+  }, []);
+  
+  // Deposit and balance terms; a deposit is assumed until they load
+  const [paymentSettings, setPaymentSettings] = useState(null);
+  
+  useEffect(() => {
+    const fetchPaymentSettings = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/payments/settings');
+        setPaymentSettings(response.data);
+      } catch (error) {
+        console.error('Error fetching payment settings:', error);
+      }
+    };
+    
+    fetchPaymentSettings();
+  }, []);
+  
   const [formData, setFormData] = useState({
     fullName: '',
     email: '',
@@ -17,52 +116,197 @@ const BookingForm = ({ visible, setVisible }) => {
     checkIn: '',
     checkOut: '',
     message: '',
-    roomType: roomTypes[0].name
+    // One entry per room; starts with an Adventure Room for two adults
+    rooms: [{ roomType: roomTypes[0].name, adults: 2, children: 0, guestNames: [] }],
+    ratePlan: 'flexible',
+    groupCode: '',
+    promoCode: '',
+    addOns: []
   });
   
-  // Update room type in form data when selected room changes
-  useEffect(() => {
-    const selectedRoom = roomTypes.find(room => room.id === selectedRoomType);
-    if (selectedRoom) {
-      setFormData(prev => ({
-        ...prev,
-        roomType: selectedRoom.name
-      }));
-    }
-  }, [selectedRoomType]);
-  
+  const [paymentData, setPaymentData] = useState(EMPTY_PAYMENT);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitSuccess, setSubmitSuccess] = useState(false);
+  const [bookingReference, setBookingReference] = useState(''); // Reference for managing the booking later
+  const [accessToken, setAccessToken] = useState('');           // Signs the manage-booking link
+  const [depositPaid, setDepositPaid] = useState(0);             // Amount charged when booking
   const [submitError, setSubmitError] = useState('');
   
-  const validateForm = () => {
-    const newErrors = {};
+  // Free units per room type for the selected dates, keyed by room type name
+  const [availability, setAvailability] = useState({});
+  const [availabilityError, setAvailabilityError] = useState('');
+  
+  // Check what is actually free whenever the stay dates or group change
+  const { checkIn, checkOut, groupCode } = formData;
+  useEffect(() => {
+    if (!checkIn || !checkOut || new Date(checkOut) <= new Date(checkIn)) {
+      setAvailability({});
+      return;
+    }
+    
+    let isCurrent = true;
+    
+    const fetchAvailability = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/availability', {
+          params: { checkIn, checkOut, ...(groupCode && { groupCode }) }
+        });
+        
+        if (!isCurrent) return;
+        
+        const byRoomType = {};
+        response.data.roomTypes.forEach(summary => {
+          byRoomType[summary.roomType] = summary;
+        });
+        setAvailability(byRoomType);
+        setAvailabilityError('');
+      } catch (error) {
+        console.error('Availability check error:', error);
+        if (isCurrent) {
+          setAvailability({});
+          setAvailabilityError('We could not check availability right now. You can still send your request.');
+        }
+      }
+    };
+    
+    fetchAvailability();
+    
+    // Ignore responses for dates the guest has already changed
+    return () => {
+      isCurrent = false;
+    };
+  }, [checkIn, checkOut, groupCode]);
+  
+  // Add-on services, with what is left on each day of the stay once dates are chosen
+  const [addOnCatalog, setAddOnCatalog] = useState([]);
+  
+  useEffect(() => {
+    const hasDates = checkIn && checkOut && checkOut > checkIn;
+    let isCurrent = true;
+    
+    const fetchAddOns = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/add-ons', {
+          params: hasDates ? { checkIn, checkOut } : {}
+        });
+        if (isCurrent) setAddOnCatalog(response.data);
+      } catch (error) {
+        console.error('Error fetching add-ons:', error);
+      }
+    };
+    
+    fetchAddOns();
     
-    if (!formData.fullName.trim()) {
-      newErrors.fullName = 'Full name is required';
+    return () => {
+      isCurrent = false;
+    };
+  }, [checkIn, checkOut]);
+  
+  const stayDates = getStayDates(checkIn, checkOut);
+  const guestCount = formData.rooms.reduce((sum, room) => sum + room.adults + (room.children || 0), 0);
+  
+  // Room types the guest asked for more units of than are free for the dates
+  const findShortages = (rooms) => {
+    const requested = {};
+    rooms.forEach(room => {
+      requested[room.roomType] = (requested[room.roomType] || 0) + 1;
+    });
+    return Object.entries(requested)
+      .filter(([name, count]) => availability[name] && availability[name].availableUnits < count)
+      .map(([name]) => availability[name]);
+  };
+  
+  // Authoritative price breakdown from the server for the current selection
+  const [quote, setQuote] = useState(null);
+  
+  // Re-price the stay whenever the dates, rooms, rate plan, group, promo code or
+  // add-ons change; guest names do not change the price, so they are left out of the key
+  const { ratePlan, promoCode } = formData;
+  const quoteRoomsKey = JSON.stringify(formData.rooms.map(({ roomType, adults, children }) => ({ roomType, adults, children })));
+  const quoteAddOnsKey = JSON.stringify(formData.addOns);
+  useEffect(() => {
+    if (!checkIn || !checkOut || new Date(checkOut) <= new Date(checkIn)) {
+      setQuote(null);
+      return;
     }
     
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
-    } else if (!/^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i.test(formData.email)) {
-      newErrors.email = 'Invalid email address';
+    let isCurrent = true;
+    
+    const fetchQuote = async () => {
+      try {
+        const response = await axios.post('http://localhost:5000/api/quote', {
+          rooms: JSON.parse(quoteRoomsKey),
+          checkIn,
+          checkOut,
+          ratePlan,
+          ...(groupCode && { groupCode }),
+          ...(promoCode && { promoCode }),
+          addOns: JSON.parse(quoteAddOnsKey)
+        });
+        
+        if (isCurrent) {
+          setQuote(response.data);
+        }
+      } catch (error) {
+        console.error('Quote error:', error);
+        if (isCurrent) {
+          setQuote(null);
+        }
+      }
+    };
+    
+    fetchQuote();
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [checkIn, checkOut, quoteRoomsKey, ratePlan, groupCode, promoCode, quoteAddOnsKey]);
+  
+  // The deposit is only collected when the resort charges one; prepaid rates are paid in full
+  const selectedRatePlan = ratePlans.find(plan => plan.code === formData.ratePlan);
+  const isPrepaid = Boolean(selectedRatePlan?.prepaid);
+  const requiresPayment = isPrepaid || !paymentSettings || paymentSettings.depositPercent > 0;
+  let depositAmount = null;
+  if (quote && isPrepaid) {
+    depositAmount = quote.total;
+  } else if (quote && paymentSettings) {
+    depositAmount = Math.round(quote.total * paymentSettings.depositPercent) / 100;
+  }
+  
+  const validateForm = () => {
+    // Same rules the server applies to POST /api/bookings
+    const input = requiresPayment ? { ...formData, payment: paymentData } : formData;
+    const { errors: newErrors } = validate(bookingSchema, input, {
+      roomTypes: roomTypes.map(room => room.name),
+      ...(ratePlans.length > 0 && { ratePlans: ratePlans.map(plan => plan.code) }),
+      ...(addOnCatalog.length > 0 && { addOns: addOnCatalog.map(addOn => addOn.code) }),
+      today: today()
+    });
+    
+    if (!newErrors.checkOut && quote?.violations.length > 0) {
+      newErrors.checkOut = quote.violations[0];
     }
     
-    if (!formData.phone.trim()) {
-      newErrors.phone = 'Phone number is required';
-    } else if (!/^\d{10,15}$/.test(formData.phone.replace(/[()-\s]/g, ''))) {
-      newErrors.phone = 'Please enter a valid phone number';
+    // A code the server would not accept has to be fixed or removed first
+    if (formData.promoCode && quote?.promoError) {
+      newErrors.promoCode = quote.promoError;
     }
     
-    if (!formData.checkIn) {
-      newErrors.checkIn = 'Check-in date is required';
+    // Group rates only cover the nights of the group's block
+    if (group && !newErrors.checkIn && !newErrors.checkOut &&
+      (formData.checkIn < group.checkIn || formData.checkOut > group.checkOut)) {
+      newErrors.checkIn = `${group.name} stays must be between ${formatNightDate(group.checkIn)} and ${formatNightDate(group.checkOut)}.`;
     }
     
-    if (!formData.checkOut) {
-      newErrors.checkOut = 'Check-out date is required';
-    } else if (new Date(formData.checkOut) <= new Date(formData.checkIn)) {
-      newErrors.checkOut = 'Check-out date must be after check-in date';
+    const shortages = findShortages(formData.rooms);
+    if (shortages.length > 0) {
+      newErrors.rooms = shortages
+        .map(summary => summary.availableUnits === 0
+          ? `${summary.roomType} is sold out for these dates.`
+          : `Only ${summary.availableUnits} ${summary.roomType} left for these dates.`)
+        .concat('Please choose other rooms or different dates.')
+        .join(' ');
     }
     
     setErrors(newErrors);
@@ -85,23 +329,164 @@ const BookingForm = ({ visible, setVisible }) => {
     }
   };
   
-  const calculateTotalPrice = () => {
-    if (!formData.checkIn || !formData.checkOut) return 0;
+  /**
+   * Handles dates picked in the availability calendar
+   * 
+   * @param {string} checkIn - Check-in date, or '' when cleared
+   * @param {string} checkOut - Check-out date, or '' while it is being picked
+   */
+  const handleDatesChange = (checkIn, checkOut) => {
+    // Scheduled add-ons move to the first day when their day leaves the stay
+    const dates = getStayDates(checkIn, checkOut);
+    setFormData({
+      ...formData,
+      checkIn,
+      checkOut,
+      addOns: formData.addOns.map(selection => 'date' in selection && !dates.includes(selection.date)
+        ? { ...selection, date: dates[0] || '' }
+        : selection)
+    });
     
-    const checkIn = new Date(formData.checkIn);
-    const checkOut = new Date(formData.checkOut);
+    if (errors.checkIn || errors.checkOut) {
+      setErrors({
+        ...errors,
+        checkIn: '',
+        checkOut: ''
+      });
+    }
+  };
+  
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPaymentData({
+      ...paymentData,
+      [name]: value
+    });
     
-    if (checkOut <= checkIn) return 0;
+    // Clear the field error and any earlier decline
+    if (errors[`payment.${name}`] || errors.payment) {
+      setErrors({
+        ...errors,
+        [`payment.${name}`]: '',
+        payment: ''
+      });
+    }
+  };
+  
+  const handleRoomsChange = (rooms) => {
+    setFormData({
+      ...formData,
+      rooms
+    });
     
-    // Calculate the difference in days
-    const timeDiff = checkOut.getTime() - checkIn.getTime();
-    const nightsCount = Math.ceil(timeDiff / (1000 * 3600 * 24));
+    // Clear the errors of every room, since lines may have moved
+    setErrors(Object.fromEntries(
+      Object.entries(errors).filter(([field]) => field !== 'rooms' && !field.startsWith('rooms.'))
+    ));
+  };
+  
+  const handleAddOnsChange = (addOns) => {
+    setFormData({
+      ...formData,
+      addOns
+    });
     
-    // Get the current room price based on selection
-    const selectedRoom = roomTypes.find(room => room.id === selectedRoomType);
-    const pricePerNight = selectedRoom ? selectedRoom.price : 275; // Default to lowest price if not found
+    // Clear the errors of every add-on, since lines may have moved
+    setErrors(Object.fromEntries(
+      Object.entries(errors).filter(([field]) => field !== 'addOns' && !field.startsWith('addOns.'))
+    ));
+  };
+  
+  const handleApplyGroupCode = async () => {
+    const code = groupCodeInput.trim();
+    if (!code) return;
     
-    return nightsCount * pricePerNight;
+    setIsCheckingGroup(true);
+    setGroupError('');
+    
+    try {
+      const response = await axios.get(`http://localhost:5000/api/groups/${encodeURIComponent(code)}`);
+      const block = response.data;
+      const blockRoomTypes = block.roomTypes.map(allocation => allocation.roomType);
+      
+      setGroup(block);
+      setGroupCodeInput(block.code);
+      // Group stays use the block's dates, room types and the standard rate
+      // plan, and cannot be combined with a promo code
+      setPromoCodeInput('');
+      setFormData({
+        ...formData,
+        groupCode: block.code,
+        promoCode: '',
+        ratePlan: 'flexible',
+        checkIn: formData.checkIn || block.checkIn,
+        checkOut: formData.checkOut || block.checkOut,
+        rooms: formData.rooms.map(room => blockRoomTypes.includes(room.roomType)
+          ? room
+          : { ...room, roomType: blockRoomTypes[0] })
+      });
+      setErrors({});
+    } catch (error) {
+      console.error('Group code error:', error);
+      setGroupError(error.response?.data?.message || 'We could not check this group code. Please try again.');
+    } finally {
+      setIsCheckingGroup(false);
+    }
+  };
+  
+  const handleRemoveGroupCode = () => {
+    setGroup(null);
+    setGroupCodeInput('');
+    setGroupError('');
+    setFormData({
+      ...formData,
+      groupCode: ''
+    });
+  };
+  
+  const handleGroupCodeKeyDown = (e) => {
+    // Enter applies the code instead of submitting the booking
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      e.stopPropagation();
+      handleApplyGroupCode();
+    }
+  };
+  
+  const handleApplyPromoCode = () => {
+    const code = promoCodeInput.trim().toUpperCase();
+    if (!code) return;
+    
+    setPromoCodeInput(code);
+    setFormData({
+      ...formData,
+      promoCode: code
+    });
+    setErrors({
+      ...errors,
+      promoCode: ''
+    });
+  };
+  
+  const handleRemovePromoCode = () => {
+    setPromoCodeInput('');
+    setFormData({
+      ...formData,
+      promoCode: ''
+    });
+    setErrors({
+      ...errors,
+      promoCode: ''
+    });
+  };
+  
+  const handlePromoCodeKeyDown = (e) => {
+    // Enter applies the code instead of submitting the booking
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      e.stopPropagation();
+      handleApplyPromoCode();
+    }
   };
   
   const handleSubmit = async (e) => {
@@ -115,17 +500,20 @@ const BookingForm = ({ visible, setVisible }) => {
     setSubmitError('');
     
     try {
-      // Calculate price
-      const totalPrice = calculateTotalPrice();
-      
-      // Submit to backend API
+      // Submit to backend API with the total the guest was shown
       const response = await axios.post('http://localhost:5000/api/bookings', {
         ...formData,
-        totalPrice
+        totalPrice: quote?.total,
+        ...(requiresPayment && { payment: paymentData })
       });
       
       if (response.status === 200 || response.status === 201) {
         setSubmitSuccess(true);
+        setBookingReference(response.data.booking.reference);
+        setAccessToken(response.data.accessToken);
+        setDepositPaid(response.data.booking.payment?.paid || 0);
+        // Card details are never kept once the deposit is paid
+        setPaymentData(EMPTY_PAYMENT);
         // Reset form
         setFormData({
           fullName: '',
@@ -133,13 +521,30 @@ const BookingForm = ({ visible, setVisible }) => {
           phone: '',
           checkIn: '',
           checkOut: '',
-          message: ''
+          message: '',
+          rooms: formData.rooms.map(room => ({ ...room, guestNames: [] })),
+          ratePlan: formData.ratePlan,
+          groupCode: formData.groupCode,
+          promoCode: '',
+          addOns: []
         });
+        setPromoCodeInput('');
       } else {
         setSubmitError('Something went wrong. Please try again.');
       }
     } catch (error) {
       console.error('Booking submission error:', error);
+      
+      // Show the corrected price if it changed since the guest saw it
+      if (error.response?.data?.quote) {
+        setQuote(error.response.data.quote);
+      }
+      
+      // Highlight the fields the server rejected
+      if (error.response?.data?.errors) {
+        setErrors(error.response.data.errors);
+      }
+      
       setSubmitError(
         error.response?.data?.message || 
         'Failed to submit your booking request. Please try again later.'
@@ -162,10 +567,8 @@ const BookingForm = ({ visible, setVisible }) => {
     setSubmitError('');
   };
   
-  const minDate = () => {
-    const today = new Date();
-    return today.toISOString().split('T')[0];
-  };
+  const formatNightDate = (dateString) => 
+    new Date(`${dateString}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
   
   return (
     <div className={`bg-white rounded-lg shadow-xl p-6 lg:p-8 max-w-2xl mx-auto transition-all duration-300 ${
@@ -180,6 +583,23 @@ const BookingForm = ({ visible, setVisible }) => {
           <p className="mt-2 text-gray-600">
             Thank you for your booking request. We'll contact you shortly to confirm your reservation.
           </p>
+          {depositPaid > 0 && (
+            <p className="mt-2 text-gray-600">
+              {formatCurrency(depositPaid)} has been charged to your card.
+            </p>
+          )}
+          {bookingReference && (
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600">Your booking reference</p>
+              <p className="text-2xl font-bold text-primary tracking-wider">{bookingReference}</p>
+              <p className="mt-2 text-sm text-gray-600">
+                Keep it to{' '}
+                <a href={`/manage-booking?reference=${encodeURIComponent(bookingReference)}&token=${encodeURIComponent(accessToken)}`} className="text-accent hover:underline">
+                  view, change or cancel your booking
+                </a>.
+              </p>
+            </div>
+          )}
           <button
             onClick={handleClose}
             className="mt-6 btn-primary"
@@ -275,72 +695,227 @@ const BookingForm = ({ visible, setVisible }) => {
                 )}
               </div>
               
-              <div>
-                <label htmlFor="checkIn" className="block mb-2 text-sm font-medium text-gray-700">
-                  Check-in Date *
-                </label>
-                <input
-                  type="date"
-                  id="checkIn"
-                  name="checkIn"
-                  value={formData.checkIn}
-                  min={minDate()}
-                  onChange={handleChange}
-                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary ${
-                    errors.checkIn ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  aria-required="true"
-                  aria-invalid={!!errors.checkIn}
-                  aria-describedby={errors.checkIn ? "checkIn-error" : undefined}
+              <fieldset className="md:col-span-2">
+                <legend className="block mb-2 text-sm font-medium text-gray-700">
+                  Stay Dates *
+                </legend>
+                <AvailabilityCalendar
+                  checkIn={formData.checkIn}
+                  checkOut={formData.checkOut}
+                  rooms={formData.rooms}
+                  ratePlan={formData.ratePlan}
+                  groupCode={formData.groupCode}
+                  minDate={group && group.checkIn > today() ? group.checkIn : today()}
+                  maxDate={group?.checkOut}
+                  onChange={handleDatesChange}
+                  invalid={!!(errors.checkIn || errors.checkOut)}
+                  describedBy={[errors.checkIn && 'checkIn-error', errors.checkOut && 'checkOut-error'].filter(Boolean).join(' ') || undefined}
                 />
                 {errors.checkIn && (
                   <p id="checkIn-error" className="mt-1 text-sm text-red-600">
                     {errors.checkIn}
                   </p>
                 )}
-              </div>
-              
-              <div>
-                <label htmlFor="checkOut" className="block mb-2 text-sm font-medium text-gray-700">
-                  Check-out Date *
-                </label>
-                <input
-                  type="date"
-                  id="checkOut"
-                  name="checkOut"
-                  value={formData.checkOut}
-                  min={formData.checkIn || minDate()}
-                  onChange={handleChange}
-                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary ${
-                    errors.checkOut ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  aria-required="true"
-                  aria-invalid={!!errors.checkOut}
-                  aria-describedby={errors.checkOut ? "checkOut-error" : undefined}
-                />
                 {errors.checkOut && (
                   <p id="checkOut-error" className="mt-1 text-sm text-red-600">
                     {errors.checkOut}
                   </p>
                 )}
-              </div>
+              </fieldset>
               
               <div className="md:col-span-2">
-                <label htmlFor="roomType" className="block mb-2 text-sm font-medium text-gray-700">
-                  Room Type *
+                <label htmlFor="groupCode" className="block mb-2 text-sm font-medium text-gray-700">
+                  Group Code (optional)
                 </label>
-                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
-                  {roomTypes.map((room) => (
-                    <div key={room.id} 
-                      className={`border rounded-lg p-4 cursor-pointer transition-colors duration-200 ${selectedRoomType === room.id ? 'border-primary bg-primary/5' : 'border-gray-200 hover:border-gray-400'}`}
-                      onClick={() => setSelectedRoomType(room.id)}
+                {group ? (
+                  <div className="flex justify-between items-center p-3 bg-primary/5 border border-primary rounded-lg">
+                    <div className="text-sm text-gray-700">
+                      <p className="font-medium text-gray-900">{group.name} <span className="font-mono">({group.code})</span></p>
+                      <p>
+                        Group rates from {formatNightDate(group.checkIn)} to {formatNightDate(group.checkOut)}.
+                        Book by {formatNightDate(group.cutoffDate)}.
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={handleRemoveGroupCode}
+                      className="ml-4 text-sm text-red-600 hover:underline"
+                      aria-label="Remove group code"
                     >
-                      <div className="font-medium text-gray-900">{room.name}</div>
-                      <div className="text-accent font-bold mt-1">${room.price}/night</div>
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      id="groupCode"
+                      value={groupCodeInput}
+                      onChange={(e) => setGroupCodeInput(e.target.value)}
+                      onKeyDown={handleGroupCodeKeyDown}
+                      className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary ${
+                        groupError || errors.groupCode ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="e.g. GRP-7KQ2MX"
+                      maxLength={20}
+                      aria-invalid={!!(groupError || errors.groupCode)}
+                      aria-describedby={groupError || errors.groupCode ? "groupCode-error" : undefined}
+                    />
+                    <button
+                      type="button"
+                      onClick={handleApplyGroupCode}
+                      disabled={isCheckingGroup || !groupCodeInput.trim()}
+                      className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 disabled:opacity-50"
+                    >
+                      {isCheckingGroup ? 'Checking...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {(groupError || errors.groupCode) && (
+                  <p id="groupCode-error" className="mt-1 text-sm text-red-600">
+                    {groupError || errors.groupCode}
+                  </p>
+                )}
+              </div>
+              
+              {/* Promo codes cannot be combined with group rates */}
+              {!group && (
+                <div className="md:col-span-2">
+                  <label htmlFor="promoCode" className="block mb-2 text-sm font-medium text-gray-700">
+                    Promo Code (optional)
+                  </label>
+                  {formData.promoCode && quote?.promo ? (
+                    <div className="flex justify-between items-center p-3 bg-green-50 border border-green-600 rounded-lg">
+                      <p className="text-sm text-gray-700">
+                        <span className="font-mono font-medium text-gray-900">{quote.promo.code}</span> applied: {quote.promo.description}
+                        {quote.promo.discount > 0 && ` (you save ${formatCurrency(quote.promo.discount)})`}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={handleRemovePromoCode}
+                        className="ml-4 text-sm text-red-600 hover:underline"
+                        aria-label="Remove promo code"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        id="promoCode"
+                        value={promoCodeInput}
+                        onChange={(e) => setPromoCodeInput(e.target.value)}
+                        onKeyDown={handlePromoCodeKeyDown}
+                        className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary ${
+                          quote?.promoError || errors.promoCode ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                        placeholder="e.g. SPRING15"
+                        maxLength={20}
+                        aria-invalid={!!(quote?.promoError || errors.promoCode)}
+                        aria-describedby={quote?.promoError || errors.promoCode ? "promoCode-error" : undefined}
+                      />
+                      {formData.promoCode && promoCodeInput.trim().toUpperCase() === formData.promoCode ? (
+                        <button
+                          type="button"
+                          onClick={handleRemovePromoCode}
+                          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+                        >
+                          Remove
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={handleApplyPromoCode}
+                          disabled={!promoCodeInput.trim()}
+                          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 disabled:opacity-50"
+                        >
+                          Apply
+                        </button>
+                      )}
                     </div>
-                  ))}
+                  )}
+                  {formData.promoCode && !quote && !errors.promoCode && (
+                    <p className="mt-1 text-sm text-gray-500">Choose your dates to see the discount.</p>
+                  )}
+                  {(quote?.promoError || errors.promoCode) && (
+                    <p id="promoCode-error" className="mt-1 text-sm text-red-600">
+                      {quote?.promoError || errors.promoCode}
+                    </p>
+                  )}
                 </div>
-              </div>
+              )}
+              
+              <fieldset className="md:col-span-2">
+                <legend className="block mb-2 text-sm font-medium text-gray-700">
+                  Rooms *
+                </legend>
+                <RoomLineFields
+                  rooms={formData.rooms}
+                  roomTypes={roomTypeOptions}
+                  availability={availability}
+                  errors={errors}
+                  onChange={handleRoomsChange}
+                  idPrefix="booking-rooms"
+                />
+                {availabilityError && (
+                  <p className="mt-1 text-sm text-gray-500">{availabilityError}</p>
+                )}
+              </fieldset>
+              
+              {ratePlans.length > 0 && !group && (
+                <fieldset className="md:col-span-2">
+                  <legend className="block mb-2 text-sm font-medium text-gray-700">
+                    Rate *
+                  </legend>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    {ratePlans.map((plan) => (
+                      <label
+                        key={plan.code}
+                        className={`border rounded-lg p-4 cursor-pointer transition-colors duration-200 ${formData.ratePlan === plan.code ? 'border-primary bg-primary/5' : 'border-gray-200 hover:border-gray-400'}`}
+                      >
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="radio"
+                            name="ratePlan"
+                            value={plan.code}
+                            checked={formData.ratePlan === plan.code}
+                            onChange={handleChange}
+                            className="text-primary focus:ring-primary"
+                          />
+                          <span className="font-medium text-gray-900">{plan.name}</span>
+                        </div>
+                        {plan.adjustmentPercent !== 0 && (
+                          <div className="text-accent font-bold mt-1">{Math.abs(plan.adjustmentPercent)}% {plan.adjustmentPercent < 0 ? 'off' : 'extra'}</div>
+                        )}
+                        <div className="text-sm text-gray-500 mt-1">{plan.description}</div>
+                      </label>
+                    ))}
+                  </div>
+                  {errors.ratePlan && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {errors.ratePlan}
+                    </p>
+                  )}
+                </fieldset>
+              )}
+              
+              {addOnCatalog.length > 0 && (
+                <fieldset className="md:col-span-2">
+                  <legend className="block mb-2 text-sm font-medium text-gray-700">
+                    Add-ons (optional)
+                  </legend>
+                  <AddOnFields
+                    addOns={addOnCatalog}
+                    selected={formData.addOns}
+                    dates={stayDates}
+                    guests={guestCount}
+                    errors={errors}
+                    onChange={handleAddOnsChange}
+                    idPrefix="booking-add-ons"
+                  />
+                </fieldset>
+              )}
               
               <div className="md:col-span-2">
                 <label htmlFor="message" className="block mb-2 text-sm font-medium text-gray-700">
@@ -358,20 +933,107 @@ const BookingForm = ({ visible, setVisible }) => {
               </div>
             </div>
             
-            {formData.checkIn && formData.checkOut && new Date(formData.checkOut) > new Date(formData.checkIn) && (
+            {quote && (
               <div className="mt-6 p-4 bg-gray-50 rounded-lg">
-                <div className="flex justify-between items-center">
-                  <div>
-                    <p className="text-sm text-gray-600">Total Estimation:</p>
-                    <p className="text-lg font-semibold text-primary">${calculateTotalPrice()}</p>
+                {quote.violations.length > 0 && (
+                  <div className="mb-3 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg" role="alert">
+                    {quote.violations.map((violation) => (
+                      <p key={violation}>{violation}</p>
+                    ))}
+                  </div>
+                )}
+                {/* Each room is priced separately */}
+                {quote.rooms.map((line, index) => (
+                  <div key={index} className={index > 0 ? 'mt-3 pt-3 border-t border-gray-200' : ''}>
+                    {quote.rooms.length > 1 && (
+                      <p className="mb-1 text-sm font-medium text-gray-700">
+                        Room {index + 1}: {line.roomType} · {line.adults} adult{line.adults === 1 ? '' : 's'}
+                        {line.children > 0 && `, ${line.children} ${line.children === 1 ? 'child' : 'children'}`}
+                      </p>
+                    )}
+                    {line.ratesVary && (
+                      <details className="mb-3 text-sm text-gray-600">
+                        <summary className="cursor-pointer font-medium text-gray-700">Nightly rates</summary>
+                        <ul className="mt-2 space-y-1">
+                          {line.nightly.map((night) => (
+                            <li key={night.date} className="flex justify-between">
+                              <span>
+                                {formatNightDate(night.date)}
+                                {night.adjustments.length > 0 && (
+                                  <span className="text-gray-400"> ({night.adjustments.map(adjustment => adjustment.name).join(', ')})</span>
+                                )}
+                              </span>
+                              <span>{formatCurrency(night.rate)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
+                    <ul className="space-y-1 text-sm text-gray-600">
+                      {line.lineItems.map((item) => (
+                        <li key={item.code} className="flex justify-between">
+                          <span>{item.description}</span>
+                          <span>{formatCurrency(item.amount)}</span>
+                        </li>
+                      ))}
+                    </ul>
                   </div>
-                  <div className="text-sm text-gray-500">
-                    ${roomTypes.find(room => room.id === selectedRoomType)?.price} × {Math.ceil((new Date(formData.checkOut) - new Date(formData.checkIn)) / (1000 * 60 * 60 * 24))} nights
+                ))}
+                {quote.addOns?.length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-gray-200">
+                    <p className="mb-1 text-sm font-medium text-gray-700">Add-ons</p>
+                    <ul className="space-y-1 text-sm text-gray-600">
+                      {quote.addOns.map((addOn) => (
+                        <li key={`${addOn.code}-${addOn.date || ''}`} className="flex justify-between">
+                          <span>{addOn.description}</span>
+                          <span>{formatCurrency(addOn.amount)}</span>
+                        </li>
+                      ))}
+                    </ul>
                   </div>
+                )}
+                <div className="flex justify-between items-center mt-3 pt-3 border-t border-gray-200">
+                  <p className="text-sm text-gray-600">Total Estimation:</p>
+                  <p className="text-lg font-semibold text-primary">{formatCurrency(quote.total)}</p>
                 </div>
+                {depositAmount > 0 && (
+                  <div className="flex justify-between items-center mt-1">
+                    <p className="text-sm text-gray-600">
+                      {isPrepaid ? 'Due now (paid in full):' : `Deposit due now (${paymentSettings.depositPercent}%):`}
+                    </p>
+                    <p className="text-sm font-semibold text-gray-700">{formatCurrency(depositAmount)}</p>
+                  </div>
+                )}
+                {/* The policy is fixed when the booking is made, so show it before the guest commits */}
+                {quote.cancellationPolicy && (
+                  <div className="mt-3 pt-3 border-t border-gray-200 text-sm text-gray-600">
+                    <p className="font-medium text-gray-700">Cancellation policy ({quote.ratePlan.name})</p>
+                    <p>{quote.cancellationPolicy.description}</p>
+                    {quote.cancellationPolicy.freeCancellationUntil && (
+                      <p>Cancel by {formatNightDate(quote.cancellationPolicy.freeCancellationUntil)} for a full refund.</p>
+                    )}
+                  </div>
+                )}
               </div>
             )}
             
+            {requiresPayment && (
+              <fieldset className="mt-6">
+                <legend className="mb-2 text-lg font-semibold text-primary">{isPrepaid ? 'Payment' : 'Deposit Payment'}</legend>
+                {isPrepaid ? (
+                  <p className="mb-4 text-sm text-gray-600">
+                    The {selectedRatePlan.name} rate is paid in full now.
+                  </p>
+                ) : paymentSettings && (
+                  <p className="mb-4 text-sm text-gray-600">
+                    We charge a {paymentSettings.depositPercent}% deposit now. The balance is due {paymentSettings.balanceDueDays} days
+                    before check-in.
+                  </p>
+                )}
+                <PaymentFields values={paymentData} errors={errors} onChange={handlePaymentChange} idPrefix="booking-payment" />
+              </fieldset>
+            )}
+            
             <div className="mt-8 flex justify-end space-x-4">
               <button
                 type="button"
@@ -387,7 +1049,7 @@ const BookingForm = ({ visible, setVisible }) => {
                 className="btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
                 aria-label="Submit booking request"
               >
-                {isSubmitting ? 'Submitting...' : 'Submit Request'}
+                {isSubmitting ? 'Submitting...' : requiresPayment ? `Pay ${isPrepaid ? 'Now' : 'Deposit'} & Submit` : 'Submit Request'}
               </button>
             </div>
           </form>
@@ -92,6 +92,15 @@ const Footer = () => {
                   Book Now
                 </a>
               </li>
+              <li>
+                <a 
+                  href="/manage-booking" 
+                  className="text-gray-300 hover:text-white transition-colors"
+                  tabIndex="0"
+                >
+                  Manage My Booking
+                </a>
+              </li>
             </ul>
           </div>
           
@@ -103,6 +112,15 @@ const Footer = () => {
               <li className="text-gray-300">Rock Climbing</li>
               <li className="text-gray-300">Yoga Sessions</li>
               <li className="text-gray-300">Fitness Classes</li>
+              <li>
+                <a 
+                  href="/schedule" 
+                  className="text-gray-300 hover:text-white transition-colors"
+                  tabIndex="0"
+                >
+                  Class Schedule
+                </a>
+              </li>
             </ul>
           </div>
           
@@ -0,0 +1,63 @@
+/**
+ * Payment Fields Component
+ *
+ * Card details inputs shared by the booking form (deposit) and the manage
+ * booking page (balance). Values are { cardName, cardNumber, expiry, cvc };
+ * errors use the keys the shared validator gives a nested payment object,
+ * e.g. 'payment.cardNumber', plus 'payment' for a declined card.
+ */
+
+// Inputs in display order
+const PAYMENT_FIELDS = [
+  { name: 'cardName', label: 'Name on Card', type: 'text', autoComplete: 'cc-name', placeholder: 'John Doe', span: true },
+  { name: 'cardNumber', label: 'Card Number', type: 'text', autoComplete: 'cc-number', placeholder: '4242 4242 4242 4242', inputMode: 'numeric', span: true },
+  { name: 'expiry', label: 'Expiry (MM/YY)', type: 'text', autoComplete: 'cc-exp', placeholder: '12/30', inputMode: 'numeric' },
+  { name: 'cvc', label: 'Security Code', type: 'text', autoComplete: 'cc-csc', placeholder: '123', inputMode: 'numeric' }
+];
+
+const PaymentFields = ({ values, errors, onChange, idPrefix = 'payment' }) => (
+  <div>
+    {errors.payment && (
+      <div className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg" role="alert">
+        {errors.payment}
+      </div>
+    )}
+    <div className="grid grid-cols-2 gap-4">
+      {PAYMENT_FIELDS.map((field) => {
+        const id = `${idPrefix}-${field.name}`;
+        const error = errors[`payment.${field.name}`];
+
+        return (
+          <div key={field.name} className={field.span ? 'col-span-2' : ''}>
+            <label htmlFor={id} className="block mb-2 text-sm font-medium text-gray-700">
+              {field.label} *
+            </label>
+            <input
+              type={field.type}
+              id={id}
+              name={field.name}
+              value={values[field.name]}
+              onChange={onChange}
+              autoComplete={field.autoComplete}
+              inputMode={field.inputMode}
+              className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary ${
+                error ? 'border-red-500' : 'border-gray-300'
+              }`}
+              placeholder={field.placeholder}
+              aria-required="true"
+              aria-invalid={!!error}
+              aria-describedby={error ? `${id}-error` : undefined}
+            />
+            {error && (
+              <p id={`${id}-error`} className="mt-1 text-sm text-red-600">
+                {error}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default PaymentFields;
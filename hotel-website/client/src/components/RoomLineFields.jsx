@@ -0,0 +1,194 @@
+/**
+ * Room Line Fields Component
+ *
+ * Editor for the rooms of a booking, shared by the booking form and the
+ * manage booking page. Each line is { roomType, adults, children, guestNames };
+ * the adult and child choices stop at the occupancy of the line's room type
+ * and guest names are optional, one per guest. Errors use the keys the shared
+ * validator gives the rooms array, e.g. 'rooms.0.adults', plus 'rooms'.
+ */
+
+import { MAX_ROOMS_PER_BOOKING } from '../../../shared/schemas.mjs';
+
+// Used until the room type details have loaded
+const DEFAULT_LIMITS = { maxAdults: 2, maxOccupancy: 2 };
+
+/**
+ * Lists the whole numbers from start to end
+ *
+ * @param {number} start - First number
+ * @param {number} end - Last number (inclusive)
+ * @return {number[]} Numbers in order
+ */
+const range = (start, end) => Array.from({ length: Math.max(end - start + 1, 0) }, (_, index) => start + index);
+
+const RoomLineFields = ({ rooms, roomTypes, availability = {}, errors, onChange, idPrefix = 'rooms' }) => {
+  /**
+   * Returns the occupancy limits of a room type
+   *
+   * @param {string} name - Room type name
+   * @return {Object} { maxAdults, maxOccupancy }
+   */
+  const getLimits = (name) => roomTypes.find(roomType => roomType.name === name) || DEFAULT_LIMITS;
+
+  /**
+   * Replaces one room line, keeping its guests within the room's occupancy
+   *
+   * @param {number} index - Line index
+   * @param {Object} changes - Fields to change
+   */
+  const updateRoom = (index, changes) => {
+    onChange(rooms.map((room, roomIndex) => {
+      if (roomIndex !== index) return room;
+
+      const updated = { ...room, ...changes };
+      const { maxAdults, maxOccupancy } = getLimits(updated.roomType);
+      const adults = Math.min(updated.adults, maxAdults);
+      const children = Math.min(updated.children, maxOccupancy - adults);
+      return { ...updated, adults, children, guestNames: updated.guestNames.slice(0, adults + children) };
+    }));
+  };
+
+  const handleAddRoom = () => {
+    const roomType = rooms.length > 0 ? rooms[rooms.length - 1].roomType : roomTypes[0]?.name;
+    onChange([...rooms, { roomType, adults: 1, children: 0, guestNames: [] }]);
+  };
+
+  const handleRemoveRoom = (index) => {
+    onChange(rooms.filter((room, roomIndex) => roomIndex !== index));
+  };
+
+  const handleGuestNameChange = (index, guestIndex, value) => {
+    const guestNames = [...rooms[index].guestNames];
+    guestNames[guestIndex] = value;
+    updateRoom(index, { guestNames });
+  };
+
+  const selectClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div>
+      {errors.rooms && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg" role="alert">
+          {errors.rooms}
+        </div>
+      )}
+      <div className="space-y-4">
+        {rooms.map((room, index) => {
+          const id = `${idPrefix}-${index}`;
+          const { maxAdults, maxOccupancy } = getLimits(room.roomType);
+          const guests = room.adults + room.children;
+          const lineErrors = ['roomType', 'adults', 'children', 'guestNames']
+            .map(field => errors[`rooms.${index}.${field}`])
+            .filter(Boolean);
+
+          return (
+            <div key={index} className="border border-gray-200 rounded-lg p-4" role="group" aria-labelledby={`${id}-heading`}>
+              <div className="flex justify-between items-center mb-3">
+                <h4 id={`${id}-heading`} className="font-medium text-gray-900">Room {index + 1}</h4>
+                {rooms.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveRoom(index)}
+                    className="text-sm text-red-600 hover:underline"
+                    aria-label={`Remove room ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+                <div className="sm:col-span-2">
+                  <label htmlFor={`${id}-roomType`} className="block mb-2 text-sm font-medium text-gray-700">Room type *</label>
+                  <select
+                    id={`${id}-roomType`}
+                    value={room.roomType}
+                    onChange={(e) => updateRoom(index, { roomType: e.target.value })}
+                    className={selectClass}
+                    aria-invalid={!!errors[`rooms.${index}.roomType`]}
+                  >
+                    {roomTypes.map((roomType) => {
+                      const summary = availability[roomType.name];
+                      const soldOut = summary?.isAvailable === false;
+                      return (
+                        <option key={roomType.name} value={roomType.name} disabled={soldOut && roomType.name !== room.roomType}>
+                          {roomType.name}
+                          {roomType.nightlyRate ? ` - from $${roomType.nightlyRate}/night` : ''}
+                          {summary ? (soldOut ? ' (sold out)' : ` (${summary.availableUnits} left)`) : ''}
+                        </option>
+                      );
+                    })}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor={`${id}-adults`} className="block mb-2 text-sm font-medium text-gray-700">Adults *</label>
+                  <select
+                    id={`${id}-adults`}
+                    value={room.adults}
+                    onChange={(e) => updateRoom(index, { adults: Number(e.target.value) })}
+                    className={selectClass}
+                    aria-invalid={!!errors[`rooms.${index}.adults`]}
+                  >
+                    {range(1, maxAdults).map((count) => (
+                      <option key={count} value={count}>{count}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor={`${id}-children`} className="block mb-2 text-sm font-medium text-gray-700">Children</label>
+                  <select
+                    id={`${id}-children`}
+                    value={room.children}
+                    onChange={(e) => updateRoom(index, { children: Number(e.target.value) })}
+                    className={selectClass}
+                    aria-invalid={!!errors[`rooms.${index}.children`]}
+                  >
+                    {range(0, maxOccupancy - room.adults).map((count) => (
+                      <option key={count} value={count}>{count}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Sleeps up to {maxOccupancy} guests, at most {maxAdults} adults.
+              </p>
+              <details className="mt-3 text-sm">
+                <summary className="cursor-pointer text-gray-700">Guest names (optional)</summary>
+                <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {range(0, guests - 1).map((guestIndex) => (
+                    <input
+                      key={guestIndex}
+                      type="text"
+                      value={room.guestNames[guestIndex] || ''}
+                      onChange={(e) => handleGuestNameChange(index, guestIndex, e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                      placeholder={`Guest ${guestIndex + 1}`}
+                      aria-label={`Room ${index + 1}, guest ${guestIndex + 1} name`}
+                      maxLength={100}
+                    />
+                  ))}
+                </div>
+              </details>
+              {lineErrors.map((lineError) => (
+                <p key={lineError} className="mt-1 text-sm text-red-600">
+                  {lineError}
+                </p>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      {rooms.length < MAX_ROOMS_PER_BOOKING && (
+        <button
+          type="button"
+          onClick={handleAddRoom}
+          className="mt-4 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+        >
+          Add another room
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RoomLineFields;
@@ -1,28 +1,52 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
 const Rooms = ({ onRequestRoom }) => {
+  // Base nightly rates come from the server, keyed by room type name
+  const [nightlyRates, setNightlyRates] = useState({});
+  
+  useEffect(() => {
+    const fetchRoomTypes = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/room-types');
+        const rates = {};
+        response.data.forEach(roomType => {
+          rates[roomType.name] = roomType.nightlyRate;
+        });
+        setNightlyRates(rates);
+      } catch (error) {
+        console.error('Error fetching room rates:', error);
+      }
+    };
+    
+    fetchRoomTypes();
+  }, []);
+  
+  const lowestRate = Object.values(nightlyRates).length > 0 
+    ? Math.min(...Object.values(nightlyRates)) 
+    : null;
+  
   const rooms = [
     {
       id: 1,
       name: "Athletic Suite",
       image: "https://images.unsplash.com/photo-1590490360182-c33d57733427?ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D&auto=format&fit=crop&w=1000&q=80",
       description: "Our premium suite features a king bed, dedicated workout area with essential equipment, recovery amenities, and mountain views.",
-      features: ["In-room exercise equipment", "Recovery station", "Mountain view", "King bed", "Spa bathroom"],
-      price: 500
+      features: ["In-room exercise equipment", "Recovery station", "Mountain view", "King bed", "Spa bathroom"]
     },
     {
       id: 2,
       name: "Adventure Room",
       image: "https://images.unsplash.com/photo-1566665797739-1674de7a421a?ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D&auto=format&fit=crop&w=1000&q=80",
       description: "Perfect for outdoor enthusiasts, this room offers direct trail access, gear storage, and all the comforts you need after a day of adventure.",
-      features: ["Trail access", "Gear storage", "Queen bed", "Rain shower", "Trail maps"],
-      price: 275
+      features: ["Trail access", "Gear storage", "Queen bed", "Rain shower", "Trail maps"]
     },
     {
       id: 3,
       name: "Wellness Room",
       image: "https://images.unsplash.com/photo-1631049307264-da0ec9d70304?ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D&auto=format&fit=crop&w=1000&q=80",
       description: "Designed for relaxation and recovery, featuring ultra-comfortable bedding, in-room wellness amenities, and serene forest views.",
-      features: ["Meditation corner", "Aromatherapy", "Blackout curtains", "Queen bed", "Forest view"],
-      price: 350
+      features: ["Meditation corner", "Aromatherapy", "Blackout curtains", "Queen bed", "Forest view"]
     }
   ];
 
@@ -41,7 +65,7 @@ const Rooms = ({ onRequestRoom }) => {
       <div className="text-center mb-12">
         <h2 className="section-heading">Premium Accommodations</h2>
         <p className="text-gray-600 max-w-2xl mx-auto">
-          Choose from our range of rooms starting at $275 per night, all featuring athletic-focused amenities for the active traveler.
+          Choose from our range of rooms{lowestRate !== null && ` starting at $${lowestRate} per night`}, all featuring athletic-focused amenities for the active traveler.
         </p>
       </div>
 
@@ -74,7 +98,9 @@ const Rooms = ({ onRequestRoom }) => {
               </div>
               
               <div className="mt-auto pt-4 border-t border-gray-100">
-                <p className="text-lg font-bold text-primary mb-4">${room.price} per night</p>
+                <p className="text-lg font-bold text-primary mb-4">
+                  {nightlyRates[room.name] ? `From $${nightlyRates[room.name]} per night` : 'Rates vary by season'}
+                </p>
                 <button
                   onClick={handleRequestRoom}
                   onKeyDown={handleKeyDown}
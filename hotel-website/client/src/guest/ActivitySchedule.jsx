@@ -0,0 +1,167 @@
+/**
+ * Activity Schedule Component
+ *
+ * Public page listing the upcoming yoga sessions, fitness classes and
+ * guided climbs a week at a time, with how many spots are left. Guests
+ * staying at the resort sign up from "Manage my booking".
+ */
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { ACTIVITY_CATEGORIES } from '../../../shared/schemas.mjs';
+import { addDays, today } from '../utils/dates';
+
+// Days shown per page
+const WEEK_DAYS = 7;
+
+/**
+ * Formats a date string as a day heading
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} e.g. 'Wednesday, November 11'
+ */
+const formatDay = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric'
+});
+
+const ActivitySchedule = () => {
+  const todayDate = today();
+
+  const [from, setFrom] = useState(todayDate);      // First day shown
+  const [sessions, setSessions] = useState([]);     // Sessions of the week
+  const [category, setCategory] = useState('all');  // Category filter
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const to = addDays(from, WEEK_DAYS - 1);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const fetchSchedule = async () => {
+      try {
+        setIsLoading(true);
+        const response = await axios.get('http://localhost:5000/api/activities', { params: { from, to } });
+        if (isCurrent) {
+          setSessions(response.data.sessions);
+          setError('');
+        }
+      } catch (requestError) {
+        console.error('Error fetching schedule:', requestError);
+        if (isCurrent) setError('We could not load the schedule. Please try again later.');
+      } finally {
+        if (isCurrent) setIsLoading(false);
+      }
+    };
+
+    fetchSchedule();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [from, to]);
+
+  const shownSessions = sessions.filter(session => category === 'all' || session.category === category);
+  const days = [...new Set(shownSessions.map(session => session.date))];
+
+  return (
+    <div className="min-h-screen bg-light">
+      <header className="bg-white shadow-md">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <a href="/" className="text-xl font-bold text-primary">Alpine Athletics Resort</a>
+          <a href="/" className="text-gray-800 hover:text-accent transition-colors">Back to website</a>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-12">
+        <h1 className="section-heading text-center">Activity Schedule</h1>
+        <p className="text-gray-600 text-center mb-8">
+          Yoga, fitness classes and guided climbs, led by our instructors. Staying with us?
+          Reserve your spot from <a href="/manage-booking" className="text-primary hover:text-accent underline">Manage My Booking</a>.
+        </p>
+
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setFrom(addDays(from, -WEEK_DAYS))}
+              disabled={from <= todayDate}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label="Previous week"
+            >
+              ←
+            </button>
+            <span className="text-sm font-medium text-gray-700" aria-live="polite">
+              {formatDay(from)} – {formatDay(to)}
+            </span>
+            <button
+              onClick={() => setFrom(addDays(from, WEEK_DAYS))}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              aria-label="Next week"
+            >
+              →
+            </button>
+          </div>
+          <div>
+            <label htmlFor="schedule-category" className="sr-only">Category</label>
+            <select
+              id="schedule-category"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary"
+            >
+              <option value="all">All activities</option>
+              {ACTIVITY_CATEGORIES.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg" role="alert">{error}</div>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-600 text-center">Loading schedule...</p>
+        ) : days.length === 0 ? (
+          <p className="text-gray-600 text-center">No sessions are scheduled this week.</p>
+        ) : (
+          <div className="space-y-8">
+            {days.map((date) => (
+              <section key={date} aria-labelledby={`schedule-${date}`}>
+                <h2 id={`schedule-${date}`} className="text-lg font-semibold text-primary mb-3">{formatDay(date)}</h2>
+                <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-200">
+                  {shownSessions.filter(session => session.date === date).map((session) => (
+                    <li key={session.activityId} className={`p-4 flex flex-wrap justify-between gap-4 ${session.started ? 'opacity-50' : ''}`}>
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">{session.startTime}–{session.endTime}</p>
+                        <p className="font-semibold text-gray-900">{session.name}</p>
+                        <p className="text-sm text-gray-600">
+                          {session.category} with {session.instructor} · {session.location}
+                        </p>
+                        {session.description && <p className="mt-1 text-sm text-gray-500">{session.description}</p>}
+                      </div>
+                      <div className="text-sm text-right">
+                        {session.started ? (
+                          <span className="text-gray-500">Started</span>
+                        ) : session.spotsLeft > 0 && session.waitlisted === 0 ? (
+                          <span className="text-green-700">{session.spotsLeft} of {session.capacity} spots left</span>
+                        ) : (
+                          <span className="text-yellow-700">Full · waitlist open</span>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ActivitySchedule;
@@ -0,0 +1,686 @@
+/**
+ * Manage Booking Component
+ *
+ * Public page where guests look up their booking with its reference and
+ * email address, then check its status, change its dates or rooms (room
+ * types, guests and guest names), or cancel it. Changes are re-checked and re-priced by the server
+ * and are only possible until shortly before check-in. Guests also see what
+ * they have paid, can pay the outstanding balance by card, and see the
+ * cancellation policy of their rate and what a cancellation cost them.
+ * Guests with an upcoming stay can also sign up for activities (see
+ * StayActivities) and book spa treatments (see StaySpa).
+ *
+ * The link on the confirmation screen carries the booking's access token
+ * (?reference=...&token=...), which opens the booking without the email.
+ */
+
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { validate } from '../../../shared/validation.mjs';
+import { guestPaymentSchema } from '../../../shared/schemas.mjs';
+import PaymentFields from '../components/PaymentFields';
+import RoomLineFields from '../components/RoomLineFields';
+import StayActivities from './StayActivities';
+import StaySpa from './StaySpa';
+import { today } from '../utils/dates';
+import { formatCurrency } from '../utils/money';
+
+// Booking statuses that can still have activity sign-ups and spa appointments
+const STAY_EXTRA_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+// Blank card details for the balance payment form
+const EMPTY_PAYMENT = { cardName: '', cardNumber: '', expiry: '', cvc: '' };
+
+const ManageBooking = () => {
+  const [searchParams] = useSearchParams();
+
+  // Lookup form, prefilled from ?reference= links on the confirmation screen
+  const [lookup, setLookup] = useState({
+    reference: searchParams.get('reference') || '',
+    email: ''
+  });
+  const [isLookingUp, setIsLookingUp] = useState(false);
+
+  const [booking, setBooking] = useState(null);     // Redacted guest view of the booking
+  const [accessToken, setAccessToken] = useState(searchParams.get('token') || ''); // Proves ownership for changes
+  const [error, setError] = useState('');           // Error message
+  const [notice, setNotice] = useState('');         // Success message after a change
+
+  // Change form
+  const [isEditing, setIsEditing] = useState(false);
+  const [changes, setChanges] = useState({ checkIn: '', checkOut: '', rooms: [] });
+  const [changeErrors, setChangeErrors] = useState({}); // Room errors from the server
+  const [quote, setQuote] = useState(null);         // Price of the changed stay
+  const [isSaving, setIsSaving] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  // Balance payment form
+  const [isPaying, setIsPaying] = useState(false);
+  const [paymentData, setPaymentData] = useState(EMPTY_PAYMENT);
+  const [paymentErrors, setPaymentErrors] = useState({});
+  const [isSubmittingPayment, setIsSubmittingPayment] = useState(false);
+
+  // Room types the guest can switch to, with their occupancy limits
+  const [roomTypes, setRoomTypes] = useState([]);
+
+  useEffect(() => {
+    const fetchRoomTypes = async () => {
+      try {
+        const response = await axios.get('http://localhost:5000/api/room-types');
+        setRoomTypes(response.data);
+      } catch (fetchError) {
+        console.error('Error fetching room types:', fetchError);
+      }
+    };
+
+    fetchRoomTypes();
+  }, []);
+
+  // Open the booking straight away when the page is reached from a signed link
+  useEffect(() => {
+    const reference = searchParams.get('reference');
+    const token = searchParams.get('token');
+    if (!reference || !token) return;
+
+    const fetchBooking = async () => {
+      try {
+        setIsLookingUp(true);
+        const response = await axios.get(`http://localhost:5000/api/bookings/${encodeURIComponent(reference)}`, {
+          params: { token }
+        });
+        setBooking(response.data.booking);
+      } catch (fetchError) {
+        console.error('Error opening booking link:', fetchError);
+        setError('This booking link is not valid. Please look up your booking with your email address.');
+        setAccessToken('');
+      } finally {
+        setIsLookingUp(false);
+      }
+    };
+
+    fetchBooking();
+  }, [searchParams]);
+
+  // Re-price the changed stay whenever the guest edits it, on the booking's
+  // rate plan (and group rate, for group bookings); guest names do not change the price.
+  // Bookings made with a promo code are priced as a change to the booking, so
+  // the server applies the code's terms from when it was booked. Booked
+  // add-ons stay with the booking and are re-priced for the new dates
+  const { checkIn, checkOut } = changes;
+  const quoteRoomsKey = JSON.stringify(changes.rooms.map(({ roomType, adults, children }) => ({ roomType, adults, children })));
+  const ratePlan = booking?.ratePlan?.code;
+  const groupCode = booking?.quote?.group?.code;
+  const promoReference = booking?.quote?.promo ? booking.reference : null;
+  const addOnsKey = JSON.stringify(booking?.addOns || []);
+  useEffect(() => {
+    if (!isEditing || !checkIn || !checkOut || checkOut <= checkIn) {
+      setQuote(null);
+      return;
+    }
+
+    let isCurrent = true;
+
+    const fetchQuote = async () => {
+      try {
+        const response = await axios.post('http://localhost:5000/api/quote', {
+          rooms: JSON.parse(quoteRoomsKey),
+          checkIn,
+          checkOut,
+          ratePlan,
+          ...(groupCode && { groupCode }),
+          ...(promoReference && { reference: promoReference, token: accessToken }),
+          addOns: JSON.parse(addOnsKey)
+        });
+        if (isCurrent) setQuote(response.data);
+      } catch (quoteError) {
+        console.error('Quote error:', quoteError);
+        if (isCurrent) setQuote(null);
+      }
+    };
+
+    fetchQuote();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [isEditing, checkIn, checkOut, quoteRoomsKey, ratePlan, groupCode, promoReference, accessToken, addOnsKey]);
+
+  /**
+   * Handles changes to the lookup form
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleLookupChange = (e) => {
+    const { name, value } = e.target;
+    setLookup(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  /**
+   * Looks up the booking by reference and email
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleLookup = async (e) => {
+    e.preventDefault();
+
+    if (!lookup.reference.trim() || !lookup.email.trim()) {
+      setError('Please enter your booking reference and email address.');
+      return;
+    }
+
+    try {
+      setIsLookingUp(true);
+      const response = await axios.post('http://localhost:5000/api/guest/bookings/lookup', lookup);
+      setBooking(response.data.booking);
+      setAccessToken(response.data.accessToken);
+      setIsEditing(false);
+      setError('');
+      setNotice('');
+    } catch (lookupError) {
+      console.error('Booking lookup error:', lookupError);
+      setBooking(null);
+      setAccessToken('');
+      setError(lookupError.response?.data?.message || 'We could not look up your booking. Please try again later.');
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  /**
+   * Opens the change form with the booking's current details
+   */
+  const handleStartEditing = () => {
+    setChanges({
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut,
+      rooms: booking.rooms.map(room => ({ ...room, guestNames: [...room.guestNames] }))
+    });
+    setChangeErrors({});
+    setIsEditing(true);
+    setError('');
+    setNotice('');
+  };
+
+  /**
+   * Handles changes to the change form
+   *
+   * @param {Event} e - Input change event
+   */
+  const handleChangesChange = (e) => {
+    const { name, value } = e.target;
+    setChanges(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  /**
+   * Handles changes to the rooms in the change form
+   *
+   * @param {Object[]} rooms - Updated room lines
+   */
+  const handleRoomsChange = (rooms) => {
+    setChanges(prev => ({ ...prev, rooms }));
+    setChangeErrors({});
+  };
+
+  /**
+   * Submits new dates or rooms
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSaveChanges = async (e) => {
+    e.preventDefault();
+
+    if (!checkIn || !checkOut || checkOut <= checkIn) {
+      setError('Check-out date must be after check-in date.');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await axios.put(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(booking.reference)}`,
+        { token: accessToken, ...changes, totalPrice: quote?.total }
+      );
+      setBooking(response.data.booking);
+      setIsEditing(false);
+      setNotice(response.data.message);
+      setError('');
+    } catch (saveError) {
+      console.error('Booking change error:', saveError);
+
+      // Show the corrected price if it changed since the guest saw it
+      if (saveError.response?.data?.quote) {
+        setQuote(saveError.response.data.quote);
+      }
+
+      // Point at the rooms the server rejected
+      setChangeErrors(saveError.response?.data?.errors || {});
+
+      setError(saveError.response?.data?.message || 'We could not change your booking. Please try again later.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Cancels the booking after confirmation
+   */
+  const handleCancelBooking = async () => {
+    const policy = booking.cancellationPolicy?.description;
+    if (!window.confirm(`Cancel this booking? This cannot be undone.${policy ? `\n\n${policy}` : ''}`)) return;
+
+    try {
+      setIsCancelling(true);
+      const response = await axios.post(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(booking.reference)}/cancel`,
+        { token: accessToken }
+      );
+      setBooking(response.data.booking);
+      setIsEditing(false);
+      setNotice(response.data.message);
+      setError('');
+    } catch (cancelError) {
+      console.error('Booking cancellation error:', cancelError);
+      setError(cancelError.response?.data?.message || 'We could not cancel your booking. Please try again later.');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  /**
+   * Opens the balance payment form
+   */
+  const handleStartPaying = () => {
+    setPaymentData(EMPTY_PAYMENT);
+    setPaymentErrors({});
+    setIsPaying(true);
+    setError('');
+    setNotice('');
+  };
+
+  /**
+   * Handles changes to the card details
+   *
+   * @param {Event} e - Input change event
+   */
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPaymentData(prev => ({ ...prev, [name]: value }));
+    setPaymentErrors(prev => ({ ...prev, [`payment.${name}`]: '', payment: '' }));
+  };
+
+  /**
+   * Pays the outstanding balance with the entered card
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handlePayBalance = async (e) => {
+    e.preventDefault();
+
+    // Same rules the server applies to the payment request
+    const payload = { token: accessToken, payment: paymentData };
+    const { errors: validationErrors } = validate(guestPaymentSchema, payload);
+    if (Object.keys(validationErrors).length > 0) {
+      setPaymentErrors(validationErrors);
+      return;
+    }
+
+    try {
+      setIsSubmittingPayment(true);
+      const response = await axios.post(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(booking.reference)}/payments`,
+        payload
+      );
+      setBooking(response.data.booking);
+      setIsPaying(false);
+      setPaymentData(EMPTY_PAYMENT);
+      setNotice(response.data.message);
+      setError('');
+    } catch (paymentError) {
+      console.error('Balance payment error:', paymentError);
+      setPaymentErrors(paymentError.response?.data?.errors || {
+        payment: paymentError.response?.data?.message || 'We could not take your payment. Please try again later.'
+      });
+    } finally {
+      setIsSubmittingPayment(false);
+    }
+  };
+
+  /**
+   * Formats a 'YYYY-MM-DD' date for display
+   *
+   * @param {string} dateString - Date string
+   * @return {string} Formatted date
+   */
+  const formatDate = (dateString) =>
+    new Date(`${dateString}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+  /**
+   * Returns CSS class names for status badges based on status value
+   *
+   * @param {string} status - Booking status (pending, confirmed, checked-in, checked-out, completed, cancelled, no-show, declined)
+   * @return {string} CSS class names
+   */
+  const getStatusBadgeClass = (status) => {
+    switch(status) {
+      case 'pending':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'confirmed':
+        return 'bg-green-100 text-green-800';
+      case 'checked-in':
+      case 'checked-out':
+        return 'bg-indigo-100 text-indigo-800';
+      case 'cancelled':
+      case 'declined':
+      case 'no-show':
+        return 'bg-red-100 text-red-800';
+      case 'completed':
+        return 'bg-blue-100 text-blue-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const todayDate = today();
+  const inputClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="min-h-screen bg-light">
+      <header className="bg-white shadow-md">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <a href="/" className="text-xl font-bold text-primary">Alpine Athletics Resort</a>
+          <a href="/" className="text-gray-800 hover:text-accent transition-colors">Back to website</a>
+        </div>
+      </header>
+
+      <main className="max-w-2xl mx-auto px-4 py-12">
+        <h1 className="section-heading text-center">Manage My Booking</h1>
+        <p className="text-gray-600 text-center mb-8">
+          Enter the booking reference from your confirmation and the email address you booked with.
+        </p>
+
+        <form onSubmit={handleLookup} className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="reference" className="block mb-2 text-sm font-medium text-gray-700">Booking reference</label>
+              <input id="reference" name="reference" type="text" value={lookup.reference} onChange={handleLookupChange} className={`${inputClass} uppercase`} placeholder="AAR-XXXXXX" autoComplete="off" />
+            </div>
+            <div>
+              <label htmlFor="email" className="block mb-2 text-sm font-medium text-gray-700">Email address</label>
+              <input id="email" name="email" type="email" value={lookup.email} onChange={handleLookupChange} className={inputClass} placeholder="your@email.com" autoComplete="email" />
+            </div>
+          </div>
+          <div className="mt-6 flex justify-end">
+            <button type="submit" disabled={isLookingUp} className="btn-primary disabled:opacity-70 disabled:cursor-not-allowed">
+              {isLookingUp ? 'Looking up...' : 'Find my booking'}
+            </button>
+          </div>
+        </form>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg" role="alert">
+            {error}
+          </div>
+        )}
+
+        {notice && (
+          <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg" role="status">
+            {notice}
+          </div>
+        )}
+
+        {booking && (
+          <section className="bg-white rounded-lg shadow-md p-6" aria-labelledby="booking-heading">
+            <div className="flex justify-between items-start mb-6">
+              <div>
+                <h2 id="booking-heading" className="text-2xl font-semibold text-primary">{booking.reference}</h2>
+                <p className="text-gray-600">{booking.fullName}</p>
+              </div>
+              <span className={`px-3 py-1 text-sm font-semibold rounded-full ${getStatusBadgeClass(booking.status)}`}>
+                {booking.status}
+              </span>
+            </div>
+
+            <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+              <div>
+                <dt className="text-sm text-gray-500">Check-in</dt>
+                <dd className="font-medium text-gray-900">{formatDate(booking.checkIn)}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">Check-out</dt>
+                <dd className="font-medium text-gray-900">{formatDate(booking.checkOut)}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">Rooms</dt>
+                <dd className="font-medium text-gray-900">{booking.roomType}</dd>
+              </div>
+            </dl>
+
+            {/* One block per room: who is staying and what it costs */}
+            <div className="space-y-4 mb-2">
+              {booking.rooms.map((room, index) => {
+                const line = booking.quote?.rooms?.[index] || (index === 0 ? booking.quote : null);
+                const guestNames = room.guestNames.filter(Boolean);
+
+                return (
+                  <div key={index}>
+                    <p className="text-sm font-medium text-gray-700">
+                      {booking.rooms.length > 1 && `Room ${index + 1}: `}{room.roomType} · {room.adults} adult{room.adults === 1 ? '' : 's'}
+                      {room.children > 0 && `, ${room.children} ${room.children === 1 ? 'child' : 'children'}`}
+                    </p>
+                    {guestNames.length > 0 && (
+                      <p className="text-sm text-gray-500">{guestNames.join(', ')}</p>
+                    )}
+                    {line && (
+                      <ul className="mt-1 space-y-1 text-sm text-gray-600">
+                        {line.lineItems.map((item) => (
+                          <li key={item.code} className="flex justify-between">
+                            <span>{item.description}</span>
+                            <span>{formatCurrency(item.amount)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+              {booking.quote?.addOns?.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Add-ons</p>
+                  <ul className="mt-1 space-y-1 text-sm text-gray-600">
+                    {booking.quote.addOns.map((addOn) => (
+                      <li key={`${addOn.code}-${addOn.date || ''}`} className="flex justify-between">
+                        <span>{addOn.description}</span>
+                        <span>{formatCurrency(addOn.amount)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+            <div className="flex justify-between items-center pt-3 border-t border-gray-200 mb-6">
+              <p className="text-sm text-gray-600">Total</p>
+              <p className="text-lg font-semibold text-primary">{formatCurrency(booking.totalPrice)}</p>
+            </div>
+
+            {booking.cancellation ? (
+              <div className="mb-6 p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
+                <p className="font-medium text-gray-700">Cancellation</p>
+                <p>{booking.cancellation.reason}.</p>
+                <p>Charge: {formatCurrency(booking.cancellation.retained)} · Refunded: {formatCurrency(booking.cancellation.refunded)}</p>
+              </div>
+            ) : booking.cancellationPolicy && (
+              <div className="mb-6 text-sm text-gray-600">
+                <p className="font-medium text-gray-700">{booking.ratePlan.name}</p>
+                {booking.quote?.group && <p>Booked with the {booking.quote.group.name} group rate.</p>}
+                {booking.quote?.promo && (
+                  <p>Promo code {booking.quote.promo.code} ({booking.quote.promo.description}) saves {formatCurrency(booking.quote.promo.discount)}.</p>
+                )}
+                <p>{booking.cancellationPolicy.description}</p>
+                {booking.cancellationPolicy.freeCancellationUntil && (
+                  <p>Free cancellation until {formatDate(booking.cancellationPolicy.freeCancellationUntil)}.</p>
+                )}
+              </div>
+            )}
+
+            {booking.payment && (
+              <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                <dl className="space-y-1 text-sm">
+                  <div className="flex justify-between">
+                    <dt className="text-gray-600">Paid</dt>
+                    <dd className="font-medium text-gray-900">{formatCurrency(booking.payment.paid)}</dd>
+                  </div>
+                  {booking.payment.refunded > 0 && (
+                    <div className="flex justify-between">
+                      <dt className="text-gray-600">Refunded</dt>
+                      <dd className="font-medium text-gray-900">{formatCurrency(booking.payment.refunded)}</dd>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <dt className="text-gray-600">Balance due</dt>
+                    <dd className="font-medium text-gray-900">
+                      {formatCurrency(booking.payment.outstanding)}
+                      {booking.payment.outstanding > 0 && ` by ${formatDate(booking.payment.balanceDueDate)}`}
+                    </dd>
+                  </div>
+                </dl>
+
+                {booking.payment.outstanding > 0 && (isPaying ? (
+                  <form onSubmit={handlePayBalance} className="mt-4 pt-4 border-t border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Pay the balance</h3>
+                    <PaymentFields values={paymentData} errors={paymentErrors} onChange={handlePaymentChange} idPrefix="balance-payment" />
+                    <div className="mt-6 flex justify-end space-x-4">
+                      <button
+                        type="button"
+                        onClick={() => setIsPaying(false)}
+                        className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+                      >
+                        Not now
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={isSubmittingPayment}
+                        className="btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                      >
+                        {isSubmittingPayment ? 'Paying...' : `Pay ${formatCurrency(booking.payment.outstanding)}`}
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="mt-4 flex justify-end">
+                    <button onClick={handleStartPaying} className="btn-primary">
+                      Pay balance
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!booking.policy.canChange ? (
+              <p className="text-sm text-gray-600">{booking.policy.reason}</p>
+            ) : isEditing ? (
+              <form onSubmit={handleSaveChanges} className="border-t border-gray-200 pt-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Change dates or rooms</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label htmlFor="change-checkIn" className="block mb-2 text-sm font-medium text-gray-700">Check-in</label>
+                    <input id="change-checkIn" name="checkIn" type="date" min={todayDate} value={checkIn} onChange={handleChangesChange} className={inputClass} />
+                  </div>
+                  <div>
+                    <label htmlFor="change-checkOut" className="block mb-2 text-sm font-medium text-gray-700">Check-out</label>
+                    <input id="change-checkOut" name="checkOut" type="date" min={checkIn || todayDate} value={checkOut} onChange={handleChangesChange} className={inputClass} />
+                  </div>
+                </div>
+                <RoomLineFields
+                  rooms={changes.rooms}
+                  roomTypes={roomTypes}
+                  errors={changeErrors}
+                  onChange={handleRoomsChange}
+                  idPrefix="change-rooms"
+                />
+
+                {quote && (
+                  <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+                    {quote.violations.length > 0 && (
+                      <div className="mb-3 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg" role="alert">
+                        {quote.violations.map((violation) => (
+                          <p key={violation}>{violation}</p>
+                        ))}
+                      </div>
+                    )}
+                    {quote.promoError && (
+                      <div className="mb-3 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg" role="alert">
+                        {quote.promoError}
+                      </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <p className="text-sm text-gray-600">New total</p>
+                      <p className="text-lg font-semibold text-primary">{formatCurrency(quote.total)}</p>
+                    </div>
+                  </div>
+                )}
+
+                <p className="mt-4 text-sm text-gray-500">
+                  Changed bookings are confirmed again by our front desk.
+                </p>
+
+                <div className="mt-6 flex justify-end space-x-4">
+                  <button
+                    type="button"
+                    onClick={() => setIsEditing(false)}
+                    className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+                  >
+                    Keep current booking
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isSaving || quote?.violations.length > 0 || Boolean(quote?.promoError)}
+                    className="btn-primary disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    {isSaving ? 'Saving...' : 'Save changes'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="border-t border-gray-200 pt-6">
+                <p className="text-sm text-gray-600 mb-4">
+                  You can change or cancel this booking online until {formatDate(booking.policy.deadline)}.
+                </p>
+                {!booking.ratePlan.changeable && (
+                  <p className="text-sm text-gray-600 mb-4">
+                    Bookings on the {booking.ratePlan.name} rate cannot be changed.
+                  </p>
+                )}
+                <div className="flex flex-wrap gap-4">
+                  {booking.ratePlan.changeable && (
+                    <button onClick={handleStartEditing} className="btn-primary">
+                      Change dates or rooms
+                    </button>
+                  )}
+                  <button
+                    onClick={handleCancelBooking}
+                    disabled={isCancelling}
+                    className="px-6 py-2 border border-red-300 rounded-lg text-red-700 hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 disabled:opacity-70"
+                  >
+                    {isCancelling ? 'Cancelling...' : 'Cancel booking'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </section>
+        )}
+
+        {booking && accessToken && STAY_EXTRA_STATUSES.includes(booking.status) && (
+          <>
+            <StayActivities booking={booking} accessToken={accessToken} />
+            <StaySpa booking={booking} accessToken={accessToken} />
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ManageBooking;
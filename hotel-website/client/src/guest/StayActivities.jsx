@@ -0,0 +1,242 @@
+/**
+ * Stay Activities Component
+ *
+ * Part of the "Manage my booking" page: the yoga sessions, fitness classes
+ * and guided climbs that run during the guest's stay. Guests with a
+ * confirmed booking sign up for as many of their party as they like; full
+ * sessions put them on the waitlist, and they are emailed when a spot opens
+ * up. The server checks every sign-up again.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+/**
+ * Formats a date string as a day heading
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} e.g. 'Wed, Nov 11'
+ */
+const formatDay = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * StayActivities Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Guest view of the booking
+ * @param {string} props.accessToken - The booking's access token
+ */
+const StayActivities = ({ booking, accessToken }) => {
+  const [sessions, setSessions] = useState([]);          // Sessions during the stay
+  const [canSignUp, setCanSignUp] = useState(false);     // Whether the booking can take new sign-ups
+  const [reason, setReason] = useState('');              // Why it cannot, if so
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [participants, setParticipants] = useState({});  // Party size chosen per session
+  const [busySession, setBusySession] = useState(null);  // Session with a request in progress
+
+  const guests = booking.rooms.reduce((sum, room) => sum + room.adults + (room.children || 0), 0);
+  const { reference, checkIn, checkOut, status } = booking;
+
+  /**
+   * Loads the sessions of the stay with the guest's sign-ups
+   */
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(reference)}/activities`,
+        { params: { token: accessToken } }
+      );
+      setSessions(response.data.sessions);
+      setCanSignUp(response.data.canSignUp);
+      setReason(response.data.reason || '');
+      setError('');
+    } catch (requestError) {
+      console.error('Error fetching activities:', requestError);
+      setError(requestError.response?.data?.message || 'We could not load the activity schedule.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [reference, accessToken]);
+
+  // Reload when the stay or its status changes
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions, checkIn, checkOut, status]);
+
+  /**
+   * Returns the key of a session
+   *
+   * @param {Object} session - Session from the API
+   * @return {string} Unique key of the session
+   */
+  const sessionKey = (session) => `${session.activityId}|${session.date}`;
+
+  /**
+   * Signs the guest up for a session, or puts them on its waitlist
+   *
+   * @param {Object} session - Session to join
+   */
+  const handleSignUp = async (session) => {
+    const key = sessionKey(session);
+
+    try {
+      setBusySession(key);
+      setNotice('');
+      const response = await axios.post(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(reference)}/activities`,
+        {
+          token: accessToken,
+          activityId: session.activityId,
+          date: session.date,
+          participants: participants[key] || 1
+        }
+      );
+      setNotice(response.data.message);
+      await fetchSessions();
+    } catch (requestError) {
+      console.error('Error signing up:', requestError);
+      setError(requestError.response?.data?.message || 'We could not sign you up. Please try again.');
+    } finally {
+      setBusySession(null);
+    }
+  };
+
+  /**
+   * Cancels the guest's sign-up for a session
+   *
+   * @param {Object} session - Session with the guest's sign-up
+   */
+  const handleDropOut = async (session) => {
+    const leaving = session.signup.status === 'waitlisted' ? 'leave the waitlist for' : 'cancel your spot in';
+    if (!window.confirm(`Do you want to ${leaving} ${session.name} on ${formatDay(session.date)}?`)) return;
+
+    try {
+      setBusySession(sessionKey(session));
+      setNotice('');
+      const response = await axios.post(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(reference)}/activities/${session.signup.id}/cancel`,
+        { token: accessToken }
+      );
+      setNotice(response.data.message);
+      await fetchSessions();
+    } catch (requestError) {
+      console.error('Error cancelling sign-up:', requestError);
+      setError(requestError.response?.data?.message || 'We could not cancel your sign-up. Please try again.');
+    } finally {
+      setBusySession(null);
+    }
+  };
+
+  // Sessions grouped by day, in order
+  const days = [...new Set(sessions.map(session => session.date))];
+
+  return (
+    <section className="bg-white rounded-lg shadow-md p-6 mt-8" aria-labelledby="stay-activities-heading">
+      <h2 id="stay-activities-heading" className="text-xl font-semibold text-primary mb-2">Activities during your stay</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Reserve a spot in our yoga sessions, fitness classes and guided climbs. <a href="/schedule" className="text-primary hover:text-accent underline">See the full schedule</a>.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg" role="alert">{error}</div>
+      )}
+      {notice && (
+        <div className="mb-4 p-3 bg-green-50 text-green-700 text-sm rounded-lg" role="status">{notice}</div>
+      )}
+      {!canSignUp && reason && !isLoading && (
+        <p className="mb-4 text-sm text-gray-600">{reason}.</p>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-600">Loading activities...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-600">There are no sessions scheduled during your stay.</p>
+      ) : (
+        <div className="space-y-6">
+          {days.map((date) => (
+            <div key={date}>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">{formatDay(date)}</h3>
+              <ul className="space-y-3">
+                {sessions.filter(session => session.date === date).map((session) => {
+                  const key = sessionKey(session);
+                  const id = `session-${session.activityId}-${session.date}`;
+                  const isFull = session.spotsLeft === 0 || session.waitlisted > 0;
+
+                  return (
+                    <li key={key} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex flex-wrap justify-between gap-2">
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {session.startTime}–{session.endTime} · {session.name}
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            {session.category} with {session.instructor} · {session.location}
+                          </p>
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          {session.spotsLeft > 0 ? `${session.spotsLeft} of ${session.capacity} spots left` : 'Full'}
+                          {session.waitlisted > 0 && ` · ${session.waitlisted} waiting`}
+                        </p>
+                      </div>
+
+                      <div className="mt-3 flex flex-wrap items-center gap-3">
+                        {session.signup ? (
+                          <>
+                            <span className={`px-2 py-1 text-xs font-semibold rounded-full ${session.signup.status === 'confirmed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                              {session.signup.status === 'confirmed'
+                                ? `Signed up · ${session.signup.participants} guest${session.signup.participants === 1 ? '' : 's'}`
+                                : `Waitlist #${session.signup.waitlistPosition} · ${session.signup.participants} guest${session.signup.participants === 1 ? '' : 's'}`}
+                            </span>
+                            {!session.started && (
+                              <button
+                                onClick={() => handleDropOut(session)}
+                                disabled={busySession === key}
+                                className="text-sm text-red-700 hover:text-red-900 focus:outline-none focus:underline disabled:opacity-70"
+                              >
+                                {session.signup.status === 'confirmed' ? 'Cancel my spot' : 'Leave waitlist'}
+                              </button>
+                            )}
+                          </>
+                        ) : session.started ? (
+                          <span className="text-sm text-gray-500">This session has started</span>
+                        ) : canSignUp && (
+                          <>
+                            <label htmlFor={`${id}-participants`} className="text-sm text-gray-700">Guests</label>
+                            <select
+                              id={`${id}-participants`}
+                              value={participants[key] || 1}
+                              onChange={(e) => setParticipants(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+                              className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary"
+                            >
+                              {Array.from({ length: Math.min(guests, session.capacity) }, (_, index) => index + 1).map((count) => (
+                                <option key={count} value={count}>{count}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() => handleSignUp(session)}
+                              disabled={busySession === key}
+                              className="btn-primary text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                              {isFull || (participants[key] || 1) > session.spotsLeft ? 'Join waitlist' : 'Sign up'}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default StayActivities;
@@ -0,0 +1,306 @@
+/**
+ * Stay Spa Component
+ *
+ * Part of the "Manage my booking" page: massages, physiotherapy and
+ * recovery treatments for a day of the guest's stay. Guests pick a
+ * treatment and a day, then one of the free times the server offers; the
+ * spa assigns a therapist and a room. Treatments are paid at the spa and
+ * can be cancelled online until they start.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { addDays, today } from '../utils/dates';
+
+/**
+ * Formats a date string as a short day
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @return {string} e.g. 'Wed, Nov 11'
+ */
+const formatDay = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Lists the days of a stay from today on, check-out day included
+ *
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {string[]} Dates (YYYY-MM-DD)
+ */
+const getStayDays = (checkIn, checkOut) => {
+  const todayDate = today();
+  const days = [];
+  for (let day = checkIn; day <= checkOut; day = addDays(day, 1)) {
+    if (day >= todayDate) days.push(day);
+  }
+  return days;
+};
+
+/**
+ * StaySpa Component
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Guest view of the booking
+ * @param {string} props.accessToken - The booking's access token
+ */
+const StaySpa = ({ booking, accessToken }) => {
+  const [treatments, setTreatments] = useState([]);      // Spa treatment catalog
+  const [appointments, setAppointments] = useState([]);  // The guest's booked treatments
+  const [canBook, setCanBook] = useState(false);         // Whether the booking can take new treatments
+  const [reason, setReason] = useState('');              // Why it cannot, if so
+  const [treatmentCode, setTreatmentCode] = useState(''); // Chosen treatment
+  const [date, setDate] = useState('');                  // Chosen day
+  const [slots, setSlots] = useState([]);                // Free times on that day
+  const [startTime, setStartTime] = useState('');        // Chosen time
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingSlots, setIsLoadingSlots] = useState(false);
+  const [isBooking, setIsBooking] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const { reference, checkIn, checkOut, status } = booking;
+  const stayDays = getStayDays(checkIn, checkOut);
+
+  /**
+   * Loads the guest's appointments
+   */
+  const fetchAppointments = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(reference)}/spa`,
+        { params: { token: accessToken } }
+      );
+      setAppointments(response.data.appointments);
+      setCanBook(response.data.canBook);
+      setReason(response.data.reason || '');
+    } catch (requestError) {
+      console.error('Error fetching spa appointments:', requestError);
+      setError(requestError.response?.data?.message || 'We could not load your spa appointments.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [reference, accessToken]);
+
+  /**
+   * Loads the free times of the chosen treatment and day
+   */
+  const fetchSlots = useCallback(async () => {
+    try {
+      setIsLoadingSlots(true);
+      const response = await axios.get('http://localhost:5000/api/spa/availability', {
+        params: { treatment: treatmentCode, date }
+      });
+      setSlots(response.data.slots);
+    } catch (requestError) {
+      console.error('Error fetching spa times:', requestError);
+      setError(requestError.response?.data?.message || 'We could not load the free times.');
+    } finally {
+      setIsLoadingSlots(false);
+    }
+  }, [treatmentCode, date]);
+
+  useEffect(() => {
+    axios.get('http://localhost:5000/api/spa/treatments')
+      .then(response => setTreatments(response.data))
+      .catch(requestError => console.error('Error fetching treatments:', requestError));
+  }, []);
+
+  // Reload when the stay or its status changes
+  useEffect(() => {
+    fetchAppointments();
+  }, [fetchAppointments, checkIn, checkOut, status]);
+
+  // Offer the free times once a treatment and a day are chosen
+  useEffect(() => {
+    setStartTime('');
+    setSlots([]);
+    if (treatmentCode && date) fetchSlots();
+  }, [treatmentCode, date, fetchSlots]);
+
+  /**
+   * Books the chosen treatment at the chosen time
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleBook = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsBooking(true);
+      setError('');
+      setNotice('');
+      const response = await axios.post(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(reference)}/spa`,
+        { token: accessToken, treatmentCode, date, startTime }
+      );
+      setNotice(response.data.message);
+      setStartTime('');
+      await Promise.all([fetchAppointments(), fetchSlots()]);
+    } catch (requestError) {
+      console.error('Error booking treatment:', requestError);
+      setError(requestError.response?.data?.message || 'We could not book the treatment. Please try again.');
+
+      // Someone else may have taken the time
+      if (requestError.response?.status === 409) fetchSlots();
+    } finally {
+      setIsBooking(false);
+    }
+  };
+
+  /**
+   * Cancels one of the guest's appointments
+   *
+   * @param {Object} appointment - Appointment to cancel
+   */
+  const handleCancel = async (appointment) => {
+    if (!window.confirm(`Do you want to cancel your ${appointment.treatmentName} on ${formatDay(appointment.date)} at ${appointment.startTime}?`)) return;
+
+    try {
+      setError('');
+      setNotice('');
+      const response = await axios.post(
+        `http://localhost:5000/api/guest/bookings/${encodeURIComponent(reference)}/spa/${appointment.id}/cancel`,
+        { token: accessToken }
+      );
+      setNotice(response.data.message);
+      await fetchAppointments();
+      if (treatmentCode && date) await fetchSlots();
+    } catch (requestError) {
+      console.error('Error cancelling treatment:', requestError);
+      setError(requestError.response?.data?.message || 'We could not cancel the treatment. Please try again.');
+    }
+  };
+
+  const selectClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-primary';
+  const chosenTreatment = treatments.find(treatment => treatment.code === treatmentCode);
+
+  return (
+    <section className="bg-white rounded-lg shadow-md p-6 mt-8" aria-labelledby="stay-spa-heading">
+      <h2 id="stay-spa-heading" className="text-xl font-semibold text-primary mb-2">Spa & recovery</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Book a massage, physiotherapy or a recovery session for any day of your stay. Treatments are paid at the spa.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg" role="alert">{error}</div>
+      )}
+      {notice && (
+        <div className="mb-4 p-3 bg-green-50 text-green-700 text-sm rounded-lg" role="status">{notice}</div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-600">Loading spa appointments...</p>
+      ) : (
+        <>
+          {appointments.length > 0 && (
+            <ul className="mb-6 space-y-3">
+              {appointments.map((appointment) => (
+                <li key={appointment.id} className="border border-gray-200 rounded-lg p-4 flex flex-wrap justify-between gap-2">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {formatDay(appointment.date)}, {appointment.startTime}–{appointment.endTime} · {appointment.treatmentName}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      With {appointment.therapistName} in the {appointment.roomName} · ${appointment.price}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleCancel(appointment)}
+                    className="text-sm text-red-700 hover:text-red-900 focus:outline-none focus:underline"
+                  >
+                    Cancel
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {!canBook ? (
+            reason && <p className="text-sm text-gray-600">{reason}.</p>
+          ) : stayDays.length === 0 ? (
+            <p className="text-sm text-gray-600">There are no days of your stay left to book treatments for.</p>
+          ) : (
+            <form onSubmit={handleBook} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="spa-treatment" className="block mb-1 text-sm font-medium text-gray-700">Treatment</label>
+                  <select
+                    id="spa-treatment"
+                    value={treatmentCode}
+                    onChange={(e) => setTreatmentCode(e.target.value)}
+                    className={selectClass}
+                  >
+                    <option value="">Choose a treatment</option>
+                    {treatments.map((treatment) => (
+                      <option key={treatment.code} value={treatment.code}>
+                        {treatment.name} ({treatment.durationMinutes} min, ${treatment.price})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="spa-date" className="block mb-1 text-sm font-medium text-gray-700">Day</label>
+                  <select
+                    id="spa-date"
+                    value={date}
+                    onChange={(e) => setDate(e.target.value)}
+                    className={selectClass}
+                  >
+                    <option value="">Choose a day</option>
+                    {stayDays.map((day) => (
+                      <option key={day} value={day}>{formatDay(day)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {chosenTreatment && (
+                <p className="text-sm text-gray-500">{chosenTreatment.description}</p>
+              )}
+
+              {treatmentCode && date && (
+                <fieldset>
+                  <legend className="block mb-2 text-sm font-medium text-gray-700">Time</legend>
+                  {isLoadingSlots ? (
+                    <p className="text-sm text-gray-600">Finding free times...</p>
+                  ) : slots.length === 0 ? (
+                    <p className="text-sm text-gray-600">There are no free times on this day. Please try another day.</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {slots.map((slot) => (
+                        <button
+                          key={slot.startTime}
+                          type="button"
+                          onClick={() => setStartTime(slot.startTime)}
+                          aria-pressed={startTime === slot.startTime}
+                          className={`px-3 py-1 text-sm rounded-lg border focus:outline-none focus:ring-2 focus:ring-primary ${startTime === slot.startTime ? 'bg-primary text-white border-primary' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                        >
+                          {slot.startTime}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </fieldset>
+              )}
+
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={!startTime || isBooking}
+                  className="btn-primary text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+                >
+                  {isBooking ? 'Booking...' : 'Book treatment'}
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default StaySpa;
@@ -4,6 +4,8 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import './index.css';
 import App from './App.jsx';
 import Admin from './admin/Admin.jsx';
+import ManageBooking from './guest/ManageBooking.jsx';
+import ActivitySchedule from './guest/ActivitySchedule.jsx';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -11,6 +13,8 @@ createRoot(document.getElementById('root')).render(
       <Routes>
         <Route path="/" element={<App />} />
         <Route path="/admin" element={<Admin />} />
+        <Route path="/manage-booking" element={<ManageBooking />} />
+        <Route path="/schedule" element={<ActivitySchedule />} />
       </Routes>
     </BrowserRouter>
   </StrictMode>,
@@ -0,0 +1,39 @@
+/**
+ * Date Helpers
+ *
+ * Stay and session dates are plain 'YYYY-MM-DD' strings, like on the server.
+ * Arithmetic is done in UTC so a day never shifts with the browser's time zone.
+ */
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns today's date in UTC, the calendar the server uses
+ *
+ * @return {string} Today (YYYY-MM-DD)
+ */
+export const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Adds days to a date string
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @return {string} New date (YYYY-MM-DD)
+ */
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Counts the nights from one date to another
+ *
+ * @param {string} from - Earlier date (YYYY-MM-DD), e.g. the check-in date
+ * @param {string} to - Later date (YYYY-MM-DD), e.g. the check-out date
+ * @return {number} Nights (days) between them; negative if to is earlier
+ */
+export const nightsBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
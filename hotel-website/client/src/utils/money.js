@@ -0,0 +1,16 @@
+/**
+ * Money Helpers
+ *
+ * Amounts from the API are plain numbers of US dollars.
+ */
+
+/**
+ * Formats an amount as US dollars
+ *
+ * @param {number} amount - Amount in US dollars
+ * @return {string} Formatted amount, e.g. '$120.00' or '-$40.00', or a dash if there is no amount
+ */
+export const formatCurrency = (amount) => {
+  if (typeof amount !== 'number') return '—';
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+};
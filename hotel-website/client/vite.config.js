@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // Validation rules in ../shared are used by both the client and the server.
+      // Only that folder is served, never ../server and its data files.
+      allow: ['.', '../shared'],
+    },
+  },
 })
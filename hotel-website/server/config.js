@@ -0,0 +1,78 @@
+/**
+ * Server Configuration
+ * 
+ * Settings read from environment variables, with defaults suitable for
+ * local development.
+ * 
+ *   STORAGE_DRIVER  'json' (default) or 'sqlite'
+ *   DATA_DIR        Directory for JSON files and the SQLite database (default: ./data)
+ *   SQLITE_FILE     SQLite database file (default: <DATA_DIR>/resort.db)
+ *   JSON_BACKUPS    Backups kept per JSON collection file (default: 5, 0 disables)
+ * 
+ *   SITE_URL        Public URL of the website, used in email links (default: http://localhost:5173)
+ *   MAIL_TRANSPORT  'file' (default) writes emails to MAIL_OUTBOX_DIR, 'smtp' sends them
+ *   MAIL_OUTBOX_DIR Directory for the file transport (default: <DATA_DIR>/outbox)
+ *   MAIL_FROM       Sender address (default: Alpine Athletics Resort <bookings@alpineathleticsresort.com>)
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *                   SMTP server for the smtp transport (default: localhost:1025, e.g. Mailpit or MailHog)
+ *   NOTIFICATION_INTERVAL_MINUTES
+ *                   How often reminders and thank-you emails are checked (default: 60, 0 disables)
+ * 
+ *   PAYMENT_PROVIDER           'fake' (default) charges test cards locally without a network
+ *   PAYMENT_DEPOSIT_PERCENT    Share of the total charged when booking (default: 30, 0 disables payment at booking)
+ *   PAYMENT_BALANCE_DUE_DAYS   Days before check-in the balance is due (default: 7)
+ *                              Cancellation refunds follow each rate plan's policy (services/ratePlans.js)
+ * 
+ *   ROOM_BLOCK_RELEASE_INTERVAL_MINUTES
+ *                   How often group blocks past their cutoff date are released (default: 60, 0 disables)
+ * 
+ *   ARRIVAL_CUTOFF  Time of day (HH:MM, UTC) after which guests who have not
+ *                   arrived are marked as no-shows (default: 23:00)
+ *   NO_SHOW_INTERVAL_MINUTES
+ *                   How often missed arrivals are checked (default: 15, 0 disables)
+ */
+
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+module.exports = {
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'json',
+    dataDir,
+    sqliteFile: process.env.SQLITE_FILE || path.join(dataDir, 'resort.db'),
+    backupCount: Number.parseInt(process.env.JSON_BACKUPS || '5', 10)
+  },
+  
+  siteUrl: (process.env.SITE_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+  
+  notifications: {
+    transport: process.env.MAIL_TRANSPORT || 'file',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(dataDir, 'outbox'),
+    from: process.env.MAIL_FROM || 'Alpine Athletics Resort <bookings@alpineathleticsresort.com>',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number.parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || ''
+    },
+    intervalMinutes: Number.parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES || '60', 10)
+  },
+  
+  payments: {
+    provider: process.env.PAYMENT_PROVIDER || 'fake',
+    currency: 'USD',
+    depositPercent: Number.parseFloat(process.env.PAYMENT_DEPOSIT_PERCENT || '30'),
+    balanceDueDays: Number.parseInt(process.env.PAYMENT_BALANCE_DUE_DAYS || '7', 10)
+  },
+  
+  roomBlocks: {
+    releaseIntervalMinutes: Number.parseInt(process.env.ROOM_BLOCK_RELEASE_INTERVAL_MINUTES || '60', 10)
+  },
+  
+  frontDesk: {
+    arrivalCutoff: process.env.ARRIVAL_CUTOFF || '23:00',
+    noShowIntervalMinutes: Number.parseInt(process.env.NO_SHOW_INTERVAL_MINUTES || '15', 10)
+  }
+};
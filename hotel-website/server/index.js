@@ -4,16 +4,49 @@
  * This is the main server file for the Alpine Athletics Resort website.
  * It provides API endpoints for booking management and admin operations.
  * 
- * The server uses Express.js with a file-based JSON storage system.
+ * The server uses Express.js. Data is kept in a pluggable storage layer
+ * (JSON files by default, or SQLite) - see storage/index.js.
  */
 
 // Required dependencies
 const express = require('express');        // Web server framework
+const { randomUUID } = require('crypto');  // Unguessable booking ids
 const cors = require('cors');             // Cross-Origin Resource Sharing middleware
 const bodyParser = require('body-parser'); // Request body parsing middleware
-const fs = require('fs').promises;        // File system operations with promises
 const path = require('path');             // Path manipulation utilities
 const auth = require('./middleware/auth'); // Custom authentication middleware
+const { requirePermission } = auth;        // Role-based permission checks for admin routes
+const { validateBody, requireAnyOf } = require('./middleware/validate'); // Request body validation
+const { bookingSchema, bookingChangeSchema, guestPaymentSchema, statusUpdateSchema, loginSchema, bookingMoveSchema, roomAssignmentSchema, checkInSchema, checkOutSchema, folioChargeSchema, folioVoidSchema, roomSchema, housekeepingUpdateSchema, roomBlockSchema, promoCodeSchema, activitySchema, activitySignupSchema, spaAppointmentSchema, spaCancelSchema, quoteSchema, guestLookupSchema, guestAccessSchema, staffUserSchema, staffUserUpdateSchema, rateRuleSchema, emailTemplateSchema } = require('../shared/schemas.mjs'); // Rules shared with the client
+const { hasErrors } = require('../shared/validation.mjs');                        // Result check shared with validateBody
+const adminUsers = require('./services/adminUsers');                              // Admin accounts and sessions
+const { ROLES, hasPermission, permissionForStatus } = require('./services/permissions'); // Staff roles
+const { ROOM_TYPES, getRoomType, getRoomTypeOfRoom } = require('./services/inventory'); // Room inventory model
+const { MAX_CALENDAR_NIGHTS, holdsInventory, getAvailability, findUnavailableRooms, findBlockShortages, validateStayDates } = require('./services/availability'); // Availability engine
+const { createBookingQuote, priceCalendarNights, matchesQuote } = require('./services/pricing'); // Pricing engine
+const bookingRooms = require('./services/bookingRooms');                          // Rooms and guests of a booking
+const ratePlans = require('./services/ratePlans');                                // Rate plans and their cancellation policies
+const { keepPassedDeadline } = require('./services/cancellationPolicy');          // Free cancellation deadlines
+const rateRules = require('./services/rateRules');                                // Seasonal and stay rules
+const roomBlocks = require('./services/roomBlocks');                              // Group room blocks
+const promoCodes = require('./services/promoCodes');                              // Promotional discount codes
+const addOns = require('./services/addOns');                                      // Gear rental, tours and meal plans
+const activities = require('./services/activities');                              // Activity schedule and sign-ups
+const spa = require('./services/spa');                                            // Spa treatments, therapists and rooms
+const tapeChart = require('./services/tapeChart');                                // Front desk occupancy chart
+const roomRegistry = require('./services/roomRegistry');                          // Rooms, assignments and housekeeping
+const frontDesk = require('./services/frontDesk');                                // Arrivals, departures and no-shows
+const folio = require('./services/folio');                                        // Guest folios and incidental charges
+const invoice = require('./services/invoice');                                    // Itemized HTML and PDF invoices
+const repositories = require('./storage');                                        // Storage layer (JSON or SQLite)
+const guestBookings = require('./services/guestBookings');                        // Guest self-service rules
+const bookingStatus = require('./services/bookingStatus');                        // Status lifecycle and history
+const notifications = require('./notifications');                                 // Guest emails
+const emailTemplates = require('./notifications/templates');                      // Email wording and placeholders
+const payments = require('./payments');                                           // Deposits, balances and refunds
+const config = require('./config');                                               // Environment settings
+const { createMutex } = require('./utils/mutex');                                 // Serializes check-then-write steps
+const { addDays, formatDate, eachNight, nightsBetween, isValidDateString } = require('./utils/dates'); // Calendar date helpers
 
 // Initialize Express application
 const app = express();
@@ -26,39 +59,560 @@ app.use(cors());                         // Enable CORS for all routes
 app.use(bodyParser.json());              // Parse JSON request bodies
 app.use(express.static(path.join(__dirname, 'public'))); // Serve static files from public directory
 
-// Define data storage paths
-const dataDir = path.join(__dirname, 'data');                 // Directory for data storage
-const bookingsFile = path.join(dataDir, 'bookings.json');     // File to store booking data
-const adminCredentialsFile = path.join(dataDir, 'admin.json'); // File for admin credentials (unused in this version)
+// Held while a new booking is checked against availability and saved,
+// so two guests cannot both be given the last room
+const inventoryLock = createMutex();
+
+// Held while activity sign-ups are checked and saved, so the last spot of a
+// session is only given out once
+const scheduleLock = createMutex();
+
+// Held while spa appointments are checked and saved, so a therapist or room
+// is never given two appointments at once
+const spaLock = createMutex();
+
+// Guest routes accept the booking's access token or its email as proof of ownership
+const requireGuestAccess = requireAnyOf(['token', 'email'], 'Access token or email is required');
+
+/**
+ * Returns the context values used to validate a new booking
+ * 
+ * Check-in may be "today" in any time zone, so the earliest date accepted
+ * is yesterday in UTC.
+ * 
+ * @return {Object} { roomTypes: string[], ratePlans: string[], addOns: string[], treatments: string[], today: string }
+ */
+const getBookingContext = () => ({
+  roomTypes: ROOM_TYPES.map(roomType => roomType.name),
+  ratePlans: ratePlans.RATE_PLANS.map(plan => plan.code),
+  addOns: addOns.ADD_ONS.map(addOn => addOn.code),
+  treatments: spa.TREATMENTS.map(treatment => treatment.code),
+  roomNumbers: ROOM_TYPES.flatMap(roomType => roomType.rooms),
+  today: addDays(formatDate(new Date()), -1)
+});
 
 /**
- * Ensures that the data directory and initial data files exist
+ * Loads the room registry in room number order
  * 
- * This function creates the data directory if it doesn't exist and initializes
- * an empty bookings.json file if needed. This prevents errors when reading from
- * or writing to these files for the first time.
+ * @async
+ * @return {Promise<Object[]>} Registry rooms
+ */
+const loadRooms = async () => (await repositories.rooms.all())
+  .sort((a, b) => a.roomNumber.localeCompare(b.roomNumber));
+
+/**
+ * Loads the rooms that are flagged as out of order
  * 
  * @async
- * @return {Promise<void>}
+ * @return {Promise<Object[]>} Registry rooms to leave out of availability
  */
-const ensureDataDirExists = async () => {
-  try {
-    // Create the data directory if it doesn't exist
-    // The recursive option ensures parent directories are created as needed
-    await fs.mkdir(dataDir, { recursive: true });
+const loadOutOfOrderRooms = async () => (await repositories.rooms.all()).filter(room => room.outOfOrder);
+
+/**
+ * Marks the rooms a booking was given as dirty
+ * 
+ * Called when the guests check out, so housekeeping can turn the rooms
+ * around. Rooms that are already dirty are left alone.
+ * 
+ * @async
+ * @param {Object} booking - Booking that checked out
+ * @param {Object} actor - Who checked the guests out
+ * @return {Promise<string[]>} Room numbers marked dirty
+ */
+const markRoomsDirty = async (booking, actor) => {
+  const roomNumbers = bookingRooms.getBookingRooms(booking)
+    .map(room => room.roomNumber)
+    .filter(Boolean);
+  
+  const marked = [];
+  for (const roomNumber of new Set(roomNumbers)) {
+    const room = await repositories.rooms.findById(roomNumber);
+    if (!room || room.housekeeping === 'dirty') continue;
+    
+    const { room: dirtyRoom } = roomRegistry.applyHousekeeping(room, 'dirty', actor);
+    await repositories.rooms.update(roomNumber, () => dirtyRoom);
+    marked.push(roomNumber);
+  }
+  
+  return marked;
+};
+
+/**
+ * Loads the payments and incidental charges of a booking and builds its folio
+ * 
+ * @async
+ * @param {Object} booking - Booking object
+ * @return {Promise<Object>} Folio (see folio.buildFolio)
+ */
+const loadFolio = async (booking) => folio.buildFolio(
+  booking,
+  await payments.listBookingPayments(booking.id),
+  await folio.listBookingCharges(booking.id)
+);
+
+/**
+ * Checks the rooms of a booking against the occupancy of their room types
+ * 
+ * @param {Object[]} rooms - Validated room lines
+ * @return {Object|null} 400 response body { message, errors }, or null when every room fits
+ */
+const checkOccupancy = (rooms) => {
+  const errors = bookingRooms.validateRoomOccupancy(rooms);
+  return hasErrors(errors) ? { message: Object.values(errors)[0], errors } : null;
+};
+
+/**
+ * Checks the add-ons chosen for a stay against their dates and limits
+ * 
+ * @param {Object[]} selections - Validated add-on selections
+ * @param {Object} stay - { checkIn, checkOut, rooms } of the stay
+ * @return {Object|null} 400 response body { message, errors }, or null when every add-on can be booked
+ */
+const checkAddOns = (selections, stay) => {
+  const errors = addOns.validateAddOnSelections(selections, stay);
+  return hasErrors(errors) ? { message: Object.values(errors)[0], errors } : null;
+};
+
+/**
+ * Describes room types that are short of units, for 409 responses
+ * 
+ * @param {Object[]} unavailable - Summaries from findUnavailableRooms
+ * @return {string} e.g. 'only 1 Athletic Suite is left'
+ */
+const describeShortage = (unavailable) => unavailable
+  .map(({ roomType, availableUnits }) => availableUnits === 0
+    ? `no ${roomType} is available`
+    : `only ${availableUnits} ${roomType}${availableUnits === 1 ? ' is' : 's are'} left`)
+  .join(' and ');
+
+/**
+ * Finds the open group block for a group code entered by a guest
+ * 
+ * @async
+ * @param {string} [groupCode] - Group code from the request
+ * @param {Object} stay - { checkIn, checkOut, rooms } of the requested stay
+ * @return {Promise<Object>} { block } (no block without a code), or { error } with a 400 response body
+ */
+const resolveGroupBlock = async (groupCode, stay) => {
+  if (!groupCode) return {};
+  
+  const block = roomBlocks.findBlockByCode(await repositories.roomBlocks.all(), groupCode);
+  let message = null;
+  if (!block) {
+    message = 'This group code is not valid';
+  } else if (!roomBlocks.isBlockOpen(block)) {
+    message = `Bookings for ${block.name} have closed. Please contact the resort.`;
+  } else {
+    message = roomBlocks.validateGroupStay(block, stay);
+  }
+  
+  return message ? { error: { message, errors: { groupCode: message } } } : { block };
+};
+
+/**
+ * Adds what members have claimed so far to a block, for the admin dashboard
+ * 
+ * @param {Object} block - Room block
+ * @param {Object[]} bookings - All bookings
+ * @return {Object} Block with open, allocations (with claimed and remaining) and bookingCount
+ */
+const withPickup = (block, bookings) => ({
+  ...block,
+  open: roomBlocks.isBlockOpen(block),
+  allocations: roomBlocks.summarizePickup(block, bookings, holdsInventory),
+  bookingCount: bookings.filter(booking => booking.groupBlockId === block.id && holdsInventory(booking)).length
+});
+
+/**
+ * Adds how often a promo code has been used, for the admin dashboard
+ * 
+ * @param {Object} promo - Promo code
+ * @param {Object[]} bookings - All bookings
+ * @return {Object} Promo code with uses and a readable summary of the discount
+ */
+const withUses = (promo, bookings) => ({
+  ...promo,
+  summary: promoCodes.describeDiscount(promo),
+  uses: promoCodes.countPromoUses(promo, bookings)
+});
+
+/**
+ * Finds the promo code a guest entered for a new booking and checks it can be used
+ * 
+ * @async
+ * @param {string} [promoCode] - Promo code from the request
+ * @param {Object} stay - { checkIn, checkOut, rooms } of the requested stay
+ * @param {Object} [block] - Group block the stay is booked against
+ * @return {Promise<Object>} { promo } (no promo without a code), or { error } with a 400 response body
+ */
+const resolvePromoCode = async (promoCode, stay, block) => {
+  if (!promoCode) return {};
+  
+  // Group rates are already negotiated
+  if (block) {
+    const message = 'Promo codes cannot be combined with a group rate';
+    return { error: { message, errors: { promoCode: message } } };
+  }
+  
+  const [promos, bookings] = await Promise.all([
+    repositories.promoCodes.all(),
+    repositories.bookings.all()
+  ]);
+  const promo = promoCodes.findPromoByCode(promos, promoCode);
+  const message = promo
+    ? promoCodes.checkPromoEligibility(promo, stay, {
+      today: formatDate(new Date()),
+      uses: promoCodes.countPromoUses(promo, bookings)
+    })
+    : 'This promo code is not valid';
+  
+  return message ? { error: { message, errors: { promoCode: message } } } : { promo };
+};
+
+/**
+ * Returns the promo code a booking was made with, if it applies to a changed stay
+ * 
+ * The terms stored on the booking's quote are used, so later edits to the
+ * code, its expiry or its usage limit do not affect bookings already made.
+ * 
+ * @param {Object} booking - Existing booking
+ * @param {Object} stay - { checkIn, checkOut, rooms } of the changed stay
+ * @return {Object} { promo } (no promo when the booking has none), or { error } with a 400 response body
+ */
+const resolveBookingPromo = (booking, stay) => {
+  const promo = booking.promoId && booking.quote?.promo;
+  if (!promo) return {};
+  
+  const reason = promoCodes.checkPromoEligibility(promo, stay, { today: formatDate(new Date()), rebooking: true });
+  if (reason) {
+    const message = `Promo code ${promo.code} does not apply to the new stay. ${reason}`;
+    return { error: { message, errors: { promoCode: message } } };
+  }
+  
+  return { promo };
+};
+
+/**
+ * Checks a created or changed block against the bookings and other blocks
+ * 
+ * @param {Object} block - Block as it would be saved
+ * @param {Object[]} bookings - All bookings
+ * @param {Object[]} blocks - All blocks
+ * @param {Object[]} outOfOrder - Rooms that are out of order
+ * @return {Object|null} 409 response body { message }, or null when the block can be held
+ */
+const checkBlockCapacity = (block, bookings, blocks, outOfOrder) => {
+  // Members already booked have to stay inside the block
+  const members = bookings.filter(booking => booking.groupBlockId === block.id && holdsInventory(booking));
+  const stranded = members.find(booking => roomBlocks.validateGroupStay(block, {
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    rooms: bookingRooms.getBookingRooms(booking)
+  }));
+  if (stranded) {
+    return { message: `Booking ${guestBookings.getReference(stranded)} would no longer fit this block` };
+  }
+  
+  const overclaimed = roomBlocks.summarizePickup(block, bookings, holdsInventory)
+    .find(allocation => allocation.claimed > allocation.rooms);
+  if (overclaimed) {
+    return { message: `Members have already claimed ${overclaimed.claimed} ${overclaimed.roomType}s` };
+  }
+  
+  const shortages = findBlockShortages(bookings, blocks, block, outOfOrder);
+  if (shortages.length > 0) {
+    return {
+      message: `Only ${shortages
+        .map(({ roomType, availableUnits }) => `${availableUnits} ${roomType}${availableUnits === 1 ? '' : 's'}`)
+        .join(' and ')} can be held for these dates`,
+      shortages
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Builds the guest view of a booking together with its payment summary
+ * 
+ * @async
+ * @param {Object} booking - Booking object
+ * @return {Promise<Object>} Redacted booking with a payment summary
+ */
+const toGuestViewWithPayments = async (booking) => ({
+  ...guestBookings.toGuestView(booking),
+  payment: await payments.getPaymentSummary(booking)
+});
+
+/**
+ * Applies the cancellation policy to a booking that will not go ahead
+ * 
+ * Refunds the guest whatever they paid beyond the penalty and stores the
+ * evaluation on the booking as `cancellation`.
+ * 
+ * @async
+ * @param {Object} booking - Booking with its new status (cancelled, declined or no-show)
+ * @param {Object} actor - Who closed the booking
+ * @return {Promise<Object>} { booking: Object (with cancellation), refund: { amount, refunds } }
+ */
+const settleCancellation = async (booking, actor) => {
+  const { amount, refunds, cancellation } = await payments.refundForCancellation(booking, actor);
+  const updatedBooking = await repositories.bookings.update(booking.id, { cancellation }) || { ...booking, cancellation };
+  return { booking: updatedBooking, refund: { amount, refunds } };
+};
+
+/**
+ * Drops the single roomType older bookings were saved with
+ * 
+ * Used whenever a booking's rooms are written, since `rooms` replaces the
+ * old field and the two must not disagree.
+ * 
+ * @param {Object} booking - Booking object
+ * @return {Object} Copy of the booking without roomType
+ */
+const withoutLegacyRoomType = (booking) => {
+  const copy = { ...booking };
+  delete copy.roomType;
+  return copy;
+};
+
+/**
+ * Adds the statuses a staff user may move a booking to
+ * 
+ * The dashboard uses this to offer only actions that are both legal for the
+ * booking's current status and allowed for the user's role.
+ * 
+ * @param {Object} booking - Booking object
+ * @param {Object} user - Signed-in admin user (req.user)
+ * @return {Object} Booking with an allowedStatuses array
+ */
+const withAllowedStatuses = (booking, user) => ({
+  ...booking,
+  allowedStatuses: bookingStatus.getNextStatuses(booking)
+    .filter(status => hasPermission(user.role, permissionForStatus(status)))
+});
+
+/**
+ * Adds the weekly schedule and upcoming sign-ups to an activity
+ * 
+ * @param {Object} activity - Activity definition
+ * @param {Object[]} signups - All sign-ups
+ * @return {Object} Activity with schedule, endTime, upcomingSignups and upcomingWaitlisted
+ *   (guests confirmed and waiting for sessions from today on)
+ */
+const withSignupCounts = (activity, signups) => {
+  const today = formatDate(new Date());
+  const countParticipants = (status) => signups
+    .filter(signup => signup.activityId === activity.id && signup.date >= today && signup.status === status)
+    .reduce((total, signup) => total + signup.participants, 0);
+  
+  return {
+    ...activity,
+    schedule: activities.describeSchedule(activity),
+    endTime: activities.getEndTime(activity),
+    upcomingSignups: countParticipants('confirmed'),
+    upcomingWaitlisted: countParticipants('waitlisted')
+  };
+};
+
+/**
+ * Confirms waitlisted sign-ups wherever spots have opened up
+ * 
+ * Must be called while holding scheduleLock. Guests who get a spot are
+ * emailed. Sessions that have already started are left alone.
+ * 
+ * @async
+ * @param {Object[]} sessions - Sessions to check ({ activityId, date }); duplicates are ignored
+ * @return {Promise<Object[]>} The sign-ups that were confirmed
+ */
+const promoteWaitlists = async (sessions) => {
+  const [activityList, signups, bookings] = await Promise.all([
+    repositories.activities.all(),
+    repositories.activitySignups.all(),
+    repositories.bookings.all()
+  ]);
+  
+  const promoted = [];
+  const checked = new Set();
+  
+  for (const { activityId, date } of sessions) {
+    const key = `${activityId}|${date}`;
+    const activity = activityList.find(candidate => candidate.id === activityId);
+    if (checked.has(key) || !activity || activities.hasStarted(activity, date)) continue;
+    checked.add(key);
     
-    // Check if bookings.json exists
-    try {
-      // Try to access the file - will throw an error if it doesn't exist
-      await fs.access(bookingsFile);
-    } catch (error) {
-      // If bookings.json doesn't exist, create it with an empty array
-      await fs.writeFile(bookingsFile, JSON.stringify([]));
+    for (const signup of activities.findPromotions(activity, signups, date)) {
+      const confirmed = await repositories.activitySignups.update(signup.id, {
+        status: 'confirmed',
+        promotedAt: new Date().toISOString()
+      });
+      promoted.push(confirmed);
+      
+      const booking = bookings.find(candidate => candidate.id === signup.bookingId);
+      if (booking) {
+        notifications.notify('activity-spot-confirmed', booking, {
+          activity: { name: activity.name, date, startTime: activity.startTime, location: activity.location, participants: signup.participants }
+        });
+      }
     }
-  } catch (error) {
-    // Log any errors that occur during directory/file creation
-    console.error('Error creating data directory:', error);
   }
+  
+  return promoted;
+};
+
+/**
+ * Cancels a booking's activity sign-ups and promotes the waitlists behind them
+ * 
+ * Used when a booking will not go ahead, and when a changed stay no longer
+ * covers some of its sessions.
+ * 
+ * @async
+ * @param {Object} booking - Booking object
+ * @param {string} reason - Why the sign-ups are cancelled
+ * @param {Function} [shouldCancel] - Picks the sign-ups to cancel (all of them by default)
+ * @return {Promise<number>} Number of sign-ups cancelled
+ */
+const releaseActivitySignups = (booking, reason, shouldCancel = () => true) => scheduleLock.runExclusive(async () => {
+  const released = (await repositories.activitySignups.all()).filter(signup =>
+    signup.bookingId === booking.id &&
+    activities.ACTIVE_SIGNUP_STATUSES.includes(signup.status) &&
+    shouldCancel(signup)
+  );
+  
+  for (const signup of released) {
+    await repositories.activitySignups.update(signup.id, activities.cancelChanges(reason));
+  }
+  
+  await promoteWaitlists(released);
+  return released.length;
+});
+
+/**
+ * Adds the guest's own sign-up to each session of their stay
+ * 
+ * @param {Object[]} sessions - Sessions from activities.listSessions
+ * @param {Object[]} signups - All sign-ups
+ * @param {Object} booking - The guest's booking
+ * @return {Object[]} Sessions with signup: { id, status, participants, waitlistPosition } or null
+ */
+const withGuestSignups = (sessions, signups, booking) => sessions.map(session => {
+  const sessionSignups = activities.getSessionSignups(signups, session.activityId, session.date);
+  const signup = sessionSignups.find(candidate => candidate.bookingId === booking.id);
+  const waitlist = sessionSignups.filter(candidate => candidate.status === 'waitlisted');
+  
+  if (!signup) {
+    return { ...session, signup: null };
+  }
+  
+  return {
+    ...session,
+    signup: {
+      id: signup.id,
+      status: signup.status,
+      participants: signup.participants,
+      waitlistPosition: signup.status === 'waitlisted' ? waitlist.indexOf(signup) + 1 : null
+    }
+  };
+});
+
+/**
+ * Cancels a booking's spa appointments, freeing their therapists and rooms
+ * 
+ * Used when a booking will not go ahead, and when a changed stay no longer
+ * covers some of its appointments.
+ * 
+ * @async
+ * @param {Object} booking - Booking object
+ * @param {string} reason - Why the appointments are cancelled
+ * @param {Function} [shouldCancel] - Picks the appointments to cancel (all of them by default)
+ * @return {Promise<number>} Number of appointments cancelled
+ */
+const releaseSpaAppointments = (booking, reason, shouldCancel = () => true) => spaLock.runExclusive(async () => {
+  const released = (await repositories.spaAppointments.all()).filter(appointment =>
+    appointment.bookingId === booking.id &&
+    appointment.status === 'booked' &&
+    shouldCancel(appointment)
+  );
+  
+  for (const appointment of released) {
+    await repositories.spaAppointments.update(appointment.id, spa.cancelChanges(reason));
+  }
+  
+  return released.length;
+});
+
+/**
+ * Marks arrivals that missed the arrival cutoff as no-shows
+ * 
+ * Run by the no-show scheduler (see services/frontDesk.js). The bookings go
+ * through the cancellation policy like a no-show marked by staff, their
+ * activity and spa spots are released and the guest is emailed.
+ * 
+ * @async
+ * @param {Date} [now=new Date()] - Current time
+ * @return {Promise<number>} Number of bookings marked as no-shows
+ */
+const markNoShows = async (now = new Date()) => {
+  const actor = { type: 'system' };
+  
+  const marked = await inventoryLock.runExclusive(async () => {
+    const noShows = frontDesk.findNoShows(await repositories.bookings.all(), now);
+    
+    const updated = [];
+    for (const existing of noShows) {
+      const { booking, error } = bookingStatus.applyTransition(existing, 'no-show', {
+        actor,
+        reason: 'Did not arrive by the arrival cutoff'
+      });
+      if (error) continue;
+      
+      await repositories.bookings.update(booking.id, () => booking);
+      updated.push(booking);
+    }
+    return updated;
+  });
+  
+  for (const booking of marked) {
+    const { booking: settledBooking } = await settleCancellation(booking, actor);
+    await releaseActivitySignups(settledBooking, 'Booking no-show');
+    await releaseSpaAppointments(settledBooking, 'Booking no-show');
+    notifications.notify(notifications.templateForStatus('no-show'), settledBooking);
+  }
+  
+  return marked.length;
+};
+
+/**
+ * Prepares the storage layer before the server accepts requests
+ * 
+ * Opens the configured storage and creates every collection on first run,
+ * seeding the default rate rules and a room registry built from the inventory. Email templates start empty: only edited
+ * templates are stored, the rest use the shipped defaults.
+ * 
+ * @async
+ * @return {Promise<void>}
+ */
+const initializeStorage = async () => {
+  await repositories.storage.init();
+  
+  await repositories.bookings.initialize([]);
+  await repositories.adminUsers.initialize([]);
+  await repositories.sessions.initialize([]);
+  await repositories.emailTemplates.initialize([]);
+  await repositories.notifications.initialize([]);
+  await repositories.payments.initialize([]);
+  await repositories.roomBlocks.initialize([]);
+  await repositories.promoCodes.initialize([]);
+  await repositories.activities.initialize([]);
+  await repositories.activitySignups.initialize([]);
+  await repositories.spaAppointments.initialize([]);
+  await repositories.folioCharges.initialize([]);
+  await repositories.rooms.initialize(roomRegistry.createDefaultRooms());
+  await repositories.rateRules.initialize(
+    rateRules.DEFAULT_RATE_RULES.map(rule => 
+      rateRules.createRateRule(rateRules.validateRateRule(rule).rule)
+    )
+  );
 };
 
 /**
@@ -82,35 +636,80 @@ app.get('/', (req, res) => {
  * Admin Authentication Endpoint
  * POST /api/admin/login
  * 
- * Handles admin login requests by validating the provided password
- * Returns a token that can be used for subsequent admin API requests
+ * Checks an admin username and password against the hashed credentials in
+ * data/adminUsers.json and starts a session. The returned token is signed and
+ * expires after a few hours; it must be sent as a Bearer token on admin routes.
  * 
- * Request body: { password: string }
- * Success response: { success: true, token: string, message: string }
- * Error response: { success: false, message: string }
+ * Request body: { username: string, password: string } (see loginSchema)
+ * Success response: { success: true, token: string, expiresAt: string, user: Object, message: string }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for missing or oversized fields
+ *   - 401 Unauthorized: { success: false, message: string }
  */
-app.post('/api/admin/login', (req, res) => {
-  // Extract the password from the request body
-  const { password } = req.body;
-  
-  // Verify the password against our hardcoded value
-  // Note: In a production application, this would use proper password hashing
-  if (password === 'Password1') {
-    // If password matches, return success with a token
+app.post('/api/admin/login', validateBody(loginSchema), async (req, res) => {
+  try {
+    // Extract the credentials from the request body
+    const { username, password } = req.body;
+    
+    // Verify the password against the stored hash
+    const user = await adminUsers.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid credentials' 
+      });
+    }
+    
+    // Start a session and issue a signed token for it
+    const { token, expiresAt } = await adminUsers.createSession(user);
+    
     res.json({ 
       success: true, 
-      token: 'Password1', // Simple token approach for this demo only
+      token,
+      expiresAt,
+      user: adminUsers.toPublicUser(user),
       message: 'Login successful'
     });
-  } else {
-    // If password doesn't match, return unauthorized error
-    res.status(401).json({ 
-      success: false, 
-      message: 'Invalid credentials' 
-    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ success: false, message: 'Error logging in' });
+  }
+});
+
+/**
+ * Admin Logout Endpoint
+ * POST /api/admin/logout
+ * 
+ * Revokes the current session so its token can no longer be used
+ * 
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { success: true, message: string }
+ */
+app.post('/api/admin/logout', auth, async (req, res) => {
+  try {
+    await adminUsers.revokeSession(req.sessionId);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Error logging out' });
   }
 });
 
+/**
+ * Admin Session Endpoint
+ * GET /api/admin/session
+ * 
+ * Confirms that a stored token is still valid and returns the signed-in user.
+ * The admin app calls this on load instead of trusting localStorage alone.
+ * 
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { user: Object } (includes role and permissions)
+ * Error response (401): { message: string }
+ */
+app.get('/api/admin/session', auth, (req, res) => {
+  res.json({ user: req.user });
+});
+
 /**
  * Admin: Get All Bookings
  * GET /api/admin/bookings
@@ -118,23 +717,25 @@ app.post('/api/admin/login', (req, res) => {
  * Protected route that returns all booking data for admin dashboard
  * Requires authentication via the auth middleware
  * 
- * Headers required: { Authorization: 'Bearer Password1' }
- * Success response: Array of booking objects
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: Array of booking objects, each with its statusHistory,
+ *   the allowedStatuses the signed-in user may move it to and a payment
+ *   summary ({ total, deposit, paid, refunded, outstanding, balanceDueDate, status })
  * Error response: { message: string }
  */
-app.get('/api/admin/bookings', auth, async (req, res) => {
+app.get('/api/admin/bookings', auth, requirePermission('bookings:view'), async (req, res) => {
   try {
-    // Ensure data directory and files exist before attempting to read
-    await ensureDataDirExists();
-    
-    // Read the bookings data file
-    const data = await fs.readFile(bookingsFile, 'utf8');
+    // Load every booking from storage
+    const bookings = await repositories.bookings.all();
     
-    // Parse the JSON string into an array of booking objects
-    const bookings = JSON.parse(data);
+    // Add what has been paid and what is still owed
+    const summaries = await payments.getPaymentSummaries(bookings);
     
     // Return the bookings array as JSON response
-    res.json(bookings);
+    res.json(bookings.map(booking => ({
+      ...withAllowedStatuses(booking, req.user),
+      payment: summaries.get(booking.id)
+    })));
   } catch (error) {
     // Log any errors and return a 500 server error response
     console.error('Error reading bookings:', error);
@@ -146,52 +747,115 @@ app.get('/api/admin/bookings', auth, async (req, res) => {
  * Admin: Update Booking Status
  * PUT /api/admin/bookings/:id
  * 
- * Protected route that allows updating the status of a specific booking
- * Common status values: 'pending', 'confirmed', 'cancelled', 'completed'
+ * Protected route that moves a booking to its next status. Only the
+ * transitions of the booking lifecycle are accepted (see services/bookingStatus.js):
+ * pending -> confirmed -> checked-in -> checked-out -> completed, with
+ * pending -> declined, and pending or confirmed -> cancelled / no-show.
+ * Cancelling or declining requires the bookings:cancel permission (manager or owner);
+ * other statuses require bookings:confirm.
+ * 
+ * Every change is added to the booking's statusHistory with the staff user,
+ * the time and the optional reason. Cancelling, declining or marking a no-show
+ * applies the cancellation policy of the booking's rate plan: the penalty and
+ * refund are stored on the booking as `cancellation` and the refund is paid
+ * back to the guest's card (see services/cancellationPolicy.js).
+ * 
+ * Confirming a booking gives each of its rooms a room from the registry
+ * (see services/roomRegistry.js). Guests are checked in and out with the
+ * front desk routes, which record their ID, keys and payment; this route
+ * refuses those two statuses.
  * 
  * URL parameters: id - The booking identifier
- * Request body: { status: string }
- * Headers required: { Authorization: 'Bearer Password1' }
- * Success response: { success: true, booking: Object, message: string }
+ * Request body: { status: string, reason?: string } (see statusUpdateSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { success: true, booking: Object, refund: { amount, refunds } | null, message: string }
+ * Confirming or cancelling a booking emails the guest.
  * Error responses: 
+ *   - 400 Bad Request: { message: string, errors: Object } for an unknown status or an oversized reason
+ *   - 400 Bad Request: { message: string } for checked-in and checked-out
+ *   - 403 Forbidden: { message: string } when the role may not set this status
  *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string, allowedStatuses: string[] } when the booking cannot move to this status
  *   - 500 Server Error: { message: 'Error updating booking' }
  */
-app.put('/api/admin/bookings/:id', auth, async (req, res) => {
+app.put('/api/admin/bookings/:id', auth, validateBody(statusUpdateSchema), requirePermission(req => permissionForStatus(req.body.status)), async (req, res) => {
   try {
-    // Ensure data directory and files exist
-    await ensureDataDirExists();
-    
     // Extract booking ID from URL parameters
     const { id } = req.params;
     
-    // Extract the new status from request body
-    const { status } = req.body;
+    // Extract the new status and the optional reason from request body
+    const { status, reason } = req.body;
     
-    // Read the current bookings data
-    const data = await fs.readFile(bookingsFile, 'utf8');
-    const bookings = JSON.parse(data);
+    // Check-in and check-out record more than the status
+    if (['checked-in', 'checked-out'].includes(status)) {
+      return res.status(400).json({
+        message: `Use the ${status === 'checked-in' ? 'check-in' : 'check-out'} action of the front desk to mark a booking ${status}`
+      });
+    }
     
-    // Find the index of the booking with the specified ID
-    const bookingIndex = bookings.findIndex(booking => booking.id === id);
+    // Check and save under the inventory lock, like every other booking change
+    const result = await inventoryLock.runExclusive(async () => {
+      const existing = await repositories.bookings.findById(id);
+      if (!existing) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const { booking, error } = bookingStatus.applyTransition(existing, status, {
+        actor: { type: 'staff', username: req.user.username, role: req.user.role },
+        reason
+      });
+      if (error) {
+        return {
+          status: 409,
+          body: { message: error, allowedStatuses: withAllowedStatuses(existing, req.user).allowedStatuses }
+        };
+      }
+      
+      // Confirmed bookings are given their rooms
+      if (status === 'confirmed') {
+        const rooms = roomRegistry.assignRooms(booking, await repositories.bookings.all(), await loadRooms(), holdsInventory);
+        const assignedBooking = { ...withoutLegacyRoomType(booking), rooms };
+        await repositories.bookings.update(id, () => assignedBooking);
+        return { status: 200, booking: assignedBooking };
+      }
+      
+      await repositories.bookings.update(id, () => booking);
+      return { status: 200, booking };
+    });
     
-    // If booking not found, return 404 error
-    if (bookingIndex === -1) {
-      return res.status(404).json({ message: 'Booking not found' });
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
     }
     
-    // Update the booking status and add timestamp
-    bookings[bookingIndex].status = status;
-    bookings[bookingIndex].updatedAt = new Date().toISOString();
+    // Work out the penalty and give back the rest for bookings that will not go ahead
+    let updatedBooking = result.booking;
+    let refund = null;
+    if (['cancelled', 'declined', 'no-show'].includes(status)) {
+      ({ booking: updatedBooking, refund } = await settleCancellation(result.booking, {
+        type: 'staff',
+        username: req.user.username,
+        role: req.user.role
+      }));
+      
+      // Their activity spots go to guests on the waitlists, and their spa slots are freed
+      await releaseActivitySignups(updatedBooking, `Booking ${status}`);
+      await releaseSpaAppointments(updatedBooking, `Booking ${status}`);
+    }
     
-    // Write the updated bookings data back to the file
-    // The null, 2 parameters add formatting to make the JSON file readable
-    await fs.writeFile(bookingsFile, JSON.stringify(bookings, null, 2));
+    // Tell the guest about confirmations, cancellations, declines and no-shows
+    const templateId = notifications.templateForStatus(status);
+    if (templateId) {
+      notifications.notify(templateId, updatedBooking);
+    }
     
     // Return success response with the updated booking data
     res.json({ 
       success: true, 
-      booking: bookings[bookingIndex],
+      booking: {
+        ...withAllowedStatuses(updatedBooking, req.user),
+        payment: await payments.getPaymentSummary(updatedBooking)
+      },
+      refund,
       message: 'Booking status updated successfully' 
     });
   } catch (error) {
@@ -202,108 +866,2908 @@ app.put('/api/admin/bookings/:id', auth, async (req, res) => {
 });
 
 /**
- * Public: Get All Bookings (Consider removing in production)
- * GET /api/bookings
+ * Admin: Tape Chart
+ * GET /api/admin/tape-chart
  * 
- * Returns all booking data - this is provided for development and testing
- * In a production environment, this would typically be removed or restricted
+ * Protected route behind the front desk's occupancy chart: every room of the
+ * registry and the stays drawn in them for a range of days (see
+ * services/tapeChart.js). Cancelled, declined and no-show bookings are left out.
  * 
- * Success response: Array of booking objects
- * Error response: { message: string }
+ * Query parameters:
+ *   - from: string (YYYY-MM-DD, first day shown)
+ *   - to: string (YYYY-MM-DD, last day shown; at most MAX_CHART_DAYS days in all)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: {
+ *   from: string,
+ *   to: string,
+ *   rooms: [{ roomNumber, roomType, floor, housekeeping, outOfOrderReason, outOfOrderDays: string[] }],
+ *   bars: [{ bookingId, reference, guestName, roomIndex, roomType, roomNumber (null when the type is overbooked),
+ *            isAssigned (the room line was given this room), adults, children, checkIn, checkOut, status,
+ *            totalPrice, movable }]
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string }
+ *   - 500 Server Error: { message: 'Error loading tape chart' }
  */
-app.get('/api/bookings', async (req, res) => {
+app.get('/api/admin/tape-chart', auth, requirePermission('bookings:view'), async (req, res) => {
   try {
-    // Ensure data directory and files exist
-    await ensureDataDirExists();
+    const { from, to } = req.query;
     
-    // Read the bookings data file
-    const data = await fs.readFile(bookingsFile, 'utf8');
+    if (!isValidDateString(from) || !isValidDateString(to) || to < from) {
+      return res.status(400).json({ message: 'from and to must be valid dates (YYYY-MM-DD), with to on or after from' });
+    }
     
-    // Parse the JSON data into an array of booking objects
-    const bookings = JSON.parse(data);
+    if (nightsBetween(from, to) >= tapeChart.MAX_CHART_DAYS) {
+      return res.status(400).json({ message: `The tape chart can show at most ${tapeChart.MAX_CHART_DAYS} days at a time` });
+    }
     
-    // Return all bookings
-    res.json(bookings);
+    const bookings = await repositories.bookings.all();
+    res.json(tapeChart.buildTapeChart(bookings, await loadRooms(), { from, to }));
   } catch (error) {
     // Log any errors and return a 500 server error response
-    console.error('Error reading bookings:', error);
-    res.status(500).json({ message: 'Error fetching bookings' });
+    console.error('Error loading tape chart:', error);
+    res.status(500).json({ message: 'Error loading tape chart' });
   }
 });
 
 /**
- * Create New Booking
- * POST /api/bookings
+ * Admin: Move a Booking
+ * POST /api/admin/bookings/:id/move
  * 
- * Public endpoint that allows guests to submit booking requests
- * Creates a new booking entry with a unique ID and timestamp
+ * Protected route behind drag-and-drop on the tape chart: puts one room of a
+ * pending or confirmed booking in another room, and/or moves the booking to
+ * other dates. Dates always apply to the whole booking. A room of another
+ * type changes the room line's type; its guests must still fit.
  * 
- * Request body: {
- *   fullName: string,
- *   email: string,
- *   phone: string,
+ * The move is checked like a guest's change: availability (the booking's own
+ * nights do not count), the chosen room (it must be in order, and no other
+ * stay may have been given it on those nights), occupancy, the group block's dates and room types, the
+ * promo code, add-ons and minimum stays. The stay is then re-priced on the
+ * booking's rate plan. When the total changes, the move is only made once
+ * staff send the new total back as totalPrice; anything already paid beyond
+ * it is refunded. Unlike a guest change, the booking keeps its status. The
+ * booking's other rooms are checked again for the new dates: confirmed
+ * bookings are given new rooms where theirs are no longer free.
+ * Activity sign-ups and spa appointments outside the new dates are cancelled.
+ * 
+ * URL parameters: id - The booking identifier
+ * Request body (see bookingMoveSchema): {
+ *   roomIndex: number (room line of the booking),
+ *   roomNumber: string (room to put it in),
  *   checkIn: string (YYYY-MM-DD),
  *   checkOut: string (YYYY-MM-DD),
- *   message: string (optional),
- *   roomType: string,
- *   totalPrice: number
+ *   totalPrice: number (optional, required when the move changes the total)
  * }
- * Success response (201 Created): { message: string, booking: Object }
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, booking: Object }
  * Error responses:
- *   - 400 Bad Request: { message: 'Required fields are missing' }
- *   - 500 Server Error: { message: 'Error saving booking request' }
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields or guests who do not fit the room
+ *   - 400 Bad Request: { message: string } for an unknown room line, or a stay outside the group block
+ *   - 400 Bad Request: { message: string, quote: Object } when the dates break a minimum-stay rule
+ *   - 400 Bad Request: { message: string, errors: { promoCode } } when the promo code does not apply to the new stay
+ *   - 400 Bad Request: { message: string, errors: Object } when an add-on would fall outside the new stay
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string } when the booking cannot be moved, or the room is taken or out of order
+ *   - 409 Conflict: { message: string, availability: Object[] } when the new stay is not available
+ *   - 409 Conflict: { message: string, addOnShortages: Object[] } when an add-on is sold out on a new day
+ *   - 409 Conflict: { message: string, quote: Object } when the total changes and has not been confirmed
+ *   - 500 Server Error: { message: 'Error moving booking' }
  */
-app.post('/api/bookings', async (req, res) => {
+app.post('/api/admin/bookings/:id/move', auth, requirePermission('bookings:move'), validateBody(bookingMoveSchema, getBookingContext), async (req, res) => {
   try {
-    // Ensure data directory and files exist
-    await ensureDataDirExists();
+    const { id } = req.params;
+    const { roomIndex, roomNumber, checkIn, checkOut, totalPrice } = req.body; // Already validated against bookingMoveSchema
+    const actor = { type: 'staff', username: req.user.username, role: req.user.role };
     
-    // Extract booking details from request body
-    const {
-      fullName,
-      email,
-      phone,
-      checkIn,
-      checkOut,
-      message,
-      roomType,
-      totalPrice
-    } = req.body;
+    const rules = await repositories.rateRules.all();
+    
+    // Check and save under the inventory lock, like every other booking change
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const booking = bookings.find(candidate => candidate.id === id);
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      if (!tapeChart.canMove(booking)) {
+        return { status: 409, body: { message: 'Only pending and confirmed bookings can be moved' } };
+      }
+      
+      const currentRooms = bookingRooms.getBookingRooms(booking);
+      if (roomIndex >= currentRooms.length) {
+        return { status: 400, body: { message: 'This booking has no such room' } };
+      }
+      
+      // The room line takes the type of the room it is put in
+      const rooms = currentRooms.map((room, index) => (index === roomIndex
+        ? { ...room, roomType: getRoomTypeOfRoom(roomNumber).name, roomNumber }
+        : room));
+      
+      const occupancyError = checkOccupancy(rooms);
+      if (occupancyError) {
+        return { status: 400, body: occupancyError };
+      }
+      
+      const blocks = await repositories.roomBlocks.all();
+      const block = booking.groupBlockId ? blocks.find(candidate => candidate.id === booking.groupBlockId) : undefined;
+      if (block) {
+        const groupError = roomBlocks.validateGroupStay(block, { checkIn, checkOut, rooms });
+        if (groupError) {
+          return { status: 400, body: { message: groupError } };
+        }
+      }
+      
+      const { promo, error: promoError } = resolveBookingPromo(booking, { checkIn, checkOut, rooms });
+      if (promoError) {
+        return { status: 400, body: promoError };
+      }
+      
+      const bookedAddOns = booking.addOns || [];
+      const addOnError = checkAddOns(bookedAddOns, { checkIn, checkOut, rooms });
+      if (addOnError) {
+        return { status: 400, body: addOnError };
+      }
+      
+      const ratePlan = guestBookings.getBookingRatePlan(booking);
+      const quote = createBookingQuote({ rooms, checkIn, checkOut, ratePlan: ratePlan.code, block, promo, addOns: bookedAddOns }, rules);
+      if (quote.violations.length > 0) {
+        return { status: 400, body: { message: quote.violations.join('. '), quote } };
+      }
+      
+      // A new total has to be confirmed by the member of staff
+      if (!matchesQuote(totalPrice ?? booking.totalPrice, quote)) {
+        return {
+          status: 409,
+          body: {
+            message: `The total for ${booking.fullName} changes from $${booking.totalPrice} to $${quote.total}.`,
+            quote
+          }
+        };
+      }
+      
+      const unavailable = findUnavailableRooms(bookings, {
+        checkIn,
+        checkOut,
+        rooms,
+        excludeBookingId: booking.id,
+        blocks,
+        groupBlock: block,
+        outOfOrder: await loadOutOfOrderRooms()
+      });
+      if (unavailable.length > 0) {
+        return {
+          status: 409,
+          body: { message: `Sorry, ${describeShortage(unavailable)} for those dates`, availability: unavailable }
+        };
+      }
+      
+      const registry = await loadRooms();
+      const roomError = roomRegistry.checkAssignment(
+        registry.find(room => room.roomNumber === roomNumber),
+        bookings,
+        { roomType: rooms[roomIndex].roomType, checkIn, checkOut, bookingId: booking.id, roomIndex },
+        holdsInventory
+      );
+      if (roomError) {
+        return { status: 409, body: { message: roomError } };
+      }
+      
+      const addOnShortages = addOns.findAddOnShortages(bookings.filter(holdsInventory), {
+        checkIn,
+        checkOut,
+        addOns: bookedAddOns,
+        excludeBookingId: booking.id
+      });
+      if (addOnShortages.length > 0) {
+        return {
+          status: 409,
+          body: { message: `Sorry, ${addOns.describeAddOnShortages(addOnShortages)}`, addOnShortages }
+        };
+      }
+      
+      // The other rooms of the booking may not be free on the new dates
+      const assignedRooms = roomRegistry.assignRooms({ ...booking, checkIn, checkOut, rooms }, bookings, registry, holdsInventory, {
+        fill: bookingStatus.getStatus(booking) === 'confirmed'
+      });
+      
+      const updatedBooking = await repositories.bookings.update(booking.id, () => ({
+        ...withoutLegacyRoomType(booking),
+        ...keepPassedDeadline(booking),
+        checkIn,
+        checkOut,
+        rooms: assignedRooms,
+        totalPrice: quote.total,
+        quote,
+        updatedAt: new Date().toISOString()
+      }));
+      
+      return { status: 200, booking: updatedBooking };
+    });
     
-    // Perform basic validation of required fields
-    if (!fullName || !email || !phone || !checkIn || !checkOut || !roomType) {
-      return res.status(400).json({ message: 'Required fields are missing' });
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
     }
     
-    // Read existing bookings from the file
-    const data = await fs.readFile(bookingsFile, 'utf8');
-    const bookings = JSON.parse(data);
+    // A cheaper stay gives back anything paid beyond the new total
+    await payments.refundOverpayment(result.booking, actor);
     
-    // Create a new booking object with a unique ID (timestamp-based)
-    const newBooking = {
-      id: Date.now().toString(), // Simple unique ID approach for demo
-      fullName,
-      email,
-      phone,
-      checkIn,
-      checkOut,
-      roomType, // Store the room type selection
-      message: message || '', // Use empty string if no message provided
-      totalPrice,
-      status: 'pending', // All new bookings start with pending status
-      createdAt: new Date().toISOString() // Add creation timestamp
-    };
+    // Activity sign-ups and spa appointments outside the new stay are dropped
+    const isOutsideStay = (item) => item.date < result.booking.checkIn || item.date > result.booking.checkOut;
+    await releaseActivitySignups(result.booking, 'No longer during the stay', isOutsideStay);
+    await releaseSpaAppointments(result.booking, 'No longer during the stay', isOutsideStay);
     
-    // Add the new booking to the bookings array
-    bookings.push(newBooking);
+    res.json({
+      message: `${result.booking.fullName} moved to room ${roomNumber}, ${result.booking.checkIn} to ${result.booking.checkOut}`,
+      booking: {
+        ...withAllowedStatuses(result.booking, req.user),
+        payment: await payments.getPaymentSummary(result.booking)
+      }
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error moving booking:', error);
+    res.status(500).json({ message: 'Error moving booking' });
+  }
+});
+
+/**
+ * Admin: Rooms
+ * GET /api/admin/rooms
+ * 
+ * Protected route behind the housekeeping board and the room registry: every
+ * room with its floor, features, out-of-order flag and housekeeping state,
+ * the states housekeeping can move it to next, and the guests using it today
+ * (see services/roomRegistry.js).
+ * 
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: {
+ *   today: string,
+ *   statuses: string[] (housekeeping states in turnaround order),
+ *   rooms: [{ roomNumber, roomType, floor, features, outOfOrder, outOfOrderReason, outOfOrderUntil,
+ *             outOfOrderToday, housekeeping, housekeepingUpdatedAt, housekeepingUpdatedBy,
+ *             nextHousekeeping: string[],
+ *             tonight: { bookingId, reference, guestName, status, checkIn, checkOut } | null,
+ *             departing: { ... } | null }]
+ * }
+ * Error response: { message: string }
+ */
+app.get('/api/admin/rooms', auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const today = formatDate(new Date());
+    const [registry, bookings] = await Promise.all([loadRooms(), repositories.bookings.all()]);
+    
+    const describeGuest = (booking) => booking ? {
+      bookingId: booking.id,
+      reference: booking.reference,
+      guestName: booking.fullName,
+      status: bookingStatus.getStatus(booking),
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut
+    } : null;
+    
+    res.json({
+      today,
+      statuses: roomRegistry.HOUSEKEEPING_STATUSES,
+      rooms: registry.map(room => {
+        const { tonight, departing } = roomRegistry.getRoomOccupancy(room, bookings, today, holdsInventory);
+        return {
+          ...room,
+          outOfOrderToday: roomRegistry.isOutOfOrderOn(room, today),
+          nextHousekeeping: roomRegistry.getNextHousekeeping(room),
+          tonight: describeGuest(tonight),
+          departing: describeGuest(departing)
+        };
+      })
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error reading rooms:', error);
+    res.status(500).json({ message: 'Error fetching rooms' });
+  }
+});
+
+/**
+ * Admin: Update a Room
+ * PUT /api/admin/rooms/:roomNumber
+ * 
+ * Protected route (rooms:manage) that changes a room's registry entry: its
+ * floor, features and out-of-order flag. A room that is out of order is not
+ * sold or given to bookings until the day in outOfOrderUntil, or until the
+ * flag is cleared. Bookings that were already given the room on those nights
+ * keep it and are listed in the response so staff can give them another.
+ * 
+ * URL parameters: roomNumber - The room number
+ * Request body (see roomSchema): {
+ *   floor: number,
+ *   features: string[],
+ *   outOfOrder: boolean,
+ *   outOfOrderReason: string,
+ *   outOfOrderUntil: string (YYYY-MM-DD, optional)
+ * }
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, room: Object, affectedBookings: [{ bookingId, reference, guestName, checkIn, checkOut }] }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 404 Not Found: { message: 'Room not found' }
+ *   - 500 Server Error: { message: 'Error updating room' }
+ */
+app.put('/api/admin/rooms/:roomNumber', auth, requirePermission('rooms:manage'), validateBody(roomSchema, getBookingContext), async (req, res) => {
+  try {
+    // Out-of-order rooms change availability, so take the inventory lock
+    const result = await inventoryLock.runExclusive(async () => {
+      const existing = await repositories.rooms.findById(req.params.roomNumber);
+      if (!existing) {
+        return { status: 404, body: { message: 'Room not found' } };
+      }
+      
+      const room = await repositories.rooms.update(existing.id, current => roomRegistry.applyRoomChanges(current, req.body));
+      
+      // Bookings given the room on nights it is now out of order
+      const bookings = await repositories.bookings.all();
+      const affectedBookings = bookings
+        .filter(booking =>
+          holdsInventory(booking) &&
+          bookingRooms.getBookingRooms(booking).some(line => line.roomNumber === room.roomNumber) &&
+          eachNight(booking.checkIn, booking.checkOut).some(date => roomRegistry.isOutOfOrderOn(room, date)))
+        .map(booking => ({
+          bookingId: booking.id,
+          reference: booking.reference,
+          guestName: booking.fullName,
+          checkIn: booking.checkIn,
+          checkOut: booking.checkOut
+        }));
+      
+      return { status: 200, room, affectedBookings };
+    });
+    
+    if (!result.room) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    const { room, affectedBookings } = result;
+    res.json({
+      message: affectedBookings.length > 0
+        ? `Room ${room.roomNumber} updated. ${affectedBookings.length} booking${affectedBookings.length === 1 ? ' has' : 's have'} the room while it is out of order and need${affectedBookings.length === 1 ? 's' : ''} another.`
+        : `Room ${room.roomNumber} updated`,
+      room,
+      affectedBookings
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error updating room:', error);
+    res.status(500).json({ message: 'Error updating room' });
+  }
+});
+
+/**
+ * Admin: Update Housekeeping
+ * PUT /api/admin/rooms/:roomNumber/housekeeping
+ * 
+ * Protected route (housekeeping:update) that moves a room to its next
+ * housekeeping state: dirty -> cleaning -> inspected -> ready. A room that
+ * fails inspection goes back to cleaning, and any room can be marked dirty.
+ * 
+ * URL parameters: roomNumber - The room number
+ * Request body: { status: string } (see housekeepingUpdateSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, room: Object (with nextHousekeeping) }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 404 Not Found: { message: 'Room not found' }
+ *   - 409 Conflict: { message: string, nextHousekeeping: string[] } when the room cannot move to that state
+ *   - 500 Server Error: { message: 'Error updating housekeeping' }
+ */
+app.put('/api/admin/rooms/:roomNumber/housekeeping', auth, requirePermission('housekeeping:update'), validateBody(housekeepingUpdateSchema), async (req, res) => {
+  try {
+    const actor = { type: 'staff', username: req.user.username, role: req.user.role };
+    
+    const existing = await repositories.rooms.findById(req.params.roomNumber);
+    if (!existing) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+    
+    const { room, error } = roomRegistry.applyHousekeeping(existing, req.body.status, actor);
+    if (error) {
+      return res.status(409).json({ message: error, nextHousekeeping: roomRegistry.getNextHousekeeping(existing) });
+    }
+    
+    const updatedRoom = await repositories.rooms.update(existing.id, () => room);
+    res.json({
+      message: `Room ${updatedRoom.roomNumber} is ${updatedRoom.housekeeping}`,
+      room: { ...updatedRoom, nextHousekeeping: roomRegistry.getNextHousekeeping(updatedRoom) }
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error updating housekeeping:', error);
+    res.status(500).json({ message: 'Error updating housekeeping' });
+  }
+});
+
+/**
+ * Admin: Room Options of a Booking
+ * GET /api/admin/bookings/:id/room-options
+ * 
+ * Protected route behind the room assignment panel: each room line of the
+ * booking with the room it was given and every room of its type, marked with
+ * the reason it cannot be given (out of order, or taken on some nights).
+ * 
+ * URL parameters: id - The booking identifier
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: {
+ *   canAssign: boolean,
+ *   rooms: [{ roomIndex, roomType, adults, children, roomNumber,
+ *             options: [{ roomNumber, floor, features, housekeeping, unavailableReason }] }]
+ * }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 500 Server Error: { message: 'Error fetching room options' }
+ */
+app.get('/api/admin/bookings/:id/room-options', auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const [registry, bookings] = await Promise.all([loadRooms(), repositories.bookings.all()]);
+    const booking = bookings.find(candidate => candidate.id === req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    res.json({
+      canAssign: roomRegistry.canAssign(booking),
+      rooms: bookingRooms.getBookingRooms(booking).map((line, roomIndex) => {
+        const stay = { roomType: line.roomType, checkIn: booking.checkIn, checkOut: booking.checkOut, bookingId: booking.id, roomIndex };
+        return {
+          roomIndex,
+          roomType: line.roomType,
+          adults: line.adults,
+          children: line.children || 0,
+          roomNumber: line.roomNumber || null,
+          options: registry
+            .filter(room => room.roomType === line.roomType)
+            .map(room => ({
+              roomNumber: room.roomNumber,
+              floor: room.floor,
+              features: room.features,
+              housekeeping: room.housekeeping,
+              unavailableReason: roomRegistry.checkAssignment(room, bookings, stay, holdsInventory)
+            }))
+        };
+      })
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error reading room options:', error);
+    res.status(500).json({ message: 'Error fetching room options' });
+  }
+});
+
+/**
+ * Admin: Assign a Room
+ * PUT /api/admin/bookings/:id/rooms/:roomIndex
+ * 
+ * Protected route (bookings:confirm) that gives one room line of a pending or
+ * confirmed booking the room chosen by staff, overriding the automatic
+ * assignment. The room must be of the line's type, in order for the whole
+ * stay and not given to another booking on any of its nights.
+ * 
+ * URL parameters: id - The booking identifier, roomIndex - The room line
+ * Request body: { roomNumber: string } (see roomAssignmentSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, booking: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for an unknown room
+ *   - 400 Bad Request: { message: string } for an unknown room line
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string } when the booking's rooms cannot be changed or the room cannot be given
+ *   - 500 Server Error: { message: 'Error assigning room' }
+ */
+app.put('/api/admin/bookings/:id/rooms/:roomIndex', auth, requirePermission('bookings:confirm'), validateBody(roomAssignmentSchema, getBookingContext), async (req, res) => {
+  try {
+    const roomIndex = Number(req.params.roomIndex);
+    const { roomNumber } = req.body;
+    
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const booking = bookings.find(candidate => candidate.id === req.params.id);
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      if (!roomRegistry.canAssign(booking)) {
+        return { status: 409, body: { message: 'Rooms can only be changed for pending and confirmed bookings' } };
+      }
+      
+      const lines = bookingRooms.getBookingRooms(booking);
+      if (!Number.isInteger(roomIndex) || !lines[roomIndex]) {
+        return { status: 400, body: { message: 'This booking has no such room' } };
+      }
+      
+      const room = await repositories.rooms.findById(roomNumber);
+      const stay = { roomType: lines[roomIndex].roomType, checkIn: booking.checkIn, checkOut: booking.checkOut, bookingId: booking.id, roomIndex };
+      const roomError = roomRegistry.checkAssignment(room, bookings, stay, holdsInventory);
+      if (roomError) {
+        return { status: 409, body: { message: roomError } };
+      }
+      
+      const updatedBooking = await repositories.bookings.update(booking.id, () => ({
+        ...withoutLegacyRoomType(booking),
+        rooms: lines.map((line, index) => (index === roomIndex ? { ...line, roomNumber } : line)),
+        updatedAt: new Date().toISOString()
+      }));
+      
+      return { status: 200, booking: updatedBooking };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({
+      message: `${result.booking.fullName} is in room ${roomNumber}`,
+      booking: {
+        ...withAllowedStatuses(result.booking, req.user),
+        payment: await payments.getPaymentSummary(result.booking)
+      }
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error assigning room:', error);
+    res.status(500).json({ message: 'Error assigning room' });
+  }
+});
+
+/**
+ * Admin: Auto-assign Rooms
+ * POST /api/admin/bookings/:id/assign-rooms
+ * 
+ * Protected route (bookings:confirm) that gives every room line of a pending
+ * or confirmed booking a room, the way confirming it does: rooms the lines
+ * already have are kept while they are usable, the others get the first free
+ * room of their type, ready rooms first.
+ * 
+ * URL parameters: id - The booking identifier
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, booking: Object }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string } when the booking's rooms cannot be changed
+ *   - 500 Server Error: { message: 'Error assigning rooms' }
+ */
+app.post('/api/admin/bookings/:id/assign-rooms', auth, requirePermission('bookings:confirm'), async (req, res) => {
+  try {
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const booking = bookings.find(candidate => candidate.id === req.params.id);
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      if (!roomRegistry.canAssign(booking)) {
+        return { status: 409, body: { message: 'Rooms can only be changed for pending and confirmed bookings' } };
+      }
+      
+      const rooms = roomRegistry.assignRooms(booking, bookings, await loadRooms(), holdsInventory);
+      
+      const updatedBooking = await repositories.bookings.update(booking.id, () => ({
+        ...withoutLegacyRoomType(booking),
+        rooms,
+        updatedAt: new Date().toISOString()
+      }));
+      
+      return { status: 200, booking: updatedBooking };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    const lines = bookingRooms.getBookingRooms(result.booking);
+    const unassigned = lines.filter(line => !line.roomNumber).length;
+    res.json({
+      message: unassigned > 0
+        ? `No free room for ${unassigned} of ${lines.length} room${lines.length === 1 ? '' : 's'}`
+        : `${result.booking.fullName} is in room${lines.length === 1 ? '' : 's'} ${lines.map(line => line.roomNumber).join(', ')}`,
+      booking: {
+        ...withAllowedStatuses(result.booking, req.user),
+        payment: await payments.getPaymentSummary(result.booking)
+      }
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error assigning rooms:', error);
+    res.status(500).json({ message: 'Error assigning rooms' });
+  }
+});
+
+/**
+ * Admin: Front Desk
+ * GET /api/admin/front-desk
+ * 
+ * Protected route behind the front desk's "Arrivals today" and "Departures
+ * today" lists (see services/frontDesk.js). Arrivals include guests already
+ * checked in and no-shows; departures include guests still in the house
+ * after their check-out day. Each booking comes with its payment summary and
+ * its room lines with the housekeeping state of the room each was given.
+ * 
+ * Query parameters:
+ *   - date: string (YYYY-MM-DD, defaults to today)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: {
+ *   date: string,
+ *   arrivalCutoff: string (HH:MM, UTC),
+ *   arrivals: Object[],
+ *   departures: Object[] (bookings with allowedStatuses, payment and
+ *     rooms: [{ roomIndex, roomType, adults, children, roomNumber, housekeeping }])
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string } for an invalid date
+ *   - 500 Server Error: { message: 'Error loading front desk' }
+ */
+app.get('/api/admin/front-desk', auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const date = req.query.date || formatDate(new Date());
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be a valid date (YYYY-MM-DD)' });
+    }
+    
+    const [bookings, registry] = await Promise.all([repositories.bookings.all(), loadRooms()]);
+    const arrivals = frontDesk.listArrivals(bookings, date);
+    const departures = frontDesk.listDepartures(bookings, date);
+    const summaries = await payments.getPaymentSummaries([...arrivals, ...departures]);
+    
+    const toFrontDeskView = (booking) => ({
+      ...withAllowedStatuses(booking, req.user),
+      payment: summaries.get(booking.id),
+      rooms: bookingRooms.getBookingRooms(booking).map((line, roomIndex) => ({
+        roomIndex,
+        roomType: line.roomType,
+        adults: line.adults,
+        children: line.children || 0,
+        roomNumber: line.roomNumber || null,
+        housekeeping: registry.find(room => room.roomNumber === line.roomNumber)?.housekeeping || null
+      }))
+    });
+    
+    res.json({
+      date,
+      arrivalCutoff: config.frontDesk.arrivalCutoff,
+      arrivals: arrivals.map(toFrontDeskView),
+      departures: departures.map(toFrontDeskView)
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error loading front desk:', error);
+    res.status(500).json({ message: 'Error loading front desk' });
+  }
+});
+
+/**
+ * Admin: Check In
+ * POST /api/admin/bookings/:id/check-in
+ * 
+ * Protected route (bookings:confirm) that checks the guests of a confirmed
+ * booking in, on or after their arrival day. Staff confirm they have seen an
+ * ID and may choose rooms at the desk; room lines left out keep their room or
+ * are given the first free one. Every room must be ready. The ID type, the
+ * last four characters of its number, the rooms and the number of keys are
+ * stored on the booking as `checkInRecord` (see services/frontDesk.js).
+ * 
+ * URL parameters: id - The booking identifier
+ * Request body: { idVerified: true, idType, idLast4?, keyCount, rooms?: [{ roomIndex, roomNumber }] } (see checkInSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, booking: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid details or an unchecked ID
+ *   - 400 Bad Request: { message: string } for an unknown room line
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string } when the booking cannot be checked in yet or a room cannot be used
+ *   - 500 Server Error: { message: 'Error checking in' }
+ */
+app.post('/api/admin/bookings/:id/check-in', auth, requirePermission('bookings:confirm'), validateBody(checkInSchema, getBookingContext), async (req, res) => {
+  try {
+    const { idVerified, idType, idLast4, keyCount, rooms: chosenRooms = [] } = req.body;
+    
+    if (idVerified !== true) {
+      const message = 'Check the guest\'s ID before checking them in';
+      return res.status(400).json({ message, errors: { idVerified: message } });
+    }
+    
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const existing = bookings.find(candidate => candidate.id === req.params.id);
+      if (!existing) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const checkInError = frontDesk.validateCheckIn(existing, formatDate(new Date()));
+      if (checkInError) {
+        return { status: 409, body: { message: checkInError } };
+      }
+      
+      // Put the rooms chosen at the desk in place, then check them together
+      const lines = bookingRooms.getBookingRooms(existing);
+      if (chosenRooms.some(({ roomIndex }) => !lines[roomIndex])) {
+        return { status: 400, body: { message: 'This booking has no such room' } };
+      }
+      
+      const chosen = {
+        ...withoutLegacyRoomType(existing),
+        rooms: lines.map((line, index) => {
+          const choice = chosenRooms.find(({ roomIndex }) => roomIndex === index);
+          return choice ? { ...line, roomNumber: choice.roomNumber } : line;
+        })
+      };
+      const current = [...bookings.filter(booking => booking.id !== existing.id), chosen];
+      
+      for (const { roomIndex, roomNumber } of chosenRooms) {
+        const room = await repositories.rooms.findById(roomNumber);
+        const stay = { roomType: lines[roomIndex].roomType, checkIn: existing.checkIn, checkOut: existing.checkOut, bookingId: existing.id, roomIndex };
+        const roomError = roomRegistry.checkAssignment(room, current, stay, holdsInventory);
+        if (roomError) {
+          return { status: 409, body: { message: roomError } };
+        }
+      }
+      
+      const registry = await loadRooms();
+      const rooms = roomRegistry.assignRooms(chosen, current, registry, holdsInventory);
+      const readyError = frontDesk.validateRoomsReady(rooms, registry);
+      if (readyError) {
+        return { status: 409, body: { message: readyError } };
+      }
+      
+      const actor = { type: 'staff', username: req.user.username, role: req.user.role };
+      const { booking, error } = bookingStatus.applyTransition({ ...chosen, rooms }, 'checked-in', { actor });
+      if (error) {
+        return { status: 409, body: { message: error } };
+      }
+      
+      const checkedIn = {
+        ...booking,
+        checkInRecord: frontDesk.createCheckInRecord(booking, { idType, idLast4, keyCount }, actor)
+      };
+      await repositories.bookings.update(existing.id, () => checkedIn);
+      return { status: 200, booking: checkedIn };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    const roomNumbers = result.booking.checkInRecord.rooms;
+    res.json({
+      message: `${result.booking.fullName} is checked in to room${roomNumbers.length === 1 ? '' : 's'} ${roomNumbers.join(', ')} with ${keyCount} key${keyCount === 1 ? '' : 's'}`,
+      booking: {
+        ...withAllowedStatuses(result.booking, req.user),
+        payment: await payments.getPaymentSummary(result.booking)
+      }
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error checking in:', error);
+    res.status(500).json({ message: 'Error checking in' });
+  }
+});
+
+/**
+ * Admin: Check Out
+ * POST /api/admin/bookings/:id/check-out
+ * 
+ * Protected route (bookings:confirm) that checks out the guests of a
+ * checked-in booking, early or on their check-out day. Whatever is still
+ * owed must be settled first, by card (charged through the payment provider)
+ * or in cash. The keys returned and the settlement are stored on the booking
+ * as `checkOutRecord`, and the booking's rooms are marked dirty for
+ * housekeeping.
+ * 
+ * URL parameters: id - The booking identifier
+ * Request body: { keysReturned, settlement?: { method: 'card' | 'cash', payment?: card } } (see checkOutSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, booking: Object, payment: Object | null, dirtyRooms: string[] }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid details, or a missing settlement when money is owed
+ *   - 402 Payment Required: { message: string, errors: { 'settlement.payment' } } when the card is declined
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string } when the guests are not checked in
+ *   - 500 Server Error: { message: 'Error checking out' }
+ */
+app.post('/api/admin/bookings/:id/check-out', auth, requirePermission('bookings:confirm'), validateBody(checkOutSchema), async (req, res) => {
+  try {
+    const { keysReturned, settlement } = req.body;
+    const actor = { type: 'staff', username: req.user.username, role: req.user.role };
+    
+    // Charge inside the lock so a double submit cannot settle the bill twice
+    const result = await inventoryLock.runExclusive(async () => {
+      const existing = await repositories.bookings.findById(req.params.id);
+      if (!existing) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const { booking, error } = bookingStatus.applyTransition(existing, 'checked-out', { actor });
+      if (error) {
+        return { status: 409, body: { message: error } };
+      }
+      
+      // Settle what is still owed
+      const { outstanding } = await payments.getPaymentSummary(existing);
+      let record = null;
+      if (outstanding > 0) {
+        if (!settlement) {
+          const message = `$${outstanding.toFixed(2)} is still owed; settle it before checking out`;
+          return { status: 400, body: { message, errors: { 'settlement.method': message } } };
+        }
+        
+        if (settlement.method === 'card') {
+          if (!settlement.payment) {
+            const message = 'Card details are required to pay by card';
+            return { status: 400, body: { message, errors: { 'settlement.payment': message } } };
+          }
+          
+          record = await payments.chargeCard(existing, settlement.payment, { amount: outstanding, purpose: 'balance', actor });
+          await payments.recordPayment(record);
+          
+          if (record.status !== 'succeeded') {
+            const reason = record.message || 'The card was declined.';
+            return { status: 402, body: { message: reason, errors: { 'settlement.payment': reason } } };
+          }
+        } else {
+          record = await payments.recordCashPayment(existing, { amount: outstanding, purpose: 'balance', actor });
+        }
+      }
+      
+      const checkedOut = {
+        ...booking,
+        checkOutRecord: frontDesk.createCheckOutRecord(booking, {
+          keysReturned,
+          settled: record && { amount: record.amount, method: settlement.method },
+          date: formatDate(new Date())
+        }, actor)
+      };
+      await repositories.bookings.update(existing.id, () => checkedOut);
+      return { status: 200, booking: checkedOut, record };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    // Housekeeping turns the rooms around once the guests have left
+    const dirtyRooms = await markRoomsDirty(result.booking, actor);
+    
+    const keyCount = result.booking.checkInRecord?.keyCount;
+    const missingKeys = keyCount ? Math.max(0, keyCount - keysReturned) : 0;
+    res.json({
+      message: [
+        `${result.booking.fullName} has checked out`,
+        result.record && `$${result.record.amount.toFixed(2)} paid by ${settlement.method}`,
+        missingKeys > 0 && `${missingKeys} key${missingKeys === 1 ? '' : 's'} not returned`
+      ].filter(Boolean).join(' · '),
+      booking: {
+        ...withAllowedStatuses(result.booking, req.user),
+        payment: await payments.getPaymentSummary(result.booking)
+      },
+      payment: result.record,
+      dirtyRooms
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error checking out:', error);
+    res.status(500).json({ message: 'Error checking out' });
+  }
+});
+
+/**
+ * Admin: Guest Folio
+ * GET /api/admin/bookings/:id/folio
+ * 
+ * Protected route (bookings:view) that returns the folio of a booking: every
+ * room night, fee, tax and add-on of the stay, the incidental charges staff
+ * posted, and the payments and refunds, each with the running balance.
+ * 
+ * URL parameters: id - The booking identifier
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { reference: string, folio: { entries, totals }, payment: Object, canPost: boolean }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 500 Server Error: { message: 'Error loading folio' }
+ */
+app.get('/api/admin/bookings/:id/folio', auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const booking = await repositories.bookings.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    res.json({
+      reference: guestBookings.getReference(booking),
+      folio: await loadFolio(booking),
+      payment: await payments.getPaymentSummary(booking),
+      canPost: folio.canPostCharges(booking)
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error loading folio:', error);
+    res.status(500).json({ message: 'Error loading folio' });
+  }
+});
+
+/**
+ * Admin: Post Incidental Charge
+ * POST /api/admin/bookings/:id/folio/charges
+ * 
+ * Protected route (folio:post) that posts an incidental charge, such as a
+ * restaurant bill or gear rental, to the folio of a checked-in or
+ * checked-out booking. The charge is added to what the guest owes and is
+ * settled with the balance at check-out.
+ * 
+ * URL parameters: id - The booking identifier
+ * Request body: { category, description, unitPrice, quantity?, date? } (see folioChargeSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response (201): { message: string, charge: Object, folio: Object, payment: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid details or a date outside the stay
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 409 Conflict: { message: string } when the guests have not checked in
+ *   - 500 Server Error: { message: 'Error posting charge' }
+ */
+app.post('/api/admin/bookings/:id/folio/charges', auth, requirePermission('folio:post'), validateBody(folioChargeSchema), async (req, res) => {
+  try {
+    const actor = { type: 'staff', username: req.user.username, role: req.user.role };
+    
+    // Post inside the lock so a charge cannot slip past a check-out settling the bill
+    const result = await inventoryLock.runExclusive(async () => {
+      const booking = await repositories.bookings.findById(req.params.id);
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      if (!folio.canPostCharges(booking)) {
+        return { status: 409, body: { message: 'Charges can only be posted once the guests have checked in' } };
+      }
+      
+      const date = req.body.date || formatDate(new Date());
+      const dateError = folio.validateChargeDate(booking, date);
+      if (dateError) {
+        return { status: 400, body: { message: dateError, errors: { date: dateError } } };
+      }
+      
+      const charge = folio.createFolioCharge(booking, { ...req.body, date }, actor);
+      await repositories.folioCharges.insert(charge);
+      return { status: 201, booking, charge };
+    });
+    
+    if (!result.charge) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.status(201).json({
+      message: `$${result.charge.amount.toFixed(2)} for ${result.charge.description} posted to ${result.booking.fullName}'s folio`,
+      charge: result.charge,
+      folio: await loadFolio(result.booking),
+      payment: await payments.getPaymentSummary(result.booking)
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error posting charge:', error);
+    res.status(500).json({ message: 'Error posting charge' });
+  }
+});
+
+/**
+ * Admin: Void Incidental Charge
+ * POST /api/admin/bookings/:id/folio/charges/:chargeId/void
+ * 
+ * Protected route (folio:void) that voids an incidental charge posted in
+ * error. The charge stays on the folio, marked void with the reason, but no
+ * longer counts. If the guest had already paid for it, the difference is
+ * refunded to their card.
+ * 
+ * URL parameters: id - The booking identifier, chargeId - The charge identifier
+ * Request body: { reason } (see folioVoidSchema)
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: { message: string, charge: Object, folio: Object, payment: Object, refunds: Object[] }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for a missing reason
+ *   - 404 Not Found: { message: string } when the booking or charge does not exist
+ *   - 409 Conflict: { message: string } when the charge was already voided
+ *   - 500 Server Error: { message: 'Error voiding charge' }
+ */
+app.post('/api/admin/bookings/:id/folio/charges/:chargeId/void', auth, requirePermission('folio:void'), validateBody(folioVoidSchema), async (req, res) => {
+  try {
+    const actor = { type: 'staff', username: req.user.username, role: req.user.role };
+    
+    const result = await inventoryLock.runExclusive(async () => {
+      const booking = await repositories.bookings.findById(req.params.id);
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const existing = await repositories.folioCharges.findById(req.params.chargeId);
+      if (!existing || existing.bookingId !== booking.id) {
+        return { status: 404, body: { message: 'Charge not found' } };
+      }
+      
+      const { charge, error } = folio.voidFolioCharge(existing, req.body.reason, actor);
+      if (error) {
+        return { status: 409, body: { message: error } };
+      }
+      
+      await repositories.folioCharges.update(charge.id, () => charge);
+      return { status: 200, booking, charge };
+    });
+    
+    if (!result.charge) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    // Give back anything the guest already paid for the voided charge
+    const refunds = await payments.refundOverpayment(result.booking, actor);
+    
+    res.json({
+      message: [
+        `${result.charge.description} voided`,
+        refunds.length > 0 && `$${refunds.reduce((sum, refund) => sum + refund.amount, 0).toFixed(2)} refunded`
+      ].filter(Boolean).join(' · '),
+      charge: result.charge,
+      folio: await loadFolio(result.booking),
+      payment: await payments.getPaymentSummary(result.booking),
+      refunds
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error voiding charge:', error);
+    res.status(500).json({ message: 'Error voiding charge' });
+  }
+});
+
+/**
+ * Admin: Invoice
+ * GET /api/admin/bookings/:id/invoice
+ * GET /api/admin/bookings/:id/invoice.pdf
+ * 
+ * Protected routes (bookings:view) that render the itemized invoice of a
+ * booking from its folio, as a printable HTML page or as a PDF download.
+ * Both are generated on the server; voided charges are left off.
+ * 
+ * URL parameters: id - The booking identifier
+ * Headers required: { Authorization: 'Bearer <token>' }
+ * Success response: text/html page, or an application/pdf attachment
+ * Error responses:
+ *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 500 Server Error: { message: 'Error generating invoice' }
+ */
+app.get(['/api/admin/bookings/:id/invoice', '/api/admin/bookings/:id/invoice.pdf'], auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const booking = await repositories.bookings.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    const details = invoice.buildInvoice(booking, await loadFolio(booking));
+    
+    if (req.path.endsWith('.pdf')) {
+      res.set('Content-Disposition', `attachment; filename="${details.number}.pdf"`);
+      return res.type('application/pdf').send(invoice.renderInvoicePdf(details));
+    }
+    
+    res.type('html').send(invoice.renderInvoiceHtml(details));
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ message: 'Error generating invoice' });
+  }
+});
+
+/**
+ * Admin: List Staff Users
+ * GET /api/admin/users
+ * 
+ * Owner-only route that lists staff accounts with their roles
+ * 
+ * Success response: { users: Object[], roles: string[] }
+ * Error response: { message: string }
+ */
+app.get('/api/admin/users', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await adminUsers.listUsers();
+    res.json({ users, roles: ROLES });
+  } catch (error) {
+    console.error('Error reading users:', error);
+    res.status(500).json({ message: 'Error fetching users' });
+  }
+});
+
+/**
+ * Admin: Create Staff User
+ * POST /api/admin/users
+ * 
+ * Request body (see staffUserSchema): { username: string, password: string, role: 'front-desk' | 'manager' | 'owner' }
+ * Success response (201 Created): { success: true, user: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields
+ *   - 400 Bad Request: { message: string } when the username is taken
+ *   - 500 Server Error: { message: 'Error creating user' }
+ */
+app.post('/api/admin/users', auth, requirePermission('users:manage'), validateBody(staffUserSchema), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const { user, error } = await adminUsers.createUser({ username, password, role });
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ message: 'Error creating user' });
+  }
+});
+
+/**
+ * Admin: Update Staff User
+ * PUT /api/admin/users/:id
+ * 
+ * Changes a user's role and/or resets their password. The user is signed
+ * out of all sessions so the change takes effect immediately.
+ * 
+ * Request body (see staffUserUpdateSchema): { role?: string, password?: string }
+ * Success response: { success: true, user: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields
+ *   - 400 Bad Request: { message: string } when the last owner would lose the role
+ *   - 404 Not Found: { message: 'User not found' }
+ *   - 500 Server Error: { message: 'Error updating user' }
+ */
+app.put('/api/admin/users/:id', auth, requirePermission('users:manage'), validateBody(staffUserUpdateSchema), async (req, res) => {
+  try {
+    const { role, password } = req.body;
+    const { user, error, notFound } = await adminUsers.updateUser(req.params.id, { role, password });
+    
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ message: error });
+    }
+    
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ message: 'Error updating user' });
+  }
+});
+
+/**
+ * Admin: Delete Staff User
+ * DELETE /api/admin/users/:id
+ * 
+ * Owners cannot delete their own account, and the last owner cannot be removed.
+ * 
+ * Success response: { success: true, message: string }
+ * Error responses:
+ *   - 400 Bad Request: { message: string }
+ *   - 404 Not Found: { message: 'User not found' }
+ *   - 500 Server Error: { message: 'Error deleting user' }
+ */
+app.delete('/api/admin/users/:id', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    
+    const { error, notFound } = await adminUsers.deleteUser(req.params.id);
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ message: error });
+    }
+    
+    res.json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ message: 'Error deleting user' });
+  }
+});
+
+/**
+ * Admin: Get Rate Rules
+ * GET /api/admin/rate-rules
+ * 
+ * Protected route that returns every pricing rule (seasons, weekend
+ * surcharges, minimum stays and length-of-stay discounts)
+ * 
+ * Success response: Array of rate rule objects, each with a `summary` string
+ * Error response: { message: string }
+ */
+app.get('/api/admin/rate-rules', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const rules = await repositories.rateRules.all();
+    
+    // Include a readable summary so the dashboard does not need to rebuild it
+    res.json(rules.map(rule => ({ ...rule, summary: rateRules.describeRule(rule) })));
+  } catch (error) {
+    console.error('Error reading rate rules:', error);
+    res.status(500).json({ message: 'Error fetching rate rules' });
+  }
+});
+
+/**
+ * Admin: Create Rate Rule
+ * POST /api/admin/rate-rules
+ * 
+ * Request body (see rateRuleSchema): {
+ *   type: 'season' | 'weekend' | 'min-stay' | 'length-of-stay',
+ *   name: string,
+ *   startDate, endDate: string (YYYY-MM-DD, season and min-stay),
+ *   repeatsAnnually: boolean (season and min-stay),
+ *   days: number[] (weekend, 0 = Sunday),
+ *   minNights: number (min-stay and length-of-stay),
+ *   adjustmentPercent: number (season, weekend and length-of-stay),
+ *   roomTypes: string[] (optional, empty means all room types),
+ *   active: boolean
+ * }
+ * Success response (201 Created): { success: true, rule: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 500 Server Error: { message: 'Error saving rate rule' }
+ */
+app.post('/api/admin/rate-rules', auth, requirePermission('pricing:manage'), validateBody(rateRuleSchema, getBookingContext), async (req, res) => {
+  try {
+    // Validate and normalize the submitted rule
+    const { rule, errors } = rateRules.validateRateRule(req.body);
+    if (!rule) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    const newRule = await repositories.rateRules.insert(rateRules.createRateRule(rule));
+    
+    res.status(201).json({ success: true, rule: { ...newRule, summary: rateRules.describeRule(newRule) } });
+  } catch (error) {
+    console.error('Error creating rate rule:', error);
+    res.status(500).json({ message: 'Error saving rate rule' });
+  }
+});
+
+/**
+ * Admin: Update Rate Rule
+ * PUT /api/admin/rate-rules/:id
+ * 
+ * Replaces the fields of an existing rule. Accepts the same body as
+ * POST /api/admin/rate-rules.
+ * 
+ * Success response: { success: true, rule: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 404 Not Found: { message: 'Rate rule not found' }
+ *   - 500 Server Error: { message: 'Error saving rate rule' }
+ */
+app.put('/api/admin/rate-rules/:id', auth, requirePermission('pricing:manage'), validateBody(rateRuleSchema, getBookingContext), async (req, res) => {
+  try {
+    const { rule, errors } = rateRules.validateRateRule(req.body);
+    if (!rule) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    // Keep identity and creation time, replace everything else
+    const updatedRule = await repositories.rateRules.update(req.params.id, existing => ({
+      id: existing.id,
+      ...rule,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    }));
+    
+    if (!updatedRule) {
+      return res.status(404).json({ message: 'Rate rule not found' });
+    }
+    
+    res.json({ success: true, rule: { ...updatedRule, summary: rateRules.describeRule(updatedRule) } });
+  } catch (error) {
+    console.error('Error updating rate rule:', error);
+    res.status(500).json({ message: 'Error saving rate rule' });
+  }
+});
+
+/**
+ * Admin: Delete Rate Rule
+ * DELETE /api/admin/rate-rules/:id
+ * 
+ * Success response: { success: true, message: string }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Rate rule not found' }
+ *   - 500 Server Error: { message: 'Error deleting rate rule' }
+ */
+app.delete('/api/admin/rate-rules/:id', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const removed = await repositories.rateRules.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'Rate rule not found' });
+    }
+    
+    res.json({ success: true, message: 'Rate rule deleted' });
+  } catch (error) {
+    console.error('Error deleting rate rule:', error);
+    res.status(500).json({ message: 'Error deleting rate rule' });
+  }
+});
+
+/**
+ * Admin: Get Room Blocks
+ * GET /api/admin/room-blocks
+ * 
+ * Protected route that returns every group block, with how many of its
+ * rooms members have claimed
+ * 
+ * Success response: Array of blocks, by check-in date, each with
+ *   open: boolean, bookingCount: number and
+ *   allocations: [{ roomType, rooms, nightlyRate, claimed, remaining }]
+ * Error response: { message: string }
+ */
+app.get('/api/admin/room-blocks', auth, requirePermission('groups:manage'), async (req, res) => {
+  try {
+    const [blocks, bookings] = await Promise.all([
+      repositories.roomBlocks.all(),
+      repositories.bookings.all()
+    ]);
+    
+    res.json(blocks
+      .map(block => withPickup(block, bookings))
+      .sort((a, b) => a.checkIn.localeCompare(b.checkIn)));
+  } catch (error) {
+    console.error('Error reading room blocks:', error);
+    res.status(500).json({ message: 'Error fetching room blocks' });
+  }
+});
+
+/**
+ * Admin: Create Room Block
+ * POST /api/admin/room-blocks
+ * 
+ * Holds rooms for a group and gives it a shareable group code. The rooms
+ * are taken out of public availability until members claim them or the
+ * cutoff date passes.
+ * 
+ * Request body (see roomBlockSchema): {
+ *   name: string,
+ *   contactName: string (optional),
+ *   contactEmail: string (optional),
+ *   checkIn, checkOut: string (YYYY-MM-DD),
+ *   cutoffDate: string (YYYY-MM-DD, on or before checkIn; last day members can book),
+ *   allocations: [{ roomType: string, rooms: number, nightlyRate: number }] (one per room type),
+ *   notes: string (optional)
+ * }
+ * Success response (201 Created): { success: true, block: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 409 Conflict: { message: string, shortages: Object[] } when the rooms are not free to hold
+ *   - 500 Server Error: { message: 'Error saving room block' }
+ */
+app.post('/api/admin/room-blocks', auth, requirePermission('groups:manage'), validateBody(roomBlockSchema, getBookingContext), async (req, res) => {
+  try {
+    const errors = roomBlocks.validateBlockRules(req.body);
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    // Holding rooms takes them from availability, so check under the lock
+    const result = await inventoryLock.runExclusive(async () => {
+      const [bookings, blocks] = await Promise.all([
+        repositories.bookings.all(),
+        repositories.roomBlocks.all()
+      ]);
+      
+      const block = roomBlocks.createRoomBlock(req.body, blocks, { username: req.user.username, role: req.user.role });
+      const capacityError = checkBlockCapacity(block, bookings, blocks, await loadOutOfOrderRooms());
+      if (capacityError) {
+        return { conflict: capacityError };
+      }
+      
+      await repositories.roomBlocks.insert(block);
+      return { block: withPickup(block, bookings) };
+    });
+    
+    if (result.conflict) {
+      return res.status(409).json(result.conflict);
+    }
+    
+    res.status(201).json({ success: true, block: result.block });
+  } catch (error) {
+    console.error('Error creating room block:', error);
+    res.status(500).json({ message: 'Error saving room block' });
+  }
+});
+
+/**
+ * Admin: Update Room Block
+ * PUT /api/admin/room-blocks/:id
+ * 
+ * Replaces the details of an active block. Accepts the same body as
+ * POST /api/admin/room-blocks; the group code stays the same. Rooms members
+ * have claimed cannot be taken away, and their stays must still fit.
+ * 
+ * Success response: { success: true, block: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 404 Not Found: { message: 'Room block not found' }
+ *   - 409 Conflict: { message: string } when the block is released or the change does not fit
+ *   - 500 Server Error: { message: 'Error saving room block' }
+ */
+app.put('/api/admin/room-blocks/:id', auth, requirePermission('groups:manage'), validateBody(roomBlockSchema, getBookingContext), async (req, res) => {
+  try {
+    const errors = roomBlocks.validateBlockRules(req.body);
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    const result = await inventoryLock.runExclusive(async () => {
+      const [bookings, blocks] = await Promise.all([
+        repositories.bookings.all(),
+        repositories.roomBlocks.all()
+      ]);
+      
+      const existing = blocks.find(block => block.id === req.params.id);
+      if (!existing) {
+        return { status: 404, body: { message: 'Room block not found' } };
+      }
+      
+      if (existing.status === 'released') {
+        return { status: 409, body: { message: 'Released blocks cannot be changed' } };
+      }
+      
+      // Keep identity, code and creation details, replace everything else
+      const block = {
+        id: existing.id,
+        code: existing.code,
+        ...req.body,
+        status: existing.status,
+        createdAt: existing.createdAt,
+        createdBy: existing.createdBy,
+        updatedAt: new Date().toISOString()
+      };
+      
+      const capacityError = checkBlockCapacity(block, bookings, blocks, await loadOutOfOrderRooms());
+      if (capacityError) {
+        return { status: 409, body: capacityError };
+      }
+      
+      const updatedBlock = await repositories.roomBlocks.update(block.id, () => block);
+      return { block: withPickup(updatedBlock, bookings) };
+    });
+    
+    if (!result.block) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({ success: true, block: result.block });
+  } catch (error) {
+    console.error('Error updating room block:', error);
+    res.status(500).json({ message: 'Error saving room block' });
+  }
+});
+
+/**
+ * Admin: Release Room Block
+ * POST /api/admin/room-blocks/:id/release
+ * 
+ * Releases a block before its cutoff date: the rooms members have not
+ * claimed go back on sale and the group code stops working. Bookings
+ * already made with the code are kept.
+ * 
+ * Success response: { success: true, block: Object }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Room block not found' }
+ *   - 409 Conflict: { message: string } when the block is already released
+ *   - 500 Server Error: { message: 'Error releasing room block' }
+ */
+app.post('/api/admin/room-blocks/:id/release', auth, requirePermission('groups:manage'), async (req, res) => {
+  try {
+    // Released under the lock so no booking is priced against the block meanwhile
+    const result = await inventoryLock.runExclusive(async () => {
+      const existing = await repositories.roomBlocks.findById(req.params.id);
+      if (!existing) {
+        return { status: 404, body: { message: 'Room block not found' } };
+      }
+      
+      if (existing.status === 'released') {
+        return { status: 409, body: { message: 'This block has already been released' } };
+      }
+      
+      const block = await repositories.roomBlocks.update(existing.id, roomBlocks.releaseChanges({
+        reason: 'Released early by staff',
+        by: { username: req.user.username, role: req.user.role }
+      }));
+      return { block: withPickup(block, await repositories.bookings.all()) };
+    });
+    
+    if (!result.block) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({ success: true, block: result.block });
+  } catch (error) {
+    console.error('Error releasing room block:', error);
+    res.status(500).json({ message: 'Error releasing room block' });
+  }
+});
+
+/**
+ * Admin: Delete Room Block
+ * DELETE /api/admin/room-blocks/:id
+ * 
+ * Only blocks nobody has booked with can be deleted; release the others.
+ * 
+ * Success response: { success: true, message: string }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Room block not found' }
+ *   - 409 Conflict: { message: string } when bookings were made with the block
+ *   - 500 Server Error: { message: 'Error deleting room block' }
+ */
+app.delete('/api/admin/room-blocks/:id', auth, requirePermission('groups:manage'), async (req, res) => {
+  try {
+    // Checked and removed under the lock so no member can book against the block meanwhile
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      if (bookings.some(booking => booking.groupBlockId === req.params.id)) {
+        return { status: 409, body: { message: 'This block has bookings. Release it instead of deleting it.' } };
+      }
+      
+      const removed = await repositories.roomBlocks.remove(req.params.id);
+      if (!removed) {
+        return { status: 404, body: { message: 'Room block not found' } };
+      }
+      
+      return { removed };
+    });
+    
+    if (!result.removed) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({ success: true, message: 'Room block deleted' });
+  } catch (error) {
+    console.error('Error deleting room block:', error);
+    res.status(500).json({ message: 'Error deleting room block' });
+  }
+});
+
+/**
+ * Admin: Get Promo Codes
+ * GET /api/admin/promo-codes
+ * 
+ * Protected route that returns every promo code with how often it has
+ * been used
+ * 
+ * Success response: Array of promo codes, newest first, each with
+ *   uses: number and summary: string (e.g. '15% off')
+ * Error response: { message: string }
+ */
+app.get('/api/admin/promo-codes', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const [promos, bookings] = await Promise.all([
+      repositories.promoCodes.all(),
+      repositories.bookings.all()
+    ]);
+    
+    res.json(promos
+      .map(promo => withUses(promo, bookings))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+  } catch (error) {
+    console.error('Error reading promo codes:', error);
+    res.status(500).json({ message: 'Error fetching promo codes' });
+  }
+});
+
+/**
+ * Admin: Create Promo Code
+ * POST /api/admin/promo-codes
+ * 
+ * Request body (see promoCodeSchema): {
+ *   code: string (3-20 letters, numbers and dashes; stored in upper case),
+ *   description: string (optional),
+ *   discountType: 'percent' | 'fixed',
+ *   amount: number (percentage up to 100, or dollars off the booking),
+ *   validFrom, validUntil: string (YYYY-MM-DD, optional; days the code can be booked with),
+ *   stayFrom, stayUntil: string (YYYY-MM-DD, optional; nights the stay must fall within),
+ *   roomTypes: string[] (optional, empty means all room types),
+ *   minNights: number (optional),
+ *   maxUses: number (optional, bookings that can use the code),
+ *   active: boolean (optional, default true)
+ * }
+ * Success response (201 Created): { success: true, promoCode: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 409 Conflict: { message: string, errors: { code } } when the code already exists
+ *   - 500 Server Error: { message: 'Error saving promo code' }
+ */
+app.post('/api/admin/promo-codes', auth, requirePermission('pricing:manage'), validateBody(promoCodeSchema, getBookingContext), async (req, res) => {
+  try {
+    const errors = promoCodes.validatePromoRules(req.body);
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    const promo = promoCodes.createPromoCode(req.body, { username: req.user.username, role: req.user.role });
+    
+    // Checked and saved under the lock so two requests cannot both create the code
+    const result = await inventoryLock.runExclusive(async () => {
+      if (promoCodes.findPromoByCode(await repositories.promoCodes.all(), promo.code)) {
+        const message = `The code ${promo.code} already exists`;
+        return { status: 409, body: { message, errors: { code: message } } };
+      }
+      
+      await repositories.promoCodes.insert(promo);
+      return { promo };
+    });
+    
+    if (!result.promo) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.status(201).json({ success: true, promoCode: withUses(result.promo, []) });
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    res.status(500).json({ message: 'Error saving promo code' });
+  }
+});
+
+/**
+ * Admin: Update Promo Code
+ * PUT /api/admin/promo-codes/:id
+ * 
+ * Replaces the fields of a promo code. Accepts the same body as
+ * POST /api/admin/promo-codes. Bookings already made keep the terms they
+ * were booked with.
+ * 
+ * Success response: { success: true, promoCode: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 404 Not Found: { message: 'Promo code not found' }
+ *   - 409 Conflict: { message: string, errors: { code } } when another code already uses the new code
+ *   - 500 Server Error: { message: 'Error saving promo code' }
+ */
+app.put('/api/admin/promo-codes/:id', auth, requirePermission('pricing:manage'), validateBody(promoCodeSchema, getBookingContext), async (req, res) => {
+  try {
+    const errors = promoCodes.validatePromoRules(req.body);
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    const code = promoCodes.normalizePromoCode(req.body.code);
+    
+    // Checked and saved under the lock so two requests cannot both take the code
+    const result = await inventoryLock.runExclusive(async () => {
+      const clash = promoCodes.findPromoByCode(await repositories.promoCodes.all(), code);
+      if (clash && clash.id !== req.params.id) {
+        const message = `The code ${code} already exists`;
+        return { status: 409, body: { message, errors: { code: message } } };
+      }
+      
+      // Keep identity and creation details, replace everything else
+      const updatedPromo = await repositories.promoCodes.update(req.params.id, existing => ({
+        id: existing.id,
+        ...req.body,
+        code,
+        roomTypes: req.body.roomTypes || [],
+        active: req.body.active !== false,
+        createdAt: existing.createdAt,
+        createdBy: existing.createdBy,
+        updatedAt: new Date().toISOString()
+      }));
+      
+      if (!updatedPromo) {
+        return { status: 404, body: { message: 'Promo code not found' } };
+      }
+      
+      return { promo: updatedPromo };
+    });
+    
+    if (!result.promo) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({ success: true, promoCode: withUses(result.promo, await repositories.bookings.all()) });
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    res.status(500).json({ message: 'Error saving promo code' });
+  }
+});
+
+/**
+ * Admin: Delete Promo Code
+ * DELETE /api/admin/promo-codes/:id
+ * 
+ * Only codes nobody has booked with can be deleted; deactivate the others.
+ * 
+ * Success response: { success: true, message: string }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Promo code not found' }
+ *   - 409 Conflict: { message: string } when bookings were made with the code
+ *   - 500 Server Error: { message: 'Error deleting promo code' }
+ */
+app.delete('/api/admin/promo-codes/:id', auth, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const bookings = await repositories.bookings.all();
+    if (bookings.some(booking => booking.promoId === req.params.id)) {
+      return res.status(409).json({ message: 'This code has been used. Deactivate it instead of deleting it.' });
+    }
+    
+    const removed = await repositories.promoCodes.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+    
+    res.json({ success: true, message: 'Promo code deleted' });
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+    res.status(500).json({ message: 'Error deleting promo code' });
+  }
+});
+
+/**
+ * Admin: Get Activities
+ * GET /api/admin/activities
+ * 
+ * Protected route that returns every activity on the schedule with how many
+ * guests are signed up for its upcoming sessions
+ * 
+ * Success response: Array of activities, by name, each with
+ *   schedule: string (e.g. 'Monday, Wednesday at 07:30'), endTime: string,
+ *   upcomingSignups: number and upcomingWaitlisted: number (guests from today on)
+ * Error response: { message: string }
+ */
+app.get('/api/admin/activities', auth, requirePermission('activities:manage'), async (req, res) => {
+  try {
+    const [activityList, signups] = await Promise.all([
+      repositories.activities.all(),
+      repositories.activitySignups.all()
+    ]);
+    
+    res.json(activityList
+      .map(activity => withSignupCounts(activity, signups))
+      .sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (error) {
+    console.error('Error reading activities:', error);
+    res.status(500).json({ message: 'Error fetching activities' });
+  }
+});
+
+/**
+ * Admin: Create Activity
+ * POST /api/admin/activities
+ * 
+ * Adds a weekly series of sessions to the schedule.
+ * 
+ * Request body (see activitySchema): {
+ *   name, category, description (optional), instructor, location: string,
+ *   daysOfWeek: number[] (0 = Sunday), startTime: string (HH:MM),
+ *   durationMinutes: number, capacity: number,
+ *   startDate: string (YYYY-MM-DD), endDate: string (YYYY-MM-DD, optional),
+ *   active: boolean (optional, defaults to true)
+ * }
+ * Success response (201 Created): { success: true, activity: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 500 Server Error: { message: 'Error saving activity' }
+ */
+app.post('/api/admin/activities', auth, requirePermission('activities:manage'), validateBody(activitySchema), async (req, res) => {
+  try {
+    const errors = activities.validateActivityRules(req.body);
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    const activity = activities.createActivity(req.body, { username: req.user.username, role: req.user.role });
+    await repositories.activities.insert(activity);
+    
+    res.status(201).json({ success: true, activity: withSignupCounts(activity, []) });
+  } catch (error) {
+    console.error('Error creating activity:', error);
+    res.status(500).json({ message: 'Error saving activity' });
+  }
+});
+
+/**
+ * Admin: Update Activity
+ * PUT /api/admin/activities/:id
+ * 
+ * Replaces the details of an activity. Accepts the same body as
+ * POST /api/admin/activities. Upcoming sessions guests have signed up for
+ * cannot be removed from the schedule, and their capacity cannot drop below
+ * the guests already confirmed. Raising the capacity confirms waitlisted
+ * guests straight away.
+ * 
+ * Success response: { success: true, activity: Object, promoted: number }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 404 Not Found: { message: 'Activity not found' }
+ *   - 409 Conflict: { message: string } when the change would drop or overfill booked sessions
+ *   - 500 Server Error: { message: 'Error saving activity' }
+ */
+app.put('/api/admin/activities/:id', auth, requirePermission('activities:manage'), validateBody(activitySchema), async (req, res) => {
+  try {
+    const errors = activities.validateActivityRules(req.body);
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    const result = await scheduleLock.runExclusive(async () => {
+      const existing = await repositories.activities.findById(req.params.id);
+      if (!existing) {
+        return { status: 404, body: { message: 'Activity not found' } };
+      }
+      
+      // Keep identity and creation details, replace everything else
+      const activity = {
+        ...activities.createActivity(req.body, existing.createdBy),
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+      
+      const today = formatDate(new Date());
+      const upcoming = (await repositories.activitySignups.all()).filter(signup =>
+        signup.activityId === activity.id &&
+        signup.date >= today &&
+        activities.ACTIVE_SIGNUP_STATUSES.includes(signup.status)
+      );
+      
+      const dropped = upcoming.filter(signup => !activities.isSessionDay(activity, signup.date));
+      if (dropped.length > 0) {
+        const dates = [...new Set(dropped.map(signup => signup.date))].sort();
+        return {
+          status: 409,
+          body: { message: `Guests are signed up for sessions on ${dates.join(', ')}, which this change would remove from the schedule` }
+        };
+      }
+      
+      const sessionDates = [...new Set(upcoming.map(signup => signup.date))];
+      const overfull = sessionDates.filter(date => activities.countSessionPlaces(existing, upcoming, date).booked > activity.capacity);
+      if (overfull.length > 0) {
+        return {
+          status: 409,
+          body: { message: `More guests are already confirmed for the session on ${overfull.sort().join(', ')} than a capacity of ${activity.capacity} allows` }
+        };
+      }
+      
+      const updatedActivity = await repositories.activities.update(activity.id, () => activity);
+      
+      // A higher capacity makes room for waitlisted guests
+      const promoted = await promoteWaitlists(sessionDates.map(date => ({ activityId: activity.id, date })));
+      
+      return {
+        activity: withSignupCounts(updatedActivity, await repositories.activitySignups.all()),
+        promoted: promoted.length
+      };
+    });
+    
+    if (!result.activity) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error updating activity:', error);
+    res.status(500).json({ message: 'Error saving activity' });
+  }
+});
+
+/**
+ * Admin: Delete Activity
+ * DELETE /api/admin/activities/:id
+ * 
+ * Only activities nobody has signed up for can be deleted; deactivate the
+ * others to take them off the schedule.
+ * 
+ * Success response: { success: true, message: string }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Activity not found' }
+ *   - 409 Conflict: { message: string } when guests have signed up
+ *   - 500 Server Error: { message: 'Error deleting activity' }
+ */
+app.delete('/api/admin/activities/:id', auth, requirePermission('activities:manage'), async (req, res) => {
+  try {
+    const signups = await repositories.activitySignups.all();
+    if (signups.some(signup => signup.activityId === req.params.id && signup.status !== 'cancelled')) {
+      return res.status(409).json({ message: 'Guests have signed up for this activity. Deactivate it instead of deleting it.' });
+    }
+    
+    const removed = await repositories.activities.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+    
+    res.json({ success: true, message: 'Activity deleted' });
+  } catch (error) {
+    console.error('Error deleting activity:', error);
+    res.status(500).json({ message: 'Error deleting activity' });
+  }
+});
+
+/**
+ * Admin: Get a Day's Sessions
+ * GET /api/admin/activity-sessions?date=
+ * 
+ * Protected route for the front desk and instructors: every session on a
+ * day (today by default) with the guests signed up and waiting
+ * 
+ * Query parameters: date - Day to list (YYYY-MM-DD, optional)
+ * Success response: { date: string, sessions: [{
+ *   ...session (see GET /api/activities),
+ *   roster: [{ id, reference, guestName, participants, status, createdAt, promotedAt }]
+ *     (confirmed guests first, then the waitlist in order)
+ * }] }
+ * Error responses:
+ *   - 400 Bad Request: { message: string } for an invalid date
+ *   - 500 Server Error: { message: 'Error fetching sessions' }
+ */
+app.get('/api/admin/activity-sessions', auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const date = req.query.date || formatDate(new Date());
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be a valid date (YYYY-MM-DD)' });
+    }
+    
+    const [activityList, signups] = await Promise.all([
+      repositories.activities.all(),
+      repositories.activitySignups.all()
+    ]);
+    
+    const sessions = activities.listSessions(activityList, signups, { from: date, to: date, includeInactive: true });
+    
+    res.json({
+      date,
+      sessions: sessions.map(session => {
+        const sessionSignups = activities.getSessionSignups(signups, session.activityId, date);
+        return {
+          ...session,
+          roster: ['confirmed', 'waitlisted'].flatMap(status => sessionSignups
+            .filter(signup => signup.status === status)
+            .map(({ id, reference, guestName, participants, createdAt, promotedAt }) => ({
+              id, reference, guestName, participants, status, createdAt, promotedAt
+            })))
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error reading activity sessions:', error);
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+/**
+ * Admin: Get the Spa Calendar
+ * GET /api/admin/spa-appointments?date=
+ * 
+ * Protected route for the front desk and the spa: the therapists and rooms
+ * with their hours on a day (today by default) and the appointments booked
+ * for it
+ * 
+ * Query parameters: date - Day to list (YYYY-MM-DD, optional)
+ * Success response: {
+ *   date: string,
+ *   resources: [{ id, name, kind: 'therapist' | 'room', start, end }] (start and end are null on a day off),
+ *   appointments: [{ id, treatmentCode, treatmentName, startTime, endTime, price, therapistId, therapistName,
+ *     roomId, roomName, reference, guestName }] ordered by start time
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string } for an invalid date
+ *   - 500 Server Error: { message: 'Error fetching spa appointments' }
+ */
+app.get('/api/admin/spa-appointments', auth, requirePermission('bookings:view'), async (req, res) => {
+  try {
+    const date = req.query.date || formatDate(new Date());
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be a valid date (YYYY-MM-DD)' });
+    }
+    
+    const appointments = (await repositories.spaAppointments.all())
+      .filter(appointment => appointment.date === date && appointment.status === 'booked')
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(spa.describeAppointment);
+    
+    res.json({ date, resources: spa.listResources(date), appointments });
+  } catch (error) {
+    console.error('Error reading spa appointments:', error);
+    res.status(500).json({ message: 'Error fetching spa appointments' });
+  }
+});
+
+/**
+ * Admin: Cancel a Spa Appointment
+ * POST /api/admin/spa-appointments/:id/cancel
+ * 
+ * Protected route for managers and owners: cancels an appointment, e.g. when
+ * a therapist is ill, freeing its therapist and room
+ * 
+ * URL parameters: id - The appointment id
+ * Request body (see spaCancelSchema): { reason?: string }
+ * Success response: { success: true, appointment: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields
+ *   - 404 Not Found: { message: 'Appointment not found' }
+ *   - 500 Server Error: { message: 'Error cancelling the appointment' }
+ */
+app.post('/api/admin/spa-appointments/:id/cancel', auth, requirePermission('bookings:cancel'), validateBody(spaCancelSchema), async (req, res) => {
+  try {
+    const reason = req.body.reason || `Cancelled by ${req.user.username}`;
+    
+    const appointment = await spaLock.runExclusive(async () => {
+      const existing = await repositories.spaAppointments.findById(req.params.id);
+      if (!existing || existing.status !== 'booked') return null;
+      
+      return repositories.spaAppointments.update(existing.id, spa.cancelChanges(reason));
+    });
+    
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    res.json({ success: true, appointment: spa.describeAppointment(appointment) });
+  } catch (error) {
+    console.error('Error cancelling spa appointment:', error);
+    res.status(500).json({ message: 'Error cancelling the appointment' });
+  }
+});
+
+/**
+ * Admin: Get Email Templates
+ * GET /api/admin/email-templates
+ * 
+ * Returns every guest email template in its current wording, the
+ * placeholders templates may use, and the most recent emails sent.
+ * 
+ * Success response: {
+ *   templates: [{ id, name, description, subject, body, enabled, updatedAt?, updatedBy? }],
+ *   placeholders: { [name]: description },
+ *   recent: [{ id, templateId, reference, to, subject, status, transport, error?, createdAt }]
+ * }
+ * Error response: { message: string }
+ */
+app.get('/api/admin/email-templates', auth, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const [templates, recent] = await Promise.all([
+      notifications.listTemplates(),
+      notifications.listRecent()
+    ]);
+    
+    res.json({ templates, placeholders: emailTemplates.PLACEHOLDERS, recent });
+  } catch (error) {
+    console.error('Error reading email templates:', error);
+    res.status(500).json({ message: 'Error fetching email templates' });
+  }
+});
+
+/**
+ * Admin: Preview Email Template
+ * POST /api/admin/email-templates/preview
+ * 
+ * Renders a (possibly unsaved) subject and body with a sample booking
+ * 
+ * Request body (see emailTemplateSchema): { subject: string, body: string }
+ * Success response: { subject: string, text: string }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object }
+ *   - 500 Server Error: { message: 'Error rendering email template' }
+ */
+app.post('/api/admin/email-templates/preview', auth, requirePermission('notifications:manage'), validateBody(emailTemplateSchema), (req, res) => {
+  try {
+    const { template, errors } = emailTemplates.validateTemplate(req.body);
+    if (!template) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    res.json(notifications.previewTemplate(template));
+  } catch (error) {
+    console.error('Error rendering email template:', error);
+    res.status(500).json({ message: 'Error rendering email template' });
+  }
+});
+
+/**
+ * Admin: Update Email Template
+ * PUT /api/admin/email-templates/:id
+ * 
+ * Request body (see emailTemplateSchema): { subject: string, body: string, enabled: boolean }
+ * Success response: { success: true, template: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for empty fields or unknown placeholders
+ *   - 404 Not Found: { message: 'Email template not found' }
+ *   - 500 Server Error: { message: 'Error saving email template' }
+ */
+app.put('/api/admin/email-templates/:id', auth, requirePermission('notifications:manage'), validateBody(emailTemplateSchema), async (req, res) => {
+  try {
+    const { template, errors, notFound } = await notifications.updateTemplate(req.params.id, req.body, req.user.username);
+    
+    if (notFound) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+    
+    if (!template) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+    
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error updating email template:', error);
+    res.status(500).json({ message: 'Error saving email template' });
+  }
+});
+
+/**
+ * Admin: Reset Email Template
+ * POST /api/admin/email-templates/:id/reset
+ * 
+ * Restores the wording the template shipped with
+ * 
+ * Success response: { success: true, template: Object }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Email template not found' }
+ *   - 500 Server Error: { message: 'Error resetting email template' }
+ */
+app.post('/api/admin/email-templates/:id/reset', auth, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const template = await notifications.resetTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+    
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({ message: 'Error resetting email template' });
+  }
+});
+
+/**
+ * Public: Get Room Types
+ * GET /api/room-types
+ * 
+ * Returns the room types the resort sells with their base nightly rate,
+ * number of units and how many guests one room sleeps, so the website does
+ * not hard-code prices or occupancy
+ * 
+ * Success response: [{ name: string, nightlyRate: number, totalUnits: number, maxAdults: number, maxOccupancy: number }]
+ */
+app.get('/api/room-types', (req, res) => {
+  res.json(ROOM_TYPES.map(roomType => ({
+    name: roomType.name,
+    nightlyRate: roomType.nightlyRate,
+    totalUnits: roomType.rooms.length,
+    maxAdults: roomType.maxAdults,
+    maxOccupancy: roomType.maxOccupancy
+  })));
+});
+
+/**
+ * Public: Get Add-Ons
+ * GET /api/add-ons
+ * 
+ * Returns the add-on services guests can book with a stay. With a stay's
+ * dates, add-ons with a daily capacity also report how many are left on
+ * each day.
+ * 
+ * Query parameters:
+ *   - checkIn, checkOut: string (YYYY-MM-DD, optional)
+ * Success response: [{
+ *   code, name, category, description,
+ *   pricing: 'per-stay' | 'per-night' | 'per-person' | 'per-person-per-night',
+ *   price: number, maxQuantity: number, dailyCapacity: number|null, scheduled: boolean,
+ *   remaining: { [date]: number } (with dates, for add-ons with a daily capacity)
+ * }]
+ * Error responses:
+ *   - 400 Bad Request: { message: string } for invalid dates
+ *   - 500 Server Error: { message: 'Error fetching add-ons' }
+ */
+app.get('/api/add-ons', async (req, res) => {
+  try {
+    const { checkIn, checkOut } = req.query;
+    if (!checkIn && !checkOut) {
+      return res.json(addOns.ADD_ONS);
+    }
+    
+    const dateError = validateStayDates(checkIn, checkOut);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+    
+    // Only bookings that still hold their rooms hold their add-ons
+    const bookings = (await repositories.bookings.all()).filter(holdsInventory);
+    const capacity = addOns.getAddOnCapacity(bookings, eachNight(checkIn, checkOut));
+    
+    res.json(addOns.ADD_ONS.map(addOn => ({
+      ...addOn,
+      ...(capacity[addOn.code] && {
+        remaining: Object.fromEntries(Object.entries(capacity[addOn.code]).map(([date, left]) => [date, Math.max(left, 0)]))
+      })
+    })));
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error fetching add-ons:', error);
+    res.status(500).json({ message: 'Error fetching add-ons' });
+  }
+});
+
+/**
+ * Public: Get the Activity Schedule
+ * GET /api/activities?from=&to=
+ * 
+ * Lists the sessions of every active activity, for the public schedule page.
+ * Without dates it lists the next two weeks.
+ * 
+ * Query parameters:
+ *   from - First day (YYYY-MM-DD, optional, defaults to today)
+ *   to - Last day (YYYY-MM-DD, optional, defaults to 13 days after from; at most MAX_SCHEDULE_DAYS days in all)
+ * Success response: { from, to, sessions: [{
+ *   activityId, date, name, category, description, instructor, location,
+ *   startTime, endTime, durationMinutes, capacity, active,
+ *   booked, spotsLeft, waitlisted (guests), started: boolean
+ * }] } ordered by date and start time
+ * Error responses:
+ *   - 400 Bad Request: { message: string } for invalid dates or too long a range
+ *   - 500 Server Error: { message: 'Error fetching the activity schedule' }
+ */
+app.get('/api/activities', async (req, res) => {
+  try {
+    const from = req.query.from || formatDate(new Date());
+    const to = req.query.to || addDays(from, 13);
+    
+    if (!isValidDateString(from) || !isValidDateString(to) || to < from) {
+      return res.status(400).json({ message: 'from and to must be valid dates (YYYY-MM-DD), with to on or after from' });
+    }
+    
+    if (nightsBetween(from, to) >= activities.MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({ message: `The schedule can be listed for at most ${activities.MAX_SCHEDULE_DAYS} days at a time` });
+    }
+    
+    const [activityList, signups] = await Promise.all([
+      repositories.activities.all(),
+      repositories.activitySignups.all()
+    ]);
+    
+    res.json({ from, to, sessions: activities.listSessions(activityList, signups, { from, to }) });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error fetching activity schedule:', error);
+    res.status(500).json({ message: 'Error fetching the activity schedule' });
+  }
+});
+
+/**
+ * Public: Get Spa Treatments
+ * GET /api/spa/treatments
+ * 
+ * Returns the treatments guests can book during their stay
+ * 
+ * Success response: [{ code, name, category, description, durationMinutes, price }]
+ */
+app.get('/api/spa/treatments', (req, res) => {
+  res.json(spa.TREATMENTS.map(({ code, name, category, description, durationMinutes, price }) => ({
+    code, name, category, description, durationMinutes, price
+  })));
+});
+
+/**
+ * Public: Find Spa Appointment Times
+ * GET /api/spa/availability?treatment=&date=
+ * 
+ * Lists the times a treatment can start on a day, i.e. the times when a
+ * therapist with the right skill and a suitable room are both free for the
+ * whole treatment. Times less than MIN_NOTICE_MINUTES away are left out.
+ * 
+ * Query parameters:
+ *   treatment - Treatment code
+ *   date - Day (YYYY-MM-DD)
+ * Success response: { treatment: string, date: string, slots: [{ startTime, endTime }] }
+ * Error responses:
+ *   - 400 Bad Request: { message: string } for an unknown treatment or an invalid date
+ *   - 500 Server Error: { message: 'Error finding appointment times' }
+ */
+app.get('/api/spa/availability', async (req, res) => {
+  try {
+    const treatment = spa.getTreatment(req.query.treatment);
+    if (!treatment) {
+      return res.status(400).json({ message: 'Unknown treatment' });
+    }
+    
+    const { date } = req.query;
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: 'Date must be a valid date (YYYY-MM-DD)' });
+    }
+    
+    const appointments = await repositories.spaAppointments.all();
+    
+    res.json({ treatment: treatment.code, date, slots: spa.findSlots(treatment, date, appointments) });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error finding spa slots:', error);
+    res.status(500).json({ message: 'Error finding appointment times' });
+  }
+});
+
+/**
+ * Public: Get Rate Plans
+ * GET /api/rate-plans
+ * 
+ * Returns the rate plans a room can be booked on, with their price
+ * adjustment and cancellation policy, so guests can choose between a lower
+ * price and more flexibility
+ * 
+ * Success response: [{
+ *   code: string,
+ *   name: string,
+ *   description: string,
+ *   adjustmentPercent: number,
+ *   changeable: boolean,
+ *   prepaid: boolean,
+ *   cancellationPolicy: { freeCancellationDays: number | null, penaltyPercent: number, description: string }
+ * }]
+ */
+app.get('/api/rate-plans', (req, res) => {
+  res.json(ratePlans.RATE_PLANS.map(ratePlans.toPublicRatePlan));
+});
+
+/**
+ * Public: Get Payment Settings
+ * GET /api/payments/settings
+ * 
+ * Returns the deposit and cancellation terms so the booking form can show
+ * what will be charged now and what is refundable
+ * 
+ * Success response: {
+ *   depositPercent: number,
+ *   balanceDueDays: number,
+ *   freeCancellationDays: number,
+ *   currency: string,
+ *   provider: string
+ * }
+ */
+app.get('/api/payments/settings', (req, res) => {
+  res.json(payments.getPaymentSettings());
+});
+
+/**
+ * Check Room Availability
+ * GET /api/availability
+ * 
+ * Public endpoint that reports how many units of each room type are free
+ * for every night of a requested stay. Only pending and confirmed bookings
+ * count against the inventory. Rooms held for groups are not available,
+ * except to members of the group.
+ * 
+ * Query parameters:
+ *   - checkIn: string (YYYY-MM-DD)
+ *   - checkOut: string (YYYY-MM-DD)
+ *   - roomType: string (optional, limits the result to one room type)
+ *   - groupCode: string (optional, reports the rooms held for that group instead)
+ * Success response: {
+ *   checkIn: string,
+ *   checkOut: string,
+ *   roomTypes: [{ roomType, totalUnits, availableUnits, isAvailable, nights: [{ date, booked, held, available }] }]
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string }
+ *   - 500 Server Error: { message: 'Error checking availability' }
+ */
+app.get('/api/availability', async (req, res) => {
+  try {
+    const { checkIn, checkOut, roomType, groupCode } = req.query;
+    
+    // Validate the requested stay
+    const dateError = validateStayDates(checkIn, checkOut);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+    
+    // Reject room types that are not part of the inventory
+    if (roomType && !getRoomType(roomType)) {
+      return res.status(400).json({ message: `Unknown room type: ${roomType}` });
+    }
+    
+    // Load existing bookings, group blocks and closed rooms to calculate occupancy
+    const [bookings, blocks, outOfOrder] = await Promise.all([
+      repositories.bookings.all(),
+      repositories.roomBlocks.all(),
+      loadOutOfOrderRooms()
+    ]);
+    
+    const groupBlock = groupCode ? roomBlocks.findBlockByCode(blocks, groupCode) : undefined;
+    if (groupCode && (!groupBlock || !roomBlocks.isBlockOpen(groupBlock))) {
+      return res.status(400).json({ message: 'This group code is not valid' });
+    }
+    
+    res.json({
+      checkIn,
+      checkOut,
+      roomTypes: getAvailability(bookings, { checkIn, checkOut, roomType, blocks, groupBlock, outOfOrder })
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error checking availability:', error);
+    res.status(500).json({ message: 'Error checking availability' });
+  }
+});
+
+/**
+ * Availability Calendar
+ * GET /api/availability/calendar
+ * 
+ * Public endpoint behind the booking form's date picker: for every night in
+ * a range, how many units of each room type are free, the nightly rate and
+ * the minimum stay that applies. Rates include the season and weekend rules
+ * and the rate plan, but not length-of-stay discounts, fees or tax; the
+ * quote prices the chosen stay.
+ * 
+ * Query parameters:
+ *   - from: string (YYYY-MM-DD, first night)
+ *   - to: string (YYYY-MM-DD, last night; at most MAX_CALENDAR_NIGHTS nights in all)
+ *   - roomType: string (optional, limits the result to one room type)
+ *   - ratePlan: string (optional, defaults to the standard rate plan)
+ *   - groupCode: string (optional, reports the group's held rooms at the group rate)
+ * Success response: {
+ *   from: string,
+ *   to: string,
+ *   roomTypes: [{ roomType, totalUnits, nights: [{ date, available, rate, minNights }] }]
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string }
+ *   - 500 Server Error: { message: 'Error checking availability' }
+ */
+app.get('/api/availability/calendar', async (req, res) => {
+  try {
+    const { from, to, roomType, ratePlan = ratePlans.DEFAULT_RATE_PLAN, groupCode } = req.query;
+    
+    if (!isValidDateString(from) || !isValidDateString(to) || to < from) {
+      return res.status(400).json({ message: 'from and to must be valid dates (YYYY-MM-DD), with to on or after from' });
+    }
+    
+    if (nightsBetween(from, to) >= MAX_CALENDAR_NIGHTS) {
+      return res.status(400).json({ message: `The calendar can be listed for at most ${MAX_CALENDAR_NIGHTS} nights at a time` });
+    }
+    
+    if (roomType && !getRoomType(roomType)) {
+      return res.status(400).json({ message: `Unknown room type: ${roomType}` });
+    }
+    
+    if (!ratePlans.getRatePlan(ratePlan)) {
+      return res.status(400).json({ message: `Unknown rate plan: ${ratePlan}` });
+    }
+    
+    const [bookings, blocks, rules, outOfOrder] = await Promise.all([
+      repositories.bookings.all(),
+      repositories.roomBlocks.all(),
+      repositories.rateRules.all(),
+      loadOutOfOrderRooms()
+    ]);
+    
+    const groupBlock = groupCode ? roomBlocks.findBlockByCode(blocks, groupCode) : undefined;
+    if (groupCode && (!groupBlock || !roomBlocks.isBlockOpen(groupBlock))) {
+      return res.status(400).json({ message: 'This group code is not valid' });
+    }
+    
+    // A group only books the room types of its block, at the group rate
+    const summaries = getAvailability(bookings, { checkIn: from, checkOut: addDays(to, 1), roomType, blocks, groupBlock, outOfOrder })
+      .filter(summary => !groupBlock || roomBlocks.getAllocation(groupBlock, summary.roomType));
+    
+    res.json({
+      from,
+      to,
+      roomTypes: summaries.map(summary => {
+        const allocation = groupBlock && roomBlocks.getAllocation(groupBlock, summary.roomType);
+        const prices = priceCalendarNights({
+          roomType: summary.roomType,
+          dates: summary.nights.map(night => night.date),
+          ratePlan: groupBlock ? ratePlans.DEFAULT_RATE_PLAN : ratePlan,
+          groupRate: allocation && { name: groupBlock.name, nightlyRate: allocation.nightlyRate }
+        }, rules);
+        
+        return {
+          roomType: summary.roomType,
+          totalUnits: summary.totalUnits,
+          nights: summary.nights.map((night, index) => ({
+            date: night.date,
+            available: night.available,
+            rate: prices[index].rate,
+            minNights: prices[index].minNights
+          }))
+        };
+      })
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error building availability calendar:', error);
+    res.status(500).json({ message: 'Error checking availability' });
+  }
+});
+
+/**
+ * Look Up a Group
+ * GET /api/groups/:code
+ * 
+ * Public endpoint the booking form uses when a guest enters a group code.
+ * Returns the dates and room types of the group's block, with the group
+ * rate and the rooms still held for the whole stay.
+ * 
+ * URL parameters: code - Group code (case-insensitive)
+ * Success response: {
+ *   code, name, checkIn, checkOut, cutoffDate,
+ *   roomTypes: [{ roomType, nightlyRate, availableUnits }]
+ * }
+ * Error responses:
+ *   - 404 Not Found: { message: string } for an unknown code
+ *   - 410 Gone: { message: string } once the block has been released
+ *   - 500 Server Error: { message: 'Error retrieving group' }
+ */
+app.get('/api/groups/:code', async (req, res) => {
+  try {
+    const [bookings, blocks, outOfOrder] = await Promise.all([
+      repositories.bookings.all(),
+      repositories.roomBlocks.all(),
+      loadOutOfOrderRooms()
+    ]);
+    
+    const block = roomBlocks.findBlockByCode(blocks, req.params.code);
+    if (!block) {
+      return res.status(404).json({ message: 'This group code is not valid' });
+    }
+    
+    if (!roomBlocks.isBlockOpen(block)) {
+      return res.status(410).json({ message: `Bookings for ${block.name} have closed. Please contact the resort.` });
+    }
+    
+    const availability = getAvailability(bookings, {
+      checkIn: block.checkIn,
+      checkOut: block.checkOut,
+      blocks,
+      groupBlock: block,
+      outOfOrder
+    });
+    
+    res.json({
+      code: block.code,
+      name: block.name,
+      checkIn: block.checkIn,
+      checkOut: block.checkOut,
+      cutoffDate: block.cutoffDate,
+      roomTypes: block.allocations.map(allocation => ({
+        roomType: allocation.roomType,
+        nightlyRate: allocation.nightlyRate,
+        availableUnits: availability.find(summary => summary.roomType === allocation.roomType).availableUnits
+      }))
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error retrieving group:', error);
+    res.status(500).json({ message: 'Error retrieving group' });
+  }
+});
+
+/**
+ * Get a Price Quote
+ * POST /api/quote
+ * 
+ * Public endpoint that returns the authoritative price of a stay with a
+ * line-item breakdown (room nights, rate plan, resort fee and lodging tax)
+ * for every room. The booking form displays this quote and the same
+ * calculation is stored on the booking.
+ * 
+ * Request body (see quoteSchema): {
+ *   rooms: [{ roomType, adults, children }] (or roomType: string for a single room),
+ *   checkIn: string (YYYY-MM-DD),
+ *   checkOut: string (YYYY-MM-DD),
+ *   ratePlan: string (optional, default 'flexible'; group bookings always use it),
+ *   groupCode: string (optional, prices the rooms at the group rate),
+ *   promoCode: string (optional, takes the promo discount off the room price),
+ *   addOns: [{ code, quantity, date }] (optional, add-on services priced with the stay),
+ *   reference, token: string (optional, prices a change to that booking with the promo code it was made with)
+ * }
+ * A promo code that cannot be used does not fail the quote: the stay is
+ * priced without it and promoError says why.
+ * 
+ * Success response: Quote object {
+ *   roomType: string (summary of the rooms), nights,
+ *   rooms: [{ roomType, adults, children, nightlyRate, nightly: [{ date, baseRate, rate, adjustments }],
+ *     ratesVary, lineItems, subtotal, discount, fees, taxes, total }],
+ *   ratesVary, lineItems (every room's items, tagged with room: index, then the add-ons),
+ *   addOns: [{ code, name, pricing, quantity, date, unitPrice, amount, description }], addOnsTotal,
+ *   subtotal, discount, fees, taxes (of the rooms), total (rooms and add-ons), currency,
+ *   ratePlan: { code, name, prepaid },
+ *   cancellationPolicy: { ratePlan, freeCancellationDays, penaltyPercent, freeCancellationUntil, description },
+ *   violations: string[] (minimum-stay rules the dates break; the stay cannot be booked until empty),
+ *   group: { code, name } (group bookings only),
+ *   promo: { id, code, description, discountType, amount, roomTypes, stayFrom, stayUntil, minNights, discount }
+ *     (when a promo code applies),
+ *   promoError: string (when the promo code entered cannot be used)
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields, or neither rooms nor roomType
+ *   - 400 Bad Request: { message: string, errors: { groupCode } } for a group code that cannot be used for the stay
+ *   - 400 Bad Request: { message: string, errors: Object } for add-ons outside the stay or over their limits
+ *   - 404 Not Found: { message: string } when reference and token do not match a booking
+ *   - 500 Server Error: { message: 'Error calculating quote' }
+ */
+app.post('/api/quote', validateBody(quoteSchema, getBookingContext), requireAnyOf(['rooms', 'roomType'], 'Choose at least one room'), async (req, res) => {
+  try {
+    const { roomType, checkIn, checkOut, ratePlan = ratePlans.DEFAULT_RATE_PLAN } = req.body; // Already validated against quoteSchema
+    
+    // A single room type is quoted as one room for one adult
+    const rooms = req.body.rooms || [{ roomType, adults: 1 }];
+    
+    const selectedAddOns = addOns.normalizeAddOnSelections(req.body.addOns);
+    const addOnError = checkAddOns(selectedAddOns, { checkIn, checkOut, rooms });
+    if (addOnError) {
+      return res.status(400).json(addOnError);
+    }
+    
+    const stay = { checkIn, checkOut, rooms };
+    const { block, error: groupError } = await resolveGroupBlock(req.body.groupCode, stay);
+    if (groupError) {
+      return res.status(400).json(groupError);
+    }
+    
+    // A change to a booking keeps the promo code it was made with
+    let promoResult;
+    if (req.body.reference) {
+      const booking = guestBookings.findGuestBooking(await repositories.bookings.all(), req.body.reference, { token: req.body.token });
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found' });
+      }
+      promoResult = resolveBookingPromo(booking, stay);
+    } else {
+      promoResult = await resolvePromoCode(req.body.promoCode, stay, block);
+    }
+    
+    // Price the stay with the current rate rules, or at the group rate
+    const rules = await repositories.rateRules.all();
+    const quote = createBookingQuote({
+      ...stay,
+      ratePlan: block ? ratePlans.DEFAULT_RATE_PLAN : ratePlan,
+      block,
+      promo: promoResult.promo,
+      addOns: selectedAddOns
+    }, rules);
+    
+    res.json(promoResult.error ? { ...quote, promoError: promoResult.error.message } : quote);
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error calculating quote:', error);
+    res.status(500).json({ message: 'Error calculating quote' });
+  }
+});
+
+/**
+ * Create New Booking
+ * POST /api/bookings
+ * 
+ * Public endpoint that allows guests to submit booking requests
+ * Creates a new booking entry with a unique ID and timestamp
+ * 
+ * Request body (see bookingSchema): {
+ *   fullName: string (2-100 characters),
+ *   email: string,
+ *   phone: string (10-15 digits),
+ *   checkIn: string (YYYY-MM-DD, not in the past),
+ *   checkOut: string (YYYY-MM-DD, after checkIn),
+ *   message: string (optional, up to 2000 characters),
+ *   rooms: [{
+ *     roomType: string,
+ *     adults: number (at least 1),
+ *     children: number (optional),
+ *     guestNames: string[] (optional, one per guest at most)
+ *   }] (1-10 rooms, each within the occupancy of its room type),
+ *   ratePlan: string (optional, rate plan code; default 'flexible'),
+ *   groupCode: string (optional, books against a group block at the group rate on the default rate plan),
+ *   promoCode: string (optional, cannot be combined with groupCode),
+ *   addOns: [{ code, quantity, date }] (optional, see GET /api/add-ons; scheduled add-ons need a day of the stay),
+ *   totalPrice: number (optional, must match the server quote when provided),
+ *   payment: { cardName, cardNumber, expiry, cvc } (required when a deposit is configured)
+ * }
+ * The stored totalPrice always comes from the server-side quote, which also
+ * records the rate plan's cancellation policy. The deposit
+ * (config.payments.depositPercent of the total, or all of it on prepaid rate
+ * plans) is charged before the booking is saved; card details are passed to
+ * the payment provider and never stored.
+ * 
+ * Success response (201 Created): {
+ *   message: string,
+ *   booking: Object (redacted guest view with a payment summary),
+ *   accessToken: string (lets the guest open the booking with GET /api/bookings/:reference)
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } with a message per invalid field
+ *     (room fields are keyed like 'rooms.0.adults', also for rooms over their occupancy,
+ *     errors.groupCode for a group code that cannot be used for the stay
+ *     errors.promoCode for a promo code that cannot be used
+ *     and errors keyed like 'addOns.0.date' for add-ons outside the stay or over their limits)
+ *   - 400 Bad Request: { message: string, quote: Object } when the dates break a minimum-stay rule
+ *   - 400 Bad Request: { message: string, errors: { payment } } when payment details are missing
+ *   - 402 Payment Required: { message: string, errors: { payment } } when the deposit is declined
+ *   - 409 Conflict: { message: string, availability: Object[] } for room types without enough free units
+ *   - 409 Conflict: { message: string, addOnShortages: Object[] } for add-ons sold out on a day of the stay
+ *   - 409 Conflict: { message: string, quote: Object } when totalPrice does not match the quote
+ *   - 500 Server Error: { message: 'Error saving booking request' }
+ */
+app.post('/api/bookings', validateBody(bookingSchema, getBookingContext), async (req, res) => {
+  try {
+    // Extract booking details from request body
+    const {
+      fullName,
+      email,
+      phone,
+      checkIn,
+      checkOut,
+      message,
+      totalPrice,
+      groupCode,
+      promoCode,
+      payment
+    } = req.body; // Already validated against bookingSchema
+    const rooms = bookingRooms.normalizeRooms(req.body.rooms);
+    const selectedAddOns = addOns.normalizeAddOnSelections(req.body.addOns);
+    
+    // Every room must sleep the guests put in it
+    const occupancyError = checkOccupancy(rooms);
+    if (occupancyError) {
+      return res.status(400).json(occupancyError);
+    }
+    
+    const addOnError = checkAddOns(selectedAddOns, { checkIn, checkOut, rooms });
+    if (addOnError) {
+      return res.status(400).json(addOnError);
+    }
+    
+    // Group members book the block's rooms at the group rate
+    const { block, error: groupError } = await resolveGroupBlock(groupCode, { checkIn, checkOut, rooms });
+    if (groupError) {
+      return res.status(400).json(groupError);
+    }
+    const ratePlan = (!block && req.body.ratePlan) || ratePlans.DEFAULT_RATE_PLAN;
+    
+    const { promo, error: promoError } = await resolvePromoCode(promoCode, { checkIn, checkOut, rooms }, block);
+    if (promoError) {
+      return res.status(400).json(promoError);
+    }
+    
+    // Price the stay on the server and reject totals the client made up
+    const rules = await repositories.rateRules.all();
+    const quote = createBookingQuote({ rooms, checkIn, checkOut, ratePlan, block, promo, addOns: selectedAddOns }, rules);
+    if (quote.violations.length > 0) {
+      return res.status(400).json({ message: quote.violations.join('. '), quote });
+    }
+    
+    if (!matchesQuote(totalPrice, quote)) {
+      return res.status(409).json({
+        message: `The price for this stay is $${quote.total}. Please review the updated total and submit again.`,
+        quote
+      });
+    }
+    
+    // A deposit is taken when booking unless deposits are switched off;
+    // prepaid rate plans are paid in full
+    const depositAmount = payments.getDepositAmount(quote.total, quote.ratePlan);
+    if (depositAmount > 0 && !payment) {
+      return res.status(400).json({
+        message: 'Payment details are required to pay the deposit',
+        errors: { payment: 'Payment details are required to pay the deposit' }
+      });
+    }
+    
+    // Check occupancy, charge and save under the inventory lock, so no other
+    // booking can take the last unit between the check and the insert
+    const { availability, addOnShortages, promoTaken, declined, booking: newBooking, deposit } = await inventoryLock.runExclusive(async () => {
+      // Load existing bookings, group blocks and closed rooms to check occupancy
+      const [bookings, blocks, outOfOrder] = await Promise.all([
+        repositories.bookings.all(),
+        repositories.roomBlocks.all(),
+        loadOutOfOrderRooms()
+      ]);
+      
+      // Make sure every room requested is free on every night of the stay;
+      // group members can only use the rooms held for their block
+      const unavailable = findUnavailableRooms(bookings, { checkIn, checkOut, rooms, blocks, groupBlock: block, outOfOrder });
+      if (unavailable.length > 0) {
+        return { availability: unavailable };
+      }
+      
+      // Tours and rental gear have a daily limit across all bookings
+      const shortages = addOns.findAddOnShortages(bookings.filter(holdsInventory), { checkIn, checkOut, addOns: selectedAddOns });
+      if (shortages.length > 0) {
+        return { addOnShortages: shortages };
+      }
+      
+      // Another guest may have used the last redemption of the code meanwhile
+      if (promo && promo.maxUses && promoCodes.countPromoUses(promo, bookings) >= promo.maxUses) {
+        return { promoTaken: 'This promo code has been fully redeemed' };
+      }
+      
+      // Reference the guest uses to manage the booking; regenerate on the rare clash
+      let reference = guestBookings.generateReference();
+      while (bookings.some(existing => existing.reference === reference)) {
+        reference = guestBookings.generateReference();
+      }
+      
+      // Create a new booking object with a random, non-sequential ID
+      const createdAt = new Date().toISOString();
+      const booking = {
+        id: randomUUID(),
+        reference, // Shown to the guest for the "Manage my booking" page
+        fullName,
+        email,
+        phone,
+        checkIn,
+        checkOut,
+        rooms, // Room types, occupancy and guest names, one entry per room
+        ratePlan, // Sets the price adjustment and cancellation policy
+        addOns: selectedAddOns, // Add-on services; their prices are in quote.addOns
+        ...(block && { groupBlockId: block.id, groupCode: block.code }), // Rooms claimed from a group block
+        ...(promo && { promoId: promo.id, promoCode: promo.code }), // Discount terms are kept in quote.promo
+        message: message || '', // Use empty string if no message provided
+        totalPrice: quote.total, // Authoritative price from the pricing engine
+        quote, // Line-item breakdown shown in the admin dashboard
+        status: 'pending', // All new bookings start with pending status
+        statusHistory: [
+          bookingStatus.createHistoryEntry(null, 'pending', { actor: { type: 'guest' }, at: createdAt })
+        ],
+        depositAmount, // Charged now; the rest is due before arrival
+        createdAt // Add creation timestamp
+      };
+      
+      // Take the deposit; nothing is saved if the card is declined
+      let depositPayment = null;
+      if (depositAmount > 0) {
+        depositPayment = await payments.chargeCard(booking, payment, {
+          amount: depositAmount,
+          purpose: quote.ratePlan.prepaid ? 'prepayment' : 'deposit',
+          actor: { type: 'guest' }
+        });
+        if (depositPayment.status !== 'succeeded') {
+          return { declined: depositPayment };
+        }
+      }
+      
+      // Save the new booking and its deposit; if either cannot be saved the
+      // guest gets the deposit back instead of paying for a booking that does not exist
+      try {
+        await repositories.bookings.insert(booking);
+        if (depositPayment) {
+          await payments.recordPayment(depositPayment);
+        }
+      } catch (error) {
+        if (depositPayment) {
+          await repositories.bookings.remove(booking.id).catch(() => false);
+          await payments.reverseCharge(depositPayment);
+        }
+        throw error;
+      }
+      return { booking, deposit: depositPayment };
+    });
+    
+    if (availability) {
+      return res.status(409).json({ 
+        message: `Sorry, ${describeShortage(availability)} for the selected dates`,
+        availability
+      });
+    }
+    
+    if (addOnShortages) {
+      return res.status(409).json({
+        message: `Sorry, ${addOns.describeAddOnShortages(addOnShortages)}`,
+        addOnShortages
+      });
+    }
     
-    // Write the updated bookings array back to the file
-    await fs.writeFile(bookingsFile, JSON.stringify(bookings, null, 2));
+    if (promoTaken) {
+      return res.status(400).json({ message: promoTaken, errors: { promoCode: promoTaken } });
+    }
+    
+    if (declined) {
+      const reason = declined.message || 'Your card was declined.';
+      return res.status(402).json({ message: reason, errors: { payment: reason } });
+    }
+    
+    // Acknowledge the request by email
+    notifications.notify('booking-received', newBooking);
     
     // Return success response with 201 Created status
     res.status(201).json({ 
-      message: 'Booking request received successfully', 
-      booking: newBooking 
+      message: !deposit
+        ? 'Booking request received successfully'
+        : quote.ratePlan.prepaid
+          ? `Booking request received and $${deposit.amount.toFixed(2)} paid in full`
+          : `Booking request received and deposit of $${deposit.amount.toFixed(2)} paid`, 
+      booking: await toGuestViewWithPayments(newBooking),
+      accessToken: guestBookings.createAccessToken(newBooking)
     });
     
   } catch (error) {
@@ -314,36 +3778,31 @@ app.post('/api/bookings', async (req, res) => {
 });
 
 /**
- * Get Booking by ID
- * GET /api/bookings/:id
+ * Get Booking by Reference
+ * GET /api/bookings/:reference?token=<accessToken>
  * 
- * Retrieves the details of a specific booking by its ID
+ * Opens a single booking from the signed link given to the guest when the
+ * booking was made. Without a valid token nothing is revealed; staff use
+ * GET /api/admin/bookings instead.
  * 
- * URL parameters: id - The booking identifier
- * Success response: Booking object
+ * URL parameters: reference - The booking reference
+ * Query parameters: token - The booking's access token
+ * Success response: { booking: Object } (redacted guest view)
  * Error responses:
- *   - 404 Not Found: { message: 'Booking not found' }
+ *   - 404 Not Found: { message: 'Booking not found' } for an unknown reference or a wrong token
  *   - 500 Server Error: { message: 'Error retrieving booking' }
  */
-app.get('/api/bookings/:id', async (req, res) => {
+app.get('/api/bookings/:reference', async (req, res) => {
   try {
-    // Ensure data directory and files exist
-    await ensureDataDirExists();
-    
-    // Read the bookings data file
-    const data = await fs.readFile(bookingsFile, 'utf8');
-    const bookings = JSON.parse(data);
-    
-    // Find the booking with the matching ID
-    const booking = bookings.find(b => b.id === req.params.id);
+    const bookings = await repositories.bookings.all();
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { token: req.query.token });
     
-    // If no booking found with that ID, return 404 error
+    // A wrong token looks the same as a missing booking
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
     
-    // Return the booking object
-    res.json(booking);
+    res.json({ booking: await toGuestViewWithPayments(booking) });
   } catch (error) {
     // Log any errors and return a 500 server error response
     console.error('Error finding booking:', error);
@@ -351,16 +3810,810 @@ app.get('/api/bookings/:id', async (req, res) => {
   }
 });
 
+/**
+ * Guest: Look Up a Booking
+ * POST /api/guest/bookings/lookup
+ * 
+ * Public endpoint for the "Manage my booking" page. The guest proves they
+ * own the booking with its reference and the email address it was made with.
+ * 
+ * Request body (see guestLookupSchema): { reference: string, email: string }
+ * Success response: {
+ *   booking: Object (redacted guest view, including policy: { canChange, deadline, reason }),
+ *   accessToken: string (used for changes and cancellation)
+ * }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } when either field is missing or invalid
+ *   - 404 Not Found: { message: string } when no booking matches both values
+ *   - 500 Server Error: { message: 'Error looking up booking' }
+ */
+app.post('/api/guest/bookings/lookup', validateBody(guestLookupSchema), async (req, res) => {
+  try {
+    const { reference, email } = req.body; // Already validated against guestLookupSchema
+    
+    const bookings = await repositories.bookings.all();
+    const booking = guestBookings.findGuestBooking(bookings, reference, { email });
+    
+    // Same answer for an unknown reference and a wrong email
+    if (!booking) {
+      return res.status(404).json({ message: 'We could not find a booking with that reference and email address' });
+    }
+    
+    res.json({
+      booking: await toGuestViewWithPayments(booking),
+      accessToken: guestBookings.createAccessToken(booking)
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error looking up guest booking:', error);
+    res.status(500).json({ message: 'Error looking up booking' });
+  }
+});
+
+/**
+ * Guest: Change Dates or Rooms
+ * PUT /api/guest/bookings/:reference
+ * 
+ * Moves a booking to new dates and/or changes its rooms. The new stay is
+ * re-checked against availability (ignoring the booking itself) and re-priced
+ * on the booking's rate plan. A changed booking goes back to pending so the
+ * front desk can confirm it again. Bookings on a rate plan that is not
+ * changeable (non-refundable) cannot be changed. Group bookings stay at the
+ * group rate and inside their block, and can only be changed until the
+ * block's cutoff date. Bookings made with a promo code keep its discount
+ * as long as the new stay meets its conditions. Add-ons are kept and
+ * re-priced for the new stay; scheduled ones must still fall within it.
+ * Activity sign-ups and spa appointments for days outside the new stay are cancelled.
+ * 
+ * URL parameters: reference - The booking reference
+ * Request body (see bookingChangeSchema): {
+ *   token: string (access token) or email: string,
+ *   checkIn: string (YYYY-MM-DD),
+ *   checkOut: string (YYYY-MM-DD),
+ *   rooms: [{ roomType, adults, children, guestNames }] (optional, the booking's rooms are kept when left out),
+ *   totalPrice: number (optional, must match the server quote when provided)
+ * }
+ * Success response: { message: string, booking: Object } (guest view)
+ * Anything already paid beyond the new total is refunded.
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields or rooms over their occupancy
+ *   - 400 Bad Request: { message: string } when the booking has no rooms recorded and none are given
+ *   - 400 Bad Request: { message: string, errors: Object } when neither token nor email is given
+ *   - 400 Bad Request: { message: string, quote: Object } when the dates break a minimum-stay rule
+ *   - 400 Bad Request: { message: string } when a group booking would leave its block's dates or room types
+ *   - 400 Bad Request: { message: string, errors: { promoCode } } when the booking's promo code does not apply to the new stay
+ *   - 400 Bad Request: { message: string, errors: Object } when an add-on would fall outside the new stay
+ *   - 403 Forbidden: { message: string } when the booking can no longer be changed online, its rate plan does not
+ *     allow changes, or it is a group booking whose block has closed
+ *   - 404 Not Found: { message: string }
+ *   - 409 Conflict: { message: string, availability: Object[] } when the new stay is not available
+ *   - 409 Conflict: { message: string, addOnShortages: Object[] } when an add-on is sold out on a new day
+ *   - 409 Conflict: { message: string, quote: Object } when totalPrice does not match the quote
+ *   - 500 Server Error: { message: 'Error updating booking' }
+ */
+app.put('/api/guest/bookings/:reference', validateBody(bookingChangeSchema, getBookingContext), requireGuestAccess, async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { email, token, checkIn, checkOut, totalPrice } = req.body; // Already validated against bookingChangeSchema
+    const requestedRooms = req.body.rooms && bookingRooms.normalizeRooms(req.body.rooms);
+    
+    if (requestedRooms) {
+      const occupancyError = checkOccupancy(requestedRooms);
+      if (occupancyError) {
+        return res.status(400).json(occupancyError);
+      }
+    }
+    
+    const rules = await repositories.rateRules.all();
+    
+    // Check and save under the inventory lock, like a new booking
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const booking = guestBookings.findGuestBooking(bookings, reference, { email, token });
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const policy = guestBookings.getChangePolicy(booking);
+      if (!policy.canChange) {
+        return { status: 403, body: { message: policy.reason } };
+      }
+      
+      const ratePlan = guestBookings.getBookingRatePlan(booking);
+      if (!ratePlan.changeable) {
+        return {
+          status: 403,
+          body: { message: `Bookings on the ${ratePlan.name} rate cannot be changed. You can still cancel, but the booking is not refunded.` }
+        };
+      }
+      
+      // Price the new stay on the server, keeping the booking's rate plan
+      const rooms = requestedRooms || bookingRooms.getBookingRooms(booking);
+      if (rooms.length === 0) {
+        return { status: 400, body: { message: 'Please choose the rooms for this booking' } };
+      }
+      
+      // Group bookings keep using the block's rooms until its cutoff date
+      const blocks = await repositories.roomBlocks.all();
+      const block = booking.groupBlockId ? blocks.find(candidate => candidate.id === booking.groupBlockId) : undefined;
+      if (booking.groupBlockId) {
+        if (!block || !roomBlocks.isBlockOpen(block)) {
+          return { status: 403, body: { message: 'Group bookings can no longer be changed online. Please contact the front desk.' } };
+        }
+        
+        const groupError = roomBlocks.validateGroupStay(block, { checkIn, checkOut, rooms });
+        if (groupError) {
+          return { status: 400, body: { message: groupError } };
+        }
+      }
+      
+      const { promo, error: promoError } = resolveBookingPromo(booking, { checkIn, checkOut, rooms });
+      if (promoError) {
+        return { status: 400, body: promoError };
+      }
+      
+      // Add-ons booked earlier come along to the new dates
+      const bookedAddOns = booking.addOns || [];
+      const addOnError = checkAddOns(bookedAddOns, { checkIn, checkOut, rooms });
+      if (addOnError) {
+        return {
+          status: 400,
+          body: { ...addOnError, message: `${addOnError.message}. Please contact us to change your add-ons.` }
+        };
+      }
+      
+      const quote = createBookingQuote({ rooms, checkIn, checkOut, ratePlan: ratePlan.code, block, promo, addOns: bookedAddOns }, rules);
+      if (quote.violations.length > 0) {
+        return { status: 400, body: { message: quote.violations.join('. '), quote } };
+      }
+      
+      if (!matchesQuote(totalPrice, quote)) {
+        return {
+          status: 409,
+          body: {
+            message: `The price for the new dates is $${quote.total}. Please review the updated total and submit again.`,
+            quote
+          }
+        };
+      }
+      
+      // The booking's own nights do not count against the new stay
+      const unavailable = findUnavailableRooms(bookings, {
+        checkIn,
+        checkOut,
+        rooms,
+        excludeBookingId: booking.id,
+        blocks,
+        groupBlock: block,
+        outOfOrder: await loadOutOfOrderRooms()
+      });
+      if (unavailable.length > 0) {
+        return {
+          status: 409,
+          body: { message: `Sorry, ${describeShortage(unavailable)} for the new dates`, availability: unavailable }
+        };
+      }
+      
+      const addOnShortages = addOns.findAddOnShortages(bookings.filter(holdsInventory), {
+        checkIn,
+        checkOut,
+        addOns: bookedAddOns,
+        excludeBookingId: booking.id
+      });
+      if (addOnShortages.length > 0) {
+        return {
+          status: 409,
+          body: { message: `Sorry, ${addOns.describeAddOnShortages(addOnShortages)}`, addOnShortages }
+        };
+      }
+      
+      // Rooms the booking was given are kept while they are free on the new dates
+      const keptRooms = roomRegistry.assignRooms({ ...booking, checkIn, checkOut, rooms }, bookings, await loadRooms(), holdsInventory, {
+        fill: false
+      });
+      
+      const changedBooking = {
+        ...withoutLegacyRoomType(booking),
+        ...keepPassedDeadline(booking),
+        checkIn,
+        checkOut,
+        rooms: keptRooms,
+        totalPrice: quote.total,
+        quote,
+        updatedAt: new Date().toISOString()
+      };
+      
+      // Changes need to be confirmed again by the front desk
+      const { booking: reopenedBooking } = bookingStatus.getStatus(booking) === 'confirmed'
+        ? bookingStatus.applyTransition(changedBooking, 'pending', {
+          actor: { type: 'guest' },
+          reason: 'Guest changed the booking online',
+          at: changedBooking.updatedAt
+        })
+        : { booking: changedBooking };
+      
+      const updatedBooking = await repositories.bookings.update(booking.id, () => reopenedBooking);
+      
+      return { status: 200, booking: updatedBooking };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    // A cheaper stay gives back anything paid beyond the new total
+    await payments.refundOverpayment(result.booking, { type: 'guest' });
+    
+    // Activity sign-ups and spa appointments outside the new stay are dropped
+    const isOutsideStay = (item) => item.date < result.booking.checkIn || item.date > result.booking.checkOut;
+    const droppedSignups = await releaseActivitySignups(result.booking, 'No longer during the stay', isOutsideStay);
+    const droppedAppointments = await releaseSpaAppointments(result.booking, 'No longer during the stay', isOutsideStay);
+    
+    const dropped = [
+      droppedSignups > 0 && `${droppedSignups} activity sign-up${droppedSignups === 1 ? '' : 's'}`,
+      droppedAppointments > 0 && `${droppedAppointments} spa appointment${droppedAppointments === 1 ? '' : 's'}`
+    ].filter(Boolean);
+    
+    res.json({
+      message: dropped.length > 0
+        ? `Your booking has been updated and ${dropped.join(' and ')} outside the new dates cancelled. We will confirm the new details shortly.`
+        : 'Your booking has been updated. We will confirm the new details shortly.',
+      booking: await toGuestViewWithPayments(result.booking)
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error updating guest booking:', error);
+    res.status(500).json({ message: 'Error updating booking' });
+  }
+});
+
+/**
+ * Guest: Cancel a Booking
+ * POST /api/guest/bookings/:reference/cancel
+ * 
+ * Cancels a booking if it is still inside the online change window. The
+ * cancellation policy of the booking's rate plan sets the penalty; the rest
+ * of what the guest paid is refunded and the evaluation is stored on the
+ * booking as `cancellation`.
+ * 
+ * URL parameters: reference - The booking reference
+ * Request body (see guestAccessSchema): { token: string (access token) } or { email: string }
+ * Success response: { message: string, booking: Object (guest view), refund: { amount, refunds } }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for an invalid email or when neither token nor email is given
+ *   - 403 Forbidden: { message: string } when the booking can no longer be cancelled online
+ *   - 404 Not Found: { message: string }
+ *   - 500 Server Error: { message: 'Error cancelling booking' }
+ */
+app.post('/api/guest/bookings/:reference/cancel', validateBody(guestAccessSchema), requireGuestAccess, async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { email, token } = req.body;
+    
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const booking = guestBookings.findGuestBooking(bookings, reference, { email, token });
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const policy = guestBookings.getChangePolicy(booking);
+      if (!policy.canChange) {
+        return { status: 403, body: { message: policy.reason } };
+      }
+      
+      const { booking: cancelledBooking } = bookingStatus.applyTransition(booking, 'cancelled', {
+        actor: { type: 'guest' },
+        reason: 'Cancelled online by the guest'
+      });
+      await repositories.bookings.update(booking.id, () => cancelledBooking);
+      return { status: 200, booking: cancelledBooking };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    const { booking: cancelledBooking, refund } = await settleCancellation(result.booking, { type: 'guest' });
+    await releaseActivitySignups(cancelledBooking, 'Booking cancelled');
+    await releaseSpaAppointments(cancelledBooking, 'Booking cancelled');
+    
+    notifications.notify('booking-cancelled', cancelledBooking);
+    
+    res.json({
+      message: refund.amount > 0
+        ? `Your booking has been cancelled and $${refund.amount.toFixed(2)} will be refunded to your card`
+        : 'Your booking has been cancelled',
+      booking: await toGuestViewWithPayments(cancelledBooking),
+      refund
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error cancelling guest booking:', error);
+    res.status(500).json({ message: 'Error cancelling booking' });
+  }
+});
+
+/**
+ * Guest: Pay the Balance
+ * POST /api/guest/bookings/:reference/payments
+ * 
+ * Charges the outstanding balance of a booking to a card. Guests can pay any
+ * time before check-out; the balance is due balanceDueDays before check-in.
+ * 
+ * URL parameters: reference - The booking reference
+ * Request body (see guestPaymentSchema): {
+ *   token: string (access token) or email: string,
+ *   payment: { cardName, cardNumber, expiry, cvc }
+ * }
+ * Success response: { message: string, booking: Object (guest view), payment: Object (payment record) }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid card details or when neither token nor email is given
+ *   - 402 Payment Required: { message: string, errors: { payment } } when the card is declined
+ *   - 404 Not Found: { message: string }
+ *   - 409 Conflict: { message: string } when nothing is owed
+ *   - 500 Server Error: { message: 'Error processing payment' }
+ */
+app.post('/api/guest/bookings/:reference/payments', validateBody(guestPaymentSchema), requireGuestAccess, async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { email, token, payment } = req.body;
+    
+    // Charge inside the lock so a double submit cannot pay the balance twice
+    const result = await inventoryLock.runExclusive(async () => {
+      const bookings = await repositories.bookings.all();
+      const booking = guestBookings.findGuestBooking(bookings, reference, { email, token });
+      if (!booking) {
+        return { status: 404, body: { message: 'Booking not found' } };
+      }
+      
+      const summary = await payments.getPaymentSummary(booking);
+      if (summary.outstanding <= 0) {
+        return { status: 409, body: { message: 'There is nothing left to pay for this booking' } };
+      }
+      
+      const record = await payments.chargeCard(booking, payment, {
+        amount: summary.outstanding,
+        purpose: 'balance',
+        actor: { type: 'guest' }
+      });
+      await payments.recordPayment(record);
+      
+      if (record.status !== 'succeeded') {
+        const reason = record.message || 'Your card was declined.';
+        return { status: 402, body: { message: reason, errors: { payment: reason } } };
+      }
+      
+      return { status: 200, booking, record };
+    });
+    
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({
+      message: `Thank you - $${result.record.amount.toFixed(2)} has been paid`,
+      booking: await toGuestViewWithPayments(result.booking),
+      payment: result.record
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error paying booking balance:', error);
+    res.status(500).json({ message: 'Error processing payment' });
+  }
+});
+
+/**
+ * Guest: Get Activities During a Stay
+ * GET /api/guest/bookings/:reference/activities?token=
+ * 
+ * Lists the sessions from check-in to check-out day with the guest's own
+ * sign-ups, for the "Manage my booking" page. Sessions of activities that
+ * have been switched off are only listed when the guest is signed up.
+ * 
+ * URL parameters: reference - The booking reference
+ * Query parameters: token - The booking's access token
+ * Success response: {
+ *   sessions: [{ ...session (see GET /api/activities), signup: { id, status, participants, waitlistPosition } | null }],
+ *   canSignUp: boolean,
+ *   reason: string | null (why the guest cannot sign up yet)
+ * }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Booking not found' } for an unknown reference or a wrong token
+ *   - 500 Server Error: { message: 'Error fetching activities' }
+ */
+app.get('/api/guest/bookings/:reference/activities', async (req, res) => {
+  try {
+    const [bookings, activityList, signups] = await Promise.all([
+      repositories.bookings.all(),
+      repositories.activities.all(),
+      repositories.activitySignups.all()
+    ]);
+    
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { token: req.query.token });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    const sessions = withGuestSignups(
+      activities.listSessions(activityList, signups, { from: booking.checkIn, to: booking.checkOut, includeInactive: true }),
+      signups,
+      booking
+    ).filter(session => session.active || session.signup);
+    
+    const canSignUp = ['confirmed', 'checked-in'].includes(booking.status);
+    
+    res.json({
+      sessions,
+      canSignUp,
+      reason: canSignUp ? null : 'You can sign up for activities once your booking is confirmed'
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error fetching guest activities:', error);
+    res.status(500).json({ message: 'Error fetching activities' });
+  }
+});
+
+/**
+ * Guest: Sign Up for a Session
+ * POST /api/guest/bookings/:reference/activities
+ * 
+ * Reserves places in a session during the guest's stay. Bookings must be
+ * confirmed (or checked in). When the session is full, or other guests are
+ * already waiting, the guest joins the waitlist and is emailed as soon as
+ * a spot opens up.
+ * 
+ * URL parameters: reference - The booking reference
+ * Request body (see activitySignupSchema): {
+ *   token: string (access token) or email: string,
+ *   activityId: string,
+ *   date: string (YYYY-MM-DD),
+ *   participants: number (at most the guests on the booking)
+ * }
+ * Success response (201 Created): { message: string, signup: Object } with signup.status 'confirmed' or 'waitlisted'
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields or when neither token nor email is given
+ *   - 400 Bad Request: { message: string } when the guests cannot join this session (not during the
+ *     stay, booking not confirmed, already started or already signed up)
+ *   - 404 Not Found: { message: string }
+ *   - 500 Server Error: { message: 'Error signing up for the activity' }
+ */
+app.post('/api/guest/bookings/:reference/activities', validateBody(activitySignupSchema, getBookingContext), requireGuestAccess, async (req, res) => {
+  try {
+    const { email, token, activityId, date, participants } = req.body; // Already validated against activitySignupSchema
+    
+    const bookings = await repositories.bookings.all();
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { email, token });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    // The last spots of a session must only be given out once
+    const result = await scheduleLock.runExclusive(async () => {
+      const [activity, signups] = await Promise.all([
+        repositories.activities.findById(activityId),
+        repositories.activitySignups.all()
+      ]);
+      
+      const { adults, children } = bookingRooms.countGuests(bookingRooms.getBookingRooms(booking));
+      const reason = activities.checkSignupEligibility(
+        activity,
+        booking,
+        { date, participants, guests: adults + children },
+        signups
+      );
+      if (reason) {
+        return { status: 400, body: { message: reason } };
+      }
+      
+      const signup = activities.createSignup(activity, signups, {
+        date,
+        participants,
+        booking,
+        reference: guestBookings.getReference(booking)
+      });
+      await repositories.activitySignups.insert(signup);
+      
+      const waitlistPosition = activities.getSessionSignups([...signups, signup], activity.id, date)
+        .filter(candidate => candidate.status === 'waitlisted')
+        .indexOf(signup) + 1;
+      
+      return { activity, signup, waitlistPosition };
+    });
+    
+    if (!result.signup) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    const { activity, signup, waitlistPosition } = result;
+    res.status(201).json({
+      message: signup.status === 'confirmed'
+        ? `You are signed up for ${activity.name} on ${date} at ${activity.startTime}`
+        : `${activity.name} is full on ${date}. You are number ${waitlistPosition} on the waitlist and we will email you if a spot opens up.`,
+      signup: { ...signup, waitlistPosition: signup.status === 'waitlisted' ? waitlistPosition : null }
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error signing up for activity:', error);
+    res.status(500).json({ message: 'Error signing up for the activity' });
+  }
+});
+
+/**
+ * Guest: Drop Out of a Session
+ * POST /api/guest/bookings/:reference/activities/:signupId/cancel
+ * 
+ * Cancels a sign-up or leaves the waitlist. The freed places go to the
+ * guests waiting for the session, in order.
+ * 
+ * URL parameters:
+ *   reference - The booking reference
+ *   signupId - The sign-up to cancel
+ * Request body (see guestAccessSchema): { token: string (access token) or email: string }
+ * Success response: { message: string, signup: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for an invalid email or when neither token nor email is given
+ *   - 404 Not Found: { message: string } for an unknown booking or sign-up
+ *   - 409 Conflict: { message: string } once the session has started
+ *   - 500 Server Error: { message: 'Error cancelling the sign-up' }
+ */
+app.post('/api/guest/bookings/:reference/activities/:signupId/cancel', validateBody(guestAccessSchema), requireGuestAccess, async (req, res) => {
+  try {
+    const { email, token } = req.body;
+    
+    const bookings = await repositories.bookings.all();
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { email, token });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    const result = await scheduleLock.runExclusive(async () => {
+      const existing = await repositories.activitySignups.findById(req.params.signupId);
+      if (!existing || existing.bookingId !== booking.id || !activities.ACTIVE_SIGNUP_STATUSES.includes(existing.status)) {
+        return { status: 404, body: { message: 'Sign-up not found' } };
+      }
+      
+      const activity = await repositories.activities.findById(existing.activityId);
+      if (activity && activities.hasStarted(activity, existing.date)) {
+        return { status: 409, body: { message: 'This session has already started' } };
+      }
+      
+      const signup = await repositories.activitySignups.update(existing.id, activities.cancelChanges('Cancelled online by the guest'));
+      
+      // Freed spots go to the waitlist; a party leaving the waitlist may let smaller ones behind it in
+      await promoteWaitlists([existing]);
+      
+      return { signup, activity };
+    });
+    
+    if (!result.signup) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({
+      message: result.activity
+        ? `You are no longer signed up for ${result.activity.name} on ${result.signup.date}`
+        : 'Your sign-up has been cancelled',
+      signup: result.signup
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error cancelling activity sign-up:', error);
+    res.status(500).json({ message: 'Error cancelling the sign-up' });
+  }
+});
+
+/**
+ * Guest: Get Spa Appointments
+ * GET /api/guest/bookings/:reference/spa?token=
+ * 
+ * Lists the guest's booked treatments for the "Manage my booking" page and
+ * whether the booking can take new ones.
+ * 
+ * URL parameters: reference - The booking reference
+ * Query parameters: token - The booking's access token
+ * Success response: {
+ *   appointments: [{ id, treatmentCode, treatmentName, date, startTime, endTime, price, therapistName, roomName }],
+ *   canBook: boolean,
+ *   reason: string | null (why the guest cannot book yet)
+ * }
+ * Error responses:
+ *   - 404 Not Found: { message: 'Booking not found' } for an unknown reference or a wrong token
+ *   - 500 Server Error: { message: 'Error fetching spa appointments' }
+ */
+app.get('/api/guest/bookings/:reference/spa', async (req, res) => {
+  try {
+    const [bookings, appointments] = await Promise.all([
+      repositories.bookings.all(),
+      repositories.spaAppointments.all()
+    ]);
+    
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { token: req.query.token });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    const reason = spa.checkBookingEligibility(booking, booking.checkIn);
+    
+    res.json({
+      appointments: appointments
+        .filter(appointment => appointment.bookingId === booking.id && appointment.status === 'booked')
+        .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime))
+        .map(appointment => {
+          const { bookingId, guestName, therapistId, roomId, ...guestView } = spa.describeAppointment(appointment);
+          return guestView;
+        }),
+      canBook: !reason,
+      reason
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error fetching guest spa appointments:', error);
+    res.status(500).json({ message: 'Error fetching spa appointments' });
+  }
+});
+
+/**
+ * Guest: Book a Spa Treatment
+ * POST /api/guest/bookings/:reference/spa
+ * 
+ * Books a treatment on a day of the guest's stay, at one of the times
+ * offered by GET /api/spa/availability. A therapist and a room are assigned
+ * by the server. The slot is checked again while holding spaLock, so two
+ * guests cannot be given the same therapist or room.
+ * 
+ * URL parameters: reference - The booking reference
+ * Request body (see spaAppointmentSchema): {
+ *   token: string (access token) or email: string,
+ *   treatmentCode: string,
+ *   date: string (YYYY-MM-DD),
+ *   startTime: string (HH:MM)
+ * }
+ * Success response (201 Created): { message: string, appointment: Object }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for invalid fields or when neither token nor email is given
+ *   - 400 Bad Request: { message: string } when the booking is not confirmed, the day is not during
+ *     the stay or the time is too soon
+ *   - 404 Not Found: { message: string }
+ *   - 409 Conflict: { message: string } when the time is no longer free
+ *   - 500 Server Error: { message: 'Error booking the treatment' }
+ */
+app.post('/api/guest/bookings/:reference/spa', validateBody(spaAppointmentSchema, getBookingContext), requireGuestAccess, async (req, res) => {
+  try {
+    const { email, token, treatmentCode, date, startTime } = req.body; // Already validated against spaAppointmentSchema
+    
+    const bookings = await repositories.bookings.all();
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { email, token });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    const reason = spa.checkBookingEligibility(booking, date);
+    if (reason) {
+      return res.status(400).json({ message: reason });
+    }
+    
+    if (spa.isTooSoon(date, startTime)) {
+      return res.status(400).json({ message: `Treatments can be booked online up to ${spa.MIN_NOTICE_MINUTES} minutes before they start` });
+    }
+    
+    const treatment = spa.getTreatment(treatmentCode);
+    
+    // A therapist and a room must only be given out once
+    const result = await spaLock.runExclusive(async () => {
+      const appointments = await repositories.spaAppointments.all();
+      
+      const resources = spa.assignResources(treatment, date, startTime, appointments);
+      if (!resources) {
+        return { status: 409, body: { message: `${treatment.name} is no longer available on ${date} at ${startTime}. Please choose another time.` } };
+      }
+      
+      const appointment = spa.createAppointment(treatment, {
+        date,
+        startTime,
+        resources,
+        booking,
+        reference: guestBookings.getReference(booking)
+      });
+      await repositories.spaAppointments.insert(appointment);
+      
+      return { appointment };
+    });
+    
+    if (!result.appointment) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    const { bookingId, guestName, therapistId, roomId, ...appointment } = spa.describeAppointment(result.appointment);
+    res.status(201).json({
+      message: `${treatment.name} is booked for ${date} at ${startTime} with ${appointment.therapistName}. The $${appointment.price} is paid at the spa.`,
+      appointment
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error booking spa treatment:', error);
+    res.status(500).json({ message: 'Error booking the treatment' });
+  }
+});
+
+/**
+ * Guest: Cancel a Spa Appointment
+ * POST /api/guest/bookings/:reference/spa/:appointmentId/cancel
+ * 
+ * Cancels a treatment before it starts, freeing its therapist and room.
+ * 
+ * URL parameters:
+ *   reference - The booking reference
+ *   appointmentId - The appointment to cancel
+ * Request body (see guestAccessSchema): { token: string (access token) or email: string }
+ * Success response: { message: string }
+ * Error responses:
+ *   - 400 Bad Request: { message: string, errors: Object } for an invalid email or when neither token nor email is given
+ *   - 404 Not Found: { message: string } for an unknown booking or appointment
+ *   - 409 Conflict: { message: string } once the appointment has started
+ *   - 500 Server Error: { message: 'Error cancelling the appointment' }
+ */
+app.post('/api/guest/bookings/:reference/spa/:appointmentId/cancel', validateBody(guestAccessSchema), requireGuestAccess, async (req, res) => {
+  try {
+    const { email, token } = req.body;
+    
+    const bookings = await repositories.bookings.all();
+    const booking = guestBookings.findGuestBooking(bookings, req.params.reference, { email, token });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    const result = await spaLock.runExclusive(async () => {
+      const existing = await repositories.spaAppointments.findById(req.params.appointmentId);
+      if (!existing || existing.bookingId !== booking.id || existing.status !== 'booked') {
+        return { status: 404, body: { message: 'Appointment not found' } };
+      }
+      
+      if (spa.hasStarted(existing)) {
+        return { status: 409, body: { message: 'This appointment has already started' } };
+      }
+      
+      return { appointment: await repositories.spaAppointments.update(existing.id, spa.cancelChanges('Cancelled online by the guest')) };
+    });
+    
+    if (!result.appointment) {
+      return res.status(result.status).json(result.body);
+    }
+    
+    res.json({
+      message: `${result.appointment.treatmentName} on ${result.appointment.date} at ${result.appointment.startTime} has been cancelled`
+    });
+  } catch (error) {
+    // Log any errors and return a 500 server error response
+    console.error('Error cancelling spa appointment:', error);
+    res.status(500).json({ message: 'Error cancelling the appointment' });
+  }
+});
+
 /**
  * Start the Express server
  * 
- * Initializes the server and ensures the data directory exists
+ * Initializes the storage layer first so no request sees missing collections
  * Logs a message when the server is successfully running
  */
-app.listen(PORT, async () => {
-  // Make sure data directory and files exist before starting
-  await ensureDataDirExists();
-  
-  // Log successful server startup
-  console.log(`Server running on port ${PORT}`);
-});
+initializeStorage()
+  .then(() => {
+    app.listen(PORT, () => {
+      // Log successful server startup
+      console.log(`Server running on port ${PORT} (${repositories.storage.driver} storage)`);
+      
+      // Send pre-arrival reminders and thank-you emails as they fall due
+      notifications.startScheduler();
+      
+      // Release group blocks once their cutoff date has passed
+      roomBlocks.startReleaseScheduler();
+      
+      // Mark guests who have not arrived by the arrival cutoff as no-shows
+      frontDesk.startNoShowScheduler(markNoShows);
+    });
+  })
+  .catch((error) => {
+    console.error('Error initializing storage:', error);
+    process.exit(1);
+  });
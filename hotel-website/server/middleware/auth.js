@@ -1,53 +1,91 @@
 /**
  * Authentication Middleware
  * 
- * This module provides a simple authentication middleware for protecting admin routes.
- * In a production environment, this would be replaced with a more secure solution using
- * JWT tokens, OAuth, or similar authentication protocols with proper password hashing.
+ * This module protects admin routes. Requests must carry a signed session token
+ * issued by POST /api/admin/login in the Authorization header:
  * 
- * For this demo, we're using a simple hardcoded password verification.
+ *   Authorization: Bearer <token>
+ * 
+ * The token signature and expiry are checked first, then the session is looked
+ * up so that tokens revoked by logout are rejected. On success the signed-in
+ * user (without the password hash, with role and permissions) is available as
+ * req.user and the session id as req.sessionId.
+ * 
+ * Routes that need more than a valid session add requirePermission after auth:
+ * 
+ *   app.delete('/api/admin/users/:id', auth, requirePermission('users:manage'), handler)
  */
 
+const { verifyToken } = require('../services/tokens');
+const { findSession, findUserById, toPublicUser } = require('../services/adminUsers');
+const { hasPermission } = require('../services/permissions');
+
 /**
  * Authentication middleware function
- * Verifies that requests to protected routes contain a valid authorization header
- * with the correct password value.
+ * Verifies that requests to protected routes contain a valid, unrevoked session token.
  * 
+ * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   // Extract the Authorization header from the request
-  // Expected format: "Bearer Password1"
   const bearerHeader = req.headers['authorization'];
   
   // Check if the Authorization header exists
-  if (typeof bearerHeader !== 'undefined') {
+  if (typeof bearerHeader === 'undefined') {
+    return res.status(401).json({ 
+      message: 'Unauthorized: No credentials provided' 
+    });
+  }
+  
+  try {
     // Split the header value by space to separate "Bearer" from the token
-    const bearer = bearerHeader.split(' ');
+    const [scheme, token] = bearerHeader.split(' ');
     
-    // Get the token part (should be the second element in the array)
-    const bearerToken = bearer[1];
+    // Check the signature and expiry of the token
+    const claims = scheme === 'Bearer' ? verifyToken(token) : null;
     
-    // Verify the token against our hardcoded password
-    // In a real application, this would compare against a hashed password or verify a JWT
-    if (bearerToken === 'Password1') {
-      // If valid, proceed to the next middleware/route handler
-      next();
-    } else {
-      // If invalid password, return 403 Forbidden
-      res.status(403).json({ 
-        message: 'Forbidden: Invalid credentials' 
+    // Make sure the session has not been revoked and the user still exists
+    const session = claims && await findSession(claims.sessionId);
+    const user = session && session.userId === claims.userId && await findUserById(claims.userId);
+    
+    if (!user) {
+      return res.status(401).json({ 
+        message: 'Unauthorized: Session expired or invalid' 
       });
     }
-  } else {
-    // If no Authorization header is provided, return 401 Unauthorized
-    res.status(401).json({ 
-      message: 'Unauthorized: No credentials provided' 
+    
+    // Make the signed-in user available to route handlers
+    req.user = toPublicUser(user);
+    req.sessionId = session.id;
+    next();
+  } catch (error) {
+    console.error('Error verifying session:', error);
+    res.status(500).json({ message: 'Error verifying session' });
+  }
+};
+
+/**
+ * Creates middleware that only lets users with a permission through
+ * Must run after auth so that req.user is set.
+ * 
+ * @param {string|Function} permission - Permission name, or a function of the request returning one
+ * @return {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const required = typeof permission === 'function' ? permission(req) : permission;
+  
+  if (!req.user || !hasPermission(req.user.role, required)) {
+    return res.status(403).json({ 
+      message: `Forbidden: your role does not allow ${required}` 
     });
   }
+  
+  next();
 };
 
-// Export the middleware function
+// Export the middleware functions
 module.exports = auth;
+module.exports.requirePermission = requirePermission;
@@ -0,0 +1,57 @@
+/**
+ * Validation Middleware
+ *
+ * Checks request bodies against the shared schemas in ../../shared/schemas.mjs,
+ * the same rules the client forms use. Invalid requests are rejected before
+ * the route runs:
+ *
+ *   400 { message: string, errors: { [field]: string } }
+ *
+ * The message is the first field error, so clients that only show one
+ * message still say what is wrong. Valid bodies are replaced with the
+ * normalized values (trimmed strings, unknown fields removed).
+ *
+ *   app.post('/api/bookings', validateBody(bookingSchema, getContext), handler)
+ *
+ * Fields that are optional on their own but of which one must be given
+ * (a guest's access token or email) are checked with requireAnyOf after
+ * validateBody, and rejected in the same shape.
+ */
+
+const { validate, hasErrors } = require('../../shared/validation.mjs');
+
+/**
+ * Creates middleware that validates req.body against a schema
+ *
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Function} [getContext] - Returns the context values for a request, e.g. { today }
+ * @return {Function} Express middleware
+ */
+const validateBody = (schema, getContext = () => ({})) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, getContext(req));
+
+  if (hasErrors(errors)) {
+    return res.status(400).json({ message: Object.values(errors)[0], errors });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Creates middleware that rejects bodies without any of the given fields
+ *
+ * @param {string[]} fields - Fields of which at least one is required
+ * @param {string} message - Error message, set on each of the fields
+ * @return {Function} Express middleware
+ */
+const requireAnyOf = (fields, message) => (req, res, next) => {
+  if (fields.some(field => req.body[field] !== undefined)) return next();
+
+  return res.status(400).json({ message, errors: Object.fromEntries(fields.map(field => [field, message])) });
+};
+
+module.exports = {
+  validateBody,
+  requireAnyOf
+};
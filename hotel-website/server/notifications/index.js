@@ -0,0 +1,350 @@
+/**
+ * Booking Notifications
+ * 
+ * Sends templated emails to guests on booking lifecycle events:
+ * 
+ *   - booking-received         when a booking request is submitted
+ *   - booking-confirmed        when staff confirm a booking
+ *   - booking-cancelled        when staff or the guest cancel a booking
+ *   - activity-spot-confirmed  when a guest moves off an activity waitlist
+ *   - pre-arrival-reminder     REMINDER_DAYS_BEFORE days before check-in (scheduled)
+ *   - post-stay-thank-you      the day after check-out (scheduled)
+ * 
+ * Emails go through the transport chosen in config.notifications (a file
+ * outbox by default, or SMTP). Every attempt is recorded in the
+ * notifications collection, which also stops scheduled emails from being
+ * sent twice. A failed email is logged but never fails the request that
+ * triggered it.
+ */
+
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const repositories = require('../storage');
+const { createAccessToken, getReference } = require('../services/guestBookings');
+const { addDays, formatDate } = require('../utils/dates');
+const { startIntervalJob } = require('../utils/intervalJob');
+const templates = require('./templates');
+const { createTransport } = require('./transports');
+
+// Days before check-in that the pre-arrival reminder is sent
+const REMINDER_DAYS_BEFORE = 3;
+
+// Thank-you emails are not sent for stays that ended longer ago than this
+const THANK_YOU_WINDOW_DAYS = 7;
+
+// Number of log entries returned to the dashboard
+const LOG_LIMIT = 50;
+
+let transport = null;
+
+/**
+ * Returns the configured transport, creating it on first use
+ * 
+ * @return {Object} Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(config.notifications);
+  }
+  return transport;
+};
+
+/**
+ * Builds the signed "Manage my booking" link for a booking
+ * 
+ * @param {Object} booking - Booking object
+ * @return {string} Absolute URL
+ */
+const buildManageUrl = (booking) => {
+  const params = new URLSearchParams({
+    reference: getReference(booking),
+    token: createAccessToken(booking)
+  });
+  return `${config.siteUrl}/manage-booking?${params}`;
+};
+
+/**
+ * Returns the current version of a template
+ * 
+ * Edited templates come from storage; templates that were never edited fall
+ * back to the shipped default.
+ * 
+ * @async
+ * @param {string} templateId - Template id
+ * @return {Promise<Object|null>} Template, or null for an unknown id
+ */
+const getTemplate = async (templateId) => {
+  const stored = await repositories.emailTemplates.findById(templateId);
+  return stored || templates.getDefaultTemplate(templateId) || null;
+};
+
+/**
+ * Renders and sends one email about a booking
+ * 
+ * @async
+ * @param {string} templateId - Template to use, e.g. 'booking-confirmed'
+ * @param {Object} booking - Booking the email is about
+ * @param {Object} [details={}] - Extra placeholder values, e.g. { activity } for activity emails
+ * @return {Promise<Object|null>} The log entry, or null if the template is switched off
+ */
+const sendBookingEmail = async (templateId, booking, details = {}) => {
+  const entry = {
+    id: randomUUID(),
+    bookingId: booking.id,
+    reference: getReference(booking),
+    templateId,
+    to: booking.email,
+    createdAt: new Date().toISOString()
+  };
+  
+  try {
+    const template = await getTemplate(templateId);
+    if (!template) {
+      throw new Error(`Unknown email template: ${templateId}`);
+    }
+    
+    // Admins can switch individual emails off
+    if (template.enabled === false) return null;
+    
+    const { subject, text } = templates.renderTemplate(
+      template,
+      templates.buildTemplateData(booking, { manageUrl: buildManageUrl(booking), ...details })
+    );
+    entry.subject = subject;
+    
+    const activeTransport = getTransport();
+    const result = await activeTransport.send({
+      from: config.notifications.from,
+      to: booking.email,
+      subject,
+      text
+    });
+    
+    Object.assign(entry, { status: 'sent', transport: activeTransport.name, messageId: result.messageId });
+  } catch (error) {
+    console.error(`Error sending ${templateId} email for booking ${entry.reference}:`, error);
+    Object.assign(entry, { status: 'failed', error: error.message });
+  }
+  
+  await repositories.notifications.insert(entry);
+  return entry;
+};
+
+/**
+ * Sends a booking email in the background
+ * 
+ * Used by routes so that a slow or unavailable mail server never delays or
+ * fails the guest's or admin's request.
+ * 
+ * @param {string} templateId - Template to use
+ * @param {Object} booking - Booking the email is about
+ * @param {Object} [details] - Extra placeholder values
+ */
+const notify = (templateId, booking, details) => {
+  sendBookingEmail(templateId, booking, details).catch((error) => {
+    console.error(`Error recording ${templateId} email:`, error);
+  });
+};
+
+/**
+ * Returns the email that a status change should trigger
+ * 
+ * @param {string} status - New booking status
+ * @return {string|null} Template id, or null if no email is sent
+ */
+const templateForStatus = (status) => ({
+  'confirmed': 'booking-confirmed',
+  'cancelled': 'booking-cancelled',
+  'declined': 'booking-declined',
+  'no-show': 'booking-no-show'
+}[status] || null);
+
+/**
+ * Works out which scheduled emails are due for a booking
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @return {string[]} Template ids that are due
+ */
+const getDueTemplates = (booking, today) => {
+  const due = [];
+  const status = booking.status || 'pending';
+  
+  // Remind confirmed guests in the days before they arrive
+  if (status === 'confirmed' && today >= addDays(booking.checkIn, -REMINDER_DAYS_BEFORE) && today < booking.checkIn) {
+    due.push('pre-arrival-reminder');
+  }
+  
+  // Thank guests the day after they leave, but not for old stays
+  const stayed = ['confirmed', 'checked-in', 'checked-out', 'completed'].includes(status);
+  if (stayed && today > booking.checkOut && today <= addDays(booking.checkOut, THANK_YOU_WINDOW_DAYS)) {
+    due.push('post-stay-thank-you');
+  }
+  
+  return due;
+};
+
+/**
+ * Sends every scheduled email that is due and has not been sent yet
+ * 
+ * Failed attempts are retried on the next run.
+ * 
+ * @async
+ * @param {Date} [now=new Date()] - Current time
+ * @return {Promise<Object>} { sent: number, failed: number }
+ */
+const runScheduledNotifications = async (now = new Date()) => {
+  const today = formatDate(now);
+  const [bookings, log] = await Promise.all([
+    repositories.bookings.all(),
+    repositories.notifications.all()
+  ]);
+  
+  const alreadySent = new Set(
+    log.filter(entry => entry.status === 'sent').map(entry => `${entry.bookingId}:${entry.templateId}`)
+  );
+  
+  const counts = { sent: 0, failed: 0 };
+  
+  for (const booking of bookings) {
+    for (const templateId of getDueTemplates(booking, today)) {
+      if (alreadySent.has(`${booking.id}:${templateId}`)) continue;
+      
+      const entry = await sendBookingEmail(templateId, booking);
+      if (entry?.status === 'sent') counts.sent++;
+      if (entry?.status === 'failed') counts.failed++;
+    }
+  }
+  
+  return counts;
+};
+
+/**
+ * Runs the scheduled emails now and then every intervalMinutes
+ * 
+ * @param {number} [intervalMinutes=config.notifications.intervalMinutes] - Minutes between runs (0 disables)
+ * @return {Object|null} Timer, or null if scheduling is disabled
+ */
+const startScheduler = (intervalMinutes = config.notifications.intervalMinutes) =>
+  startIntervalJob(runScheduledNotifications, intervalMinutes, 'sending scheduled emails');
+
+/**
+ * Lists every template in its current version
+ * 
+ * @async
+ * @return {Promise<Object[]>} Templates in the order of the defaults
+ */
+const listTemplates = async () => {
+  const stored = await repositories.emailTemplates.all();
+  return templates.DEFAULT_EMAIL_TEMPLATES.map(defaults => ({
+    ...defaults,
+    enabled: true,
+    ...stored.find(template => template.id === defaults.id)
+  }));
+};
+
+/**
+ * Saves an edited template
+ * 
+ * @async
+ * @param {string} templateId - Template id
+ * @param {Object} input - { subject, body, enabled }
+ * @param {string} updatedBy - Username of the admin making the change
+ * @return {Promise<Object>} { template } on success, or { errors, notFound }
+ */
+const updateTemplate = async (templateId, input, updatedBy) => {
+  const defaults = templates.getDefaultTemplate(templateId);
+  if (!defaults) return { notFound: true, errors: {} };
+  
+  const { template, errors } = templates.validateTemplate(input);
+  if (!template) return { errors };
+  
+  const saved = {
+    ...defaults,
+    ...template,
+    enabled: input.enabled !== false,
+    updatedAt: new Date().toISOString(),
+    updatedBy
+  };
+  
+  const existing = await repositories.emailTemplates.findById(templateId);
+  if (existing) {
+    await repositories.emailTemplates.update(templateId, () => saved);
+  } else {
+    await repositories.emailTemplates.insert(saved);
+  }
+  
+  return { template: saved };
+};
+
+/**
+ * Restores the shipped wording of a template
+ * 
+ * @async
+ * @param {string} templateId - Template id
+ * @return {Promise<Object|null>} The default template, or null for an unknown id
+ */
+const resetTemplate = async (templateId) => {
+  const defaults = templates.getDefaultTemplate(templateId);
+  if (!defaults) return null;
+  
+  await repositories.emailTemplates.remove(templateId);
+  return { ...defaults, enabled: true };
+};
+
+/**
+ * Renders a template with a sample booking, for the editor preview
+ * 
+ * @param {Object} template - { subject, body } (may be unsaved)
+ * @return {Object} { subject: string, text: string }
+ */
+const previewTemplate = (template) => {
+  const checkIn = addDays(formatDate(new Date()), 30);
+  const sampleBooking = {
+    fullName: 'Alex Morgan',
+    reference: 'AAR-7KQ2MX',
+    rooms: [
+      { roomType: 'Wellness Room', adults: 2, children: 0, guestNames: ['Alex Morgan', 'Sam Morgan'] }
+    ],
+    checkIn,
+    checkOut: addDays(checkIn, 3),
+    totalPrice: 1262.25,
+    ratePlan: 'flexible',
+    // Shown by the cancellation placeholders
+    cancellation: { retained: 0, refunded: 378.68 }
+  };
+  
+  return templates.renderTemplate(
+    template,
+    templates.buildTemplateData(sampleBooking, {
+      manageUrl: `${config.siteUrl}/manage-booking?reference=AAR-7KQ2MX`,
+      // Shown by the activity placeholders
+      activity: { name: 'Sunrise Yoga', date: addDays(checkIn, 1), startTime: '07:30', location: 'Summit Studio', participants: 2 }
+    })
+  );
+};
+
+/**
+ * Returns the most recent emails, newest first
+ * 
+ * @async
+ * @param {number} [limit=LOG_LIMIT] - Maximum number of entries
+ * @return {Promise<Object[]>} Log entries
+ */
+const listRecent = async (limit = LOG_LIMIT) => {
+  const log = await repositories.notifications.all();
+  return log.slice(-limit).reverse();
+};
+
+module.exports = {
+  notify,
+  sendBookingEmail,
+  templateForStatus,
+  runScheduledNotifications,
+  startScheduler,
+  listTemplates,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate,
+  listRecent
+};
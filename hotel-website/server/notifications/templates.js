@@ -0,0 +1,357 @@
+/**
+ * Email Templates
+ * 
+ * Default wording for every booking email, the placeholders templates may
+ * use, and rendering. Admins can edit the subject and body of each template
+ * from the dashboard; the edited copies are kept in the emailTemplates
+ * collection and these defaults are only used to seed it and to reset a
+ * template.
+ * 
+ * Placeholders are written as {{name}}, e.g. "Hello {{guestName}}".
+ */
+
+const { nightsBetween, toUtcDate } = require('../utils/dates');
+const { getBookingRatePlan } = require('../services/guestBookings');
+const { getBookingPolicy } = require('../services/cancellationPolicy');
+const { getBookingRooms, describeRooms, describeGuests } = require('../services/bookingRooms');
+
+// Contact details shown in every email
+const HOTEL = {
+  name: 'Alpine Athletics Resort',
+  phone: '(555) 123-4567',
+  email: 'info@alpineathleticsresort.com'
+};
+
+// Values templates can insert, with a description for the editor
+const PLACEHOLDERS = {
+  guestName: "Guest's full name",
+  reference: 'Booking reference, e.g. AAR-7KQ2MX',
+  roomType: 'Booked rooms, e.g. 2 × Adventure Room, Athletic Suite',
+  guests: 'Number of guests, e.g. 4 adults, 1 child',
+  checkIn: 'Check-in date, e.g. Monday, March 3, 2031',
+  checkOut: 'Check-out date',
+  nights: 'Number of nights',
+  total: 'Total price, e.g. $1,051.00',
+  ratePlan: 'Booked rate plan, e.g. Flexible Rate',
+  cancellationPolicy: "The rate plan's cancellation policy",
+  cancellationPenalty: 'Amount kept on cancellation (cancellation, decline and no-show emails only)',
+  refundAmount: 'Amount refunded on cancellation (cancellation, decline and no-show emails only)',
+  activityName: 'Activity, e.g. Sunrise Yoga (activity emails only)',
+  activitySession: 'Day, time and place of the session (activity emails only)',
+  participants: 'Number of guests signed up for the session (activity emails only)',
+  manageUrl: 'Link to view, change or cancel the booking',
+  hotelName: 'Resort name',
+  hotelPhone: 'Front desk phone number',
+  hotelEmail: 'Front desk email address'
+};
+
+// Matches {{ placeholder }} with optional spaces
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Longest subject accepted from the editor
+const MAX_SUBJECT_LENGTH = 200;
+
+// Templates shipped with the server, keyed by id
+const DEFAULT_EMAIL_TEMPLATES = [
+  {
+    id: 'booking-received',
+    name: 'Request received',
+    description: 'Sent when a guest submits a booking request',
+    subject: 'We received your booking request {{reference}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'Thank you for choosing {{hotelName}}. We have received your request to stay with us',
+      'from {{checkIn}} to {{checkOut}} ({{nights}} nights). The estimated total is {{total}}.',
+      '',
+      'Rooms: {{roomType}} for {{guests}}',
+      '',
+      'Our team will review your request and confirm it shortly.',
+      '',
+      'Your rate: {{ratePlan}}',
+      'Cancellation policy: {{cancellationPolicy}}',
+      '',
+      'Booking reference: {{reference}}',
+      'View, change or cancel your booking: {{manageUrl}}',
+      '',
+      'See you in the mountains,',
+      '{{hotelName}}',
+      '{{hotelPhone}} | {{hotelEmail}}'
+    ].join('\n')
+  },
+  {
+    id: 'booking-confirmed',
+    name: 'Booking confirmed',
+    description: 'Sent when staff confirm a booking',
+    subject: 'Your stay is confirmed: {{reference}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'Good news - your stay from {{checkIn}} to {{checkOut}} is confirmed.',
+      'Rooms: {{roomType}} for {{guests}}',
+      'Total for your stay: {{total}}.',
+      '',
+      'Booking reference: {{reference}}',
+      'Manage your booking: {{manageUrl}}',
+      '',
+      'We look forward to welcoming you,',
+      '{{hotelName}}',
+      '{{hotelPhone}} | {{hotelEmail}}'
+    ].join('\n')
+  },
+  {
+    id: 'booking-cancelled',
+    name: 'Booking cancelled',
+    description: 'Sent when a booking is cancelled by staff or by the guest',
+    subject: 'Your booking {{reference}} has been cancelled',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'Your booking for {{roomType}} from {{checkIn}} to {{checkOut}} has been cancelled.',
+      '',
+      'Cancellation charge: {{cancellationPenalty}}',
+      'Refund to your card: {{refundAmount}}',
+      '',
+      'If this was not expected, please contact us at {{hotelPhone}} or {{hotelEmail}}',
+      'and quote your booking reference {{reference}}.',
+      '',
+      '{{hotelName}}'
+    ].join('\n')
+  },
+  {
+    id: 'booking-declined',
+    name: 'Request declined',
+    description: 'Sent when staff decline a booking request',
+    subject: 'We are unable to accept your booking request {{reference}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'We are sorry, but we cannot accept your request for {{roomType}}',
+      'from {{checkIn}} to {{checkOut}}.',
+      '',
+      'Refund to your card: {{refundAmount}}',
+      '',
+      'We would be glad to help you find other dates. Please contact us at',
+      '{{hotelPhone}} or {{hotelEmail}} and quote your booking reference {{reference}}.',
+      '',
+      '{{hotelName}}'
+    ].join('\n')
+  },
+  {
+    id: 'booking-no-show',
+    name: 'Missed arrival',
+    description: 'Sent when a guest who did not arrive is marked as a no-show',
+    subject: 'We missed you: booking {{reference}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'You were due to check in on {{checkIn}}, but we did not see you arrive,',
+      'so your booking for {{roomType}} has been released.',
+      '',
+      'No-show charge: {{cancellationPenalty}}',
+      'Refund to your card: {{refundAmount}}',
+      '',
+      'If this is a mistake, please call us right away at {{hotelPhone}}',
+      'and quote your booking reference {{reference}}.',
+      '',
+      '{{hotelName}}'
+    ].join('\n')
+  },
+  {
+    id: 'activity-spot-confirmed',
+    name: 'Waitlist spot confirmed',
+    description: 'Sent when a guest on an activity waitlist gets a spot',
+    subject: 'You have a spot in {{activityName}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'Good news - a spot opened up and you are no longer on the waitlist.',
+      '',
+      '{{activityName}} for {{participants}}',
+      '{{activitySession}}',
+      '',
+      'Cannot make it any more? Please drop out so the next guest can join: {{manageUrl}}',
+      '',
+      '{{hotelName}}'
+    ].join('\n')
+  },
+  {
+    id: 'pre-arrival-reminder',
+    name: 'Pre-arrival reminder',
+    description: 'Sent a few days before check-in for confirmed bookings',
+    subject: 'See you soon at {{hotelName}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'Your stay starts on {{checkIn}}. Check-in opens at 3 pm.',
+      'Rooms: {{roomType}} for {{guests}}',
+      '',
+      'Pack your training gear - the gym, pool and trails are waiting.',
+      'Need to change anything? {{manageUrl}}',
+      '',
+      'Safe travels,',
+      '{{hotelName}}',
+      '{{hotelPhone}} | {{hotelEmail}}'
+    ].join('\n')
+  },
+  {
+    id: 'post-stay-thank-you',
+    name: 'Post-stay thank-you',
+    description: 'Sent the day after check-out',
+    subject: 'Thank you for staying with us, {{guestName}}',
+    body: [
+      'Hello {{guestName}},',
+      '',
+      'Thank you for staying at {{hotelName}}. We hope you left stronger than you arrived.',
+      '',
+      'We would love to hear about your stay - just reply to this email.',
+      '',
+      'Until next time,',
+      '{{hotelName}}'
+    ].join('\n')
+  }
+];
+
+/**
+ * Formats a 'YYYY-MM-DD' date for an email
+ * 
+ * @param {string} value - Date string
+ * @return {string} Date such as Monday, March 3, 2031
+ */
+const formatLongDate = (value) => toUtcDate(value).toLocaleDateString('en-US', {
+  timeZone: 'UTC',
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+/**
+ * Formats a dollar amount for an email
+ * 
+ * @param {number} amount - Amount in US dollars
+ * @return {string} Amount such as $1,051.00
+ */
+const formatMoney = (amount) => typeof amount === 'number'
+  ? amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+  : '';
+
+/**
+ * Builds the placeholder values for a booking
+ * 
+ * @param {Object} booking - Booking object
+ * @param {Object} options - Extra values
+ * @param {string} options.manageUrl - Signed link to the guest's booking
+ * @param {Object} [options.activity] - Session the email is about ({ name, date, startTime, location, participants })
+ * @return {Object} Values keyed by placeholder name
+ */
+const buildTemplateData = (booking, { manageUrl, activity }) => ({
+  guestName: booking.fullName,
+  reference: booking.reference || booking.id,
+  roomType: describeRooms(getBookingRooms(booking)),
+  guests: describeGuests(getBookingRooms(booking)),
+  checkIn: formatLongDate(booking.checkIn),
+  checkOut: formatLongDate(booking.checkOut),
+  nights: String(nightsBetween(booking.checkIn, booking.checkOut)),
+  total: formatMoney(booking.totalPrice),
+  ratePlan: getBookingRatePlan(booking).name,
+  cancellationPolicy: getBookingPolicy(booking).description,
+  cancellationPenalty: formatMoney(booking.cancellation?.retained ?? 0),
+  refundAmount: formatMoney(booking.cancellation?.refunded ?? 0),
+  activityName: activity?.name || '',
+  activitySession: activity ? `${formatLongDate(activity.date)} at ${activity.startTime}, ${activity.location}` : '',
+  participants: activity ? `${activity.participants} guest${activity.participants === 1 ? '' : 's'}` : '',
+  manageUrl,
+  hotelName: HOTEL.name,
+  hotelPhone: HOTEL.phone,
+  hotelEmail: HOTEL.email
+});
+
+/**
+ * Replaces the placeholders in a string
+ * 
+ * @param {string} text - Template text
+ * @param {Object} data - Values keyed by placeholder name
+ * @return {string} Rendered text
+ */
+const renderText = (text, data) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, name) => (name in data ? data[name] : match));
+
+/**
+ * Renders a template's subject and body
+ * 
+ * @param {Object} template - Template with subject and body
+ * @param {Object} data - Values keyed by placeholder name
+ * @return {Object} { subject: string, text: string }
+ */
+const renderTemplate = (template, data) => ({
+  // Subjects must stay on one line
+  subject: renderText(template.subject, data).replace(/\s+/g, ' ').trim(),
+  text: renderText(template.body, data)
+});
+
+/**
+ * Returns the default version of a template
+ * 
+ * @param {string} id - Template id
+ * @return {Object|undefined} Default template
+ */
+const getDefaultTemplate = (id) => DEFAULT_EMAIL_TEMPLATES.find(template => template.id === id);
+
+/**
+ * Lists placeholders used in a string that do not exist
+ * 
+ * @param {string} text - Template text
+ * @return {string[]} Unknown placeholder names
+ */
+const findUnknownPlaceholders = (text) =>
+  [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !(name in PLACEHOLDERS));
+
+/**
+ * Validates an edited subject and body
+ * 
+ * @param {Object} input - Submitted values
+ * @param {string} input.subject - Email subject
+ * @param {string} input.body - Email body (plain text)
+ * @return {Object} { template: { subject, body } | null, errors: Object } errors are keyed by field
+ */
+const validateTemplate = (input) => {
+  const errors = {};
+  const subject = typeof input.subject === 'string' ? input.subject.trim() : '';
+  const body = typeof input.body === 'string' ? input.body.replace(/\r\n/g, '\n').trim() : '';
+  
+  if (!subject) {
+    errors.subject = 'Subject is required';
+  } else if (subject.length > MAX_SUBJECT_LENGTH) {
+    errors.subject = `Subject must be at most ${MAX_SUBJECT_LENGTH} characters`;
+  }
+  
+  if (!body) {
+    errors.body = 'Body is required';
+  }
+  
+  ['subject', 'body'].forEach((field) => {
+    const unknown = findUnknownPlaceholders(field === 'subject' ? subject : body);
+    if (!errors[field] && unknown.length > 0) {
+      errors[field] = `Unknown placeholder: ${unknown.map(name => `{{${name}}}`).join(', ')}`;
+    }
+  });
+  
+  if (Object.keys(errors).length > 0) {
+    return { template: null, errors };
+  }
+  
+  return { template: { subject, body }, errors };
+};
+
+module.exports = {
+  HOTEL,
+  PLACEHOLDERS,
+  DEFAULT_EMAIL_TEMPLATES,
+  buildTemplateData,
+  renderTemplate,
+  getDefaultTemplate,
+  validateTemplate
+};
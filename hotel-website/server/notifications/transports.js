@@ -0,0 +1,109 @@
+/**
+ * Email Transports
+ * 
+ * A transport delivers a finished message. Both transports use nodemailer to
+ * build a standards-compliant email:
+ * 
+ *   - file: writes each message as an .eml file to an outbox directory, so
+ *           development and tests never send real email (default)
+ *   - smtp: sends through an SMTP server, e.g. a local catcher such as
+ *           Mailpit or MailHog on localhost:1025, or a real provider
+ * 
+ * Every transport has the same interface:
+ * 
+ *   name                     Transport name, recorded in the notification log
+ *   send(message)            Deliver { from, to, subject, text }; resolves with { messageId, location? }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates a transport that writes emails to files
+ * 
+ * Files are named <timestamp>-<message id>.eml and can be opened with any
+ * email client.
+ * 
+ * @param {Object} options - Transport options
+ * @param {string} options.outboxDir - Directory the .eml files are written to
+ * @return {Object} Transport
+ */
+const createFileTransport = ({ outboxDir }) => {
+  // Builds the raw message without sending it anywhere
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  
+  return {
+    name: 'file',
+    
+    async send(message) {
+      const info = await builder.sendMail(message);
+      
+      // Message ids look like <uuid@host>; the uuid part is enough for a file name
+      const safeId = info.messageId.replace(/^<|@.*$/g, '').replace(/[^\w-]/g, '');
+      const file = path.join(outboxDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeId}.eml`);
+      
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(file, info.message);
+      
+      return { messageId: info.messageId, location: file };
+    }
+  };
+};
+
+/**
+ * Creates a transport that sends emails over SMTP
+ * 
+ * @param {Object} options - SMTP options (see config.notifications.smtp)
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {string} [options.user] - Username, if the server requires authentication
+ * @param {string} [options.pass] - Password
+ * @return {Object} Transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+  
+  return {
+    name: 'smtp',
+    
+    async send(message) {
+      const info = await smtp.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Transports by name
+const TRANSPORTS = {
+  file: (options) => createFileTransport({ outboxDir: options.outboxDir }),
+  smtp: (options) => createSmtpTransport(options.smtp)
+};
+
+/**
+ * Creates the transport selected in the configuration
+ * 
+ * @param {Object} options - Notification options (see config.notifications)
+ * @param {string} options.transport - 'file' or 'smtp'
+ * @return {Object} Transport
+ */
+const createTransport = (options) => {
+  const create = TRANSPORTS[options.transport];
+  if (!create) {
+    throw new Error(`Unknown mail transport "${options.transport}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  
+  return create(options);
+};
+
+module.exports = {
+  createFileTransport,
+  createSmtpTransport,
+  createTransport
+};
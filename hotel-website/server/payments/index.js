@@ -0,0 +1,417 @@
+/**
+ * Booking Payments
+ * 
+ * Guests pay a deposit (config.payments.depositPercent of the total, or the
+ * whole total on prepaid rate plans) when they book, and the rest by the
+ * balance due date (balanceDueDays before check-in).
+ * Cards are charged through the provider chosen in config.payments (see
+ * providers.js). Every charge and refund attempt is recorded in the payments
+ * collection:
+ * 
+ *   { id, bookingId, reference, type: 'charge' | 'refund', purpose, amount, currency,
+ *     status: 'succeeded' | 'declined' | 'failed', provider, providerReference,
+ *     chargeId (refunds), card: { brand, last4 } (charges), message, actor, createdAt }
+ * 
+ * The front desk can also take cash when guests check out. Cash is recorded
+ * as a charge with method 'cash' and no card; it is never refunded to a card.
+ * 
+ * Incidental charges staff post to the guest's folio (see services/folio.js)
+ * are added to what is owed; the deposit is only ever taken on the stay.
+ * 
+ * Cancellation refunds follow the cancellation policy of the booking's rate
+ * plan (see services/cancellationPolicy.js).
+ */
+
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const repositories = require('../storage');
+const { getReference } = require('../services/guestBookings');
+const { getStatus } = require('../services/bookingStatus');
+const { evaluateCancellation } = require('../services/cancellationPolicy');
+const { listBookingCharges, getChargesTotal } = require('../services/folio');
+const { addDays } = require('../utils/dates');
+const { roundCurrency } = require('../utils/money');
+const { createProvider, detectCardBrand, normalizeCardNumber } = require('./providers');
+
+// Statuses for which nothing more is owed
+const CLOSED_STATUSES = ['cancelled', 'declined', 'no-show'];
+
+let provider = null;
+
+/**
+ * Returns the configured provider, creating it on first use
+ * 
+ * @return {Object} Payment provider
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider(config.payments);
+  }
+  return provider;
+};
+
+/**
+ * Adds up the amounts of payment records
+ * 
+ * @param {Object[]} records - Payment records
+ * @return {number} Total amount
+ */
+const sumAmounts = (records) => roundCurrency(records.reduce((sum, record) => sum + record.amount, 0));
+
+/**
+ * Calculates the deposit charged when booking
+ * 
+ * @param {number} total - Total price of the stay
+ * @param {Object} [ratePlan] - Rate plan of the quote; prepaid plans are charged in full
+ * @return {number} Deposit amount (0 when deposits are switched off)
+ */
+const getDepositAmount = (total, ratePlan) => {
+  if (ratePlan?.prepaid) return roundCurrency(total);
+  return roundCurrency(total * Math.max(0, config.payments.depositPercent) / 100);
+};
+
+/**
+ * Returns the date by which the balance must be paid
+ * 
+ * @param {Object} booking - Booking object
+ * @return {string} Due date (YYYY-MM-DD)
+ */
+const getBalanceDueDate = (booking) => addDays(booking.checkIn, -config.payments.balanceDueDays);
+
+/**
+ * Summarizes what has been paid for a booking
+ * 
+ * @param {Object} booking - Booking object
+ * @param {Object[]} records - The booking's payment records
+ * @param {Object[]} [charges=[]] - The booking's folio charges
+ * @return {Object} {
+ *   total (stay plus incidentals), incidentals, deposit, paid, refunded, outstanding: number,
+ *   balanceDueDate: string, currency: string,
+ *   status: 'unpaid' | 'partially-paid' | 'paid' | 'refunded'
+ * }
+ */
+const summarizePayments = (booking, records, charges = []) => {
+  const succeeded = records.filter(record => record.status === 'succeeded');
+  const charged = sumAmounts(succeeded.filter(record => record.type === 'charge'));
+  const refunded = sumAmounts(succeeded.filter(record => record.type === 'refund'));
+  const paid = roundCurrency(charged - refunded);
+  const incidentals = getChargesTotal(charges);
+  const total = roundCurrency((booking.totalPrice || 0) + incidentals);
+  
+  // Cancelled, declined and no-show bookings owe nothing more
+  const outstanding = CLOSED_STATUSES.includes(getStatus(booking)) ? 0 : Math.max(0, roundCurrency(total - paid));
+  
+  let status = 'paid';
+  if (paid <= 0) {
+    status = refunded > 0 ? 'refunded' : 'unpaid';
+  } else if (outstanding > 0) {
+    status = 'partially-paid';
+  }
+  
+  return {
+    total,
+    incidentals,
+    deposit: booking.depositAmount ?? getDepositAmount(booking.totalPrice || 0, booking.quote?.ratePlan),
+    paid,
+    refunded,
+    outstanding,
+    balanceDueDate: getBalanceDueDate(booking),
+    currency: config.payments.currency,
+    status
+  };
+};
+
+/**
+ * Lists the payment records of a booking, oldest first
+ * 
+ * @async
+ * @param {string} bookingId - Booking id
+ * @return {Promise<Object[]>} Payment records
+ */
+const listBookingPayments = async (bookingId) =>
+  (await repositories.payments.all()).filter(record => record.bookingId === bookingId);
+
+/**
+ * Loads and summarizes the payments of one booking
+ * 
+ * @async
+ * @param {Object} booking - Booking object
+ * @return {Promise<Object>} Payment summary (see summarizePayments)
+ */
+const getPaymentSummary = async (booking) => summarizePayments(
+  booking,
+  await listBookingPayments(booking.id),
+  await listBookingCharges(booking.id)
+);
+
+/**
+ * Summarizes the payments of many bookings with a single read
+ * 
+ * @async
+ * @param {Object[]} bookings - Booking objects
+ * @return {Promise<Map>} Payment summaries keyed by booking id
+ */
+const getPaymentSummaries = async (bookings) => {
+  const [records, charges] = await Promise.all([repositories.payments.all(), repositories.folioCharges.all()]);
+  return new Map(bookings.map(booking => [
+    booking.id,
+    summarizePayments(
+      booking,
+      records.filter(record => record.bookingId === booking.id),
+      charges.filter(charge => charge.bookingId === booking.id)
+    )
+  ]));
+};
+
+/**
+ * Charges a card for a booking
+ * 
+ * The returned record is not saved, so a declined deposit for a booking that
+ * is never created leaves no trace; call recordPayment to keep it.
+ * 
+ * @async
+ * @param {Object} booking - Booking the payment is for (must have an id)
+ * @param {Object} card - { cardName, cardNumber, expiry, cvc } (see paymentSchema)
+ * @param {Object} options - Charge details
+ * @param {number} options.amount - Amount to charge
+ * @param {string} options.purpose - 'deposit', 'prepayment' or 'balance'
+ * @param {Object} options.actor - Who made the payment, e.g. { type: 'guest' }
+ * @return {Promise<Object>} Payment record with status 'succeeded', 'declined' or 'failed'
+ */
+const chargeCard = async (booking, card, { amount, purpose, actor }) => {
+  const activeProvider = getProvider();
+  const record = {
+    id: randomUUID(),
+    bookingId: booking.id,
+    reference: getReference(booking),
+    type: 'charge',
+    purpose,
+    amount: roundCurrency(amount),
+    currency: config.payments.currency,
+    provider: activeProvider.name,
+    card: {
+      brand: detectCardBrand(card.cardNumber),
+      last4: normalizeCardNumber(card.cardNumber).slice(-4)
+    },
+    actor,
+    createdAt: new Date().toISOString()
+  };
+  
+  try {
+    const result = await activeProvider.charge({
+      amount: record.amount,
+      currency: record.currency,
+      card,
+      description: `${purpose} for booking ${record.reference}`
+    });
+    
+    return {
+      ...record,
+      status: result.status,
+      providerReference: result.providerReference || null,
+      declineCode: result.declineCode || null,
+      message: result.message || null
+    };
+  } catch (error) {
+    console.error(`Error charging ${purpose} for booking ${record.reference}:`, error);
+    return { ...record, status: 'failed', providerReference: null, message: 'The payment could not be processed' };
+  }
+};
+
+/**
+ * Gives back a charge whose booking could not be saved
+ * 
+ * The charge was never recorded, so only the provider is told; a reversal
+ * that fails is logged with the charge so staff can refund it by hand.
+ * 
+ * @async
+ * @param {Object} record - Unsaved payment record returned by chargeCard
+ * @return {Promise<boolean>} True if the money was returned
+ */
+const reverseCharge = async (record) => {
+  try {
+    const result = await getProvider().refund({
+      providerReference: record.providerReference,
+      amount: record.amount,
+      currency: record.currency
+    });
+    if (result.status === 'succeeded') return true;
+    
+    console.error(`Could not reverse charge ${record.providerReference} for booking ${record.reference}:`, result.message);
+  } catch (error) {
+    console.error(`Error reversing charge ${record.providerReference} for booking ${record.reference}:`, error);
+  }
+  return false;
+};
+
+/**
+ * Saves a payment record
+ * 
+ * @async
+ * @param {Object} record - Payment record
+ * @return {Promise<Object>} The saved record
+ */
+const recordPayment = (record) => repositories.payments.insert(record);
+
+/**
+ * Records cash taken at the front desk
+ * 
+ * @async
+ * @param {Object} booking - Booking the payment is for
+ * @param {Object} options - Payment details
+ * @param {number} options.amount - Amount received
+ * @param {string} options.purpose - e.g. 'balance'
+ * @param {Object} options.actor - Staff member who took the cash
+ * @return {Promise<Object>} The saved payment record
+ */
+const recordCashPayment = (booking, { amount, purpose, actor }) => recordPayment({
+  id: randomUUID(),
+  bookingId: booking.id,
+  reference: getReference(booking),
+  type: 'charge',
+  method: 'cash',
+  purpose,
+  amount: roundCurrency(amount),
+  currency: config.payments.currency,
+  status: 'succeeded',
+  provider: 'front-desk',
+  providerReference: null,
+  card: null,
+  message: null,
+  actor,
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Refunds an amount to the cards a booking was paid with
+ * 
+ * The most recent charges are refunded first, never more than each charge
+ * still holds. Cash taken at the front desk is left out.
+ * 
+ * @async
+ * @param {Object} booking - Booking object
+ * @param {number} amount - Amount to refund
+ * @param {Object} options - Refund details
+ * @param {string} options.purpose - Why the money is returned, e.g. 'cancellation'
+ * @param {Object} options.actor - Who triggered the refund
+ * @return {Promise<Object[]>} Saved refund records
+ */
+const refundBooking = async (booking, amount, { purpose, actor }) => {
+  const records = await listBookingPayments(booking.id);
+  const succeeded = records.filter(record => record.status === 'succeeded');
+  const charges = succeeded.filter(record => record.type === 'charge' && record.method !== 'cash').reverse();
+  const refunds = [];
+  let remaining = roundCurrency(amount);
+  
+  for (const charge of charges) {
+    if (remaining <= 0) break;
+    
+    const alreadyRefunded = sumAmounts(succeeded.filter(record => record.chargeId === charge.id));
+    const refundable = roundCurrency(Math.min(remaining, charge.amount - alreadyRefunded));
+    if (refundable <= 0) continue;
+    
+    const activeProvider = getProvider();
+    let result;
+    try {
+      result = await activeProvider.refund({
+        providerReference: charge.providerReference,
+        amount: refundable,
+        currency: charge.currency
+      });
+    } catch (error) {
+      console.error(`Error refunding charge ${charge.id}:`, error);
+      result = { status: 'failed', message: 'The refund could not be processed' };
+    }
+    
+    const refund = {
+      id: randomUUID(),
+      bookingId: booking.id,
+      reference: getReference(booking),
+      type: 'refund',
+      purpose,
+      amount: refundable,
+      currency: charge.currency,
+      status: result.status,
+      provider: activeProvider.name,
+      providerReference: result.providerReference || null,
+      chargeId: charge.id,
+      message: result.message || null,
+      actor,
+      createdAt: new Date().toISOString()
+    };
+    await recordPayment(refund);
+    refunds.push(refund);
+    
+    if (refund.status === 'succeeded') {
+      remaining = roundCurrency(remaining - refundable);
+    }
+  }
+  
+  return refunds;
+};
+
+/**
+ * Refunds a closed booking according to its cancellation policy
+ * 
+ * @async
+ * @param {Object} booking - Booking with its new status (cancelled, declined or no-show)
+ * @param {Object} actor - Who closed the booking
+ * @return {Promise<Object>} {
+ *   amount: number refunded,
+ *   refunds: Object[] (refund records),
+ *   cancellation: Object (policy evaluation, see evaluateCancellation, plus refunded)
+ * }
+ */
+const refundForCancellation = async (booking, actor) => {
+  const summary = await getPaymentSummary(booking);
+  const evaluation = evaluateCancellation(booking, { paid: summary.paid });
+  
+  const refunds = evaluation.refund > 0
+    ? await refundBooking(booking, evaluation.refund, { purpose: 'cancellation', actor })
+    : [];
+  const refunded = sumAmounts(refunds.filter(refund => refund.status === 'succeeded'));
+  
+  return { amount: refunded, refunds, cancellation: { ...evaluation, refunded } };
+};
+
+/**
+ * Refunds anything paid beyond a booking's total, e.g. after a cheaper change
+ * 
+ * @async
+ * @param {Object} booking - Booking with its current total
+ * @param {Object} actor - Who changed the booking
+ * @return {Promise<Object[]>} Saved refund records (empty if nothing was overpaid)
+ */
+const refundOverpayment = async (booking, actor) => {
+  const summary = await getPaymentSummary(booking);
+  const excess = roundCurrency(summary.paid - summary.total);
+  if (excess <= 0) return [];
+  
+  return refundBooking(booking, excess, { purpose: 'overpayment', actor });
+};
+
+/**
+ * Returns the payment settings the booking form needs
+ * 
+ * @return {Object} { depositPercent, balanceDueDays, currency, provider }
+ */
+const getPaymentSettings = () => ({
+  depositPercent: Math.max(0, config.payments.depositPercent),
+  balanceDueDays: config.payments.balanceDueDays,
+  currency: config.payments.currency,
+  provider: config.payments.provider
+});
+
+module.exports = {
+  getDepositAmount,
+  listBookingPayments,
+  getPaymentSummary,
+  getPaymentSummaries,
+  chargeCard,
+  reverseCharge,
+  recordPayment,
+  recordCashPayment,
+  refundForCancellation,
+  refundOverpayment,
+  getPaymentSettings
+};
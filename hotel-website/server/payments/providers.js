@@ -0,0 +1,132 @@
+/**
+ * Payment Providers
+ * 
+ * A provider charges and refunds cards. The server only ever passes card
+ * details straight through to the provider; they are never stored.
+ * 
+ *   - fake: charges test cards locally without a network, so development and
+ *           tests run offline (default). Results depend only on the card:
+ * 
+ *             4242 4242 4242 4242   succeeds
+ *             4000 0000 0000 0002   declined (card_declined)
+ *             4000 0000 0000 9995   declined (insufficient_funds)
+ *             4000 0000 0000 0069   declined (expired_card)
+ * 
+ *           Any other number with a valid checksum succeeds, and a past
+ *           expiry date is always declined as expired_card.
+ * 
+ * Every provider has the same interface:
+ * 
+ *   name                     Provider name, recorded on each payment
+ *   charge(request)          Charge { amount, currency, card, description }; resolves with
+ *                            { status: 'succeeded' | 'declined', providerReference?, declineCode?, message? }
+ *   refund(request)          Refund { providerReference, amount, currency }; resolves with
+ *                            { status: 'succeeded' | 'failed', providerReference?, message? }
+ */
+
+const { randomUUID } = require('crypto');
+
+// Test cards of the fake provider that are always declined, with the reason
+const FAKE_DECLINED_CARDS = {
+  '4000000000000002': { declineCode: 'card_declined', message: 'Your card was declined.' },
+  '4000000000009995': { declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  '4000000000000069': { declineCode: 'expired_card', message: 'Your card has expired.' }
+};
+
+/**
+ * Returns the digits of a card number
+ * 
+ * @param {string} cardNumber - Card number, possibly with spaces or dashes
+ * @return {string} Digits only
+ */
+const normalizeCardNumber = (cardNumber) => String(cardNumber || '').replace(/\D/g, '');
+
+/**
+ * Works out the card brand from the number
+ * 
+ * @param {string} cardNumber - Card number
+ * @return {string} Brand such as 'Visa', or 'Card' if unknown
+ */
+const detectCardBrand = (cardNumber) => {
+  const digits = normalizeCardNumber(cardNumber);
+  if (/^4/.test(digits)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return 'Mastercard';
+  if (/^3[47]/.test(digits)) return 'American Express';
+  if (/^6(011|5)/.test(digits)) return 'Discover';
+  return 'Card';
+};
+
+/**
+ * Checks whether an MM/YY expiry date has passed
+ * 
+ * Cards are valid until the end of their expiry month.
+ * 
+ * @param {string} expiry - Expiry date as MM/YY
+ * @param {Date} now - Current time
+ * @return {boolean} True if the card has expired
+ */
+const hasExpired = (expiry, now) => {
+  const [month, year] = String(expiry || '').split('/').map(Number);
+  const firstDayAfterExpiry = Date.UTC(2000 + year, month, 1);
+  return firstDayAfterExpiry <= now.getTime();
+};
+
+/**
+ * Creates the offline test provider
+ * 
+ * @param {Object} [options={}] - Provider options
+ * @param {Function} [options.now] - Returns the current time (for tests)
+ * @return {Object} Provider
+ */
+const createFakeProvider = ({ now = () => new Date() } = {}) => ({
+  name: 'fake',
+  
+  async charge({ card }) {
+    const declined = FAKE_DECLINED_CARDS[normalizeCardNumber(card.cardNumber)];
+    if (declined) {
+      return { status: 'declined', ...declined };
+    }
+    
+    if (hasExpired(card.expiry, now())) {
+      return { status: 'declined', ...FAKE_DECLINED_CARDS['4000000000000069'] };
+    }
+    
+    return { status: 'succeeded', providerReference: `fake_ch_${randomUUID()}` };
+  },
+  
+  async refund({ providerReference }) {
+    if (!String(providerReference || '').startsWith('fake_ch_')) {
+      return { status: 'failed', message: 'Unknown charge' };
+    }
+    
+    return { status: 'succeeded', providerReference: `fake_re_${randomUUID()}` };
+  }
+});
+
+// Providers by name
+const PROVIDERS = {
+  fake: () => createFakeProvider()
+};
+
+/**
+ * Creates the provider selected in the configuration
+ * 
+ * @param {Object} options - Payment options (see config.payments)
+ * @param {string} options.provider - Provider name
+ * @return {Object} Provider
+ */
+const createProvider = (options) => {
+  const create = PROVIDERS[options.provider];
+  if (!create) {
+    throw new Error(`Unknown payment provider "${options.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  
+  return create(options);
+};
+
+module.exports = {
+  createFakeProvider,
+  createProvider,
+  detectCardBrand,
+  normalizeCardNumber
+};
@@ -0,0 +1,67 @@
+/**
+ * Create Admin User
+ * 
+ * Command-line script that creates an admin account, used to set up the first
+ * user before anyone can log in to the dashboard. Further staff accounts can be
+ * created by an owner from the dashboard.
+ * 
+ * Usage (from the server directory):
+ *   npm run create-admin -- <username> [role]
+ * 
+ * The role is front-desk, manager or owner (default: owner).
+ * The password is read from the ADMIN_PASSWORD environment variable, or
+ * prompted for interactively when it is not set.
+ */
+
+const readline = require('readline');
+const { createUser } = require('../services/adminUsers');
+const repositories = require('../storage');
+
+/**
+ * Prompts for a password without echoing it to the terminal
+ * 
+ * @param {string} question - Prompt text
+ * @return {Promise<string>} Password typed by the user
+ */
+const promptPassword = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  
+  // Hide typed characters by not writing them back out
+  rl._writeToOutput = (text) => {
+    if (text.startsWith(question)) rl.output.write(text);
+  };
+  
+  rl.question(question, (answer) => {
+    rl.output.write('\n');
+    rl.close();
+    resolve(answer);
+  });
+});
+
+const main = async () => {
+  const [username, role = 'owner'] = process.argv.slice(2);
+  
+  if (!username) {
+    console.error('Usage: npm run create-admin -- <username> [role]');
+    process.exit(1);
+  }
+  
+  // Open the configured storage (STORAGE_DRIVER) before writing to it
+  await repositories.storage.init();
+  await repositories.adminUsers.initialize([]);
+  
+  const password = process.env.ADMIN_PASSWORD || await promptPassword('Password: ');
+  const { user, error } = await createUser({ username, password, role });
+  
+  if (error) {
+    console.error(`Could not create admin user: ${error}`);
+    process.exit(1);
+  }
+  
+  console.log(`Created admin user ${user.username} (${user.role})`);
+};
+
+main().catch((error) => {
+  console.error('Error creating admin user:', error);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+/**
+ * Migrate JSON Data to SQLite
+ * 
+ * One-shot script that imports the JSON files in the data directory (one
+ * per collection in COLLECTIONS, e.g. bookings.json) into the SQLite
+ * database used when STORAGE_DRIVER=sqlite.
+ * 
+ * Usage (from the server directory):
+ *   npm run migrate:sqlite
+ * 
+ * Documents already present in the database (same id) are left untouched,
+ * so running the script twice does not create duplicates. The JSON files
+ * are not modified.
+ */
+
+const config = require('../config');
+const { createStorage } = require('../storage');
+
+// Collections to import
+const COLLECTIONS = ['bookings', 'rateRules', 'adminUsers', 'sessions', 'emailTemplates', 'notifications', 'payments', 'roomBlocks', 'promoCodes', 'activities', 'activitySignups', 'spaAppointments', 'rooms', 'folioCharges'];
+
+const main = async () => {
+  const source = createStorage({ ...config.storage, driver: 'json' });
+  const target = createStorage({ ...config.storage, driver: 'sqlite' });
+  
+  await source.init();
+  await target.init();
+  
+  console.log(`Importing from ${config.storage.dataDir} into ${config.storage.sqliteFile}`);
+  
+  for (const name of COLLECTIONS) {
+    const documents = await source.collection(name).all();
+    const destination = target.collection(name);
+    
+    // Register the collection so the server does not seed defaults over it
+    await destination.initialize([]);
+    
+    let imported = 0;
+    for (const document of documents) {
+      if (!(await destination.findById(document.id))) {
+        await destination.insert(document);
+        imported += 1;
+      }
+    }
+    
+    console.log(`  ${name}: ${imported} imported, ${documents.length - imported} already present`);
+  }
+  
+  console.log('Done. Start the server with STORAGE_DRIVER=sqlite to use the database.');
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
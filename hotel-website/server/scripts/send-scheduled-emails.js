@@ -0,0 +1,32 @@
+/**
+ * Send Scheduled Emails
+ * 
+ * Command-line script that sends every pre-arrival reminder and post-stay
+ * thank-you email that is due, once, and exits. The running server already
+ * does this every NOTIFICATION_INTERVAL_MINUTES; the script is for cron jobs
+ * and for trying the emails out against the file outbox or a local SMTP
+ * catcher.
+ * 
+ * Usage (from the server directory):
+ *   npm run send-scheduled-emails
+ */
+
+const repositories = require('../storage');
+const { runScheduledNotifications } = require('../notifications');
+
+const main = async () => {
+  // Open the configured storage (STORAGE_DRIVER) before reading from it
+  await repositories.storage.init();
+  await repositories.emailTemplates.initialize([]);
+  await repositories.notifications.initialize([]);
+  
+  const { sent, failed } = await runScheduledNotifications();
+  console.log(`Scheduled emails: ${sent} sent, ${failed} failed`);
+  
+  if (failed > 0) process.exitCode = 1;
+};
+
+main().catch((error) => {
+  console.error('Sending scheduled emails failed:', error);
+  process.exit(1);
+});
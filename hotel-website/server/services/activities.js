@@ -0,0 +1,325 @@
+/**
+ * Activity Schedule
+ * 
+ * Yoga sessions, fitness classes and guided climbs run by the resort. Staff
+ * define each activity as a weekly series:
+ * 
+ *   { id, name, category, description, instructor, location,
+ *     daysOfWeek: number[] (0 = Sunday), startTime: 'HH:MM', durationMinutes,
+ *     capacity, startDate, endDate, active, createdAt, createdBy, updatedAt }
+ * 
+ * and the schedule holds one session of it on every matching day between
+ * startDate and endDate (open-ended when there is no endDate). A session is
+ * identified by its activity and date. Guests staying at the resort sign up
+ * through their booking:
+ * 
+ *   { id, activityId, date, bookingId, reference, guestName, participants,
+ *     status: 'confirmed' | 'waitlisted' | 'cancelled',
+ *     createdAt, promotedAt, cancelledAt, cancelReason }
+ * 
+ * When a session is full, sign-ups join its waitlist. Whenever spots open up
+ * (a guest drops out or staff raise the capacity) the waitlist is promoted
+ * in the order guests joined it; a party that does not fit yet keeps its
+ * place, so nobody is overtaken by a smaller party behind them.
+ * 
+ * Session times are on the same UTC clock as the arrival cutoff (see
+ * utils/dates.js), whatever time zone the server runs in.
+ */
+
+const crypto = require('crypto');
+const { addDays, toUtcDate, toUtcDateTime, timeToMinutes, minutesToTime } = require('../utils/dates');
+
+// Sign-ups that hold a spot or a place on the waitlist
+const ACTIVE_SIGNUP_STATUSES = ['confirmed', 'waitlisted'];
+
+// Booking statuses whose guests can sign up for sessions
+const SIGNUP_BOOKING_STATUSES = ['confirmed', 'checked-in'];
+
+// Longest date range the schedule is listed for at once
+const MAX_SCHEDULE_DAYS = 62;
+
+// Day names for messages, indexed like Date.getUTCDay()
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Works out when a session ends
+ * 
+ * @param {Object} activity - Activity definition
+ * @return {string} End time such as '08:30'
+ */
+const getEndTime = (activity) => minutesToTime(timeToMinutes(activity.startTime) + activity.durationMinutes);
+
+/**
+ * Checks the parts of an activity the shared schema cannot express
+ * 
+ * @param {Object} fields - Fields validated against activitySchema
+ * @return {Object} Error messages keyed by field; empty when valid
+ */
+const validateActivityRules = (fields) => {
+  const errors = {};
+  
+  if (new Set(fields.daysOfWeek).size !== fields.daysOfWeek.length) {
+    errors.daysOfWeek = 'Each day can only be chosen once';
+  }
+  
+  if (timeToMinutes(fields.startTime) + fields.durationMinutes > 24 * 60) {
+    errors.durationMinutes = 'Sessions must end by midnight';
+  }
+  
+  if (fields.endDate && fields.endDate < fields.startDate) {
+    errors.endDate = 'End date must be on or after the start date';
+  }
+  
+  return errors;
+};
+
+/**
+ * Creates a stored activity from validated fields
+ * 
+ * @param {Object} fields - Fields validated against activitySchema
+ * @param {Object} createdBy - Staff user creating the activity ({ username, role })
+ * @return {Object} Activity ready to be saved
+ */
+const createActivity = (fields, createdBy) => ({
+  id: crypto.randomUUID(),
+  ...fields,
+  daysOfWeek: [...fields.daysOfWeek].sort((a, b) => a - b),
+  active: fields.active !== false,
+  createdAt: new Date().toISOString(),
+  createdBy
+});
+
+/**
+ * Checks whether an activity has a session on a day
+ * 
+ * @param {Object} activity - Activity definition
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @return {boolean} True if a session is scheduled that day
+ */
+const isSessionDay = (activity, date) =>
+  date >= activity.startDate &&
+  (!activity.endDate || date <= activity.endDate) &&
+  activity.daysOfWeek.includes(toUtcDate(date).getUTCDay());
+
+/**
+ * Checks whether a session has started
+ * 
+ * @param {Object} activity - Activity definition
+ * @param {string} date - Session date (YYYY-MM-DD)
+ * @param {Date} [now=new Date()] - Current time
+ * @return {boolean} True once the start time has passed
+ */
+const hasStarted = (activity, date, now = new Date()) =>
+  toUtcDateTime(date, activity.startTime) <= now;
+
+/**
+ * Returns the active sign-ups of one session, in the order they were made
+ * 
+ * @param {Object[]} signups - All sign-ups
+ * @param {string} activityId - Activity id
+ * @param {string} date - Session date (YYYY-MM-DD)
+ * @return {Object[]} Confirmed and waitlisted sign-ups, oldest first
+ */
+const getSessionSignups = (signups, activityId, date) => signups
+  .filter(signup => signup.activityId === activityId && signup.date === date && ACTIVE_SIGNUP_STATUSES.includes(signup.status))
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * Counts the places taken in a session
+ * 
+ * @param {Object} activity - Activity definition
+ * @param {Object[]} signups - All sign-ups
+ * @param {string} date - Session date (YYYY-MM-DD)
+ * @return {Object} { booked, spotsLeft, waitlisted } where booked and waitlisted count participants
+ */
+const countSessionPlaces = (activity, signups, date) => {
+  const sessionSignups = getSessionSignups(signups, activity.id, date);
+  const sum = (status) => sessionSignups
+    .filter(signup => signup.status === status)
+    .reduce((total, signup) => total + signup.participants, 0);
+  
+  const booked = sum('confirmed');
+  return { booked, spotsLeft: Math.max(activity.capacity - booked, 0), waitlisted: sum('waitlisted') };
+};
+
+/**
+ * Lists the sessions of the schedule in a date range
+ * 
+ * @param {Object[]} activities - All activities
+ * @param {Object[]} signups - All sign-ups
+ * @param {Object} range - Days to list
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} range.to - Last day (YYYY-MM-DD)
+ * @param {boolean} [range.includeInactive=false] - Also list activities that are switched off
+ * @param {Date} [now=new Date()] - Current time
+ * @return {Object[]} Sessions ordered by date and start time, each with the activity's details,
+ *   date, endTime, active, booked, spotsLeft, waitlisted and started
+ */
+const listSessions = (activities, signups, { from, to, includeInactive = false }, now = new Date()) => {
+  const sessions = [];
+  
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    activities
+      .filter(activity => (includeInactive || activity.active !== false) && isSessionDay(activity, date))
+      .forEach(activity => {
+        sessions.push({
+          activityId: activity.id,
+          date,
+          name: activity.name,
+          category: activity.category,
+          description: activity.description || '',
+          instructor: activity.instructor,
+          location: activity.location,
+          startTime: activity.startTime,
+          endTime: getEndTime(activity),
+          durationMinutes: activity.durationMinutes,
+          capacity: activity.capacity,
+          active: activity.active !== false,
+          ...countSessionPlaces(activity, signups, date),
+          started: hasStarted(activity, date, now)
+        });
+      });
+  }
+  
+  return sessions.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+};
+
+/**
+ * Checks whether a booking's guests can sign up for a session
+ * 
+ * @param {Object} activity - Activity definition (undefined when the id is unknown)
+ * @param {Object} booking - Booking the guests are staying on
+ * @param {Object} request - Sign-up request
+ * @param {string} request.date - Session date (YYYY-MM-DD)
+ * @param {number} request.participants - Guests to sign up
+ * @param {number} request.guests - Guests on the booking
+ * @param {Object[]} signups - All sign-ups
+ * @param {Date} [now=new Date()] - Current time
+ * @return {string|null} Why the sign-up is not possible, or null if it is
+ */
+const checkSignupEligibility = (activity, booking, { date, participants, guests }, signups, now = new Date()) => {
+  if (!activity || activity.active === false || !isSessionDay(activity, date)) {
+    return 'There is no session of this activity on that day';
+  }
+  
+  if (!SIGNUP_BOOKING_STATUSES.includes(booking.status)) {
+    return 'You can sign up for activities once your booking is confirmed';
+  }
+  
+  // Guests can join sessions on their check-out day, before they leave
+  if (date < booking.checkIn || date > booking.checkOut) {
+    return 'You can only sign up for sessions during your stay';
+  }
+  
+  if (hasStarted(activity, date, now)) {
+    return 'This session has already started';
+  }
+  
+  if (participants > guests) {
+    return `Your booking is for ${guests} guest${guests === 1 ? '' : 's'}`;
+  }
+  
+  if (participants > activity.capacity) {
+    return `This session takes at most ${activity.capacity} participants`;
+  }
+  
+  if (getSessionSignups(signups, activity.id, date).some(signup => signup.bookingId === booking.id)) {
+    return 'You are already signed up for this session';
+  }
+  
+  return null;
+};
+
+/**
+ * Creates a sign-up, confirmed when there is room and waitlisted otherwise
+ * 
+ * Guests only get a spot straight away when nobody is waiting ahead of them.
+ * 
+ * @param {Object} activity - Activity definition
+ * @param {Object[]} signups - All sign-ups
+ * @param {Object} details - Sign-up details
+ * @param {string} details.date - Session date (YYYY-MM-DD)
+ * @param {number} details.participants - Guests to sign up
+ * @param {Object} details.booking - Booking the guests are staying on
+ * @param {string} details.reference - The booking's reference
+ * @return {Object} Sign-up ready to be saved
+ */
+const createSignup = (activity, signups, { date, participants, booking, reference }) => {
+  const { spotsLeft, waitlisted } = countSessionPlaces(activity, signups, date);
+  
+  return {
+    id: crypto.randomUUID(),
+    activityId: activity.id,
+    date,
+    bookingId: booking.id,
+    reference,
+    guestName: booking.fullName,
+    participants,
+    status: waitlisted === 0 && participants <= spotsLeft ? 'confirmed' : 'waitlisted',
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Works out which waitlisted sign-ups of a session can now be confirmed
+ * 
+ * @param {Object} activity - Activity definition
+ * @param {Object[]} signups - All sign-ups
+ * @param {string} date - Session date (YYYY-MM-DD)
+ * @return {Object[]} Sign-ups to confirm, in waitlist order
+ */
+const findPromotions = (activity, signups, date) => {
+  let { spotsLeft } = countSessionPlaces(activity, signups, date);
+  const promotions = [];
+  
+  for (const signup of getSessionSignups(signups, activity.id, date)) {
+    if (signup.status !== 'waitlisted') continue;
+    
+    // Strict order: the first party that does not fit holds the line
+    if (signup.participants > spotsLeft) break;
+    
+    spotsLeft -= signup.participants;
+    promotions.push(signup);
+  }
+  
+  return promotions;
+};
+
+/**
+ * Returns the changes that cancel a sign-up
+ * 
+ * @param {string} reason - Why it was cancelled
+ * @return {Object} Changes for the sign-ups repository
+ */
+const cancelChanges = (reason) => ({
+  status: 'cancelled',
+  cancelledAt: new Date().toISOString(),
+  cancelReason: reason
+});
+
+/**
+ * Describes the days of an activity
+ * 
+ * @param {Object} activity - Activity definition
+ * @return {string} e.g. 'Monday, Wednesday, Friday at 07:30'
+ */
+const describeSchedule = (activity) =>
+  `${activity.daysOfWeek.map(day => DAY_NAMES[day]).join(', ')} at ${activity.startTime}`;
+
+module.exports = {
+  ACTIVE_SIGNUP_STATUSES,
+  MAX_SCHEDULE_DAYS,
+  getEndTime,
+  validateActivityRules,
+  createActivity,
+  isSessionDay,
+  hasStarted,
+  getSessionSignups,
+  countSessionPlaces,
+  listSessions,
+  checkSignupEligibility,
+  createSignup,
+  findPromotions,
+  cancelChanges,
+  describeSchedule
+};
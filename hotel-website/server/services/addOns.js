@@ -0,0 +1,302 @@
+/**
+ * Add-On Services
+ * 
+ * Extras guests can book together with their stay: gear rental, guided
+ * tours, personal training and meal plans. Each add-on is priced one of
+ * four ways:
+ * 
+ *   per-stay              price x quantity
+ *   per-night             price x quantity x nights (e.g. a bike for every night)
+ *   per-person            price x guests (quantity is the number of guests)
+ *   per-person-per-night  price x guests x nights
+ * 
+ * Scheduled add-ons (tours, training sessions) take place on one day of the
+ * stay, chosen by the guest. Add-ons with a dailyCapacity can only be sold
+ * that many times a day across all bookings: scheduled ones on their day,
+ * the others on every night of the stay. A booking stores what was chosen as
+ * addOns: [{ code, quantity, date }]; prices come from the quote.
+ */
+
+const { eachNight } = require('../utils/dates');
+const { roundCurrency } = require('../utils/money');
+
+/**
+ * Add-ons offered by the resort
+ * The code is the value stored on bookings; price is in US dollars and
+ * includes tax. maxQuantity limits one booking, dailyCapacity all bookings.
+ */
+const ADD_ONS = [
+  {
+    code: 'mountain-bike',
+    name: 'Mountain bike rental',
+    category: 'Gear rental',
+    description: 'Full-suspension trail bike with helmet, delivered to your room.',
+    pricing: 'per-night',
+    price: 45,
+    maxQuantity: 4,
+    dailyCapacity: 12,
+    scheduled: false
+  },
+  {
+    code: 'climbing-gear',
+    name: 'Climbing gear rental',
+    category: 'Gear rental',
+    description: 'Harness, shoes, chalk bag and helmet for the climbing wall and crags.',
+    pricing: 'per-night',
+    price: 30,
+    maxQuantity: 4,
+    dailyCapacity: 10,
+    scheduled: false
+  },
+  {
+    code: 'guided-hike',
+    name: 'Guided summit hike',
+    category: 'Guided tours',
+    description: 'Full-day hike with a mountain guide, packed lunch included.',
+    pricing: 'per-person',
+    price: 65,
+    maxQuantity: 6,
+    dailyCapacity: 12,
+    scheduled: true
+  },
+  {
+    code: 'bike-tour',
+    name: 'Guided mountain bike tour',
+    category: 'Guided tours',
+    description: 'Half-day singletrack tour for intermediate riders; bike included.',
+    pricing: 'per-person',
+    price: 85,
+    maxQuantity: 6,
+    dailyCapacity: 8,
+    scheduled: true
+  },
+  {
+    code: 'personal-training',
+    name: 'Personal training session',
+    category: 'Fitness',
+    description: 'One hour one-to-one session with a certified trainer.',
+    pricing: 'per-stay',
+    price: 90,
+    maxQuantity: 3,
+    dailyCapacity: 6,
+    scheduled: true
+  },
+  {
+    code: 'meal-plan',
+    name: 'Athlete meal plan',
+    category: 'Meal plans',
+    description: 'Breakfast, lunch and dinner built around your training, every day of your stay.',
+    pricing: 'per-person-per-night',
+    price: 55,
+    maxQuantity: 20,
+    dailyCapacity: null,
+    scheduled: false
+  }
+];
+
+/**
+ * Finds an add-on by code
+ * 
+ * @param {string} code - Add-on code, e.g. 'guided-hike'
+ * @return {Object|undefined} Add-on definition, if it exists
+ */
+const getAddOn = (code) => ADD_ONS.find(addOn => addOn.code === code);
+
+/**
+ * Counts the guests of a booking's rooms
+ * 
+ * @param {Object[]} rooms - Room lines ({ adults, children })
+ * @return {number} Number of guests
+ */
+const countGuests = (rooms) => rooms.reduce((sum, room) => sum + room.adults + (room.children || 0), 0);
+
+/**
+ * Returns the days an add-on uses capacity on
+ * 
+ * @param {Object} addOn - Add-on definition
+ * @param {Object} selection - { date } chosen by the guest
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {string[]} Dates (YYYY-MM-DD)
+ */
+const getServiceDates = (addOn, selection, checkIn, checkOut) =>
+  (addOn.scheduled ? [selection.date] : eachNight(checkIn, checkOut));
+
+/**
+ * Keeps the fields of add-on selections that matter for their add-on
+ * 
+ * @param {Object[]} [selections=[]] - Add-ons validated against addOnSelectionSchema
+ * @return {Object[]} { code, quantity } selections, with the date only for scheduled add-ons
+ */
+const normalizeAddOnSelections = (selections = []) => selections.map(selection => ({
+  code: selection.code,
+  quantity: selection.quantity,
+  ...(getAddOn(selection.code).scheduled && { date: selection.date })
+}));
+
+/**
+ * Checks the add-ons chosen for a stay
+ * 
+ * @param {Object[]} selections - Add-ons validated against addOnSelectionSchema
+ * @param {Object} stay - Stay details
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {Object[]} stay.rooms - Room lines
+ * @return {Object} Error messages keyed like 'addOns.0.date'; empty when valid
+ */
+const validateAddOnSelections = (selections, { checkIn, checkOut, rooms }) => {
+  const errors = {};
+  const guests = countGuests(rooms);
+  const seen = new Set();
+  
+  selections.forEach((selection, index) => {
+    const addOn = getAddOn(selection.code);
+    const key = `addOns.${index}`;
+    
+    if (addOn.scheduled) {
+      if (!selection.date) {
+        errors[`${key}.date`] = `Please choose a day for the ${addOn.name}`;
+      } else if (selection.date < checkIn || selection.date >= checkOut) {
+        errors[`${key}.date`] = `The ${addOn.name} must be on a day of your stay`;
+      }
+    }
+    
+    if (selection.quantity > addOn.maxQuantity) {
+      errors[`${key}.quantity`] = `At most ${addOn.maxQuantity} per booking for the ${addOn.name}`;
+    } else if (addOn.pricing.startsWith('per-person') && selection.quantity > guests) {
+      errors[`${key}.quantity`] = `The ${addOn.name} is for at most the ${guests} guest${guests === 1 ? '' : 's'} of this booking`;
+    }
+    
+    // The same add-on twice on one day should be one line with a higher quantity
+    const identity = `${selection.code}|${addOn.scheduled ? selection.date : ''}`;
+    if (seen.has(identity)) {
+      errors[`${key}.code`] = `The ${addOn.name} is already in this booking${addOn.scheduled ? ' for that day' : ''}`;
+    }
+    seen.add(identity);
+  });
+  
+  return errors;
+};
+
+/**
+ * Prices the add-ons of a stay
+ * 
+ * @param {Object[]} selections - Valid add-on selections ({ code, quantity, date })
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {Object[]} { code, name, pricing, quantity, date, unitPrice, amount, description } per selection
+ */
+const priceAddOns = (selections, checkIn, checkOut) => {
+  const nights = eachNight(checkIn, checkOut).length;
+  
+  return selections.map(selection => {
+    const addOn = getAddOn(selection.code);
+    const perNight = addOn.pricing.endsWith('per-night');
+    const amount = roundCurrency(addOn.price * selection.quantity * (perNight ? nights : 1));
+    
+    // e.g. 'Mountain bike rental × 2, 3 nights' or 'Guided summit hike × 2 guests, 2026-07-04'
+    const unit = addOn.pricing.startsWith('per-person') ? ` guest${selection.quantity === 1 ? '' : 's'}` : '';
+    const details = [
+      `× ${selection.quantity}${unit}`,
+      perNight && `${nights} night${nights === 1 ? '' : 's'}`,
+      addOn.scheduled && selection.date
+    ].filter(Boolean).join(', ');
+    
+    return {
+      code: addOn.code,
+      name: addOn.name,
+      pricing: addOn.pricing,
+      quantity: selection.quantity,
+      ...(addOn.scheduled && { date: selection.date }),
+      unitPrice: addOn.price,
+      amount,
+      description: `${addOn.name} ${details}`
+    };
+  });
+};
+
+/**
+ * Works out how many of each add-on with a daily capacity is left
+ * 
+ * @param {Object[]} bookings - Bookings that hold inventory
+ * @param {string[]} dates - Days to check (YYYY-MM-DD)
+ * @param {string} [excludeBookingId] - Booking to ignore (used when changing an existing booking)
+ * @return {Object} { [code]: { [date]: remaining } } for add-ons with a capacity
+ */
+const getAddOnCapacity = (bookings, dates, excludeBookingId) => {
+  const capacity = {};
+  
+  ADD_ONS.filter(addOn => addOn.dailyCapacity).forEach(addOn => {
+    capacity[addOn.code] = Object.fromEntries(dates.map(date => [date, addOn.dailyCapacity]));
+  });
+  
+  bookings
+    .filter(booking => booking.id !== excludeBookingId)
+    .forEach(booking => (booking.addOns || []).forEach(selection => {
+      const addOn = getAddOn(selection.code);
+      if (!addOn || !capacity[addOn.code]) return;
+      
+      getServiceDates(addOn, selection, booking.checkIn, booking.checkOut)
+        .filter(date => date in capacity[addOn.code])
+        .forEach(date => {
+          capacity[addOn.code][date] -= selection.quantity;
+        });
+    }));
+  
+  return capacity;
+};
+
+/**
+ * Finds the add-ons of a stay that are sold out
+ * 
+ * @param {Object[]} bookings - Bookings that hold inventory
+ * @param {Object} stay - Stay details
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {Object[]} stay.addOns - Add-on selections
+ * @param {string} [stay.excludeBookingId] - Booking to ignore
+ * @return {Object[]} { code, name, date, requested, remaining } for every day that does not have enough left
+ */
+const findAddOnShortages = (bookings, { checkIn, checkOut, addOns, excludeBookingId }) => {
+  const dates = [...new Set(addOns.flatMap(selection =>
+    getServiceDates(getAddOn(selection.code), selection, checkIn, checkOut)))];
+  const capacity = getAddOnCapacity(bookings, dates, excludeBookingId);
+  
+  return addOns.flatMap(selection => {
+    const addOn = getAddOn(selection.code);
+    if (!capacity[addOn.code]) return [];
+    
+    return getServiceDates(addOn, selection, checkIn, checkOut)
+      .filter(date => capacity[addOn.code][date] < selection.quantity)
+      .map(date => ({
+        code: addOn.code,
+        name: addOn.name,
+        date,
+        requested: selection.quantity,
+        remaining: Math.max(capacity[addOn.code][date], 0)
+      }));
+  });
+};
+
+/**
+ * Describes sold-out add-ons, for 409 responses
+ * 
+ * @param {Object[]} shortages - Results of findAddOnShortages
+ * @return {string} e.g. 'the Guided summit hike has only 2 left on 2026-07-04'
+ */
+const describeAddOnShortages = (shortages) => shortages
+  .map(({ name, date, remaining }) => (remaining === 0
+    ? `the ${name} is sold out on ${date}`
+    : `the ${name} has only ${remaining} left on ${date}`))
+  .join(' and ');
+
+module.exports = {
+  ADD_ONS,
+  getAddOn,
+  normalizeAddOnSelections,
+  validateAddOnSelections,
+  priceAddOns,
+  getAddOnCapacity,
+  findAddOnShortages,
+  describeAddOnShortages
+};
@@ -0,0 +1,292 @@
+/**
+ * Admin Users and Sessions
+ * 
+ * Stores admin accounts (with scrypt password hashes and a staff role) in the
+ * adminUsers collection and their active sessions in the sessions collection.
+ * A session is created at login and deleted at logout, so a signed token stops
+ * working as soon as its session is revoked even if it has not expired yet.
+ */
+
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, validatePasswordStrength } = require('./passwords');
+const { createToken, SESSION_TTL_MS } = require('./tokens');
+const { ROLES, getPermissions } = require('./permissions');
+const repositories = require('../storage');
+
+// Usernames are lowercase letters, digits, dots, dashes and underscores
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+// Compared against when a username does not exist, so the response time does not reveal it
+const DUMMY_HASH = 'scrypt$16384$8$1$00000000000000000000000000000000$' + '0'.repeat(128);
+
+/**
+ * Returns a user's role
+ * Accounts created before roles existed had full access, so they are owners.
+ * 
+ * @param {Object} user - Stored user
+ * @return {string} Role name
+ */
+const getRole = (user) => user.role || 'owner';
+
+/**
+ * Removes secrets from a user before it is sent to a client
+ * and adds the permissions granted by the user's role
+ * 
+ * @param {Object} user - Stored user
+ * @return {Object} User without the password hash
+ */
+const toPublicUser = ({ passwordHash, ...user }) => ({
+  ...user,
+  role: getRole(user),
+  permissions: getPermissions(getRole(user))
+});
+
+/**
+ * Validates a role name
+ * 
+ * @param {string} role - Role to check
+ * @return {string|null} Error message, or null if the role exists
+ */
+const validateRole = (role) => 
+  ROLES.includes(role) ? null : `Role must be one of: ${ROLES.join(', ')}`;
+
+/**
+ * Normalizes a username for storage and lookup
+ * 
+ * @param {string} username - Username as typed
+ * @return {string} Trimmed, lowercase username
+ */
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+/**
+ * Lists all admin users
+ * 
+ * @async
+ * @return {Promise<Object[]>} Users without password hashes
+ */
+const listUsers = async () => (await repositories.adminUsers.all()).map(toPublicUser);
+
+/**
+ * Finds a user by id
+ * 
+ * @async
+ * @param {string} id - User id
+ * @return {Promise<Object|undefined>} Stored user, if any
+ */
+const findUserById = async (id) => repositories.adminUsers.findById(id);
+
+/**
+ * Creates an admin account
+ * 
+ * @async
+ * @param {Object} details - Account details
+ * @param {string} details.username - Login name
+ * @param {string} details.password - Plain-text password
+ * @param {string} details.role - Staff role (front-desk, manager or owner)
+ * @return {Promise<{ user: Object|null, error: string|null }>} Created user (without hash) or an error message
+ */
+const createUser = async ({ username, password, role }) => {
+  const normalized = normalizeUsername(username);
+  if (!USERNAME_PATTERN.test(normalized)) {
+    return { user: null, error: 'Username must be 3-32 characters: letters, digits, dots, dashes or underscores' };
+  }
+  
+  const passwordError = validatePasswordStrength(password);
+  if (passwordError) {
+    return { user: null, error: passwordError };
+  }
+  
+  const roleError = validateRole(role);
+  if (roleError) {
+    return { user: null, error: roleError };
+  }
+  
+  const users = await repositories.adminUsers.all();
+  if (users.some(user => user.username === normalized)) {
+    return { user: null, error: `User ${normalized} already exists` };
+  }
+  
+  const user = {
+    id: crypto.randomUUID(),
+    username: normalized,
+    passwordHash: await hashPassword(password),
+    role,
+    createdAt: new Date().toISOString()
+  };
+  
+  await repositories.adminUsers.insert(user);
+  
+  return { user: toPublicUser(user), error: null };
+};
+
+/**
+ * Updates a user's role and/or password
+ * Changing either signs the user out everywhere.
+ * 
+ * @async
+ * @param {string} id - User id
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.role] - New role
+ * @param {string} [changes.password] - New plain-text password
+ * @return {Promise<{ user: Object|null, error: string|null, notFound?: boolean }>} Updated user or an error
+ */
+const updateUser = async (id, { role, password }) => {
+  const users = await repositories.adminUsers.all();
+  const user = users.find(candidate => candidate.id === id);
+  if (!user) {
+    return { user: null, error: 'User not found', notFound: true };
+  }
+  
+  if (role !== undefined) {
+    const roleError = validateRole(role);
+    if (roleError) {
+      return { user: null, error: roleError };
+    }
+    
+    // Never leave the resort without someone who can manage accounts
+    if (getRole(user) === 'owner' && role !== 'owner' && countOwners(users) === 1) {
+      return { user: null, error: 'There must be at least one owner' };
+    }
+    user.role = role;
+  }
+  
+  if (password !== undefined && password !== '') {
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) {
+      return { user: null, error: passwordError };
+    }
+    user.passwordHash = await hashPassword(password);
+  }
+  
+  user.updatedAt = new Date().toISOString();
+  const updated = await repositories.adminUsers.update(id, user);
+  await revokeUserSessions(id);
+  
+  return { user: toPublicUser(updated), error: null };
+};
+
+/**
+ * Deletes a user and ends their sessions
+ * 
+ * @async
+ * @param {string} id - User id
+ * @return {Promise<{ error: string|null, notFound?: boolean }>} Error, if the user could not be deleted
+ */
+const deleteUser = async (id) => {
+  const users = await repositories.adminUsers.all();
+  const user = users.find(candidate => candidate.id === id);
+  if (!user) {
+    return { error: 'User not found', notFound: true };
+  }
+  
+  if (getRole(user) === 'owner' && countOwners(users) === 1) {
+    return { error: 'There must be at least one owner' };
+  }
+  
+  await repositories.adminUsers.remove(id);
+  await revokeUserSessions(id);
+  
+  return { error: null };
+};
+
+/**
+ * Counts the owners among a list of users
+ * 
+ * @param {Object[]} users - Stored users
+ * @return {number} Number of owners
+ */
+const countOwners = (users) => users.filter(user => getRole(user) === 'owner').length;
+
+/**
+ * Checks a username and password
+ * 
+ * @async
+ * @param {string} username - Login name
+ * @param {string} password - Plain-text password
+ * @return {Promise<Object|null>} Stored user if the credentials are valid, otherwise null
+ */
+const authenticate = async (username, password) => {
+  const users = await repositories.adminUsers.all();
+  const user = users.find(candidate => candidate.username === normalizeUsername(username));
+  
+  // Always run a hash comparison so unknown usernames take as long as wrong passwords
+  const isValid = await verifyPassword(password || '', user ? user.passwordHash : DUMMY_HASH);
+  
+  return user && isValid ? user : null;
+};
+
+/**
+ * Starts a session for a user and issues a signed token
+ * 
+ * @async
+ * @param {Object} user - Authenticated user
+ * @return {Promise<{ token: string, expiresAt: string }>} Bearer token and its expiry
+ */
+const createSession = async (user) => {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  };
+  
+  // Drop expired sessions while we are writing anyway
+  await repositories.sessions.removeWhere(existing => new Date(existing.expiresAt).getTime() <= now);
+  await repositories.sessions.insert(session);
+  
+  // Record the last login time
+  await repositories.adminUsers.update(user.id, { lastLoginAt: session.createdAt });
+  
+  return {
+    token: createToken({ userId: user.id, sessionId: session.id, expiresAt: now + SESSION_TTL_MS }),
+    expiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Finds an active session
+ * 
+ * @async
+ * @param {string} sessionId - Session id from a verified token
+ * @return {Promise<Object|undefined>} Session, if it exists and has not expired
+ */
+const findSession = async (sessionId) => {
+  const session = await repositories.sessions.findById(sessionId);
+  return session && new Date(session.expiresAt).getTime() > Date.now() ? session : undefined;
+};
+
+/**
+ * Revokes every session belonging to a user
+ * 
+ * @async
+ * @param {string} userId - User id
+ * @return {Promise<void>}
+ */
+const revokeUserSessions = async (userId) => {
+  await repositories.sessions.removeWhere(session => session.userId === userId);
+};
+
+/**
+ * Revokes a session so its token can no longer be used
+ * 
+ * @async
+ * @param {string} sessionId - Session id
+ * @return {Promise<void>}
+ */
+const revokeSession = async (sessionId) => {
+  await repositories.sessions.remove(sessionId);
+};
+
+module.exports = {
+  toPublicUser,
+  listUsers,
+  findUserById,
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticate,
+  createSession,
+  findSession,
+  revokeSession
+};
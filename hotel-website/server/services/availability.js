@@ -0,0 +1,243 @@
+/**
+ * Availability Engine
+ * 
+ * Works out how many units of each room type are still free on every night
+ * of a requested stay. Only bookings that hold inventory are counted: pending
+ * requests (so two guests cannot be promised the same last room), confirmed
+ * stays and guests who are checked in. A booking with several rooms of a
+ * type takes one unit for each of them.
+ * 
+ * Open group blocks (see roomBlocks.js) hold the rooms their members have
+ * not claimed yet. Those rooms are not available to the public, only to
+ * bookings made with the block's group code.
+ * 
+ * Rooms that are out of order (see roomRegistry.js) are not sold on the
+ * nights they are out of service.
+ */
+
+const { ROOM_TYPES, getRoomType } = require('./inventory');
+const { getBookingRooms, countRoomsByType } = require('./bookingRooms');
+const { getAllocation, isBlockOpen } = require('./roomBlocks');
+const { isOutOfOrderOn } = require('./roomRegistry');
+const { eachNight, nightsBetween, rangesOverlap, isValidDateString } = require('../utils/dates');
+const { MAX_STAY_NIGHTS } = require('../../shared/schemas.mjs');
+
+// Booking statuses that occupy a room
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+// Most nights the availability calendar lists at once (two months)
+const MAX_CALENDAR_NIGHTS = 62;
+
+/**
+ * Checks whether a booking currently holds inventory
+ * 
+ * @param {Object} booking - Booking object
+ * @return {boolean} True if the booking occupies a room
+ */
+const holdsInventory = (booking) => ACTIVE_STATUSES.includes(booking.status || 'pending');
+
+/**
+ * Validates the dates of a requested stay
+ * 
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {string|null} Error message, or null if the dates are usable
+ */
+const validateStayDates = (checkIn, checkOut) => {
+  if (!isValidDateString(checkIn) || !isValidDateString(checkOut)) {
+    return 'checkIn and checkOut must be valid dates (YYYY-MM-DD)';
+  }
+  
+  if (checkOut <= checkIn) {
+    return 'Check-out date must be after check-in date';
+  }
+  
+  if (nightsBetween(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    return `Stays can be at most ${MAX_STAY_NIGHTS} nights`;
+  }
+  
+  return null;
+};
+
+/**
+ * Counts the units of one room type a booking holds
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} roomTypeName - Room type name
+ * @return {number} Number of units
+ */
+const countUnits = (booking, roomTypeName) => countRoomsByType(getBookingRooms(booking))[roomTypeName] || 0;
+
+/**
+ * Calculates availability of one room type for a stay
+ * 
+ * @param {Object[]} bookings - All existing bookings
+ * @param {Object} roomType - Room type definition from the inventory
+ * @param {Object} stay - Requested stay
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {string} [stay.excludeBookingId] - Booking to ignore (used when changing an existing booking)
+ * @param {Object[]} [stay.blocks=[]] - All group blocks
+ * @param {Object} [stay.groupBlock] - Block the stay is booked against; only its held rooms are available
+ * @param {string} [stay.today] - Current date (YYYY-MM-DD), which decides the blocks that are open
+ * @param {Object[]} [stay.outOfOrder=[]] - Registry rooms flagged as out of order
+ * @return {Object} Availability summary with a per-night breakdown
+ */
+const getRoomTypeAvailability = (bookings, roomType, { checkIn, checkOut, excludeBookingId, blocks = [], groupBlock, today, outOfOrder = [] }) => {
+  const totalUnits = roomType.rooms.length;
+  const closedRooms = outOfOrder.filter(room => room.roomType === roomType.name);
+  
+  // Bookings whose nights overlap the requested stay, with the units of
+  // this room type each one holds
+  const overlapping = bookings
+    .filter(booking => 
+      booking.id !== excludeBookingId &&
+      holdsInventory(booking) &&
+      rangesOverlap(booking.checkIn, booking.checkOut, checkIn, checkOut)
+    )
+    .map(booking => ({ booking, units: countUnits(booking, roomType.name) }))
+    .filter(entry => entry.units > 0);
+  
+  // Open blocks holding this room type during the stay
+  const holdingBlocks = blocks
+    .filter(block => 
+      isBlockOpen(block, today) &&
+      getAllocation(block, roomType.name) &&
+      rangesOverlap(block.checkIn, block.checkOut, checkIn, checkOut)
+    );
+  
+  // Count occupied and held units night by night
+  const nights = eachNight(checkIn, checkOut).map(date => {
+    const onNight = overlapping.filter(({ booking }) => booking.checkIn <= date && date < booking.checkOut);
+    const booked = onNight.reduce((sum, entry) => sum + entry.units, 0);
+    
+    // Each block holds its allocation minus what its members have claimed
+    const heldByBlock = holdingBlocks
+      .filter(block => block.checkIn <= date && date < block.checkOut)
+      .map(block => {
+        const claimed = onNight
+          .filter(({ booking }) => booking.groupBlockId === block.id)
+          .reduce((sum, entry) => sum + entry.units, 0);
+        return { block, held: Math.max(getAllocation(block, roomType.name).rooms - claimed, 0) };
+      });
+    
+    const held = heldByBlock.reduce((sum, entry) => sum + entry.held, 0);
+    const closed = closedRooms.filter(room => isOutOfOrderOn(room, date)).length;
+    const unheld = totalUnits - closed - booked - held;
+    
+    // Members can use the rooms held for their block, as long as the
+    // hotel has not been overbooked
+    let available = Math.max(unheld, 0);
+    if (groupBlock) {
+      const own = heldByBlock.find(entry => entry.block.id === groupBlock.id);
+      available = own ? Math.max(Math.min(own.held, unheld + own.held), 0) : 0;
+    }
+    
+    return { date, booked, held, outOfOrder: closed, available };
+  });
+  
+  // A stay is only possible if every night has a free unit
+  const availableUnits = nights.length > 0 
+    ? Math.min(...nights.map(night => night.available)) 
+    : 0;
+  
+  return {
+    roomType: roomType.name,
+    totalUnits,
+    availableUnits,
+    isAvailable: availableUnits > 0,
+    nights
+  };
+};
+
+/**
+ * Calculates availability for a stay across one or all room types
+ * 
+ * @param {Object[]} bookings - All existing bookings
+ * @param {Object} query - Availability query
+ * @param {string} query.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} query.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {string} [query.roomType] - Limit the result to a single room type
+ * @param {string} [query.excludeBookingId] - Booking to ignore
+ * @param {Object[]} [query.blocks] - All group blocks
+ * @param {Object} [query.groupBlock] - Block the stay is booked against
+ * @param {Object[]} [query.outOfOrder] - Registry rooms flagged as out of order
+ * @return {Object[]} Availability summaries, one per room type
+ */
+const getAvailability = (bookings, { roomType, ...stay }) => {
+  const roomTypes = roomType ? [getRoomType(roomType)].filter(Boolean) : ROOM_TYPES;
+  
+  return roomTypes.map(type => getRoomTypeAvailability(bookings, type, stay));
+};
+
+/**
+ * Finds the room types that do not have enough free units for a booking
+ * 
+ * @param {Object[]} bookings - All existing bookings
+ * @param {Object} stay - Requested stay
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {Object[]} stay.rooms - Room lines of the booking
+ * @param {string} [stay.excludeBookingId] - Booking to ignore
+ * @param {Object[]} [stay.blocks] - All group blocks
+ * @param {Object} [stay.groupBlock] - Block the booking is made against
+ * @param {Object[]} [stay.outOfOrder] - Registry rooms flagged as out of order
+ * @return {Object[]} Availability summaries (with the number of units requested) of the room types that are short
+ */
+const findUnavailableRooms = (bookings, { rooms, ...stay }) =>
+  Object.entries(countRoomsByType(rooms))
+    .map(([roomType, requested]) => ({
+      ...getRoomTypeAvailability(bookings, getRoomType(roomType), stay),
+      requested
+    }))
+    .filter(summary => summary.availableUnits < summary.requested);
+
+/**
+ * Finds the allocations of a block the resort cannot hold
+ * 
+ * Used when staff create or change a block. Rooms the block's members have
+ * already claimed are booked anyway, so only the rest of each allocation
+ * has to fit into public availability (ignoring the block itself).
+ * 
+ * @param {Object[]} bookings - All existing bookings
+ * @param {Object[]} blocks - All group blocks
+ * @param {Object} block - Block being created or changed
+ * @param {Object[]} [outOfOrder=[]] - Registry rooms flagged as out of order
+ * @return {Object[]} { roomType, requested, availableUnits } of each allocation that does not fit
+ */
+const findBlockShortages = (bookings, blocks, block, outOfOrder = []) => {
+  const otherBlocks = blocks.filter(other => other.id !== block.id);
+  const members = bookings.filter(booking => block.id && booking.groupBlockId === block.id && holdsInventory(booking));
+  
+  return block.allocations
+    .map(allocation => {
+      const summary = getRoomTypeAvailability(bookings, getRoomType(allocation.roomType), {
+        checkIn: block.checkIn,
+        checkOut: block.checkOut,
+        blocks: otherBlocks,
+        outOfOrder
+      });
+      
+      // The most rooms the block could hold on its busiest night
+      const availableUnits = Math.min(...summary.nights.map(night => {
+        const claimed = members
+          .filter(booking => booking.checkIn <= night.date && night.date < booking.checkOut)
+          .reduce((sum, booking) => sum + countUnits(booking, allocation.roomType), 0);
+        return night.available + claimed;
+      }));
+      
+      return { roomType: allocation.roomType, requested: allocation.rooms, availableUnits };
+    })
+    .filter(shortage => shortage.availableUnits < shortage.requested);
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  MAX_CALENDAR_NIGHTS,
+  MAX_STAY_NIGHTS,
+  holdsInventory,
+  validateStayDates,
+  getAvailability,
+  findUnavailableRooms,
+  findBlockShortages
+};
@@ -0,0 +1,137 @@
+/**
+ * Booking Rooms
+ * 
+ * A booking can hold several rooms for the same dates. Each room line has its
+ * own room type, occupancy and (optionally) the names of the guests staying
+ * in it:
+ * 
+ *   { roomType: string, adults: number, children: number, guestNames: string[] }
+ * 
+ * New bookings store the lines as `rooms`. Bookings made before multi-room
+ * bookings existed only have a `roomType`; they are read as a single room
+ * for one adult, the guest who booked.
+ */
+
+const { getRoomType } = require('./inventory');
+
+/**
+ * Returns the room lines of a booking
+ * 
+ * @param {Object} booking - Booking object
+ * @return {Object[]} Room lines
+ */
+const getBookingRooms = (booking) => {
+  if (Array.isArray(booking.rooms) && booking.rooms.length > 0) {
+    return booking.rooms;
+  }
+  
+  if (!booking.roomType) return [];
+  
+  return [{
+    roomType: booking.roomType,
+    adults: 1,
+    children: 0,
+    guestNames: booking.fullName ? [booking.fullName] : []
+  }];
+};
+
+/**
+ * Fills in the optional parts of validated room lines
+ * 
+ * @param {Object[]} rooms - Room lines (see roomLineSchema)
+ * @return {Object[]} Room lines with children and guestNames always set
+ */
+const normalizeRooms = (rooms) => rooms.map(room => ({
+  roomType: room.roomType,
+  adults: room.adults,
+  children: room.children || 0,
+  guestNames: room.guestNames || []
+}));
+
+/**
+ * Counts the rooms requested per room type
+ * 
+ * @param {Object[]} rooms - Room lines
+ * @return {Object} Number of rooms keyed by room type name
+ */
+const countRoomsByType = (rooms) => rooms.reduce((counts, room) => ({
+  ...counts,
+  [room.roomType]: (counts[room.roomType] || 0) + 1
+}), {});
+
+/**
+ * Describes the rooms of a booking for guests and staff
+ * 
+ * @param {Object[]} rooms - Room lines
+ * @return {string} e.g. 'Adventure Room' or '2 × Adventure Room, Athletic Suite'
+ */
+const describeRooms = (rooms) => Object.entries(countRoomsByType(rooms))
+  .map(([roomType, count]) => (count > 1 ? `${count} × ${roomType}` : roomType))
+  .join(', ');
+
+/**
+ * Adds up the guests of all room lines
+ * 
+ * @param {Object[]} rooms - Room lines
+ * @return {Object} { adults: number, children: number }
+ */
+const countGuests = (rooms) => rooms.reduce((totals, room) => ({
+  adults: totals.adults + (room.adults || 0),
+  children: totals.children + (room.children || 0)
+}), { adults: 0, children: 0 });
+
+/**
+ * Describes the guests of a booking
+ * 
+ * @param {Object[]} rooms - Room lines
+ * @return {string} e.g. '2 adults, 1 child'
+ */
+const describeGuests = (rooms) => {
+  const { adults, children } = countGuests(rooms);
+  const parts = [`${adults} adult${adults === 1 ? '' : 's'}`];
+  if (children > 0) {
+    parts.push(`${children} ${children === 1 ? 'child' : 'children'}`);
+  }
+  return parts.join(', ');
+};
+
+/**
+ * Checks every room line against the occupancy limits of its room type
+ * 
+ * Runs after schema validation, so room types are known and counts are
+ * whole numbers.
+ * 
+ * @param {Object[]} rooms - Room lines
+ * @return {Object} Error messages keyed like the validator ('rooms.0.adults'); empty when valid
+ */
+const validateRoomOccupancy = (rooms) => {
+  const errors = {};
+  
+  rooms.forEach((room, index) => {
+    const roomType = getRoomType(room.roomType);
+    const children = room.children || 0;
+    const guests = room.adults + children;
+    
+    if (room.adults > roomType.maxAdults) {
+      errors[`rooms.${index}.adults`] = `The ${roomType.name} sleeps at most ${roomType.maxAdults} adults`;
+    } else if (guests > roomType.maxOccupancy) {
+      errors[`rooms.${index}.children`] = `The ${roomType.name} sleeps at most ${roomType.maxOccupancy} guests`;
+    }
+    
+    if ((room.guestNames || []).length > guests) {
+      errors[`rooms.${index}.guestNames`] = `Room ${index + 1} has more guest names than guests`;
+    }
+  });
+  
+  return errors;
+};
+
+module.exports = {
+  getBookingRooms,
+  normalizeRooms,
+  countRoomsByType,
+  describeRooms,
+  countGuests,
+  describeGuests,
+  validateRoomOccupancy
+};
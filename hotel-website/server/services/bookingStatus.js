@@ -0,0 +1,146 @@
+/**
+ * Booking Status Lifecycle
+ * 
+ * Every booking moves through a fixed set of statuses:
+ * 
+ *   pending -> confirmed -> checked-in -> checked-out -> completed
+ * 
+ * A pending request can instead be declined or cancelled, and a confirmed
+ * booking can be cancelled. Guests who never arrive, whether their booking
+ * was confirmed or still pending, are marked as no-shows.
+ * 
+ * Only the transitions listed in STAFF_TRANSITIONS can be made from the admin
+ * dashboard. Guests can cancel a pending or confirmed booking, and changing a
+ * confirmed booking online sends it back to pending (GUEST_TRANSITIONS).
+ * 
+ * Each change is appended to the booking's statusHistory as
+ * { from, to, at, actor, reason }, where actor is
+ * { type: 'staff', username, role }, { type: 'guest' } or { type: 'system' }
+ * (the no-show scheduler, which follows the staff transitions).
+ */
+
+// Every status a booking can have, shared with the client
+const { BOOKING_STATUSES: STATUSES } = require('../../shared/schemas.mjs');
+
+// Statuses staff may move a booking to, keyed by its current status
+const STAFF_TRANSITIONS = {
+  'pending': ['confirmed', 'declined', 'cancelled', 'no-show'],
+  'confirmed': ['checked-in', 'no-show', 'cancelled'],
+  'checked-in': ['checked-out'],
+  'checked-out': ['completed'],
+  'completed': [],
+  'cancelled': [],
+  'no-show': [],
+  'declined': []
+};
+
+// Statuses a guest may move their own booking to
+const GUEST_TRANSITIONS = {
+  'pending': ['cancelled'],
+  'confirmed': ['pending', 'cancelled']
+};
+
+/**
+ * Returns the status of a booking
+ * 
+ * Bookings saved before statuses existed count as pending.
+ * 
+ * @param {Object} booking - Booking object
+ * @return {string} Booking status
+ */
+const getStatus = (booking) => booking.status || 'pending';
+
+/**
+ * Lists the statuses a booking can move to next
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} [actorType='staff'] - 'staff' or 'guest'
+ * @return {string[]} Reachable statuses
+ */
+const getNextStatuses = (booking, actorType = 'staff') => {
+  const transitions = actorType === 'guest' ? GUEST_TRANSITIONS : STAFF_TRANSITIONS;
+  return transitions[getStatus(booking)] || [];
+};
+
+/**
+ * Checks whether a booking may move to a status
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} status - Requested status
+ * @param {string} [actorType='staff'] - 'staff' or 'guest'
+ * @return {string|null} Error message, or null if the change is allowed
+ */
+const validateTransition = (booking, status, actorType = 'staff') => {
+  if (!STATUSES.includes(status)) {
+    return `Unknown status: ${status}. Use one of: ${STATUSES.join(', ')}`;
+  }
+  
+  const current = getStatus(booking);
+  if (current === status) {
+    return `Booking is already ${status}`;
+  }
+  
+  if (!getNextStatuses(booking, actorType).includes(status)) {
+    return `A ${current} booking cannot be changed to ${status}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Creates a status history entry
+ * 
+ * @param {string|null} from - Previous status (null when the booking is created)
+ * @param {string} to - New status
+ * @param {Object} options - Entry details
+ * @param {Object} options.actor - Who made the change
+ * @param {string} [options.reason] - Why the change was made
+ * @param {string} [options.at] - ISO timestamp (defaults to now)
+ * @return {Object} History entry
+ */
+const createHistoryEntry = (from, to, { actor, reason, at }) => ({
+  from,
+  to,
+  at: at || new Date().toISOString(),
+  actor,
+  reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+});
+
+/**
+ * Moves a booking to a new status and records the change
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} status - New status
+ * @param {Object} options - Change details
+ * @param {Object} options.actor - Who made the change, e.g. { type: 'staff', username, role }
+ * @param {string} [options.reason] - Why the change was made
+ * @param {string} [options.at] - ISO timestamp (defaults to now)
+ * @return {Object} { booking: Object|null, error: string|null }
+ */
+const applyTransition = (booking, status, { actor, reason, at = new Date().toISOString() }) => {
+  const error = validateTransition(booking, status, actor.type);
+  if (error) {
+    return { booking: null, error };
+  }
+  
+  const entry = createHistoryEntry(getStatus(booking), status, { actor, reason, at });
+  
+  return {
+    booking: {
+      ...booking,
+      status,
+      statusHistory: [...(booking.statusHistory || []), entry],
+      updatedAt: at
+    },
+    error: null
+  };
+};
+
+module.exports = {
+  STATUSES,
+  getStatus,
+  getNextStatuses,
+  validateTransition,
+  createHistoryEntry,
+  applyTransition
+};
@@ -0,0 +1,167 @@
+/**
+ * Cancellation Policy Engine
+ * 
+ * Works out what closing a booking costs the guest under the cancellation
+ * policy of its rate plan (see ratePlans.js):
+ * 
+ *   - cancelled on or before the free cancellation deadline: no penalty
+ *   - cancelled later: penaltyPercent of the total
+ *   - non-refundable plans: the full total, whenever they are cancelled
+ *   - declined by the resort: no penalty
+ *   - no-show: the full total
+ * 
+ * The deadline follows the check-in date, but moving a stay after its
+ * deadline has passed does not reopen free cancellation: the passed deadline
+ * is kept on the booking as `freeCancellationUntil` (see keepPassedDeadline).
+ * 
+ * The refund is whatever the guest paid beyond the penalty; if the guest paid
+ * less than the penalty, only what was paid is kept. The evaluation is
+ * stored on the booking as `cancellation` so staff and guests can see how the
+ * amount was reached.
+ */
+
+const { addDays, formatDate } = require('../utils/dates');
+const { roundCurrency } = require('../utils/money');
+const { getStatus } = require('./bookingStatus');
+const { DEFAULT_RATE_PLAN, getRatePlan, describeCancellationPolicy } = require('./ratePlans');
+
+/**
+ * Returns the last day a stay can be cancelled free of charge
+ * 
+ * @param {Object} policy - Cancellation policy
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @return {string|null} Deadline (YYYY-MM-DD), or null for non-refundable policies
+ */
+const getFreeCancellationDeadline = (policy, checkIn) => {
+  if (policy.freeCancellationDays === null || policy.freeCancellationDays === undefined) {
+    return null;
+  }
+  return addDays(checkIn, -policy.freeCancellationDays);
+};
+
+/**
+ * Builds the copy of a rate plan's policy that is stored on a quote
+ * 
+ * @param {Object} plan - Rate plan definition
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @return {Object} { ratePlan, freeCancellationDays, penaltyPercent, freeCancellationUntil, description }
+ */
+const createPolicySnapshot = (plan, checkIn) => ({
+  ratePlan: plan.code,
+  freeCancellationDays: plan.cancellationPolicy.freeCancellationDays,
+  penaltyPercent: plan.cancellationPolicy.penaltyPercent,
+  freeCancellationUntil: getFreeCancellationDeadline(plan.cancellationPolicy, checkIn),
+  description: describeCancellationPolicy(plan.cancellationPolicy)
+});
+
+/**
+ * Returns the cancellation policy that applies to a booking
+ * 
+ * Bookings made before rate plans existed follow the default plan.
+ * 
+ * @param {Object} booking - Booking object
+ * @return {Object} Policy snapshot (see createPolicySnapshot)
+ */
+const getBookingPolicy = (booking) => {
+  if (booking.quote?.cancellationPolicy) {
+    return booking.quote.cancellationPolicy;
+  }
+  
+  const plan = getRatePlan(booking.ratePlan) || getRatePlan(DEFAULT_RATE_PLAN);
+  return createPolicySnapshot(plan, booking.checkIn);
+};
+
+/**
+ * Returns the last day a booking can be cancelled free of charge
+ * 
+ * A deadline kept from before the stay was moved wins over a later one
+ * worked out from the current dates.
+ * 
+ * @param {Object} booking - Booking object
+ * @return {string|null} Deadline (YYYY-MM-DD), or null for non-refundable policies
+ */
+const getBookingDeadline = (booking) => {
+  const deadline = getFreeCancellationDeadline(getBookingPolicy(booking), booking.checkIn);
+  if (!deadline) return null;
+  
+  const kept = booking.freeCancellationUntil;
+  return kept && kept < deadline ? kept : deadline;
+};
+
+/**
+ * Returns the deadline to keep when a booking's dates change
+ * 
+ * Spread into the changed booking, so a booking moved after its deadline
+ * is still charged the penalty when it is cancelled.
+ * 
+ * @param {Object} booking - Booking before the change
+ * @param {Date} [now=new Date()] - Time of the change
+ * @return {Object} { freeCancellationUntil } when the deadline has passed, otherwise {}
+ */
+const keepPassedDeadline = (booking, now = new Date()) => {
+  const deadline = getBookingDeadline(booking);
+  return deadline && formatDate(now) > deadline ? { freeCancellationUntil: deadline } : {};
+};
+
+/**
+ * Calculates the penalty and refund for closing a booking
+ * 
+ * @param {Object} booking - Booking with its new status (cancelled, declined or no-show)
+ * @param {Object} options - Evaluation details
+ * @param {number} options.paid - Amount the guest has paid so far
+ * @param {Date} [options.now=new Date()] - Time of the cancellation
+ * @return {Object} {
+ *   ratePlan, status, policy: string (policy text), freeCancellationUntil,
+ *   reason: string, total, paid, penalty, retained (part of the penalty covered by payments),
+ *   refund: number, evaluatedAt: string
+ * }
+ */
+const evaluateCancellation = (booking, { paid, now = new Date() }) => {
+  const policy = getBookingPolicy(booking);
+  const status = getStatus(booking);
+  const total = booking.totalPrice || 0;
+  
+  // Follows the current dates, unless the stay was moved after its deadline
+  const freeCancellationUntil = getBookingDeadline(booking);
+  
+  let penalty = 0;
+  let reason;
+  if (status === 'declined') {
+    reason = 'Declined by the resort';
+  } else if (status === 'no-show') {
+    penalty = total;
+    reason = 'The guest did not arrive';
+  } else if (freeCancellationUntil && formatDate(now) <= freeCancellationUntil) {
+    reason = 'Cancelled before the free cancellation deadline';
+  } else {
+    penalty = roundCurrency(total * policy.penaltyPercent / 100);
+    reason = freeCancellationUntil
+      ? 'Cancelled after the free cancellation deadline'
+      : 'Non-refundable rate';
+  }
+  
+  penalty = Math.min(penalty, total);
+  
+  return {
+    ratePlan: policy.ratePlan,
+    status,
+    policy: policy.description,
+    freeCancellationUntil,
+    reason,
+    total,
+    paid,
+    penalty,
+    retained: Math.min(paid, penalty),
+    refund: Math.max(0, roundCurrency(paid - penalty)),
+    evaluatedAt: now.toISOString()
+  };
+};
+
+module.exports = {
+  getFreeCancellationDeadline,
+  createPolicySnapshot,
+  getBookingPolicy,
+  getBookingDeadline,
+  keepPassedDeadline,
+  evaluateCancellation
+};
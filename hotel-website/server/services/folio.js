@@ -0,0 +1,280 @@
+/**
+ * Guest Folio
+ * 
+ * The running account of a stay. The folio is not stored as such; it is
+ * built from three sources whenever it is needed:
+ * 
+ *   - the booking's quote: every room night, discounts, the resort fee,
+ *     lodging tax and add-ons (with a price adjustment if the booking's
+ *     total no longer matches its quote, e.g. after a move)
+ *   - incidental charges staff post during the stay (restaurant, gear
+ *     rental, ...), kept in the folioCharges collection:
+ * 
+ *       { id, bookingId, reference, date, category, description, quantity,
+ *         unitPrice, amount, actor, createdAt, voided: { at, by, reason } | null }
+ * 
+ *   - payments and refunds from the payments collection (see payments/index.js)
+ * 
+ * Cancelled, declined and no-show bookings only carry the cancellation
+ * charge the guest paid. Voided charges stay on the folio but count for
+ * nothing. Incidentals are added to what the guest owes, so they are
+ * settled with the balance or at check-out.
+ */
+
+const { randomUUID } = require('crypto');
+const repositories = require('../storage');
+const { getStatus } = require('./bookingStatus');
+const { getReference } = require('./guestBookings');
+const { formatDate } = require('../utils/dates');
+const { roundCurrency } = require('../utils/money');
+
+// Statuses a folio takes incidental charges in
+const POSTING_STATUSES = ['checked-in', 'checked-out'];
+
+// Statuses whose folio only carries the cancellation charge
+const CLOSED_STATUSES = ['cancelled', 'declined', 'no-show'];
+
+// Folio categories of the quote's line items, by code
+const LINE_ITEM_CATEGORIES = {
+  'resort-fee': 'fee',
+  'tax': 'tax',
+  'length-of-stay-discount': 'discount',
+  'rate-plan': 'discount',
+  'promo': 'discount'
+};
+
+// What each payment purpose is called on the folio
+const PAYMENT_PURPOSES = {
+  deposit: 'Deposit',
+  prepayment: 'Prepayment',
+  balance: 'Balance payment'
+};
+
+/**
+ * Lists the folio charges of a booking, oldest first
+ * 
+ * @async
+ * @param {string} bookingId - Booking id
+ * @return {Promise<Object[]>} Folio charges, voided ones included
+ */
+const listBookingCharges = async (bookingId) =>
+  (await repositories.folioCharges.all()).filter(charge => charge.bookingId === bookingId);
+
+/**
+ * Adds up the incidental charges that still count
+ * 
+ * @param {Object[]} charges - Folio charges
+ * @return {number} Total of the charges that are not voided
+ */
+const getChargesTotal = (charges) =>
+  roundCurrency(charges.filter(charge => !charge.voided).reduce((sum, charge) => sum + charge.amount, 0));
+
+/**
+ * Checks whether staff can post charges to a booking's folio
+ * 
+ * @param {Object} booking - Booking object
+ * @return {boolean} True while the guests are in the house or just checked out
+ */
+const canPostCharges = (booking) => POSTING_STATUSES.includes(getStatus(booking));
+
+/**
+ * Checks that a charge falls within the stay
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} date - Day of the charge (YYYY-MM-DD)
+ * @return {string|null} Why the date cannot be used, or null if it can
+ */
+const validateChargeDate = (booking, date) => {
+  if (date < booking.checkIn || date > booking.checkOut) {
+    return `Charges must fall between ${booking.checkIn} and ${booking.checkOut}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Creates an incidental charge
+ * 
+ * @param {Object} booking - Booking the charge is posted to
+ * @param {Object} details - Validated charge (see folioChargeSchema)
+ * @param {Object} actor - Staff member posting the charge
+ * @return {Object} Folio charge, ready to save
+ */
+const createFolioCharge = (booking, { category, description, unitPrice, quantity = 1, date }, actor) => ({
+  id: randomUUID(),
+  bookingId: booking.id,
+  reference: getReference(booking),
+  date,
+  category,
+  description: description.trim(),
+  quantity,
+  unitPrice: roundCurrency(unitPrice),
+  amount: roundCurrency(unitPrice * quantity),
+  actor,
+  createdAt: new Date().toISOString(),
+  voided: null
+});
+
+/**
+ * Voids an incidental charge
+ * 
+ * @param {Object} charge - Folio charge
+ * @param {string} reason - Why it is voided
+ * @param {Object} actor - Staff member voiding it
+ * @return {Object} { charge: Object } or { error: string }
+ */
+const voidFolioCharge = (charge, reason, actor) => {
+  if (charge.voided) {
+    return { error: 'This charge has already been voided' };
+  }
+  
+  return {
+    charge: {
+      ...charge,
+      voided: { at: new Date().toISOString(), by: actor.username, reason: reason.trim() }
+    }
+  };
+};
+
+/**
+ * Builds the folio entries for the stay itself
+ * 
+ * @param {Object} booking - Booking object
+ * @return {Object[]} Entries { date, type: 'charge', category, description, amount }
+ */
+const buildStayEntries = (booking) => {
+  const entry = (date, category, description, amount) => ({ date, type: 'charge', category, description, amount: roundCurrency(amount) });
+  
+  // Bookings that did not go ahead only owe what the cancellation policy kept
+  if (CLOSED_STATUSES.includes(getStatus(booking))) {
+    const { cancellation } = booking;
+    return cancellation?.retained > 0
+      ? [entry(cancellation.evaluatedAt.slice(0, 10), 'cancellation', `Cancellation charge: ${cancellation.reason}`, cancellation.retained)]
+      : [];
+  }
+  
+  const quote = booking.quote;
+  const total = booking.totalPrice || 0;
+  
+  // Bookings made before quotes were kept have only their total
+  if (!quote?.rooms) {
+    return total ? [entry(booking.checkIn, 'room', `Stay, ${booking.checkIn} to ${booking.checkOut}`, total)] : [];
+  }
+  
+  const isMultiRoom = quote.rooms.length > 1;
+  const entries = quote.rooms.flatMap((line, index) => {
+    const roomLabel = isMultiRoom ? `${line.roomType} (room ${index + 1})` : line.roomType;
+    return [
+      ...line.nightly.map(night => entry(night.date, 'room', `${roomLabel}, night of ${night.date}`, night.rate)),
+      ...line.lineItems
+        .filter(item => item.code !== 'room' && item.amount !== 0)
+        .map(item => entry(booking.checkIn, LINE_ITEM_CATEGORIES[item.code] || 'other', isMultiRoom ? `${item.description} (room ${index + 1})` : item.description, item.amount))
+    ];
+  });
+  
+  for (const addOn of quote.addOns || []) {
+    entries.push(entry(addOn.date || booking.checkIn, 'add-on', addOn.description, addOn.amount));
+  }
+  
+  // The total wins when it was changed after the quote
+  const quoted = roundCurrency(entries.reduce((sum, item) => sum + item.amount, 0));
+  const adjustment = roundCurrency(total - quoted);
+  if (adjustment !== 0) {
+    entries.push(entry(booking.checkIn, 'adjustment', 'Price adjustment', adjustment));
+  }
+  
+  return entries;
+};
+
+/**
+ * Describes a payment record for the folio
+ * 
+ * @param {Object} record - Payment record
+ * @return {string} e.g. 'Deposit, Visa •••• 4242'
+ */
+const describePayment = (record) => {
+  const method = record.card ? `${record.card.brand} •••• ${record.card.last4}` : 'cash';
+  if (record.type === 'refund') {
+    return `Refund (${record.purpose})`;
+  }
+  
+  return `${PAYMENT_PURPOSES[record.purpose] || 'Payment'}, ${method}`;
+};
+
+/**
+ * Builds the folio of a booking
+ * 
+ * Entries are in date order, stay charges before incidentals and payments
+ * on the same day. Charges are positive, payments negative and refunds
+ * positive again; each entry carries the balance after it.
+ * 
+ * @param {Object} booking - Booking object
+ * @param {Object[]} records - The booking's payment records
+ * @param {Object[]} charges - The booking's folio charges
+ * @return {Object} {
+ *   entries: [{ id, date, type: 'charge' | 'incidental' | 'payment' | 'refund', category, description,
+ *               amount, balance, quantity, unitPrice, voided, postedBy }],
+ *   totals: { charges, incidentals, payments, refunds, balance }
+ * }
+ */
+const buildFolio = (booking, records, charges) => {
+  const stayEntries = buildStayEntries(booking).map((item, index) => ({ ...item, id: `stay-${index}` }));
+  
+  const incidentalEntries = charges.map(charge => ({
+    id: charge.id,
+    date: charge.date,
+    type: 'incidental',
+    category: charge.category,
+    description: charge.description,
+    quantity: charge.quantity,
+    unitPrice: charge.unitPrice,
+    amount: charge.voided ? 0 : charge.amount,
+    postedBy: charge.actor?.username || null,
+    voided: charge.voided
+  }));
+  
+  const paymentEntries = records
+    .filter(record => record.status === 'succeeded')
+    .map(record => ({
+      id: record.id,
+      date: formatDate(new Date(record.createdAt)),
+      type: record.type === 'refund' ? 'refund' : 'payment',
+      category: record.type === 'refund' ? 'refund' : record.method || 'card',
+      description: describePayment(record),
+      amount: record.type === 'refund' ? record.amount : -record.amount
+    }));
+  
+  // Stable sort: same-day entries keep stay, incidental, payment order
+  const ordered = [...stayEntries, ...incidentalEntries, ...paymentEntries]
+    .map((item, order) => ({ item, order }))
+    .sort((a, b) => a.item.date.localeCompare(b.item.date) || a.order - b.order)
+    .map(({ item }) => item);
+  
+  let balance = 0;
+  const entries = ordered.map(item => {
+    balance = roundCurrency(balance + item.amount);
+    return { ...item, balance };
+  });
+  
+  const sum = (items) => roundCurrency(items.reduce((total, item) => total + item.amount, 0));
+  return {
+    entries,
+    totals: {
+      charges: sum(stayEntries),
+      incidentals: sum(incidentalEntries),
+      payments: roundCurrency(-sum(paymentEntries.filter(item => item.type === 'payment'))),
+      refunds: sum(paymentEntries.filter(item => item.type === 'refund')),
+      balance
+    }
+  };
+};
+
+module.exports = {
+  listBookingCharges,
+  getChargesTotal,
+  canPostCharges,
+  validateChargeDate,
+  createFolioCharge,
+  voidFolioCharge,
+  buildFolio
+};
@@ -0,0 +1,180 @@
+/**
+ * Front Desk
+ * 
+ * Arrivals, departures and no-shows. Guests are checked in on or after their
+ * arrival day, once staff have seen their ID, with every room of the booking
+ * given a room that is ready and the number of keys handed over. The
+ * details are kept on the booking as
+ * 
+ *   checkInRecord: { idVerified, idType, idLast4, keyCount, rooms: string[], at, by }
+ *   checkOutRecord: { keysReturned, settled: { amount, method } | null, early, at, by }
+ * 
+ * Checking out settles what is still owed and marks the rooms dirty (see
+ * roomRegistry.js).
+ * 
+ * Arrivals that are still pending or confirmed at the arrival cutoff
+ * (config.frontDesk.arrivalCutoff on the day of arrival, UTC like every
+ * other date on the server) are marked as no-shows by the scheduler, which
+ * applies the cancellation policy like a no-show marked by staff. Arrivals
+ * from earlier days are included while their stay is still running, so a run
+ * missed while the server was down catches up; bookings whose stays are over
+ * are left for staff to close by hand.
+ */
+
+const config = require('../config');
+const { formatDate, toUtcDateTime } = require('../utils/dates');
+const { startIntervalJob } = require('../utils/intervalJob');
+const { getStatus } = require('./bookingStatus');
+const { getBookingRooms } = require('./bookingRooms');
+
+// Booking statuses still expected to arrive
+const AWAITING_STATUSES = ['pending', 'confirmed'];
+
+// Statuses shown on the arrivals and departures lists
+const ARRIVAL_STATUSES = ['pending', 'confirmed', 'checked-in', 'no-show'];
+const DEPARTURE_STATUSES = ['checked-in', 'checked-out'];
+
+/**
+ * Lists the bookings due to arrive on a day
+ * 
+ * Guests already checked in and no-shows stay on the list so the front desk
+ * sees the whole day.
+ * 
+ * @param {Object[]} bookings - All bookings
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @return {Object[]} Bookings arriving that day, by guest name
+ */
+const listArrivals = (bookings, date) => bookings
+  .filter(booking => booking.checkIn === date && ARRIVAL_STATUSES.includes(getStatus(booking)))
+  .sort((a, b) => a.fullName.localeCompare(b.fullName));
+
+/**
+ * Lists the bookings due to leave on a day
+ * 
+ * Guests still in the house whose stay has ended are listed too, so late
+ * departures are not missed.
+ * 
+ * @param {Object[]} bookings - All bookings
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @return {Object[]} Bookings departing that day, by guest name
+ */
+const listDepartures = (bookings, date) => bookings
+  .filter(booking => DEPARTURE_STATUSES.includes(getStatus(booking)) && (
+    booking.checkOut === date ||
+    (getStatus(booking) === 'checked-in' && booking.checkOut < date)))
+  .sort((a, b) => a.fullName.localeCompare(b.fullName));
+
+/**
+ * Checks whether a booking can be checked in on a day
+ * 
+ * @param {Object} booking - Booking object
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @return {string|null} Why it cannot, or null if it can
+ */
+const validateCheckIn = (booking, date) => {
+  if (getStatus(booking) !== 'confirmed') {
+    return `Only confirmed bookings can be checked in; this one is ${getStatus(booking)}`;
+  }
+  
+  if (date < booking.checkIn) {
+    return `${booking.fullName} arrives on ${booking.checkIn}`;
+  }
+  
+  if (date >= booking.checkOut) {
+    return `The stay of ${booking.fullName} ended on ${booking.checkOut}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Checks that every room of a booking is ready for the guests
+ * 
+ * @param {Object[]} rooms - The booking's room lines, with their rooms
+ * @param {Object[]} registry - Registry rooms
+ * @return {string|null} Why the guests cannot go in yet, or null if they can
+ */
+const validateRoomsReady = (rooms, registry) => {
+  const missing = rooms.filter(room => !room.roomNumber).length;
+  if (missing > 0) {
+    return `No free room for ${missing} of the booking's rooms`;
+  }
+  
+  const notReady = rooms
+    .map(room => registry.find(candidate => candidate.roomNumber === room.roomNumber))
+    .find(room => room && room.housekeeping !== 'ready');
+  
+  return notReady ? `Room ${notReady.roomNumber} is ${notReady.housekeeping}, not ready for guests` : null;
+};
+
+/**
+ * Builds the record of a check-in
+ * 
+ * @param {Object} booking - Booking with its rooms
+ * @param {Object} details - Validated check-in details (see checkInSchema)
+ * @param {Object} actor - Staff member checking the guests in
+ * @return {Object} checkInRecord
+ */
+const createCheckInRecord = (booking, { idType, idLast4, keyCount }, actor) => ({
+  idVerified: true,
+  idType,
+  idLast4: idLast4 || null,
+  keyCount,
+  rooms: getBookingRooms(booking).map(room => room.roomNumber),
+  at: new Date().toISOString(),
+  by: actor.username
+});
+
+/**
+ * Builds the record of a check-out
+ * 
+ * @param {Object} booking - Booking being checked out
+ * @param {Object} details - { keysReturned, settled, date }
+ * @param {Object} actor - Staff member checking the guests out
+ * @return {Object} checkOutRecord
+ */
+const createCheckOutRecord = (booking, { keysReturned, settled, date }, actor) => ({
+  keysReturned,
+  settled: settled || null,
+  early: date < booking.checkOut,
+  at: new Date().toISOString(),
+  by: actor.username
+});
+
+/**
+ * Finds the arrivals that have missed the arrival cutoff and whose stay has
+ * not ended yet
+ * 
+ * @param {Object[]} bookings - All bookings
+ * @param {Date} [now=new Date()] - Current time
+ * @param {string} [cutoff=config.frontDesk.arrivalCutoff] - Time of day ('HH:MM', UTC)
+ * @return {Object[]} Pending and confirmed bookings to mark as no-shows
+ */
+const findNoShows = (bookings, now = new Date(), cutoff = config.frontDesk.arrivalCutoff) => {
+  const today = formatDate(now);
+  
+  return bookings
+    .filter(booking => AWAITING_STATUSES.includes(getStatus(booking)))
+    .filter(booking => booking.checkOut > today && toUtcDateTime(booking.checkIn, cutoff) <= now);
+};
+
+/**
+ * Marks no-shows now and then every intervalMinutes
+ * 
+ * @param {Function} markNoShows - Marks the bookings found by findNoShows; resolves to their number
+ * @param {number} [intervalMinutes=config.frontDesk.noShowIntervalMinutes] - Minutes between runs (0 disables)
+ * @return {Object|null} Timer, or null if scheduling is disabled
+ */
+const startNoShowScheduler = (markNoShows, intervalMinutes = config.frontDesk.noShowIntervalMinutes) =>
+  startIntervalJob(markNoShows, intervalMinutes, 'marking no-shows');
+
+module.exports = {
+  listArrivals,
+  listDepartures,
+  validateCheckIn,
+  validateRoomsReady,
+  createCheckInRecord,
+  createCheckOutRecord,
+  findNoShows,
+  startNoShowScheduler
+};
@@ -0,0 +1,229 @@
+/**
+ * Guest Booking Service
+ *
+ * Support for the public "Manage my booking" page. Guests identify a booking
+ * with its reference (printed on the confirmation screen) plus either the
+ * email address it was made with or the booking's access token - no account
+ * is needed. The access token is an HMAC of the reference signed with the
+ * server secret, so links containing it cannot be forged or guessed.
+ *
+ * Guests only ever see a redacted view of a booking: internal fields are
+ * left out and contact details are masked.
+ *
+ * Guests may change or cancel a pending or confirmed booking until
+ * GUEST_CHANGE_CUTOFF_DAYS before check-in. After that they have to contact
+ * the front desk. Bookings on a rate plan that is not changeable (such as
+ * non-refundable rates) can only be cancelled.
+ */
+
+const crypto = require('crypto');
+const { sign } = require('./tokens');
+const { addDays, toUtcDate } = require('../utils/dates');
+const { generateCode } = require('../utils/codes');
+const { DEFAULT_RATE_PLAN, getRatePlan } = require('./ratePlans');
+const { getBookingPolicy, getBookingDeadline } = require('./cancellationPolicy');
+const { getBookingRooms, describeRooms } = require('./bookingRooms');
+
+// Days before check-in after which guests can no longer change or cancel online
+const GUEST_CHANGE_CUTOFF_DAYS = 2;
+
+// Statuses a guest may still change or cancel
+const CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+
+// Prefix of booking references such as AAR-7KQ2MX
+const REFERENCE_PREFIX = 'AAR';
+
+/**
+ * Generates a new booking reference such as AAR-7KQ2MX
+ *
+ * @return {string} Booking reference
+ */
+const generateReference = () => generateCode(REFERENCE_PREFIX);
+
+/**
+ * Normalizes a reference typed by a guest for comparison
+ *
+ * @param {string} reference - Reference as entered
+ * @return {string} Upper-case reference without surrounding spaces
+ */
+const normalizeReference = (reference) => String(reference || '').trim().toUpperCase();
+
+/**
+ * Returns the reference guests use for a booking
+ *
+ * Bookings made before references existed use their id instead.
+ *
+ * @param {Object} booking - Booking object
+ * @return {string} Booking reference
+ */
+const getReference = (booking) => booking.reference || booking.id;
+
+/**
+ * Creates the access token for a booking
+ *
+ * The token is included in the link on the confirmation screen and lets the
+ * guest open the booking without typing their email.
+ *
+ * @param {Object} booking - Booking object
+ * @return {string} base64url access token
+ */
+const createAccessToken = (booking) => sign(`booking:${normalizeReference(getReference(booking))}`);
+
+/**
+ * Checks an access token against a booking in constant time
+ *
+ * @param {Object} booking - Booking object
+ * @param {string} token - Token supplied by the guest
+ * @return {boolean} True if the token belongs to the booking
+ */
+const hasValidAccessToken = (booking, token) => {
+  if (typeof token !== 'string' || !token) return false;
+
+  const expected = Buffer.from(createAccessToken(booking));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Finds the booking matching a reference and the guest's proof of ownership
+ *
+ * The guest proves they own the booking with either its access token or the
+ * email address it was made with. The same null result is returned for an
+ * unknown reference and for wrong credentials, so the lookup does not reveal
+ * which references exist.
+ *
+ * @param {Object[]} bookings - All bookings
+ * @param {string} reference - Booking reference entered by the guest
+ * @param {Object} credentials - Proof of ownership
+ * @param {string} [credentials.email] - Email address entered by the guest
+ * @param {string} [credentials.token] - Access token from the booking link
+ * @return {Object|null} The booking, or null
+ */
+const findGuestBooking = (bookings, reference, { email, token } = {}) => {
+  const wantedReference = normalizeReference(reference);
+  if (!wantedReference) return null;
+
+  const booking = bookings.find(candidate =>
+    normalizeReference(getReference(candidate)) === wantedReference
+  );
+  if (!booking) return null;
+
+  if (token) {
+    return hasValidAccessToken(booking, token) ? booking : null;
+  }
+
+  const wantedEmail = String(email || '').trim().toLowerCase();
+  if (!wantedEmail) return null;
+
+  return String(booking.email || '').trim().toLowerCase() === wantedEmail ? booking : null;
+};
+
+/**
+ * Works out whether a guest may still change or cancel a booking
+ *
+ * @param {Object} booking - Booking object
+ * @param {Date} [now=new Date()] - Current time
+ * @return {Object} { canChange: boolean, deadline: string (YYYY-MM-DD), reason: string|null }
+ */
+const getChangePolicy = (booking, now = new Date()) => {
+  const deadline = addDays(booking.checkIn, -GUEST_CHANGE_CUTOFF_DAYS);
+  const status = booking.status || 'pending';
+
+  if (!CHANGEABLE_STATUSES.includes(status)) {
+    return { canChange: false, deadline, reason: `This booking is ${status} and can no longer be changed online.` };
+  }
+
+  // Changes are allowed up to the end of the deadline day (UTC)
+  if (now >= toUtcDate(addDays(deadline, 1))) {
+    return {
+      canChange: false,
+      deadline,
+      reason: `Online changes close ${GUEST_CHANGE_CUTOFF_DAYS} days before check-in. Please contact the front desk.`
+    };
+  }
+
+  return { canChange: true, deadline, reason: null };
+};
+
+/**
+ * Returns the rate plan a booking was made on
+ *
+ * @param {Object} booking - Booking object
+ * @return {Object} Rate plan definition (the default plan for older bookings)
+ */
+const getBookingRatePlan = (booking) =>
+  getRatePlan(booking.ratePlan) || getRatePlan(DEFAULT_RATE_PLAN);
+
+/**
+ * Masks an email address, keeping its first letter and domain
+ *
+ * @param {string} email - Email address
+ * @return {string} Masked address such as j***@example.com
+ */
+const maskEmail = (email) => {
+  const [local, domain] = String(email || '').split('@');
+  if (!local || !domain) return '';
+  return `${local[0]}***@${domain}`;
+};
+
+/**
+ * Masks a phone number, keeping its last four digits
+ *
+ * @param {string} phone - Phone number
+ * @return {string} Masked number such as ***-7890
+ */
+const maskPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? `***-${digits.slice(-4)}` : '';
+};
+
+/**
+ * Returns the redacted view of a booking a guest may see
+ *
+ * Internal fields such as the storage id are left out and contact details
+ * are masked, so a forwarded link does not leak them.
+ *
+ * @param {Object} booking - Booking object
+ * @return {Object} Guest view of the booking
+ */
+const toGuestView = (booking) => {
+  const ratePlan = getBookingRatePlan(booking);
+  const cancellationPolicy = getBookingPolicy(booking);
+  const rooms = getBookingRooms(booking);
+
+  return {
+    reference: getReference(booking),
+    fullName: booking.fullName,
+    email: maskEmail(booking.email),
+    phone: maskPhone(booking.phone),
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    roomType: describeRooms(rooms),
+    rooms,
+    addOns: booking.addOns || [],
+    message: booking.message,
+    status: booking.status || 'pending',
+    totalPrice: booking.totalPrice,
+    quote: booking.quote,
+    ratePlan: { code: ratePlan.code, name: ratePlan.name, changeable: ratePlan.changeable },
+    cancellationPolicy: {
+      description: cancellationPolicy.description,
+      freeCancellationUntil: getBookingDeadline(booking)
+    },
+    cancellation: booking.cancellation || null,
+    createdAt: booking.createdAt,
+    updatedAt: booking.updatedAt,
+    policy: getChangePolicy(booking)
+  };
+};
+
+module.exports = {
+  GUEST_CHANGE_CUTOFF_DAYS,
+  generateReference,
+  getReference,
+  createAccessToken,
+  findGuestBooking,
+  getChangePolicy,
+  getBookingRatePlan,
+  toGuestView
+};
@@ -0,0 +1,73 @@
+/**
+ * Room Inventory
+ * 
+ * Describes the physical rooms the resort can sell. Each room type lists the
+ * individual room numbers that belong to it, so the number of sellable units
+ * per night is simply the number of rooms of that type.
+ * 
+ * Each room type also sets how many people one room sleeps: maxAdults is the
+ * most adults, maxOccupancy the most guests of any age.
+ */
+
+/**
+ * Room types offered by the resort
+ * The name is the value stored on bookings as `roomType`, and nightlyRate is
+ * the base price in US dollars used by the pricing engine.
+ */
+const ROOM_TYPES = [
+  {
+    name: 'Adventure Room',
+    nightlyRate: 275,
+    maxAdults: 2,
+    maxOccupancy: 3,
+    rooms: ['101', '102', '103', '104', '105', '106', '107', '108']
+  },
+  {
+    name: 'Wellness Room',
+    nightlyRate: 350,
+    maxAdults: 2,
+    maxOccupancy: 2,
+    rooms: ['201', '202', '203', '204', '205', '206']
+  },
+  {
+    name: 'Athletic Suite',
+    nightlyRate: 500,
+    maxAdults: 4,
+    maxOccupancy: 5,
+    rooms: ['301', '302', '303', '304']
+  }
+];
+
+/**
+ * Finds a room type by name
+ * 
+ * @param {string} name - Room type name, e.g. 'Adventure Room'
+ * @return {Object|undefined} Room type definition, if it exists
+ */
+const getRoomType = (name) => ROOM_TYPES.find(roomType => roomType.name === name);
+
+/**
+ * Finds the room type a room number belongs to
+ * 
+ * @param {string} roomNumber - Room number, e.g. '102'
+ * @return {Object|undefined} Room type definition, if the room exists
+ */
+const getRoomTypeOfRoom = (roomNumber) => ROOM_TYPES.find(roomType => roomType.rooms.includes(roomNumber));
+
+/**
+ * Returns the number of physical units of a room type
+ * 
+ * @param {string} name - Room type name
+ * @return {number} Unit count (0 for unknown room types)
+ */
+const getUnitCount = (name) => {
+  const roomType = getRoomType(name);
+  return roomType ? roomType.rooms.length : 0;
+};
+
+module.exports = {
+  ROOM_TYPES,
+  getRoomType,
+  getRoomTypeOfRoom,
+  getUnitCount
+};
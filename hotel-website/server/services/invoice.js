@@ -0,0 +1,302 @@
+/**
+ * Itemized Invoice
+ * 
+ * Turns a booking's folio (see folio.js) into an invoice: the resort's
+ * details, the guest, the stay and every entry of the folio with its
+ * running balance, followed by the totals. The invoice is rendered either
+ * as a printable HTML page or as a PDF drawn with utils/pdf.js, so nothing
+ * leaves the server. Voided charges are left off; they count for nothing.
+ */
+
+const { HOTEL } = require('../notifications/templates');
+const { getReference, getBookingRatePlan } = require('./guestBookings');
+const { getBookingRooms, describeRooms } = require('./bookingRooms');
+const { getStatus } = require('./bookingStatus');
+const { createPdfDocument, measureText } = require('../utils/pdf');
+const { formatDate, nightsBetween, toUtcDate } = require('../utils/dates');
+
+/**
+ * Formats an amount of money
+ * 
+ * @param {number} amount - Amount
+ * @return {string} e.g. '$1,051.00' or '-$246.00'
+ */
+const formatMoney = (amount) => amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+/**
+ * Formats a calendar date for the invoice
+ * 
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @return {string} e.g. 'Oct 19, 2026'
+ */
+const formatInvoiceDate = (date) => toUtcDate(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Escapes text for HTML
+ * 
+ * @param {*} value - Value to insert
+ * @return {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Collects everything an invoice shows
+ * 
+ * @param {Object} booking - Booking object
+ * @param {Object} folio - The booking's folio (see buildFolio)
+ * @param {Date} [now=new Date()] - Time the invoice is issued
+ * @return {Object} Invoice data
+ */
+const buildInvoice = (booking, folio, now = new Date()) => {
+  const reference = getReference(booking);
+  const rooms = getBookingRooms(booking);
+  const roomNumbers = rooms.map(room => room.roomNumber).filter(Boolean);
+  
+  return {
+    number: `INV-${reference}`,
+    issuedOn: formatDate(now),
+    hotel: HOTEL,
+    guest: { name: booking.fullName, email: booking.email, phone: booking.phone },
+    reference,
+    status: getStatus(booking),
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    nights: nightsBetween(booking.checkIn, booking.checkOut),
+    rooms: `${describeRooms(rooms)}${roomNumbers.length > 0 ? ` (room${roomNumbers.length === 1 ? '' : 's'} ${roomNumbers.join(', ')})` : ''}`,
+    ratePlan: getBookingRatePlan(booking).name,
+    entries: folio.entries.filter(entry => !entry.voided),
+    totals: folio.totals
+  };
+};
+
+/**
+ * Lists the totals shown under the entries
+ * 
+ * @param {Object} totals - Folio totals
+ * @return {Array} [label, amount] pairs, the balance last
+ */
+const getTotalLines = (totals) => [
+  ['Stay', totals.charges],
+  ...(totals.incidentals !== 0 ? [['Incidentals', totals.incidentals]] : []),
+  ['Payments', -totals.payments],
+  ...(totals.refunds !== 0 ? [['Refunds', totals.refunds]] : []),
+  [totals.balance < 0 ? 'Credit' : 'Balance due', totals.balance]
+];
+
+/**
+ * Renders an invoice as a printable HTML page
+ * 
+ * @param {Object} invoice - Invoice data (see buildInvoice)
+ * @return {string} HTML document
+ */
+const renderInvoiceHtml = (invoice) => {
+  const rows = invoice.entries.map(entry => `
+        <tr>
+          <td>${escapeHtml(formatInvoiceDate(entry.date))}</td>
+          <td>${escapeHtml(entry.description)}${entry.quantity > 1 ? ` <span class="muted">(${entry.quantity} × ${escapeHtml(formatMoney(entry.unitPrice))})</span>` : ''}</td>
+          <td class="amount">${escapeHtml(formatMoney(entry.amount))}</td>
+          <td class="amount">${escapeHtml(formatMoney(entry.balance))}</td>
+        </tr>`).join('');
+  
+  const totals = getTotalLines(invoice.totals).map(([label, amount], index, lines) => `
+        <tr${index === lines.length - 1 ? ' class="balance"' : ''}>
+          <td colspan="3">${escapeHtml(label)}</td>
+          <td class="amount">${escapeHtml(formatMoney(amount))}</td>
+        </tr>`).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)} - ${escapeHtml(invoice.hotel.name)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 40px auto; max-width: 800px; padding: 0 24px; font-size: 14px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #1f2937; padding-bottom: 16px; }
+    h1 { margin: 0; font-size: 24px; }
+    h2 { margin: 0; font-size: 20px; text-align: right; }
+    .muted { color: #6b7280; }
+    .details { display: flex; justify-content: space-between; gap: 24px; margin: 24px 0; }
+    .details h3 { margin: 0 0 4px; font-size: 12px; text-transform: uppercase; color: #6b7280; }
+    .details p { margin: 0; line-height: 1.5; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-size: 12px; text-transform: uppercase; color: #6b7280; background: #f3f4f6; padding: 8px; }
+    td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    .amount { text-align: right; white-space: nowrap; }
+    tfoot td { border-bottom: none; font-weight: bold; }
+    tfoot .balance td { border-top: 2px solid #1f2937; font-size: 16px; }
+    footer { margin-top: 32px; text-align: center; color: #6b7280; font-size: 12px; }
+    .print { margin: 24px 0; text-align: right; }
+    .print button { padding: 8px 16px; font-size: 14px; cursor: pointer; }
+    @media print {
+      body { margin: 0; }
+      .print { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <div class="print"><button type="button" onclick="window.print()">Print invoice</button></div>
+  <header>
+    <div>
+      <h1>${escapeHtml(invoice.hotel.name)}</h1>
+      <p class="muted">${escapeHtml(invoice.hotel.phone)} · ${escapeHtml(invoice.hotel.email)}</p>
+    </div>
+    <div>
+      <h2>Invoice</h2>
+      <p class="muted">${escapeHtml(invoice.number)}<br>Issued ${escapeHtml(formatInvoiceDate(invoice.issuedOn))}</p>
+    </div>
+  </header>
+  <section class="details">
+    <div>
+      <h3>Billed to</h3>
+      <p>${escapeHtml(invoice.guest.name)}<br>${escapeHtml(invoice.guest.email)}<br>${escapeHtml(invoice.guest.phone)}</p>
+    </div>
+    <div>
+      <h3>Stay</h3>
+      <p>Booking ${escapeHtml(invoice.reference)}<br>
+        ${escapeHtml(formatInvoiceDate(invoice.checkIn))} – ${escapeHtml(formatInvoiceDate(invoice.checkOut))} (${invoice.nights} night${invoice.nights === 1 ? '' : 's'})<br>
+        ${escapeHtml(invoice.rooms)}<br>
+        ${escapeHtml(invoice.ratePlan)}</p>
+    </div>
+  </section>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Description</th><th class="amount">Amount</th><th class="amount">Balance</th></tr>
+    </thead>
+    <tbody>${rows || `
+        <tr><td colspan="4" class="muted">Nothing has been charged or paid yet.</td></tr>`}
+    </tbody>
+    <tfoot>${totals}
+    </tfoot>
+  </table>
+  <footer>Thank you for staying with us. Amounts are in US dollars and include applicable taxes.</footer>
+</body>
+</html>
+`;
+};
+
+/**
+ * Shortens text to fit a width, ending it with an ellipsis
+ * 
+ * @param {string} text - Text to fit
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @return {string} The text, shortened if needed
+ */
+const fitText = (text, width, size) => {
+  if (measureText(text, size) <= width) return text;
+  
+  let fitted = text;
+  while (fitted.length > 0 && measureText(`${fitted}…`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}…`;
+};
+
+/**
+ * Renders an invoice as a PDF
+ * 
+ * @param {Object} invoice - Invoice data (see buildInvoice)
+ * @return {Buffer} PDF file
+ */
+const renderInvoicePdf = (invoice) => {
+  const pdf = createPdfDocument({ title: `Invoice ${invoice.number}` });
+  const left = 50;
+  const right = pdf.width - 50;
+  const bottom = pdf.height - 60;
+  
+  // Columns of the entries table
+  const columns = { date: left + 6, description: left + 86, amount: right - 90, balance: right - 6 };
+  const descriptionWidth = columns.amount - columns.description - 70;
+  
+  // Resort and invoice number
+  pdf.text(left, 60, invoice.hotel.name, { size: 18, bold: true });
+  pdf.text(left, 78, `${invoice.hotel.phone} · ${invoice.hotel.email}`, { size: 9, gray: 0.4 });
+  pdf.text(right, 60, 'Invoice', { size: 16, bold: true, align: 'right' });
+  pdf.text(right, 78, invoice.number, { size: 9, gray: 0.4, align: 'right' });
+  pdf.text(right, 90, `Issued ${formatInvoiceDate(invoice.issuedOn)}`, { size: 9, gray: 0.4, align: 'right' });
+  pdf.line(left, 100, right, 100, { width: 1.5 });
+  
+  // Guest and stay
+  const detailLines = (x, heading, lines) => {
+    pdf.text(x, 122, heading.toUpperCase(), { size: 8, bold: true, gray: 0.4 });
+    lines.forEach((text, index) => pdf.text(x, 137 + index * 13, fitText(text, 240, 10)));
+  };
+  detailLines(left, 'Billed to', [invoice.guest.name, invoice.guest.email, invoice.guest.phone]);
+  detailLines(left + 270, 'Stay', [
+    `Booking ${invoice.reference}`,
+    `${formatInvoiceDate(invoice.checkIn)} – ${formatInvoiceDate(invoice.checkOut)} (${invoice.nights} night${invoice.nights === 1 ? '' : 's'})`,
+    invoice.rooms,
+    invoice.ratePlan
+  ]);
+  
+  const drawTableHeader = (y) => {
+    pdf.rect(left, y - 12, right - left, 18, { gray: 0.94 });
+    pdf.text(columns.date, y, 'DATE', { size: 8, bold: true, gray: 0.4 });
+    pdf.text(columns.description, y, 'DESCRIPTION', { size: 8, bold: true, gray: 0.4 });
+    pdf.text(columns.amount, y, 'AMOUNT', { size: 8, bold: true, gray: 0.4, align: 'right' });
+    pdf.text(columns.balance, y, 'BALANCE', { size: 8, bold: true, gray: 0.4, align: 'right' });
+    return y + 20;
+  };
+  
+  let y = drawTableHeader(205);
+  if (invoice.entries.length === 0) {
+    pdf.text(columns.description, y, 'Nothing has been charged or paid yet.', { size: 9, gray: 0.4 });
+    y += 16;
+  }
+  
+  for (const entry of invoice.entries) {
+    if (y > bottom) {
+      pdf.addPage();
+      y = drawTableHeader(60);
+    }
+    
+    const description = entry.quantity > 1
+      ? `${entry.description} (${entry.quantity} × ${formatMoney(entry.unitPrice)})`
+      : entry.description;
+    pdf.text(columns.date, y, formatInvoiceDate(entry.date), { size: 9 });
+    pdf.text(columns.description, y, fitText(description, descriptionWidth, 9), { size: 9 });
+    pdf.text(columns.amount, y, formatMoney(entry.amount), { size: 9, align: 'right' });
+    pdf.text(columns.balance, y, formatMoney(entry.balance), { size: 9, align: 'right' });
+    pdf.line(left, y + 5, right, y + 5, { width: 0.5, gray: 0.85 });
+    y += 16;
+  }
+  
+  // Totals, kept together on one page
+  const totalLines = getTotalLines(invoice.totals);
+  if (y + totalLines.length * 16 + 50 > pdf.height - 40) {
+    pdf.addPage();
+    y = 60;
+  }
+  
+  y += 8;
+  totalLines.forEach(([label, amount], index) => {
+    const isBalance = index === totalLines.length - 1;
+    if (isBalance) {
+      pdf.line(columns.amount - 120, y - 11, right, y - 11, { width: 1.5 });
+      y += 2;
+    }
+    pdf.text(columns.amount - 120, y, label, { size: isBalance ? 12 : 10, bold: true });
+    pdf.text(columns.balance, y, formatMoney(amount), { size: isBalance ? 12 : 10, bold: true, align: 'right' });
+    y += 16;
+  });
+  
+  pdf.text(pdf.width / 2 - measureText('Thank you for staying with us.', 9) / 2, y + 30, 'Thank you for staying with us.', { size: 9, gray: 0.4 });
+  
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,80 @@
+/**
+ * Password Hashing
+ * 
+ * Hashes admin passwords with scrypt from Node's crypto module. Stored hashes
+ * look like `scrypt$<N>$<r>$<p>$<salt>$<hash>` so the cost parameters can be
+ * raised later without invalidating existing accounts.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters and output length
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+
+// Passwords shorter than this are rejected when accounts are created, shared with the request schemas
+const { MIN_PASSWORD_LENGTH } = require('../../shared/schemas.mjs');
+
+/**
+ * Hashes a password with a random salt
+ * 
+ * @async
+ * @param {string} password - Plain-text password
+ * @return {Promise<string>} Encoded hash including algorithm, parameters and salt
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+  
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt, hash.toString('hex')].join('$');
+};
+
+/**
+ * Checks a password against a stored hash
+ * Uses a constant-time comparison so timing does not leak how much matched.
+ * 
+ * @async
+ * @param {string} password - Plain-text password to check
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @return {Promise<boolean>} True if the password matches
+ */
+const verifyPassword = async (password, storedHash) => {
+  const [algorithm, cost, blockSize, parallelization, salt, hash] = String(storedHash).split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+  
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Checks that a new password is acceptable
+ * 
+ * @param {string} password - Proposed password
+ * @return {string|null} Error message, or null if the password is acceptable
+ */
+const validatePasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  
+  return null;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validatePasswordStrength
+};
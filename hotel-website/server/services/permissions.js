@@ -0,0 +1,91 @@
+/**
+ * Roles and Permissions
+ * 
+ * Staff accounts have one role. Each role grants a fixed set of permissions,
+ * and admin routes declare the permission they need:
+ * 
+ *   - front-desk: view bookings and move them through confirmation, check-in,
+ *                 check-out and completion (or mark a no-show), move stays
+ *                 to other rooms or dates on the tape chart, update
+ *                 housekeeping on the rooms and post charges to guest folios
+ *   - manager:    everything front desk can do, plus cancel or decline bookings, void folio charges,
+ *                 manage pricing, group room blocks, the activity schedule and the room registry
+ *                 (features, out of order), and edit guest email templates
+ *   - owner:      everything, including managing staff accounts
+ */
+
+// Roles from least to most powerful, shared with the request schemas
+const { STAFF_ROLES: ROLES } = require('../../shared/schemas.mjs');
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  'front-desk': [
+    'bookings:view',
+    'bookings:confirm',
+    'bookings:move',
+    'housekeeping:update',
+    'folio:post'
+  ],
+  'manager': [
+    'bookings:view',
+    'bookings:confirm',
+    'bookings:move',
+    'housekeeping:update',
+    'folio:post',
+    'bookings:cancel',
+    'folio:void',
+    'pricing:manage',
+    'groups:manage',
+    'activities:manage',
+    'rooms:manage',
+    'notifications:manage'
+  ],
+  'owner': [
+    'bookings:view',
+    'bookings:confirm',
+    'bookings:move',
+    'housekeeping:update',
+    'folio:post',
+    'bookings:cancel',
+    'folio:void',
+    'pricing:manage',
+    'groups:manage',
+    'activities:manage',
+    'rooms:manage',
+    'notifications:manage',
+    'users:manage'
+  ]
+};
+
+/**
+ * Lists the permissions of a role
+ * 
+ * @param {string} role - Role name
+ * @return {string[]} Permissions (empty for unknown roles)
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Checks whether a role grants a permission
+ * 
+ * @param {string} role - Role name
+ * @param {string} permission - Permission such as 'bookings:cancel'
+ * @return {boolean} True if the role has the permission
+ */
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+/**
+ * Returns the permission needed to move a booking to a status
+ * 
+ * @param {string} status - Target booking status
+ * @return {string} Required permission
+ */
+const permissionForStatus = (status) => 
+  ['cancelled', 'declined'].includes(status) ? 'bookings:cancel' : 'bookings:confirm';
+
+module.exports = {
+  ROLES,
+  getPermissions,
+  hasPermission,
+  permissionForStatus
+};
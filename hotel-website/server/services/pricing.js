@@ -0,0 +1,397 @@
+/**
+ * Pricing Engine
+ * 
+ * The single source of truth for what a stay costs. Quotes are calculated
+ * from the nightly rates in the room inventory, adjusted night by night by
+ * the active rate rules and by the rate plan, plus the resort fee and lodging
+ * tax, so the booking form, the stored booking and the admin dashboard all
+ * show the same numbers. Each quote carries the cancellation policy of its
+ * rate plan.
+ * 
+ * A booking with several rooms is priced line by line (createQuote per room)
+ * and the lines are added up by createBookingQuote.
+ * 
+ * Rooms booked against a group block (see roomBlocks.js) are charged the
+ * block's agreed nightly rate instead; rate rules do not apply to them.
+ * 
+ * A promo code (see promoCodes.js) takes its discount off the room price of
+ * the rooms it covers, before tax.
+ * 
+ * Add-on services (see addOns.js) are priced separately from the rooms and
+ * added to the booking total; their prices include tax.
+ */
+
+const { getRoomType } = require('./inventory');
+const { describeRooms } = require('./bookingRooms');
+const { getAllocation } = require('./roomBlocks');
+const { allocatePromoDiscount, describeDiscount } = require('./promoCodes');
+const { priceAddOns } = require('./addOns');
+const { eachNight } = require('../utils/dates');
+const { roundCurrency } = require('../utils/money');
+const { appliesToRoomType, appliesToNight } = require('./rateRules');
+const { DEFAULT_RATE_PLAN, getRatePlan } = require('./ratePlans');
+const { createPolicySnapshot } = require('./cancellationPolicy');
+
+// Lodging tax charged on the room subtotal
+const TAX_RATE = 0.1;
+
+// Resort fee charged per night (covers fitness center, trail shuttles and gear storage)
+const RESORT_FEE_PER_NIGHT = 25;
+
+// Largest difference between a client total and the quote that is treated as rounding
+const PRICE_TOLERANCE = 0.01;
+
+/**
+ * Prices a single night
+ * The highest matching season applies (overlapping seasons do not stack),
+ * then every matching weekend surcharge is added on top. Stacked discounts
+ * never take a night below zero.
+ * 
+ * @param {Object} roomType - Room type definition
+ * @param {string} date - Night date (YYYY-MM-DD)
+ * @param {Object[]} rules - Active rate rules for the room type
+ * @return {Object} Night with its base rate, adjustments and final rate
+ */
+const priceNight = (roomType, date, rules) => {
+  const matching = rules.filter(rule => appliesToNight(rule, date));
+  
+  const season = matching
+    .filter(rule => rule.type === 'season')
+    .sort((a, b) => b.adjustmentPercent - a.adjustmentPercent)[0];
+  const weekendRules = matching.filter(rule => rule.type === 'weekend');
+  
+  const adjustments = [season, ...weekendRules]
+    .filter(Boolean)
+    .map(rule => ({ ruleId: rule.id, name: rule.name, percent: rule.adjustmentPercent }));
+  
+  const totalPercent = adjustments.reduce((sum, adjustment) => sum + adjustment.percent, 0);
+  
+  return {
+    date,
+    baseRate: roomType.nightlyRate,
+    adjustments,
+    rate: roundCurrency(Math.max(roomType.nightlyRate * (1 + totalPercent / 100), 0))
+  };
+};
+
+/**
+ * Finds minimum-stay rules the stay does not satisfy
+ * 
+ * @param {string[]} nights - Night dates of the stay
+ * @param {Object[]} rules - Active rate rules for the room type
+ * @return {string[]} Messages describing each violated rule
+ */
+const findViolations = (nights, rules) => rules
+  .filter(rule => rule.type === 'min-stay')
+  .filter(rule => nights.some(date => appliesToNight(rule, date)) && nights.length < rule.minNights)
+  .map(rule => `${rule.name}: stays including these dates require at least ${rule.minNights} nights`);
+
+/**
+ * Returns the rate rules that apply to a room type
+ * 
+ * @param {string} roomType - Room type name
+ * @param {Object[]} rules - Rate rules
+ * @param {Object} [groupRate] - Agreed group rate; rules never apply to it
+ * @return {Object[]} Rules that are switched on and cover the room type
+ */
+const getApplicableRules = (roomType, rules, groupRate) => groupRate
+  ? []
+  : rules.filter(rule => rule.active !== false && appliesToRoomType(rule, roomType));
+
+/**
+ * Calculates the authoritative price of a stay
+ * 
+ * @param {Object} stay - Stay details
+ * @param {string} stay.roomType - Room type name
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {string} [stay.ratePlan='flexible'] - Rate plan code
+ * @param {Object} [stay.groupRate] - Agreed group rate ({ name, nightlyRate }) replacing the room's rates
+ * @param {Object[]} [rules] - Rate rules (inactive rules are ignored)
+ * @return {Object|null} Quote with nightly breakdown and line items, or null for an unknown room type or rate plan
+ */
+const createQuote = ({ roomType, checkIn, checkOut, ratePlan = DEFAULT_RATE_PLAN, groupRate }, rules = []) => {
+  const inventoryType = getRoomType(roomType);
+  const plan = getRatePlan(ratePlan);
+  if (!inventoryType || !plan) {
+    return null;
+  }
+  
+  // A group rate is fixed for every night of the block
+  const type = groupRate ? { ...inventoryType, nightlyRate: groupRate.nightlyRate } : inventoryType;
+  
+  // Only rules that are switched on and cover this room type
+  const applicableRules = getApplicableRules(type.name, rules, groupRate);
+  
+  const nightDates = eachNight(checkIn, checkOut);
+  const nights = nightDates.length;
+  const nightly = nightDates.map(date => priceNight(type, date, applicableRules));
+  const ratesVary = nightly.some(night => night.rate !== nightly[0].rate);
+  
+  const roomSubtotal = roundCurrency(nightly.reduce((sum, night) => sum + night.rate, 0));
+  
+  // Best length-of-stay discount the stay qualifies for
+  const lengthOfStayRule = applicableRules
+    .filter(rule => rule.type === 'length-of-stay' && nights >= rule.minNights)
+    .sort((a, b) => a.adjustmentPercent - b.adjustmentPercent)[0];
+  const lengthOfStayDiscount = lengthOfStayRule 
+    ? roundCurrency(roomSubtotal * lengthOfStayRule.adjustmentPercent / 100) 
+    : 0;
+  
+  // The rate plan adjusts the room price after any length-of-stay discount
+  const ratePlanAdjustment = roundCurrency((roomSubtotal + lengthOfStayDiscount) * plan.adjustmentPercent / 100);
+  const discount = roundCurrency(lengthOfStayDiscount + ratePlanAdjustment);
+  
+  const subtotal = roundCurrency(roomSubtotal + discount);
+  const fees = roundCurrency(RESORT_FEE_PER_NIGHT * nights);
+  const taxes = roundCurrency(subtotal * TAX_RATE);
+  const nightsLabel = `${nights} night${nights === 1 ? '' : 's'}`;
+  
+  const lineItems = [
+    {
+      code: 'room',
+      description: ratesVary
+        ? `${type.name}: ${nightsLabel} (rates vary by night)`
+        : `${type.name}: $${nightly[0]?.rate} × ${nightsLabel}${groupRate ? ` (${groupRate.name} group rate)` : ''}`,
+      amount: roomSubtotal
+    }
+  ];
+  
+  if (lengthOfStayRule) {
+    lineItems.push({
+      code: 'length-of-stay-discount',
+      description: `${lengthOfStayRule.name} (${lengthOfStayRule.adjustmentPercent}%)`,
+      amount: lengthOfStayDiscount
+    });
+  }
+  
+  if (ratePlanAdjustment !== 0) {
+    lineItems.push({
+      code: 'rate-plan',
+      description: `${plan.name} (${plan.adjustmentPercent > 0 ? '+' : ''}${plan.adjustmentPercent}%)`,
+      amount: ratePlanAdjustment
+    });
+  }
+  
+  lineItems.push(
+    {
+      code: 'resort-fee',
+      description: `Resort fee: $${RESORT_FEE_PER_NIGHT} × ${nightsLabel}`,
+      amount: fees
+    },
+    {
+      code: 'tax',
+      description: `Lodging tax (${TAX_RATE * 100}%)`,
+      amount: taxes
+    }
+  );
+  
+  return {
+    roomType: type.name,
+    checkIn,
+    checkOut,
+    nights,
+    nightlyRate: type.nightlyRate,
+    nightly,
+    ratesVary,
+    lineItems,
+    subtotal,
+    discount,
+    fees,
+    taxes,
+    total: roundCurrency(subtotal + fees + taxes),
+    currency: 'USD',
+    ratePlan: { code: plan.code, name: plan.name, prepaid: Boolean(plan.prepaid) },
+    cancellationPolicy: createPolicySnapshot(plan, checkIn),
+    violations: findViolations(nightDates, applicableRules)
+  };
+};
+
+/**
+ * Prices each night of a date range for the availability calendar
+ * 
+ * Rates include the season and weekend rules and the rate plan, but not
+ * length-of-stay discounts, fees or tax, which depend on the whole stay.
+ * 
+ * @param {Object} range - Nights to price
+ * @param {string} range.roomType - Room type name
+ * @param {string[]} range.dates - Night dates (YYYY-MM-DD)
+ * @param {string} [range.ratePlan='flexible'] - Rate plan code
+ * @param {Object} [range.groupRate] - Agreed group rate ({ name, nightlyRate })
+ * @param {Object[]} [rules] - Rate rules (inactive rules are ignored)
+ * @return {Object[]|null} [{ date, rate, minNights }] where minNights is the longest minimum stay
+ *   covering the night (null if none), or null for an unknown room type or rate plan
+ */
+const priceCalendarNights = ({ roomType, dates, ratePlan = DEFAULT_RATE_PLAN, groupRate }, rules = []) => {
+  const inventoryType = getRoomType(roomType);
+  const plan = getRatePlan(ratePlan);
+  if (!inventoryType || !plan) {
+    return null;
+  }
+  
+  const type = groupRate ? { ...inventoryType, nightlyRate: groupRate.nightlyRate } : inventoryType;
+  const applicableRules = getApplicableRules(type.name, rules, groupRate);
+  
+  return dates.map(date => {
+    const minimums = applicableRules
+      .filter(rule => rule.type === 'min-stay' && appliesToNight(rule, date))
+      .map(rule => rule.minNights);
+    
+    return {
+      date,
+      rate: roundCurrency(priceNight(type, date, applicableRules).rate * (1 + plan.adjustmentPercent / 100)),
+      minNights: minimums.length > 0 ? Math.max(...minimums) : null
+    };
+  });
+};
+
+/**
+ * Takes a promo discount off the room price of a priced room
+ * 
+ * The lodging tax is recalculated on the lower price; the resort fee stays.
+ * 
+ * @param {Object} quote - Quote of one room (see createQuote)
+ * @param {number} amount - Discount in dollars
+ * @param {string} description - Line item text, e.g. 'Promo SPRING15 (15% off)'
+ * @return {Object} Quote with a promo line item and updated totals
+ */
+const applyPromoDiscount = (quote, amount, description) => {
+  if (amount <= 0) return quote;
+  
+  const subtotal = roundCurrency(quote.subtotal - amount);
+  const taxes = roundCurrency(subtotal * TAX_RATE);
+  
+  // The promo follows the room price adjustments, before the resort fee and tax
+  const feeIndex = quote.lineItems.findIndex(item => item.code === 'resort-fee');
+  const lineItems = [
+    ...quote.lineItems.slice(0, feeIndex),
+    { code: 'promo', description, amount: -amount },
+    ...quote.lineItems.slice(feeIndex)
+  ].map(item => (item.code === 'tax' ? { ...item, amount: taxes } : item));
+  
+  return {
+    ...quote,
+    lineItems,
+    subtotal,
+    discount: roundCurrency(quote.discount - amount),
+    taxes,
+    total: roundCurrency(subtotal + quote.fees + taxes)
+  };
+};
+
+/**
+ * Calculates the authoritative price of a booking with one or more rooms
+ * 
+ * Every room is priced on its own and keeps its line items; the booking
+ * totals are the sums of the rooms. The top-level lineItems list every
+ * room's items in order, each tagged with the index of its room, followed
+ * by the add-ons, whose amounts are added to the total.
+ * 
+ * @param {Object} stay - Stay details
+ * @param {Object[]} stay.rooms - Room lines ({ roomType, adults, children })
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {string} [stay.ratePlan='flexible'] - Rate plan code, shared by all rooms
+ * @param {Object} [stay.block] - Group block the rooms are booked against; every room must be in it
+ * @param {Object} [stay.promo] - Promo code to apply; its eligibility is checked by the caller
+ * @param {Object[]} [stay.addOns=[]] - Valid add-on selections ({ code, quantity, date })
+ * @param {Object[]} [rules] - Rate rules (inactive rules are ignored)
+ * @return {Object|null} Quote with a `rooms` breakdown, or null for an unknown room type or rate plan,
+ *   or a room type the block does not include
+ */
+const createBookingQuote = ({ rooms, checkIn, checkOut, ratePlan = DEFAULT_RATE_PLAN, block, promo, addOns = [] }, rules = []) => {
+  const pricedRooms = rooms.map(room => {
+    const allocation = block && getAllocation(block, room.roomType);
+    if (block && !allocation) return null;
+    
+    const groupRate = allocation && { name: block.name, nightlyRate: allocation.nightlyRate };
+    return createQuote({ roomType: room.roomType, checkIn, checkOut, ratePlan, groupRate }, rules);
+  });
+  if (pricedRooms.length === 0 || pricedRooms.some(quote => !quote)) {
+    return null;
+  }
+  
+  // The promo discount is shared between the rooms it covers
+  const promoDiscounts = promo ? allocatePromoDiscount(promo, pricedRooms) : pricedRooms.map(() => 0);
+  const promoDescription = promo && `Promo ${promo.code} (${describeDiscount(promo)})`;
+  const roomQuotes = pricedRooms.map((quote, index) => applyPromoDiscount(quote, promoDiscounts[index], promoDescription));
+  
+  const sum = (field) => roundCurrency(roomQuotes.reduce((total, quote) => total + quote[field], 0));
+  const [first] = roomQuotes;
+  
+  // Add-ons belong to the booking rather than to a room
+  const pricedAddOns = priceAddOns(addOns, checkIn, checkOut);
+  const addOnsTotal = roundCurrency(pricedAddOns.reduce((total, addOn) => total + addOn.amount, 0));
+  
+  // The plan, policy and rule checks are the same for every room, so they
+  // are kept once at the top
+  const lines = roomQuotes.map(({ ratePlan: plan, cancellationPolicy, violations, ...quote }, index) => ({
+    ...quote,
+    adults: rooms[index].adults,
+    children: rooms[index].children || 0
+  }));
+  
+  return {
+    roomType: describeRooms(rooms),
+    checkIn,
+    checkOut,
+    nights: first.nights,
+    rooms: lines,
+    ratesVary: lines.some(line => line.ratesVary),
+    lineItems: [
+      ...lines.flatMap((line, index) => line.lineItems.map(item => ({ ...item, room: index }))),
+      ...pricedAddOns.map(addOn => ({ code: 'add-on', description: addOn.description, amount: addOn.amount }))
+    ],
+    addOns: pricedAddOns,
+    addOnsTotal,
+    subtotal: sum('subtotal'),
+    discount: sum('discount'),
+    fees: sum('fees'),
+    taxes: sum('taxes'),
+    total: roundCurrency(sum('total') + addOnsTotal),
+    currency: first.currency,
+    ratePlan: first.ratePlan,
+    cancellationPolicy: first.cancellationPolicy,
+    violations: [...new Set(roomQuotes.flatMap(quote => quote.violations))],
+    ...(block && { group: { code: block.code, name: block.name } }),
+    // The terms are kept so a changed booking can be re-priced the same way
+    ...(promo && {
+      promo: {
+        id: promo.id,
+        code: promo.code,
+        description: describeDiscount(promo),
+        discountType: promo.discountType,
+        amount: promo.amount,
+        roomTypes: promo.roomTypes || [],
+        stayFrom: promo.stayFrom,
+        stayUntil: promo.stayUntil,
+        minNights: promo.minNights,
+        discount: roundCurrency(promoDiscounts.reduce((sum, amount) => sum + amount, 0))
+      }
+    })
+  };
+};
+
+/**
+ * Checks whether a total sent by the client matches a quote
+ * 
+ * @param {*} clientTotal - Total submitted by the client (may be missing)
+ * @param {Object} quote - Authoritative quote
+ * @return {boolean} True if the client total is absent or agrees with the quote
+ */
+const matchesQuote = (clientTotal, quote) => {
+  if (clientTotal === undefined || clientTotal === null || clientTotal === '') {
+    return true;
+  }
+  
+  return Math.abs(Number(clientTotal) - quote.total) < PRICE_TOLERANCE;
+};
+
+module.exports = {
+  TAX_RATE,
+  RESORT_FEE_PER_NIGHT,
+  createQuote,
+  priceCalendarNights,
+  createBookingQuote,
+  matchesQuote
+};
@@ -0,0 +1,215 @@
+/**
+ * Promo Codes
+ * 
+ * Discount codes managed by staff and entered by guests when booking:
+ * 
+ *   { id, code, description, discountType: 'percent' | 'fixed', amount,
+ *     validFrom, validUntil, stayFrom, stayUntil, roomTypes: string[],
+ *     minNights, maxUses, active, createdAt, createdBy, updatedAt }
+ * 
+ * validFrom/validUntil are the days the code can be booked with and
+ * stayFrom/stayUntil the nights the stay must fall within; every limit is
+ * optional. The discount comes off the room price of the rooms the code
+ * covers (all rooms when roomTypes is empty) before tax, never off the
+ * resort fee. A fixed discount is shared between the covered rooms in
+ * proportion to their price. Every booking made with a code uses it once,
+ * unless the booking is cancelled or declined.
+ */
+
+const crypto = require('crypto');
+const { addDays, eachNight } = require('../utils/dates');
+const { roundCurrency } = require('../utils/money');
+
+// Bookings in these statuses give their use of a code back
+const RELEASED_STATUSES = ['cancelled', 'declined'];
+
+/**
+ * Normalizes a code typed by a guest or admin for comparison
+ * 
+ * @param {string} code - Code as entered
+ * @return {string} Upper-case code without surrounding spaces
+ */
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Finds a promo code by the code a guest entered
+ * 
+ * @param {Object[]} promos - All promo codes
+ * @param {string} code - Code as entered
+ * @return {Object|undefined} The promo code, if it exists
+ */
+const findPromoByCode = (promos, code) => {
+  const wanted = normalizePromoCode(code);
+  return wanted ? promos.find(promo => promo.code === wanted) : undefined;
+};
+
+/**
+ * Checks whether a promo code covers a room type
+ * 
+ * @param {Object} promo - Promo code
+ * @param {string} roomType - Room type name
+ * @return {boolean} True if rooms of this type are discounted
+ */
+const coversRoomType = (promo, roomType) => !promo.roomTypes?.length || promo.roomTypes.includes(roomType);
+
+/**
+ * Counts the bookings that have used a promo code
+ * 
+ * @param {Object} promo - Promo code
+ * @param {Object[]} bookings - All bookings
+ * @return {number} Number of uses
+ */
+const countPromoUses = (promo, bookings) => bookings
+  .filter(booking => booking.promoId === promo.id && !RELEASED_STATUSES.includes(booking.status))
+  .length;
+
+/**
+ * Describes the discount of a promo code
+ * 
+ * @param {Object} promo - Promo code
+ * @return {string} e.g. '15% off' or '$50 off'
+ */
+const describeDiscount = (promo) => (promo.discountType === 'percent'
+  ? `${promo.amount}% off`
+  : `$${promo.amount} off`);
+
+/**
+ * Checks the parts of a promo code the shared schema cannot express
+ * 
+ * @param {Object} fields - Fields validated against promoCodeSchema
+ * @return {Object} Error messages keyed by field; empty when valid
+ */
+const validatePromoRules = (fields) => {
+  const errors = {};
+  
+  if (fields.discountType === 'percent' && fields.amount > 100) {
+    errors.amount = 'A percentage discount cannot be more than 100%';
+  }
+  
+  if (fields.validFrom && fields.validUntil && fields.validUntil < fields.validFrom) {
+    errors.validUntil = 'Valid until must be on or after valid from';
+  }
+  
+  if (fields.stayFrom && fields.stayUntil && fields.stayUntil < fields.stayFrom) {
+    errors.stayUntil = 'Stays until must be on or after stays from';
+  }
+  
+  return errors;
+};
+
+/**
+ * Checks whether a promo code can be used for a stay
+ * 
+ * @param {Object} promo - Promo code
+ * @param {Object} stay - Requested stay
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {Object[]} stay.rooms - Room lines
+ * @param {Object} options - Booking details
+ * @param {string} options.today - Current date (YYYY-MM-DD)
+ * @param {number} [options.uses=0] - Bookings that have used the code so far
+ * @param {boolean} [options.rebooking=false] - The stay is a change to a booking that already used the code,
+ *   so only the stay itself is checked
+ * @return {string|null} Why the code cannot be used, or null if it can
+ */
+const checkPromoEligibility = (promo, { checkIn, checkOut, rooms }, { today, uses = 0, rebooking = false }) => {
+  if (!rebooking) {
+    if (promo.active === false) {
+      return 'This promo code is not active';
+    }
+    
+    if (promo.validFrom && today < promo.validFrom) {
+      return `This promo code can be used from ${promo.validFrom}`;
+    }
+    
+    if (promo.validUntil && today > promo.validUntil) {
+      return 'This promo code has expired';
+    }
+    
+    if (promo.maxUses && uses >= promo.maxUses) {
+      return 'This promo code has been fully redeemed';
+    }
+  }
+  
+  const lastNight = addDays(checkOut, -1);
+  if ((promo.stayFrom && checkIn < promo.stayFrom) || (promo.stayUntil && lastNight > promo.stayUntil)) {
+    if (promo.stayFrom && promo.stayUntil) {
+      return `This promo code is only valid for nights from ${promo.stayFrom} to ${promo.stayUntil}`;
+    }
+    return promo.stayFrom
+      ? `This promo code is only valid for nights from ${promo.stayFrom}`
+      : `This promo code is only valid for nights until ${promo.stayUntil}`;
+  }
+  
+  if (promo.minNights && eachNight(checkIn, checkOut).length < promo.minNights) {
+    return `This promo code requires a stay of at least ${promo.minNights} nights`;
+  }
+  
+  if (!rooms.some(room => coversRoomType(promo, room.roomType))) {
+    return `This promo code is only valid for the ${promo.roomTypes.join(' or ')}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Splits the discount of a promo code between the rooms of a booking
+ * 
+ * @param {Object} promo - Promo code
+ * @param {Object[]} lines - Priced rooms ({ roomType, subtotal })
+ * @return {number[]} Discount for each room, in dollars (0 for rooms the code does not cover)
+ */
+const allocatePromoDiscount = (promo, lines) => {
+  const covered = lines.map(line => (coversRoomType(promo, line.roomType) ? Math.max(line.subtotal, 0) : 0));
+  const coveredTotal = covered.reduce((sum, subtotal) => sum + subtotal, 0);
+  if (coveredTotal === 0) {
+    return lines.map(() => 0);
+  }
+  
+  // Never more than the rooms cost
+  const total = promo.discountType === 'percent'
+    ? coveredTotal * promo.amount / 100
+    : Math.min(promo.amount, coveredTotal);
+  
+  // Shared by price; the last covered room takes the rounding difference
+  const lastCovered = covered.map(subtotal => subtotal > 0).lastIndexOf(true);
+  let allocated = 0;
+  return covered.map((subtotal, index) => {
+    if (subtotal === 0) return 0;
+    
+    const share = index === lastCovered
+      ? roundCurrency(total - allocated)
+      : roundCurrency(total * subtotal / coveredTotal);
+    allocated += share;
+    return share;
+  });
+};
+
+/**
+ * Creates a stored promo code from validated fields
+ * 
+ * @param {Object} fields - Fields validated against promoCodeSchema
+ * @param {Object} createdBy - Staff user creating the code ({ username, role })
+ * @return {Object} Promo code ready to be saved
+ */
+const createPromoCode = (fields, createdBy) => ({
+  id: crypto.randomUUID(),
+  ...fields,
+  code: normalizePromoCode(fields.code),
+  roomTypes: fields.roomTypes || [],
+  active: fields.active !== false,
+  createdAt: new Date().toISOString(),
+  createdBy
+});
+
+module.exports = {
+  normalizePromoCode,
+  findPromoByCode,
+  coversRoomType,
+  countPromoUses,
+  describeDiscount,
+  validatePromoRules,
+  checkPromoEligibility,
+  allocatePromoDiscount,
+  createPromoCode
+};
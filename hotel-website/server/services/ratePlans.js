@@ -0,0 +1,105 @@
+/**
+ * Rate Plans
+ * 
+ * The ways a room can be sold. Every booking is made on one rate plan, which
+ * adjusts the room price and sets the cancellation policy: cheaper plans give
+ * guests less flexibility. Plans are defined here like the room inventory;
+ * the plan's policy is copied onto the booking's quote when it is booked, so
+ * later changes to a plan never affect existing bookings.
+ * 
+ * A plan may be prepaid, in which case the whole stay is charged when booking
+ * instead of the deposit.
+ * 
+ * A cancellation policy has:
+ *   freeCancellationDays   Cancelling at least this many days before check-in is free
+ *                          (null: the plan is non-refundable)
+ *   penaltyPercent         Share of the total kept when cancelling later
+ */
+
+/**
+ * Rate plans offered by the resort
+ * The code is the value stored on bookings as `ratePlan`, and
+ * adjustmentPercent changes the room subtotal (negative for discounts).
+ */
+const RATE_PLANS = [
+  {
+    code: 'flexible',
+    name: 'Flexible Rate',
+    description: 'Best flexibility: change or cancel free of charge until a week before arrival',
+    adjustmentPercent: 0,
+    changeable: true,
+    cancellationPolicy: { freeCancellationDays: 7, penaltyPercent: 30 }
+  },
+  {
+    code: 'advance-purchase',
+    name: 'Advance Purchase',
+    description: 'Save 10% when you plan ahead',
+    adjustmentPercent: -10,
+    changeable: true,
+    cancellationPolicy: { freeCancellationDays: 30, penaltyPercent: 50 }
+  },
+  {
+    code: 'non-refundable',
+    name: 'Non-refundable',
+    description: 'Our lowest price, paid in full with no changes or refunds',
+    adjustmentPercent: -15,
+    changeable: false,
+    prepaid: true,
+    cancellationPolicy: { freeCancellationDays: null, penaltyPercent: 100 }
+  }
+];
+
+// Plan used when a booking does not choose one (and for bookings made before plans existed)
+const DEFAULT_RATE_PLAN = 'flexible';
+
+/**
+ * Finds a rate plan by code
+ * 
+ * @param {string} code - Rate plan code, e.g. 'flexible'
+ * @return {Object|undefined} Rate plan definition, if it exists
+ */
+const getRatePlan = (code) => RATE_PLANS.find(plan => plan.code === code);
+
+/**
+ * Describes a cancellation policy for guests
+ * 
+ * @param {Object} policy - Cancellation policy
+ * @return {string} Policy text, e.g. 'Free cancellation until 7 days before arrival. ...'
+ */
+const describeCancellationPolicy = ({ freeCancellationDays, penaltyPercent }) => {
+  if (freeCancellationDays === null || freeCancellationDays === undefined) {
+    return penaltyPercent >= 100
+      ? 'Non-refundable: the full price is charged if you cancel or do not arrive.'
+      : `Cancelling at any time costs ${penaltyPercent}% of the total.`;
+  }
+  
+  const days = `${freeCancellationDays} day${freeCancellationDays === 1 ? '' : 's'}`;
+  return `Free cancellation until ${days} before arrival. Cancelling later costs ${penaltyPercent}% of the total.`;
+};
+
+/**
+ * Returns the public view of a rate plan
+ * 
+ * @param {Object} plan - Rate plan definition
+ * @return {Object} Plan with its cancellation policy text
+ */
+const toPublicRatePlan = (plan) => ({
+  code: plan.code,
+  name: plan.name,
+  description: plan.description,
+  adjustmentPercent: plan.adjustmentPercent,
+  changeable: plan.changeable,
+  prepaid: Boolean(plan.prepaid),
+  cancellationPolicy: {
+    ...plan.cancellationPolicy,
+    description: describeCancellationPolicy(plan.cancellationPolicy)
+  }
+});
+
+module.exports = {
+  RATE_PLANS,
+  DEFAULT_RATE_PLAN,
+  getRatePlan,
+  describeCancellationPolicy,
+  toPublicRatePlan
+};
@@ -0,0 +1,246 @@
+/**
+ * Rate Rules
+ * 
+ * Rules the resort uses to vary prices and stay restrictions by date:
+ * 
+ *   - season:         percentage adjustment for nights inside a date range (ski season, summer trail season)
+ *   - weekend:        percentage adjustment for nights starting on given weekdays
+ *   - min-stay:       minimum number of nights for stays touching a date range
+ *   - length-of-stay: percentage discount on the room subtotal for long stays (7+ night training stays)
+ * 
+ * Date ranges are inclusive and refer to nights. Rules with repeatsAnnually
+ * only compare month and day, so a ski season from 12-15 to 03-31 applies
+ * every winter without being re-entered.
+ */
+
+const crypto = require('crypto');
+const { isValidDateString } = require('../utils/dates');
+const { getRoomType } = require('./inventory');
+
+// Supported rule types, shared with the request schemas
+const { RATE_RULE_TYPES: RULE_TYPES } = require('../../shared/schemas.mjs');
+
+// Longest rule name accepted
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Rules created the first time the server starts
+ * Admins can edit or delete them from the dashboard.
+ */
+const DEFAULT_RATE_RULES = [
+  {
+    type: 'season',
+    name: 'Ski season',
+    startDate: '2025-12-15',
+    endDate: '2026-03-31',
+    repeatsAnnually: true,
+    adjustmentPercent: 30
+  },
+  {
+    type: 'season',
+    name: 'Summer trail season',
+    startDate: '2025-06-15',
+    endDate: '2025-09-05',
+    repeatsAnnually: true,
+    adjustmentPercent: 20
+  },
+  {
+    type: 'weekend',
+    name: 'Weekend surcharge',
+    days: [5, 6],
+    adjustmentPercent: 15
+  },
+  {
+    type: 'min-stay',
+    name: 'Holiday minimum stay',
+    startDate: '2025-12-24',
+    endDate: '2026-01-02',
+    repeatsAnnually: true,
+    minNights: 4
+  },
+  {
+    type: 'length-of-stay',
+    name: 'Training stay discount',
+    minNights: 7,
+    adjustmentPercent: -10
+  }
+];
+
+// Weekday names used in rule descriptions, indexed like Date#getUTCDay
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Checks whether a night falls inside a rule's date range
+ * 
+ * @param {Object} rule - Rule with startDate, endDate and optional repeatsAnnually
+ * @param {string} date - Night date (YYYY-MM-DD)
+ * @return {boolean} True if the night is covered by the rule
+ */
+const isInDateRange = (rule, date) => {
+  if (!rule.repeatsAnnually) {
+    return rule.startDate <= date && date <= rule.endDate;
+  }
+  
+  // Compare MM-DD only; a range such as 12-15..03-31 wraps around the new year
+  const start = rule.startDate.slice(5);
+  const end = rule.endDate.slice(5);
+  const day = date.slice(5);
+  
+  return start <= end
+    ? start <= day && day <= end
+    : day >= start || day <= end;
+};
+
+/**
+ * Checks whether a rule applies to a room type
+ * 
+ * @param {Object} rule - Rate rule
+ * @param {string} roomType - Room type name
+ * @return {boolean} True if the rule has no room restriction or includes the room type
+ */
+const appliesToRoomType = (rule, roomType) => 
+  !rule.roomTypes || rule.roomTypes.length === 0 || rule.roomTypes.includes(roomType);
+
+/**
+ * Checks whether a rule affects a given night
+ * 
+ * @param {Object} rule - Rate rule
+ * @param {string} date - Night date (YYYY-MM-DD)
+ * @return {boolean} True if the rule's dates or weekdays match the night
+ */
+const appliesToNight = (rule, date) => {
+  if (rule.type === 'weekend') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return rule.days.includes(weekday);
+  }
+  
+  if (rule.type === 'season' || rule.type === 'min-stay') {
+    return isInDateRange(rule, date);
+  }
+  
+  return false;
+};
+
+/**
+ * Builds a short human-readable summary of a rule
+ * 
+ * @param {Object} rule - Rate rule
+ * @return {string} Summary such as 'Fri, Sat nights +15%'
+ */
+const describeRule = (rule) => {
+  const percent = `${rule.adjustmentPercent > 0 ? '+' : ''}${rule.adjustmentPercent}%`;
+  const range = rule.repeatsAnnually
+    ? `${rule.startDate?.slice(5)} to ${rule.endDate?.slice(5)} every year`
+    : `${rule.startDate} to ${rule.endDate}`;
+  
+  switch (rule.type) {
+    case 'season':
+      return `${range}: ${percent}`;
+    case 'weekend':
+      return `${rule.days.map(day => WEEKDAYS[day].slice(0, 3)).join(', ')} nights: ${percent}`;
+    case 'min-stay':
+      return `${range}: minimum ${rule.minNights} nights`;
+    case 'length-of-stay':
+      return `${rule.minNights}+ nights: ${percent}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Validates and normalizes a rule submitted by an admin
+ * 
+ * @param {Object} input - Rule fields from the request body
+ * @return {{ rule: Object|null, errors: Object }} Normalized rule, or field errors
+ */
+const validateRateRule = (input) => {
+  const errors = {};
+  const rule = {
+    type: input.type,
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    active: input.active !== false,
+    roomTypes: Array.isArray(input.roomTypes) ? input.roomTypes : []
+  };
+  
+  if (!RULE_TYPES.includes(input.type)) {
+    errors.type = `Type must be one of: ${RULE_TYPES.join(', ')}`;
+  }
+  
+  if (!rule.name) {
+    errors.name = 'Name is required';
+  } else if (rule.name.length > MAX_NAME_LENGTH) {
+    errors.name = `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  
+  const unknownRoomType = rule.roomTypes.find(name => !getRoomType(name));
+  if (unknownRoomType) {
+    errors.roomTypes = `Unknown room type: ${unknownRoomType}`;
+  }
+  
+  // Date-range rules
+  if (input.type === 'season' || input.type === 'min-stay') {
+    if (!isValidDateString(input.startDate) || !isValidDateString(input.endDate)) {
+      errors.startDate = 'Start and end dates are required (YYYY-MM-DD)';
+    } else if (!input.repeatsAnnually && input.endDate < input.startDate) {
+      errors.endDate = 'End date must not be before start date';
+    }
+    rule.startDate = input.startDate;
+    rule.endDate = input.endDate;
+    rule.repeatsAnnually = Boolean(input.repeatsAnnually);
+  }
+  
+  // Weekday rules
+  if (input.type === 'weekend') {
+    const days = Array.isArray(input.days) ? input.days.map(Number) : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.days = 'Choose at least one weekday';
+    }
+    rule.days = [...new Set(days)].sort();
+  }
+  
+  // Nights threshold
+  if (input.type === 'min-stay' || input.type === 'length-of-stay') {
+    const minNights = Number(input.minNights);
+    if (!Number.isInteger(minNights) || minNights < 1) {
+      errors.minNights = 'Minimum nights must be a whole number of at least 1';
+    }
+    rule.minNights = minNights;
+  }
+  
+  // Price adjustment
+  if (input.type === 'season' || input.type === 'weekend' || input.type === 'length-of-stay') {
+    const adjustmentPercent = Number(input.adjustmentPercent);
+    if (!Number.isFinite(adjustmentPercent) || adjustmentPercent <= -100 || adjustmentPercent > 500) {
+      errors.adjustmentPercent = 'Adjustment must be a percentage between -99 and 500';
+    } else if (input.type === 'length-of-stay' && adjustmentPercent >= 0) {
+      errors.adjustmentPercent = 'Length-of-stay rules must give a discount (negative percentage)';
+    }
+    rule.adjustmentPercent = adjustmentPercent;
+  }
+  
+  return Object.keys(errors).length > 0 
+    ? { rule: null, errors } 
+    : { rule, errors };
+};
+
+/**
+ * Creates a stored rule with an id from validated fields
+ * 
+ * @param {Object} rule - Validated rule fields
+ * @return {Object} Rule ready to be saved
+ */
+const createRateRule = (rule) => ({
+  id: crypto.randomUUID(),
+  ...rule,
+  createdAt: new Date().toISOString()
+});
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_RATE_RULES,
+  appliesToRoomType,
+  appliesToNight,
+  describeRule,
+  validateRateRule,
+  createRateRule
+};
@@ -0,0 +1,222 @@
+/**
+ * Group Room Blocks
+ * 
+ * Sports teams, retreats and other groups can have a block of rooms held for
+ * them. A block sets aside a number of rooms of one or more room types for a
+ * date range at an agreed nightly group rate:
+ * 
+ *   { id, code, name, contactName, contactEmail, checkIn, checkOut, cutoffDate,
+ *     allocations: [{ roomType, rooms, nightlyRate }], notes,
+ *     status: 'active' | 'released', releasedAt, releasedBy, releaseReason, createdAt, createdBy }
+ * 
+ * Rooms of an open block that no member has claimed yet are taken out of
+ * public availability. Members book with the block's shareable code; their
+ * bookings store the block as groupBlockId and use up its rooms. After the
+ * cutoff date the block is released: the rooms nobody claimed go back on sale
+ * and the code stops working. Releasing is worked out from the dates, so it
+ * never depends on the scheduler having run; the scheduler only records it.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const repositories = require('../storage');
+const { formatDate, eachNight } = require('../utils/dates');
+const { generateCode } = require('../utils/codes');
+const { startIntervalJob } = require('../utils/intervalJob');
+const { getBookingRooms, countRoomsByType } = require('./bookingRooms');
+
+// Prefix of group codes such as GRP-7KQ2MX
+const CODE_PREFIX = 'GRP';
+
+/**
+ * Normalizes a group code typed by a guest for comparison
+ * 
+ * @param {string} code - Code as entered
+ * @return {string} Upper-case code without surrounding spaces
+ */
+const normalizeGroupCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Finds a block by its group code
+ * 
+ * @param {Object[]} blocks - All blocks
+ * @param {string} code - Group code entered by a guest
+ * @return {Object|undefined} The block, if the code exists
+ */
+const findBlockByCode = (blocks, code) => {
+  const wanted = normalizeGroupCode(code);
+  return wanted ? blocks.find(block => block.code === wanted) : undefined;
+};
+
+/**
+ * Returns what a block holds of one room type
+ * 
+ * @param {Object} block - Room block
+ * @param {string} roomType - Room type name
+ * @return {Object|undefined} Allocation { roomType, rooms, nightlyRate }, if the block includes the room type
+ */
+const getAllocation = (block, roomType) => block.allocations.find(allocation => allocation.roomType === roomType);
+
+/**
+ * Checks whether a block still holds its unclaimed rooms and accepts bookings
+ * 
+ * @param {Object} block - Room block
+ * @param {string} [today] - Current date (YYYY-MM-DD)
+ * @return {boolean} True until the end of the cutoff date, unless released earlier
+ */
+const isBlockOpen = (block, today = formatDate(new Date())) =>
+  block.status !== 'released' && today <= block.cutoffDate && today < block.checkOut;
+
+/**
+ * Checks the parts of a block the shared schema cannot express
+ * 
+ * @param {Object} block - Block fields validated against roomBlockSchema
+ * @return {Object} Error messages keyed by field; empty when valid
+ */
+const validateBlockRules = (block) => {
+  const errors = {};
+  
+  if (block.cutoffDate > block.checkIn) {
+    errors.cutoffDate = 'Cutoff date must be on or before the check-in date';
+  }
+  
+  const roomTypes = block.allocations.map(allocation => allocation.roomType);
+  if (new Set(roomTypes).size !== roomTypes.length) {
+    errors.allocations = 'Each room type can only be listed once';
+  }
+  
+  return errors;
+};
+
+/**
+ * Checks that a member's stay fits the block it is booked against
+ * 
+ * @param {Object} block - Room block
+ * @param {Object} stay - Requested stay
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {Object[]} stay.rooms - Room lines
+ * @return {string|null} Error message, or null if the stay can be booked with the group code
+ */
+const validateGroupStay = (block, { checkIn, checkOut, rooms }) => {
+  if (checkIn < block.checkIn || checkOut > block.checkOut) {
+    return `${block.name} stays must be between ${block.checkIn} and ${block.checkOut}`;
+  }
+  
+  const outside = rooms.find(room => !getAllocation(block, room.roomType));
+  if (outside) {
+    return `The ${block.name} block does not include the ${outside.roomType}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Works out how many rooms of each allocation members have claimed
+ * 
+ * A room counts as claimed on the nights a member booking holds it; the
+ * busiest night of the block is reported.
+ * 
+ * @param {Object} block - Room block
+ * @param {Object[]} bookings - All bookings
+ * @param {Function} holdsInventory - Tells whether a booking still occupies its rooms
+ * @return {Object[]} Allocations with claimed and remaining room counts
+ */
+const summarizePickup = (block, bookings, holdsInventory) => {
+  const members = bookings.filter(booking => booking.groupBlockId === block.id && holdsInventory(booking));
+  const nights = eachNight(block.checkIn, block.checkOut);
+  
+  return block.allocations.map(allocation => {
+    const claimed = nights.reduce((busiest, date) => Math.max(busiest, members
+      .filter(booking => booking.checkIn <= date && date < booking.checkOut)
+      .reduce((sum, booking) => sum + (countRoomsByType(getBookingRooms(booking))[allocation.roomType] || 0), 0)
+    ), 0);
+    
+    return { ...allocation, claimed, remaining: Math.max(allocation.rooms - claimed, 0) };
+  });
+};
+
+/**
+ * Creates a stored block from validated fields
+ * 
+ * @param {Object} fields - Block fields validated against roomBlockSchema
+ * @param {Object[]} existingBlocks - All blocks, so the new code is unique
+ * @param {Object} createdBy - Staff user creating the block ({ username, role })
+ * @return {Object} Block ready to be saved
+ */
+const createRoomBlock = (fields, existingBlocks, createdBy) => {
+  let code = generateCode(CODE_PREFIX);
+  while (existingBlocks.some(block => block.code === code)) {
+    code = generateCode(CODE_PREFIX);
+  }
+  
+  return {
+    id: crypto.randomUUID(),
+    code,
+    ...fields,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    createdBy
+  };
+};
+
+/**
+ * Returns the changes that release a block
+ * 
+ * @param {Object} options - Release details
+ * @param {string} options.reason - Why the block was released
+ * @param {string} [options.at] - Time of the release (ISO string)
+ * @param {Object} [options.by] - Staff user releasing the block early ({ username, role })
+ * @return {Object} Changes to apply to the block
+ */
+const releaseChanges = ({ reason, at = new Date().toISOString(), by = null }) => ({
+  status: 'released',
+  releasedAt: at,
+  releasedBy: by,
+  releaseReason: reason
+});
+
+/**
+ * Marks every block whose cutoff date has passed as released
+ * 
+ * @async
+ * @param {Date} [now=new Date()] - Current time
+ * @return {Promise<number>} Number of blocks released
+ */
+const releaseExpiredBlocks = async (now = new Date()) => {
+  const today = formatDate(now);
+  const blocks = await repositories.roomBlocks.all();
+  const expired = blocks.filter(block => block.status !== 'released' && !isBlockOpen(block, today));
+  
+  for (const block of expired) {
+    await repositories.roomBlocks.update(block.id, releaseChanges({
+      reason: 'Cutoff date passed',
+      at: now.toISOString()
+    }));
+  }
+  
+  return expired.length;
+};
+
+/**
+ * Releases expired blocks now and then every intervalMinutes
+ * 
+ * @param {number} [intervalMinutes=config.roomBlocks.releaseIntervalMinutes] - Minutes between runs (0 disables)
+ * @return {Object|null} Timer, or null if scheduling is disabled
+ */
+const startReleaseScheduler = (intervalMinutes = config.roomBlocks.releaseIntervalMinutes) =>
+  startIntervalJob(releaseExpiredBlocks, intervalMinutes, 'releasing room blocks');
+
+module.exports = {
+  normalizeGroupCode,
+  findBlockByCode,
+  getAllocation,
+  isBlockOpen,
+  validateBlockRules,
+  validateGroupStay,
+  summarizePickup,
+  createRoomBlock,
+  releaseChanges,
+  releaseExpiredBlocks,
+  startReleaseScheduler
+};
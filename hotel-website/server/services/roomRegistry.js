@@ -0,0 +1,256 @@
+/**
+ * Room Registry
+ * 
+ * The resort's physical rooms, one document per room number of the
+ * inventory (see inventory.js), keyed by that number:
+ * 
+ *   { id, roomNumber, roomType, floor, features: string[],
+ *     outOfOrder, outOfOrderReason, outOfOrderUntil,
+ *     housekeeping: 'dirty' | 'cleaning' | 'inspected' | 'ready',
+ *     housekeepingUpdatedAt, housekeepingUpdatedBy, updatedAt }
+ * 
+ * Room numbers and their types come from the inventory, which also prices
+ * them; staff keep the rest up to date. A room that is out of order is not
+ * sold or assigned on any night before its outOfOrderUntil date, or at all
+ * while it has none.
+ * 
+ * Each room line of a booking (see bookingRooms.js) can be given a room as
+ * `roomNumber`. Bookings get their rooms automatically when they are
+ * confirmed, and staff can choose others while the booking is pending or
+ * confirmed. A room can only be given to one booking holding inventory per
+ * night, and only when it is in order.
+ * 
+ * Housekeeping turns rooms around in this order:
+ * 
+ *   dirty -> cleaning -> inspected -> ready
+ * 
+ * A room that fails inspection goes back to cleaning, and any room can be
+ * marked dirty again. Rooms become dirty when their guests check out.
+ */
+
+const { ROOM_TYPES } = require('./inventory');
+const { getBookingRooms } = require('./bookingRooms');
+const { getStatus } = require('./bookingStatus');
+const { eachNight, rangesOverlap } = require('../utils/dates');
+const { HOUSEKEEPING_STATUSES } = require('../../shared/schemas.mjs');
+
+// Housekeeping states a room may move to, keyed by its current state
+const HOUSEKEEPING_TRANSITIONS = {
+  'dirty': ['cleaning'],
+  'cleaning': ['inspected', 'dirty'],
+  'inspected': ['ready', 'cleaning', 'dirty'],
+  'ready': ['dirty']
+};
+
+// Booking statuses whose rooms staff can change
+const ASSIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+// Features every room of a type starts with in a new registry
+const DEFAULT_FEATURES = {
+  'Adventure Room': ['Gear locker', 'Boot dryer'],
+  'Wellness Room': ['Yoga mat', 'Rain shower'],
+  'Athletic Suite': ['Kitchenette', 'Balcony', 'Gear locker']
+};
+
+/**
+ * Builds the registry for a new installation from the inventory
+ * 
+ * Rooms are numbered by floor: 101 is on the first floor.
+ * 
+ * @return {Object[]} One ready room per room number
+ */
+const createDefaultRooms = () => ROOM_TYPES.flatMap(roomType => roomType.rooms.map(roomNumber => ({
+  id: roomNumber,
+  roomNumber,
+  roomType: roomType.name,
+  floor: Number(roomNumber.slice(0, -2)) || 0,
+  features: DEFAULT_FEATURES[roomType.name] || [],
+  outOfOrder: false,
+  outOfOrderReason: '',
+  outOfOrderUntil: null,
+  housekeeping: 'ready',
+  housekeepingUpdatedAt: null,
+  housekeepingUpdatedBy: null
+})));
+
+/**
+ * Checks whether a room is out of order on a night
+ * 
+ * @param {Object} room - Registry room
+ * @param {string} date - Night (YYYY-MM-DD)
+ * @return {boolean} True if the room cannot be used that night
+ */
+const isOutOfOrderOn = (room, date) => Boolean(room.outOfOrder) && (!room.outOfOrderUntil || date < room.outOfOrderUntil);
+
+/**
+ * Applies staff changes to a room's registry entry
+ * 
+ * The room number and type belong to the inventory and are kept.
+ * Clearing the out-of-order flag also clears its reason and end date.
+ * 
+ * @param {Object} room - Registry room
+ * @param {Object} fields - Validated fields (see roomSchema)
+ * @return {Object} Updated room
+ */
+const applyRoomChanges = (room, { floor, features = [], outOfOrder = false, outOfOrderReason = '', outOfOrderUntil }) => ({
+  ...room,
+  floor,
+  features: [...new Set(features.map(feature => feature.trim()))],
+  outOfOrder,
+  outOfOrderReason: outOfOrder ? outOfOrderReason : '',
+  outOfOrderUntil: (outOfOrder && outOfOrderUntil) || null,
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Lists the housekeeping states a room can move to next
+ * 
+ * @param {Object} room - Registry room
+ * @return {string[]} Reachable states
+ */
+const getNextHousekeeping = (room) => HOUSEKEEPING_TRANSITIONS[room.housekeeping] || HOUSEKEEPING_STATUSES;
+
+/**
+ * Moves a room to another housekeeping state
+ * 
+ * @param {Object} room - Registry room
+ * @param {string} status - New state (one of HOUSEKEEPING_STATUSES)
+ * @param {Object} actor - Who made the change ({ type: 'staff', username, role } or { type: 'system' })
+ * @return {Object} { room } with the updated room, or { error } when the change is not allowed
+ */
+const applyHousekeeping = (room, status, actor) => {
+  if (!getNextHousekeeping(room).includes(status)) {
+    return { error: `Room ${room.roomNumber} is ${room.housekeeping} and cannot be marked ${status}` };
+  }
+  
+  return {
+    room: {
+      ...room,
+      housekeeping: status,
+      housekeepingUpdatedAt: new Date().toISOString(),
+      housekeepingUpdatedBy: actor.type === 'staff' ? actor.username : actor.type
+    }
+  };
+};
+
+/**
+ * Checks whether staff can change the rooms a booking was given
+ * 
+ * @param {Object} booking - Booking object
+ * @return {boolean} True for pending and confirmed bookings
+ */
+const canAssign = (booking) => ASSIGNABLE_STATUSES.includes(getStatus(booking));
+
+/**
+ * Finds the bookings using a room around a day
+ * 
+ * @param {Object} room - Registry room
+ * @param {Object[]} bookings - All bookings
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Function} holdsInventory - Tells whether a booking still occupies its rooms
+ * @return {Object} { tonight, departing }: the booking given the room for that night, and the guest due to leave it that day
+ */
+const getRoomOccupancy = (room, bookings, date, holdsInventory) => {
+  const given = bookings.filter(booking =>
+    holdsInventory(booking) && getBookingRooms(booking).some(line => line.roomNumber === room.roomNumber));
+  
+  return {
+    tonight: given.find(booking => booking.checkIn <= date && date < booking.checkOut),
+    departing: given.find(booking => booking.checkOut === date && getStatus(booking) === 'checked-in')
+  };
+};
+
+/**
+ * Finds the booking that has a room on some nights of a stay
+ * 
+ * @param {Object[]} bookings - All bookings
+ * @param {Object} stay - The room line a room is wanted for
+ * @param {string} stay.roomNumber - Room number
+ * @param {string} stay.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} stay.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {string} stay.bookingId - Booking the room line belongs to
+ * @param {number} stay.roomIndex - The room line itself, which does not count
+ * @param {Function} holdsInventory - Tells whether a booking still occupies its rooms
+ * @return {Object|undefined} The booking holding the room, if any
+ */
+const findRoomConflict = (bookings, { roomNumber, checkIn, checkOut, bookingId, roomIndex }, holdsInventory) => bookings
+  .filter(booking => holdsInventory(booking) && rangesOverlap(booking.checkIn, booking.checkOut, checkIn, checkOut))
+  .find(booking => getBookingRooms(booking).some((room, index) =>
+    room.roomNumber === roomNumber && !(booking.id === bookingId && index === roomIndex)));
+
+/**
+ * Checks whether a room can be given to a room line
+ * 
+ * @param {Object} room - Registry room
+ * @param {Object[]} bookings - All bookings
+ * @param {Object} stay - The room line (see findRoomConflict), with its roomType
+ * @param {Function} holdsInventory - Tells whether a booking still occupies its rooms
+ * @return {string|null} Why the room cannot be used, or null if it can
+ */
+const checkAssignment = (room, bookings, stay, holdsInventory) => {
+  if (room.roomType !== stay.roomType) {
+    return `Room ${room.roomNumber} is a ${room.roomType}, but this room was booked as ${stay.roomType}`;
+  }
+  
+  if (eachNight(stay.checkIn, stay.checkOut).some(date => isOutOfOrderOn(room, date))) {
+    return `Room ${room.roomNumber} is out of order${room.outOfOrderReason ? ` (${room.outOfOrderReason})` : ''}`;
+  }
+  
+  const conflict = findRoomConflict(bookings, { ...stay, roomNumber: room.roomNumber }, holdsInventory);
+  if (conflict) {
+    return `Room ${room.roomNumber} is taken by ${conflict.fullName} on some of those nights`;
+  }
+  
+  return null;
+};
+
+/**
+ * Gives every room line of a booking a room
+ * 
+ * Rooms the lines already have are kept while they are still usable (the
+ * dates may have changed since). The others get the first usable room of
+ * their type, rooms that are ready first, then by room number. Pending
+ * bookings only keep their rooms; they are given the rest when confirmed.
+ * 
+ * @param {Object} booking - Booking to assign
+ * @param {Object[]} bookings - All bookings
+ * @param {Object[]} rooms - Registry rooms
+ * @param {Function} holdsInventory - Tells whether a booking still occupies its rooms
+ * @param {Object} [options]
+ * @param {boolean} [options.fill=true] - Give lines without a usable room a new one
+ * @return {Object[]} The booking's room lines, with roomNumber left out where no room was given
+ */
+const assignRooms = (booking, bookings, rooms, holdsInventory, { fill = true } = {}) => {
+  const others = bookings.filter(other => other.id !== booking.id);
+  const lines = getBookingRooms(booking);
+  const candidates = [...rooms].sort((a, b) =>
+    Number(a.housekeeping !== 'ready') - Number(b.housekeeping !== 'ready') ||
+    a.roomNumber.localeCompare(b.roomNumber));
+  
+  return lines.reduce((assigned, line, roomIndex) => {
+    // Rooms given so far, and those later lines already have, count as taken
+    const current = [...others, { ...booking, rooms: [...assigned, ...lines.slice(roomIndex)] }];
+    const stay = { roomType: line.roomType, checkIn: booking.checkIn, checkOut: booking.checkOut, bookingId: booking.id, roomIndex };
+    const isUsable = (room) => !checkAssignment(room, current, stay, holdsInventory);
+    
+    const kept = candidates.find(room => room.roomNumber === line.roomNumber && isUsable(room));
+    const room = kept || (fill ? candidates.find(isUsable) : undefined);
+    const { roomNumber, ...unassigned } = line;
+    
+    return [...assigned, room ? { ...line, roomNumber: room.roomNumber } : unassigned];
+  }, []);
+};
+
+module.exports = {
+  HOUSEKEEPING_STATUSES,
+  createDefaultRooms,
+  isOutOfOrderOn,
+  applyRoomChanges,
+  getNextHousekeeping,
+  applyHousekeeping,
+  canAssign,
+  getRoomOccupancy,
+  findRoomConflict,
+  checkAssignment,
+  assignRooms
+};
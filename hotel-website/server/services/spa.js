@@ -0,0 +1,370 @@
+/**
+ * Spa and Recovery Treatments
+ * 
+ * Massages, cryotherapy and other recovery treatments guests book for a day
+ * of their stay. Every treatment needs two resources at once: a therapist
+ * with the right skill and a room of the right type, each only available
+ * during its working hours. Resources are cleaned and reset between
+ * appointments, so back-to-back bookings of the same therapist or room are
+ * TURNOVER_MINUTES apart.
+ * 
+ * An appointment holds its resources from startTime to endTime:
+ * 
+ *   { id, treatmentCode, treatmentName, date, startTime, endTime, price,
+ *     therapistId, roomId, bookingId, reference, guestName,
+ *     status: 'booked' | 'cancelled', createdAt, cancelledAt, cancelReason }
+ * 
+ * Appointment times and working hours are on the same UTC clock as activity
+ * sessions and the arrival cutoff (see utils/dates.js).
+ */
+
+const crypto = require('crypto');
+const { toUtcDate, toUtcDateTime, timeToMinutes, minutesToTime } = require('../utils/dates');
+
+/**
+ * Treatments offered by the spa
+ * The code is the value stored on appointments; price is in US dollars and
+ * includes tax. skill and roomType pick the resources a treatment needs.
+ */
+const TREATMENTS = [
+  {
+    code: 'sports-massage',
+    name: 'Sports massage',
+    category: 'Massage',
+    description: 'Firm massage focused on the muscles you trained hardest.',
+    durationMinutes: 60,
+    price: 140,
+    skill: 'massage',
+    roomType: 'treatment-room'
+  },
+  {
+    code: 'deep-tissue-massage',
+    name: 'Deep tissue massage',
+    category: 'Massage',
+    description: 'Full-body deep tissue work to release knots and tension after big days out.',
+    durationMinutes: 90,
+    price: 195,
+    skill: 'massage',
+    roomType: 'treatment-room'
+  },
+  {
+    code: 'physio-assessment',
+    name: 'Physiotherapy assessment',
+    category: 'Physiotherapy',
+    description: 'Assessment of a niggle or injury with a treatment plan for the rest of your stay.',
+    durationMinutes: 45,
+    price: 120,
+    skill: 'physiotherapy',
+    roomType: 'treatment-room'
+  },
+  {
+    code: 'cryotherapy',
+    name: 'Whole-body cryotherapy',
+    category: 'Recovery',
+    description: 'Three minutes at -110 °C with a supervised warm-up and cool-down.',
+    durationMinutes: 15,
+    price: 55,
+    skill: 'recovery',
+    roomType: 'cryo-chamber'
+  },
+  {
+    code: 'compression-therapy',
+    name: 'Compression boot therapy',
+    category: 'Recovery',
+    description: 'Pneumatic compression for tired legs in the recovery lounge.',
+    durationMinutes: 30,
+    price: 45,
+    skill: 'recovery',
+    roomType: 'recovery-lounge'
+  }
+];
+
+/**
+ * Therapists and their working hours
+ * days are the weekdays they work (0 = Sunday); start and end are times of day.
+ */
+const THERAPISTS = [
+  { id: 'therapist-maya', name: 'Maya Keller', skills: ['massage'], hours: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' } },
+  { id: 'therapist-luca', name: 'Luca Brandt', skills: ['massage', 'physiotherapy'], hours: { days: [0, 3, 4, 5, 6], start: '11:00', end: '19:00' } },
+  { id: 'therapist-ines', name: 'Ines Moser', skills: ['physiotherapy', 'recovery'], hours: { days: [0, 1, 2, 5, 6], start: '08:00', end: '16:00' } },
+  { id: 'therapist-jonas', name: 'Jonas Frei', skills: ['massage', 'recovery'], hours: { days: [0, 1, 2, 3, 4, 6], start: '12:00', end: '20:00' } }
+];
+
+/**
+ * Treatment rooms and their opening hours
+ */
+const ROOMS = [
+  { id: 'room-alder', name: 'Alder Room', type: 'treatment-room', hours: { days: [0, 1, 2, 3, 4, 5, 6], start: '08:00', end: '20:00' } },
+  { id: 'room-birch', name: 'Birch Room', type: 'treatment-room', hours: { days: [0, 1, 2, 3, 4, 5, 6], start: '08:00', end: '20:00' } },
+  { id: 'cryo-chamber', name: 'Cryo Chamber', type: 'cryo-chamber', hours: { days: [0, 1, 2, 3, 4, 5, 6], start: '08:00', end: '20:00' } },
+  { id: 'recovery-lounge', name: 'Recovery Lounge', type: 'recovery-lounge', hours: { days: [0, 1, 2, 3, 4, 5, 6], start: '08:00', end: '20:00' } }
+];
+
+// Minutes a therapist and a room need between two appointments
+const TURNOVER_MINUTES = 15;
+
+// Appointments start on the quarter hour
+const SLOT_INTERVAL_MINUTES = 15;
+
+// How long before its start an appointment can still be booked online
+const MIN_NOTICE_MINUTES = 60;
+
+// Booking statuses whose guests can book treatments
+const BOOKABLE_BOOKING_STATUSES = ['confirmed', 'checked-in'];
+
+/**
+ * Finds a treatment by code
+ * 
+ * @param {string} code - Treatment code, e.g. 'sports-massage'
+ * @return {Object|undefined} Treatment definition, if it exists
+ */
+const getTreatment = (code) => TREATMENTS.find(treatment => treatment.code === code);
+
+/**
+ * Finds a therapist or room by id
+ * 
+ * @param {string} id - Resource id
+ * @return {Object|undefined} Therapist or room, if it exists
+ */
+const getResource = (id) => [...THERAPISTS, ...ROOMS].find(resource => resource.id === id);
+
+/**
+ * Returns a resource's working hours on a day
+ * 
+ * @param {Object} resource - Therapist or room
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @return {Object|null} { start, end } in minutes after midnight, or null on a day off
+ */
+const getHours = (resource, date) => resource.hours.days.includes(toUtcDate(date).getUTCDay())
+  ? { start: timeToMinutes(resource.hours.start), end: timeToMinutes(resource.hours.end) }
+  : null;
+
+/**
+ * Checks whether a resource can take an appointment
+ * 
+ * The resource must be working for the whole appointment and have
+ * TURNOVER_MINUTES free on either side of it.
+ * 
+ * @param {Object} resource - Therapist or room
+ * @param {string} field - Appointment field that holds this kind of resource ('therapistId' or 'roomId')
+ * @param {Object[]} dayAppointments - Booked appointments of the day
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} start - Start in minutes after midnight
+ * @param {number} end - End in minutes after midnight
+ * @return {boolean} True if the resource is free
+ */
+const isFree = (resource, field, dayAppointments, date, start, end) => {
+  const hours = getHours(resource, date);
+  if (!hours || start < hours.start || end > hours.end) return false;
+  
+  return !dayAppointments.some(appointment =>
+    appointment[field] === resource.id &&
+    timeToMinutes(appointment.startTime) < end + TURNOVER_MINUTES &&
+    start < timeToMinutes(appointment.endTime) + TURNOVER_MINUTES
+  );
+};
+
+/**
+ * Returns the booked appointments of a day
+ * 
+ * @param {Object[]} appointments - All appointments
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @return {Object[]} Booked appointments on that day, earliest first
+ */
+const getDayAppointments = (appointments, date) => appointments
+  .filter(appointment => appointment.date === date && appointment.status === 'booked')
+  .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+/**
+ * Picks a therapist and a room for a treatment at a given time
+ * 
+ * Of the free therapists, the one with the fewest minutes booked that day is
+ * chosen so the work is shared out; rooms are used in order.
+ * 
+ * @param {Object} treatment - Treatment definition
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} startTime - Start time ('HH:MM')
+ * @param {Object[]} appointments - All appointments
+ * @return {Object|null} { therapist, room }, or null when no pair is free
+ */
+const assignResources = (treatment, date, startTime, appointments) => {
+  const dayAppointments = getDayAppointments(appointments, date);
+  const start = timeToMinutes(startTime);
+  const end = start + treatment.durationMinutes;
+  
+  const bookedMinutes = (therapist) => dayAppointments
+    .filter(appointment => appointment.therapistId === therapist.id)
+    .reduce((total, appointment) => total + timeToMinutes(appointment.endTime) - timeToMinutes(appointment.startTime), 0);
+  
+  const therapist = THERAPISTS
+    .filter(candidate => candidate.skills.includes(treatment.skill) && isFree(candidate, 'therapistId', dayAppointments, date, start, end))
+    .sort((a, b) => bookedMinutes(a) - bookedMinutes(b))[0];
+  
+  const room = ROOMS
+    .find(candidate => candidate.type === treatment.roomType && isFree(candidate, 'roomId', dayAppointments, date, start, end));
+  
+  return therapist && room ? { therapist, room } : null;
+};
+
+/**
+ * Checks whether a start time is too soon to book online
+ * 
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} startTime - Start time ('HH:MM')
+ * @param {Date} [now=new Date()] - Current time
+ * @return {boolean} True when the time is less than MIN_NOTICE_MINUTES away (or past)
+ */
+const isTooSoon = (date, startTime, now = new Date()) =>
+  toUtcDateTime(date, startTime).getTime() - now.getTime() < MIN_NOTICE_MINUTES * 60 * 1000;
+
+/**
+ * Checks whether an appointment has started
+ * 
+ * @param {Object} appointment - Appointment ({ date, startTime })
+ * @param {Date} [now=new Date()] - Current time
+ * @return {boolean} True once the start time has passed
+ */
+const hasStarted = (appointment, now = new Date()) =>
+  toUtcDateTime(appointment.date, appointment.startTime) <= now;
+
+/**
+ * Finds the times a treatment can start on a day
+ * 
+ * Every quarter hour between the earliest and latest working hours of the
+ * spa is tried; a time is offered when a suitable therapist and room are
+ * both free for the whole treatment.
+ * 
+ * @param {Object} treatment - Treatment definition
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object[]} appointments - All appointments
+ * @param {Date} [now=new Date()] - Current time
+ * @return {Object[]} Free slots, earliest first: [{ startTime, endTime }]
+ */
+const findSlots = (treatment, date, appointments, now = new Date()) => {
+  const openHours = [...THERAPISTS, ...ROOMS].map(resource => getHours(resource, date)).filter(Boolean);
+  if (openHours.length === 0) return [];
+  
+  const opens = Math.min(...openHours.map(hours => hours.start));
+  const closes = Math.max(...openHours.map(hours => hours.end));
+  const slots = [];
+  
+  for (let start = opens; start + treatment.durationMinutes <= closes; start += SLOT_INTERVAL_MINUTES) {
+    const startTime = minutesToTime(start);
+    if (isTooSoon(date, startTime, now)) continue;
+    
+    if (assignResources(treatment, date, startTime, appointments)) {
+      slots.push({ startTime, endTime: minutesToTime(start + treatment.durationMinutes) });
+    }
+  }
+  
+  return slots;
+};
+
+/**
+ * Checks whether a booking's guests can book a treatment on a day
+ * 
+ * @param {Object} booking - Booking the guests are staying on
+ * @param {string} date - Appointment date (YYYY-MM-DD)
+ * @return {string|null} Why the appointment is not possible, or null if it is
+ */
+const checkBookingEligibility = (booking, date) => {
+  if (!BOOKABLE_BOOKING_STATUSES.includes(booking.status)) {
+    return 'You can book treatments once your booking is confirmed';
+  }
+  
+  // Guests can have a treatment on their check-out day, before they leave
+  if (date < booking.checkIn || date > booking.checkOut) {
+    return 'You can only book treatments during your stay';
+  }
+  
+  return null;
+};
+
+/**
+ * Creates a booked appointment
+ * 
+ * @param {Object} treatment - Treatment definition
+ * @param {Object} details - Appointment details
+ * @param {string} details.date - Date (YYYY-MM-DD)
+ * @param {string} details.startTime - Start time ('HH:MM')
+ * @param {Object} details.resources - { therapist, room } from assignResources
+ * @param {Object} details.booking - Booking the guest is staying on
+ * @param {string} details.reference - The booking's reference
+ * @return {Object} Appointment ready to be saved
+ */
+const createAppointment = (treatment, { date, startTime, resources, booking, reference }) => ({
+  id: crypto.randomUUID(),
+  treatmentCode: treatment.code,
+  treatmentName: treatment.name,
+  date,
+  startTime,
+  endTime: minutesToTime(timeToMinutes(startTime) + treatment.durationMinutes),
+  price: treatment.price,
+  therapistId: resources.therapist.id,
+  roomId: resources.room.id,
+  bookingId: booking.id,
+  reference,
+  guestName: booking.fullName,
+  status: 'booked',
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Adds the therapist's and room's names to an appointment
+ * 
+ * @param {Object} appointment - Stored appointment
+ * @return {Object} Appointment with therapistName and roomName
+ */
+const describeAppointment = (appointment) => ({
+  ...appointment,
+  therapistName: getResource(appointment.therapistId)?.name || 'Therapist',
+  roomName: getResource(appointment.roomId)?.name || 'Treatment room'
+});
+
+/**
+ * Lists the spa's resources with their hours on a day, for the staff calendar
+ * 
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @return {Object[]} [{ id, name, kind: 'therapist' | 'room', start, end }] with
+ *   start and end as 'HH:MM', or null on a day off
+ */
+const listResources = (date) => [
+  ...THERAPISTS.map(therapist => ({ ...therapist, kind: 'therapist' })),
+  ...ROOMS.map(room => ({ ...room, kind: 'room' }))
+].map(resource => {
+  const hours = getHours(resource, date);
+  return {
+    id: resource.id,
+    name: resource.name,
+    kind: resource.kind,
+    start: hours ? minutesToTime(hours.start) : null,
+    end: hours ? minutesToTime(hours.end) : null
+  };
+});
+
+/**
+ * Returns the changes that cancel an appointment
+ * 
+ * @param {string} reason - Why it was cancelled
+ * @return {Object} Changes for the appointments repository
+ */
+const cancelChanges = (reason) => ({
+  status: 'cancelled',
+  cancelledAt: new Date().toISOString(),
+  cancelReason: reason
+});
+
+module.exports = {
+  TREATMENTS,
+  MIN_NOTICE_MINUTES,
+  getTreatment,
+  assignResources,
+  isTooSoon,
+  hasStarted,
+  findSlots,
+  checkBookingEligibility,
+  createAppointment,
+  describeAppointment,
+  listResources,
+  cancelChanges
+};
@@ -0,0 +1,133 @@
+/**
+ * Tape Chart
+ * 
+ * Lays stays out on the front desk's tape chart: one row per room of the
+ * registry, one column per night, one bar per room line of a booking. Room
+ * lines that have been given a room (see roomRegistry.js) are drawn in it.
+ * The others, mostly pending requests, float: each is drawn in the first
+ * room of its type that is in order and free for the whole stay. Lines that
+ * fit nowhere, which only happens when a type is overbooked, are returned
+ * without a room.
+ * 
+ * Pending and confirmed bookings can be moved to another room or to other
+ * dates; guests in the house and past stays are shown but stay put.
+ */
+
+const { getBookingRooms } = require('./bookingRooms');
+const { getStatus } = require('./bookingStatus');
+const { isOutOfOrderOn } = require('./roomRegistry');
+const { addDays, eachNight, rangesOverlap } = require('../utils/dates');
+
+// Booking statuses drawn on the chart
+const CHART_STATUSES = ['pending', 'confirmed', 'checked-in', 'checked-out', 'completed'];
+
+// Booking statuses staff can move on the chart
+const MOVABLE_STATUSES = ['pending', 'confirmed'];
+
+// Most days the chart shows at once
+const MAX_CHART_DAYS = 62;
+
+/**
+ * Checks whether a booking can be moved on the chart
+ * 
+ * @param {Object} booking - Booking object
+ * @return {boolean} True for pending and confirmed bookings
+ */
+const canMove = (booking) => MOVABLE_STATUSES.includes(getStatus(booking));
+
+/**
+ * Lists the room lines of the bookings drawn on the chart
+ * 
+ * @param {Object[]} bookings - All bookings
+ * @return {Object[]} { booking, room, roomIndex } for every room line
+ */
+const getChartLines = (bookings) => bookings
+  .filter(booking => CHART_STATUSES.includes(getStatus(booking)))
+  .flatMap(booking => getBookingRooms(booking).map((room, roomIndex) => ({ booking, room, roomIndex })));
+
+/**
+ * Places the room lines of one room type in its rooms
+ * 
+ * @param {Object[]} rooms - Registry rooms of the type
+ * @param {Object[]} lines - Room lines of that type (see getChartLines)
+ * @return {Map<Object, string|null>} Room number of each line, null when none is free
+ */
+const placeLines = (rooms, lines) => {
+  const stays = new Map(rooms.map(room => [room.roomNumber, []]));
+  const isFree = (room, { booking }) =>
+    stays.get(room.roomNumber).every(stay => !rangesOverlap(stay.checkIn, stay.checkOut, booking.checkIn, booking.checkOut));
+  const isInOrder = (room, { booking }) => !eachNight(booking.checkIn, booking.checkOut).some(date => isOutOfOrderOn(room, date));
+  
+  // Lines with a room first, then the rest by arrival
+  const ordered = [...lines].sort((a, b) =>
+    Number(!stays.has(a.room.roomNumber)) - Number(!stays.has(b.room.roomNumber)) ||
+    a.booking.checkIn.localeCompare(b.booking.checkIn) ||
+    (a.booking.createdAt || '').localeCompare(b.booking.createdAt || ''));
+  
+  const placed = new Map();
+  ordered.forEach(line => {
+    const own = rooms.find(room => room.roomNumber === line.room.roomNumber && isFree(room, line));
+    const room = own || rooms.find(candidate => isInOrder(candidate, line) && isFree(candidate, line));
+    if (room) stays.get(room.roomNumber).push(line.booking);
+    placed.set(line, room ? room.roomNumber : null);
+  });
+  
+  return placed;
+};
+
+/**
+ * Builds the tape chart for a range of days
+ * 
+ * @param {Object[]} bookings - All bookings
+ * @param {Object[]} registry - Registry rooms, in inventory order
+ * @param {Object} range - First and last day shown
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} range.to - Last day (YYYY-MM-DD)
+ * @return {Object} { from, to, rooms: Object[] (with the days each is out of order), bars: Object[] }
+ */
+const buildTapeChart = (bookings, registry, { from, to }) => {
+  const end = addDays(to, 1);
+  const lines = getChartLines(bookings)
+    .filter(({ booking }) => rangesOverlap(booking.checkIn, booking.checkOut, from, end));
+  
+  const days = eachNight(from, end);
+  const rooms = registry.map(room => ({
+    roomNumber: room.roomNumber,
+    roomType: room.roomType,
+    floor: room.floor,
+    housekeeping: room.housekeeping,
+    outOfOrderReason: room.outOfOrderReason,
+    outOfOrderDays: days.filter(date => isOutOfOrderOn(room, date))
+  }));
+  
+  const roomTypes = [...new Set(registry.map(room => room.roomType))];
+  const bars = roomTypes.flatMap(roomType => {
+    const ofType = lines.filter(({ room }) => room.roomType === roomType);
+    const placed = placeLines(registry.filter(room => room.roomType === roomType), ofType);
+    
+    return ofType.map(line => ({
+      bookingId: line.booking.id,
+      reference: line.booking.reference,
+      guestName: line.booking.fullName,
+      roomIndex: line.roomIndex,
+      roomType: line.room.roomType,
+      roomNumber: placed.get(line),
+      isAssigned: Boolean(line.room.roomNumber) && placed.get(line) === line.room.roomNumber,
+      adults: line.room.adults,
+      children: line.room.children || 0,
+      checkIn: line.booking.checkIn,
+      checkOut: line.booking.checkOut,
+      status: getStatus(line.booking),
+      totalPrice: line.booking.totalPrice,
+      movable: canMove(line.booking)
+    }));
+  });
+  
+  return { from, to, rooms, bars };
+};
+
+module.exports = {
+  MAX_CHART_DAYS,
+  canMove,
+  buildTapeChart
+};
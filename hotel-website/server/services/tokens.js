@@ -0,0 +1,114 @@
+/**
+ * Session Tokens
+ * 
+ * Signed, expiring bearer tokens for the admin API. A token is
+ * `<base64url payload>.<base64url HMAC-SHA256 signature>` where the payload
+ * holds the user id (sub), a session id (sid) and the expiry time (exp).
+ * 
+ * The signing secret comes from ADMIN_TOKEN_SECRET, or is generated once and
+ * kept in the data directory (DATA_DIR) as tokenSecret so tokens survive a
+ * server restart.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Where the generated secret is kept when ADMIN_TOKEN_SECRET is not set
+const secretFile = path.join(config.storage.dataDir, 'tokenSecret');
+
+// How long an admin session lasts
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+let cachedSecret = null;
+
+/**
+ * Returns the HMAC secret, creating and storing one on first use
+ * 
+ * @return {string} Signing secret
+ */
+const getSecret = () => {
+  if (cachedSecret) return cachedSecret;
+  
+  if (process.env.ADMIN_TOKEN_SECRET) {
+    cachedSecret = process.env.ADMIN_TOKEN_SECRET;
+    return cachedSecret;
+  }
+  
+  try {
+    cachedSecret = fs.readFileSync(secretFile, 'utf8').trim();
+  } catch (error) {
+    // First run: generate a secret only this server knows
+    cachedSecret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretFile), { recursive: true });
+    fs.writeFileSync(secretFile, cachedSecret, { mode: 0o600 });
+  }
+  
+  return cachedSecret;
+};
+
+/**
+ * Signs a string with the server secret
+ * 
+ * @param {string} value - Value to sign
+ * @return {string} base64url signature
+ */
+const sign = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+
+/**
+ * Creates a signed token for a session
+ * 
+ * @param {Object} claims - Token claims
+ * @param {string} claims.userId - Admin user id
+ * @param {string} claims.sessionId - Session id, used for revocation
+ * @param {number} [claims.expiresAt] - Expiry time in milliseconds since epoch
+ * @return {string} Signed token
+ */
+const createToken = ({ userId, sessionId, expiresAt = Date.now() + SESSION_TTL_MS }) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    sid: sessionId,
+    exp: expiresAt
+  })).toString('base64url');
+  
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verifies a token's signature and expiry
+ * 
+ * @param {string} token - Token from the Authorization header
+ * @return {Object|null} Claims { userId, sessionId, expiresAt }, or null if the token is invalid or expired
+ */
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  
+  // Compare signatures in constant time
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.exp !== 'number' || claims.exp <= Date.now()) {
+      return null;
+    }
+    
+    return { userId: claims.sub, sessionId: claims.sid, expiresAt: claims.exp };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  SESSION_TTL_MS,
+  sign,
+  createToken,
+  verifyToken
+};
@@ -0,0 +1,70 @@
+/**
+ * Storage Layer
+ * 
+ * Routes and services never touch the filesystem or database directly; they
+ * use the repositories exported here. The adapter is chosen by
+ * config.storage.driver:
+ * 
+ *   - json:   one JSON file per collection in the data directory (default)
+ *   - sqlite: an embedded SQLite database
+ * 
+ * Every repository has the same asynchronous interface:
+ * 
+ *   initialize(defaults)     Create the collection with default documents on first run
+ *   all()                    All documents, in insertion order
+ *   findById(id)             One document, or null
+ *   insert(document)         Add a document (must have an id)
+ *   update(id, changes)      Merge changes (or apply an updater function); returns the document or null
+ *   remove(id)               Delete a document; returns true if it existed
+ *   removeWhere(predicate)   Delete matching documents; returns how many were removed
+ */
+
+const config = require('../config');
+const { createJsonStorage } = require('./jsonAdapter');
+const { createSqliteStorage } = require('./sqliteAdapter');
+
+// Adapters by driver name
+const ADAPTERS = {
+  json: (options) => createJsonStorage({ dataDir: options.dataDir, backupCount: options.backupCount }),
+  sqlite: (options) => createSqliteStorage({ file: options.sqliteFile })
+};
+
+/**
+ * Creates a storage adapter
+ * 
+ * @param {Object} options - Storage options (see config.storage)
+ * @param {string} options.driver - 'json' or 'sqlite'
+ * @return {Object} Storage adapter with init() and collection(name)
+ */
+const createStorage = (options) => {
+  const createAdapter = ADAPTERS[options.driver];
+  if (!createAdapter) {
+    throw new Error(`Unknown storage driver "${options.driver}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  
+  return createAdapter(options);
+};
+
+// The storage used by the running server
+const storage = createStorage(config.storage);
+
+module.exports = {
+  createStorage,
+  storage,
+  
+  // Repositories for each entity
+  bookings: storage.collection('bookings'),
+  rateRules: storage.collection('rateRules'),
+  adminUsers: storage.collection('adminUsers'),
+  sessions: storage.collection('sessions'),
+  emailTemplates: storage.collection('emailTemplates'),
+  notifications: storage.collection('notifications'),
+  payments: storage.collection('payments'),
+  folioCharges: storage.collection('folioCharges'),
+  roomBlocks: storage.collection('roomBlocks'),
+  promoCodes: storage.collection('promoCodes'),
+  activities: storage.collection('activities'),
+  activitySignups: storage.collection('activitySignups'),
+  spaAppointments: storage.collection('spaAppointments'),
+  rooms: storage.collection('rooms')
+};
@@ -0,0 +1,313 @@
+/**
+ * JSON File Storage Adapter
+ * 
+ * Stores each collection as a JSON array in <dataDir>/<collection>.json,
+ * e.g. data/bookings.json. This is the default adapter and keeps the data
+ * human-readable and easy to inspect during development.
+ * 
+ * Writes are made safe against concurrency and crashes:
+ * 
+ *   - Every read-modify-write on a collection runs through a per-file queue,
+ *     so concurrent requests can no longer overwrite each other's changes.
+ *   - Files are written to a temporary file, flushed, then renamed over the
+ *     original, so a crash never leaves a half-written collection behind.
+ *   - Before each write the current file is copied into data/backups/,
+ *     keeping the last `backupCount` versions (<name>.json.1 is the newest).
+ *   - On startup, a collection file that no longer parses is moved aside and
+ *     replaced with its newest backup that does.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Temporary files are written next to their target so rename() stays atomic
+const TEMP_SUFFIX = '.tmp';
+
+/**
+ * Reads and parses a JSON collection file
+ * 
+ * @async
+ * @param {string} file - Path to the file
+ * @return {Promise<Array>} The parsed documents
+ * @throws {Error} If the file is missing, unreadable or not a JSON array
+ */
+const readJsonArray = async (file) => {
+  const documents = JSON.parse(await fs.readFile(file, 'utf8'));
+  if (!Array.isArray(documents)) {
+    throw new SyntaxError(`${path.basename(file)} does not contain a JSON array`);
+  }
+  return documents;
+};
+
+/**
+ * Writes data to a file atomically
+ * 
+ * The data is written and flushed to a temporary file which is then renamed
+ * over the target. Readers see either the old file or the new one, never a
+ * partially written file.
+ * 
+ * @async
+ * @param {string} file - Path to the target file
+ * @param {string} data - File contents
+ * @return {Promise<void>}
+ */
+const writeFileAtomic = async (file, data) => {
+  const tempFile = `${file}.${process.pid}${TEMP_SUFFIX}`;
+  const handle = await fs.open(tempFile, 'w');
+  
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  
+  await fs.rename(tempFile, file);
+};
+
+/**
+ * Creates a JSON file storage adapter
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.dataDir - Directory holding the JSON files
+ * @param {number} [options.backupCount=5] - Backups kept per collection (0 disables backups)
+ * @return {Object} Storage adapter with init() and collection(name)
+ */
+const createJsonStorage = ({ dataDir, backupCount = 5 }) => {
+  const backupDir = path.join(dataDir, 'backups');
+  
+  // Pending write for each file; new writes are chained onto it
+  const writeQueues = new Map();
+  
+  /**
+   * Runs a task once every earlier task for the same file has finished
+   * 
+   * @param {string} file - File the task writes to
+   * @param {Function} task - Async function to run
+   * @return {Promise<*>} Resolves with the task's result
+   */
+  const enqueueWrite = (file, task) => {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const result = previous.then(task);
+    
+    // A failed write must not block the writes queued behind it
+    const settled = result.catch(() => {});
+    writeQueues.set(file, settled);
+    settled.then(() => {
+      if (writeQueues.get(file) === settled) writeQueues.delete(file);
+    });
+    
+    return result;
+  };
+  
+  // Path of the nth most recent backup of a collection file
+  const backupPath = (file, generation) =>
+    path.join(backupDir, `${path.basename(file)}.${generation}`);
+  
+  /**
+   * Copies the current version of a file into the backup rotation
+   * 
+   * Shifts <name>.json.1 to .2 and so on, dropping the oldest, then copies
+   * the current file to <name>.json.1.
+   * 
+   * @async
+   * @param {string} file - Collection file about to be overwritten
+   * @return {Promise<void>}
+   */
+  const rotateBackups = async (file) => {
+    if (backupCount <= 0) return;
+    
+    await fs.mkdir(backupDir, { recursive: true });
+    
+    for (let generation = backupCount - 1; generation >= 1; generation--) {
+      try {
+        await fs.rename(backupPath(file, generation), backupPath(file, generation + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    
+    try {
+      await fs.copyFile(file, backupPath(file, 1));
+    } catch (error) {
+      // Nothing to back up before the first write
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+  
+  /**
+   * Restores a corrupt collection file from its newest readable backup
+   * 
+   * The corrupt file is kept as <name>.json.corrupt-<timestamp> for inspection.
+   * 
+   * @async
+   * @param {string} file - Collection file that failed to parse
+   * @param {Error} parseError - Why the file could not be read
+   * @return {Promise<void>}
+   * @throws {Error} If no backup can be read either
+   */
+  const recoverFile = async (file, parseError) => {
+    const name = path.basename(file);
+    const corruptFile = `${file}.corrupt-${Date.now()}`;
+    
+    console.error(`${name} is corrupt (${parseError.message}); restoring from backup`);
+    
+    for (let generation = 1; generation <= backupCount; generation++) {
+      const backup = backupPath(file, generation);
+      try {
+        const documents = await readJsonArray(backup);
+        await fs.rename(file, corruptFile);
+        await writeFileAtomic(file, JSON.stringify(documents, null, 2));
+        console.error(`Restored ${name} from ${path.relative(dataDir, backup)}; the corrupt file was saved as ${path.basename(corruptFile)}`);
+        return;
+      } catch (error) {
+        // Missing or also corrupt: try the next older backup
+      }
+    }
+    
+    throw new Error(`${name} is corrupt and no readable backup was found in ${backupDir}. Fix or remove the file to start the server.`);
+  };
+  
+  /**
+   * Ensures that the data directory exists and its files are readable
+   * 
+   * This function creates the data directory if it doesn't exist, removes
+   * temporary files left by an interrupted write, and restores any collection
+   * file that no longer parses from its newest good backup. Collection files
+   * are created lazily on first write or by collection.initialize().
+   * 
+   * @async
+   * @return {Promise<void>}
+   * @throws {Error} If a corrupt file cannot be restored
+   */
+  const ensureDataDirExists = async () => {
+    await fs.mkdir(dataDir, { recursive: true });
+    
+    const entries = await fs.readdir(dataDir);
+    
+    for (const entry of entries) {
+      const file = path.join(dataDir, entry);
+      
+      // Leftover from a write that never reached rename()
+      if (entry.endsWith(TEMP_SUFFIX)) {
+        await fs.unlink(file);
+        continue;
+      }
+      
+      if (path.extname(entry) !== '.json') continue;
+      
+      try {
+        await readJsonArray(file);
+      } catch (error) {
+        await recoverFile(file, error);
+      }
+    }
+  };
+  
+  /**
+   * Returns the repository for a collection
+   * 
+   * @param {string} name - Collection name, also the file name without extension
+   * @return {Object} Repository
+   */
+  const collection = (name) => {
+    const file = path.join(dataDir, `${name}.json`);
+    
+    // Read the whole collection, treating a missing file as empty
+    const readAll = async () => {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    };
+    
+    // Write the whole collection back, keeping a backup of the previous version
+    // The null, 2 parameters add formatting to make the JSON file readable
+    const writeAll = async (documents) => {
+      await rotateBackups(file);
+      await writeFileAtomic(file, JSON.stringify(documents, null, 2));
+    };
+    
+    // Run a read-modify-write without interleaving with other writes to this file
+    const modify = (task) => enqueueWrite(file, task);
+    
+    return {
+      name,
+      
+      initialize(defaults = []) {
+        return modify(async () => {
+          try {
+            await fs.access(file);
+          } catch (error) {
+            // First run: create the file with the default documents
+            await writeAll(defaults);
+          }
+        });
+      },
+      
+      async all() {
+        return readAll();
+      },
+      
+      async findById(id) {
+        const documents = await readAll();
+        return documents.find(document => document.id === id) || null;
+      },
+      
+      insert(document) {
+        return modify(async () => {
+          const documents = await readAll();
+          documents.push(document);
+          await writeAll(documents);
+          return document;
+        });
+      },
+      
+      update(id, changes) {
+        return modify(async () => {
+          const documents = await readAll();
+          const index = documents.findIndex(document => document.id === id);
+          if (index === -1) return null;
+          
+          documents[index] = typeof changes === 'function'
+            ? changes(documents[index])
+            : { ...documents[index], ...changes };
+          await writeAll(documents);
+          return documents[index];
+        });
+      },
+      
+      remove(id) {
+        return modify(async () => {
+          const documents = await readAll();
+          const remaining = documents.filter(document => document.id !== id);
+          if (remaining.length === documents.length) return false;
+          
+          await writeAll(remaining);
+          return true;
+        });
+      },
+      
+      removeWhere(predicate) {
+        return modify(async () => {
+          const documents = await readAll();
+          const remaining = documents.filter(document => !predicate(document));
+          if (remaining.length !== documents.length) {
+            await writeAll(remaining);
+          }
+          return documents.length - remaining.length;
+        });
+      }
+    };
+  };
+  
+  return {
+    driver: 'json',
+    init: ensureDataDirExists,
+    collection
+  };
+};
+
+module.exports = { createJsonStorage };
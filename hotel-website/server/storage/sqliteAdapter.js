@@ -0,0 +1,144 @@
+/**
+ * SQLite Storage Adapter
+ * 
+ * Stores every collection in a single embedded SQLite database using the
+ * better-sqlite3 driver. Documents are kept as JSON in a `documents` table
+ * keyed by (collection, id), so new entities need no schema changes.
+ * Writes are transactional, so concurrent requests cannot lose updates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a SQLite storage adapter
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.file - Database file path
+ * @return {Object} Storage adapter with init() and collection(name)
+ */
+const createSqliteStorage = ({ file }) => {
+  let db = null;
+  
+  /**
+   * Opens the database and creates the tables on first use
+   * 
+   * @async
+   * @return {Promise<void>}
+   */
+  const init = async () => {
+    if (db) return;
+    
+    // Loaded lazily so the JSON adapter works without the native module installed
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        UNIQUE (collection, id)
+      );
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL
+      );
+    `);
+  };
+  
+  /**
+   * Returns the repository for a collection
+   * 
+   * @param {string} name - Collection name
+   * @return {Object} Repository
+   */
+  const collection = (name) => {
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+    
+    const readAll = () => db
+      .prepare('SELECT data FROM documents WHERE collection = ? ORDER BY seq')
+      .all(name)
+      .map(parse);
+    
+    const readOne = (id) => parse(db
+      .prepare('SELECT data FROM documents WHERE collection = ? AND id = ?')
+      .get(name, id));
+    
+    const insertOne = (document) => db
+      .prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)')
+      .run(name, document.id, JSON.stringify(document));
+    
+    return {
+      name,
+      
+      async initialize(defaults = []) {
+        db.transaction(() => {
+          const known = db.prepare('SELECT name FROM collections WHERE name = ?').get(name);
+          if (known) return;
+          
+          // First run: register the collection and add the default documents
+          db.prepare('INSERT INTO collections (name, created_at) VALUES (?, ?)').run(name, new Date().toISOString());
+          defaults.forEach(insertOne);
+        })();
+      },
+      
+      async all() {
+        return readAll();
+      },
+      
+      async findById(id) {
+        return readOne(id);
+      },
+      
+      async insert(document) {
+        insertOne(document);
+        return document;
+      },
+      
+      async update(id, changes) {
+        return db.transaction(() => {
+          const current = readOne(id);
+          if (!current) return null;
+          
+          const updated = typeof changes === 'function'
+            ? changes(current)
+            : { ...current, ...changes };
+          db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?')
+            .run(JSON.stringify(updated), name, id);
+          return updated;
+        })();
+      },
+      
+      async remove(id) {
+        const result = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?').run(name, id);
+        return result.changes > 0;
+      },
+      
+      async removeWhere(predicate) {
+        return db.transaction(() => {
+          const ids = readAll().filter(predicate).map(document => document.id);
+          const remove = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+          ids.forEach(id => remove.run(name, id));
+          return ids.length;
+        })();
+      }
+    };
+  };
+  
+  return {
+    driver: 'sqlite',
+    init,
+    collection
+  };
+};
+
+module.exports = { createSqliteStorage };
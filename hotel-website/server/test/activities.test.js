@@ -0,0 +1,18 @@
+/**
+ * Activity Schedule Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasStarted } = require('../services/activities');
+
+describe('hasStarted', () => {
+  it('reads session times as UTC whatever the server time zone', () => {
+    const yoga = { startTime: '07:00' };
+    
+    assert.equal(hasStarted(yoga, '2026-10-19', new Date('2026-10-19T06:59:00Z')), false);
+    assert.equal(hasStarted(yoga, '2026-10-19', new Date('2026-10-19T07:00:00Z')), true);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Availability Engine Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_STAY_NIGHTS, validateStayDates, getAvailability, findUnavailableRooms } = require('../services/availability');
+const { addDays } = require('../utils/dates');
+const { bookingSchema } = require('../../shared/schemas.mjs');
+const { validate } = require('../../shared/validation.mjs');
+
+/**
+ * Builds a booking holding rooms of one type
+ * 
+ * @param {Object} fields - Booking fields to set
+ * @param {number} [roomCount=1] - Number of rooms of the type
+ * @return {Object} Booking
+ */
+const booking = ({ roomType = 'Athletic Suite', ...fields }, roomCount = 1) => ({
+  id: `booking-${Math.random()}`,
+  status: 'confirmed',
+  rooms: Array.from({ length: roomCount }, () => ({ roomType, adults: 2 })),
+  ...fields
+});
+
+describe('validateStayDates', () => {
+  it('accepts stays of one night and of MAX_STAY_NIGHTS nights', () => {
+    assert.equal(validateStayDates('2026-11-01', '2026-11-02'), null);
+    assert.equal(validateStayDates('2026-11-01', addDays('2026-11-01', MAX_STAY_NIGHTS)), null);
+  });
+  
+  it('rejects invalid or reversed dates', () => {
+    assert.match(validateStayDates('2026-11-01', 'soon'), /valid dates/);
+    assert.match(validateStayDates('2026-02-30', '2026-03-02'), /valid dates/);
+    assert.match(validateStayDates('2026-11-02', '2026-11-02'), /after check-in/);
+    assert.match(validateStayDates('2026-11-03', '2026-11-02'), /after check-in/);
+  });
+  
+  it('rejects stays of MAX_STAY_NIGHTS + 1 nights or more', () => {
+    assert.match(validateStayDates('2026-11-01', addDays('2026-11-01', MAX_STAY_NIGHTS + 1)), /at most/);
+    assert.match(validateStayDates('2026-11-01', '2999-11-04'), /at most/);
+  });
+  
+  it('is the same limit the shared booking schema enforces', () => {
+    const checkDates = (checkOut) => validate({
+      checkIn: bookingSchema.checkIn,
+      checkOut: bookingSchema.checkOut
+    }, { checkIn: '2026-11-01', checkOut }).errors;
+    
+    assert.deepEqual(checkDates(addDays('2026-11-01', MAX_STAY_NIGHTS)), {});
+    assert.match(checkDates(addDays('2026-11-01', MAX_STAY_NIGHTS + 1)).checkOut, /at most 30 days after check-in date/);
+  });
+});
+
+describe('getAvailability', () => {
+  it('counts the rooms booked on every night of the stay', () => {
+    const bookings = [
+      booking({ checkIn: '2026-11-02', checkOut: '2026-11-04' }, 2),
+      booking({ checkIn: '2026-11-03', checkOut: '2026-11-05' })
+    ];
+    
+    const [suites] = getAvailability(bookings, { checkIn: '2026-11-01', checkOut: '2026-11-05', roomType: 'Athletic Suite' });
+    
+    assert.equal(suites.totalUnits, 4);
+    assert.deepEqual(suites.nights.map(night => night.available), [4, 2, 1, 3]);
+    assert.equal(suites.availableUnits, 1);
+    assert.equal(suites.isAvailable, true);
+  });
+  
+  it('ignores bookings that no longer hold rooms and the booking being changed', () => {
+    const changing = booking({ checkIn: '2026-11-02', checkOut: '2026-11-04' }, 4);
+    const bookings = [
+      changing,
+      booking({ checkIn: '2026-11-02', checkOut: '2026-11-04', status: 'cancelled' }, 4),
+      booking({ checkIn: '2026-11-02', checkOut: '2026-11-04', status: 'checked-out' }, 4)
+    ];
+    
+    const [suites] = getAvailability(bookings, {
+      checkIn: '2026-11-02',
+      checkOut: '2026-11-04',
+      roomType: 'Athletic Suite',
+      excludeBookingId: changing.id
+    });
+    
+    assert.equal(suites.availableUnits, 4);
+  });
+  
+  it('does not count a stay that checks out on the first night', () => {
+    const bookings = [booking({ checkIn: '2026-10-30', checkOut: '2026-11-02' }, 4)];
+    
+    const [suites] = getAvailability(bookings, { checkIn: '2026-11-02', checkOut: '2026-11-03', roomType: 'Athletic Suite' });
+    
+    assert.equal(suites.isAvailable, true);
+  });
+  
+  it('keeps the rooms of an open group block for its members', () => {
+    const block = {
+      id: 'block-1',
+      checkIn: '2026-11-02',
+      checkOut: '2026-11-04',
+      cutoffDate: '2026-10-25',
+      allocations: [{ roomType: 'Athletic Suite', rooms: 3, nightlyRate: 400 }]
+    };
+    const query = { checkIn: '2026-11-02', checkOut: '2026-11-04', roomType: 'Athletic Suite', blocks: [block], today: '2026-10-19' };
+    
+    assert.equal(getAvailability([], query)[0].availableUnits, 1);
+    assert.equal(getAvailability([], { ...query, groupBlock: block })[0].availableUnits, 3);
+  });
+  
+  it('does not sell rooms that are out of order', () => {
+    const outOfOrder = [{ roomNumber: '301', roomType: 'Athletic Suite', outOfOrder: true, outOfOrderUntil: '2026-11-03' }];
+    
+    const [suites] = getAvailability([], { checkIn: '2026-11-02', checkOut: '2026-11-04', roomType: 'Athletic Suite', outOfOrder });
+    
+    assert.deepEqual(suites.nights.map(night => night.available), [3, 4]);
+  });
+  
+  it('counts availability over the longest stay', () => {
+    const checkOut = addDays('2026-11-01', MAX_STAY_NIGHTS);
+    const bookings = [booking({ checkIn: '2026-11-10', checkOut: '2026-11-11' }, 4)];
+    
+    const [suites] = getAvailability(bookings, { checkIn: '2026-11-01', checkOut, roomType: 'Athletic Suite' });
+    
+    assert.equal(suites.nights.length, MAX_STAY_NIGHTS);
+    assert.equal(suites.availableUnits, 0);
+  });
+});
+
+describe('findUnavailableRooms', () => {
+  it('reports the room types without enough free rooms for the booking', () => {
+    const bookings = [booking({ checkIn: '2026-11-02', checkOut: '2026-11-04' }, 3)];
+    
+    const short = findUnavailableRooms(bookings, {
+      checkIn: '2026-11-02',
+      checkOut: '2026-11-03',
+      rooms: [{ roomType: 'Athletic Suite' }, { roomType: 'Athletic Suite' }, { roomType: 'Adventure Room' }]
+    });
+    
+    assert.equal(short.length, 1);
+    assert.equal(short[0].roomType, 'Athletic Suite');
+    assert.equal(short[0].requested, 2);
+    assert.equal(short[0].availableUnits, 1);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Booking Status Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bookingStatus = require('../services/bookingStatus');
+const { templateForStatus } = require('../notifications');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../notifications/templates');
+
+const staff = { type: 'staff', username: 'frontdesk', role: 'front-desk' };
+
+describe('validateTransition', () => {
+  it('lets staff move a booking through its stay', () => {
+    assert.equal(bookingStatus.validateTransition({ status: 'pending' }, 'confirmed'), null);
+    assert.equal(bookingStatus.validateTransition({ status: 'confirmed' }, 'checked-in'), null);
+    assert.equal(bookingStatus.validateTransition({ status: 'checked-in' }, 'checked-out'), null);
+    assert.equal(bookingStatus.validateTransition({ status: 'checked-out' }, 'completed'), null);
+  });
+  
+  it('only declines pending requests', () => {
+    assert.equal(bookingStatus.validateTransition({ status: 'pending' }, 'declined'), null);
+    assert.match(bookingStatus.validateTransition({ status: 'confirmed' }, 'declined'), /cannot be changed to declined/);
+  });
+  
+  it('treats bookings without a status as pending', () => {
+    assert.equal(bookingStatus.getStatus({}), 'pending');
+    assert.equal(bookingStatus.validateTransition({}, 'no-show'), null);
+  });
+  
+  it('never reopens a booking that is over', () => {
+    ['completed', 'cancelled', 'declined', 'no-show'].forEach((status) => {
+      assert.deepEqual(bookingStatus.getNextStatuses({ status }), []);
+    });
+  });
+  
+  it('rejects unknown statuses and changes to the same status', () => {
+    assert.match(bookingStatus.validateTransition({ status: 'pending' }, 'lost'), /Unknown status/);
+    assert.match(bookingStatus.validateTransition({ status: 'pending' }, 'pending'), /already pending/);
+  });
+  
+  it('lets guests only cancel, or send a changed booking back to pending', () => {
+    assert.equal(bookingStatus.validateTransition({ status: 'confirmed' }, 'pending', 'guest'), null);
+    assert.equal(bookingStatus.validateTransition({ status: 'pending' }, 'cancelled', 'guest'), null);
+    assert.match(bookingStatus.validateTransition({ status: 'pending' }, 'confirmed', 'guest'), /cannot be changed/);
+    assert.match(bookingStatus.validateTransition({ status: 'checked-in' }, 'cancelled', 'guest'), /cannot be changed/);
+  });
+});
+
+describe('applyTransition', () => {
+  it('records who changed the status and why', () => {
+    const { booking, error } = bookingStatus.applyTransition({ id: 'b1', status: 'pending' }, 'declined', {
+      actor: staff,
+      reason: '  Fully booked  ',
+      at: '2026-10-19T10:00:00.000Z'
+    });
+    
+    assert.equal(error, null);
+    assert.equal(booking.status, 'declined');
+    assert.equal(booking.updatedAt, '2026-10-19T10:00:00.000Z');
+    assert.deepEqual(booking.statusHistory, [
+      { from: 'pending', to: 'declined', at: '2026-10-19T10:00:00.000Z', actor: staff, reason: 'Fully booked' }
+    ]);
+  });
+  
+  it('leaves the booking alone when the change is not allowed', () => {
+    const result = bookingStatus.applyTransition({ id: 'b1', status: 'cancelled' }, 'confirmed', { actor: staff });
+    
+    assert.equal(result.booking, null);
+    assert.match(result.error, /A cancelled booking cannot be changed to confirmed/);
+  });
+});
+
+describe('templateForStatus', () => {
+  it('emails the guest about every status staff set that ends or confirms a stay', () => {
+    ['confirmed', 'cancelled', 'declined', 'no-show'].forEach((status) => {
+      const templateId = templateForStatus(status);
+      assert.ok(DEFAULT_EMAIL_TEMPLATES.some(template => template.id === templateId), `${status} has a template`);
+    });
+    
+    assert.equal(templateForStatus('checked-in'), null);
+  });
+});
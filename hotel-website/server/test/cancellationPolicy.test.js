@@ -0,0 +1,86 @@
+/**
+ * Cancellation Policy Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateCancellation, keepPassedDeadline, getBookingDeadline } = require('../services/cancellationPolicy');
+
+// The cancellation is evaluated on this day
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Builds a booking on a rate plan without a stored quote
+ * 
+ * @param {Object} fields - Booking fields to set
+ * @return {Object} Booking
+ */
+const booking = (fields) => ({
+  id: 'booking-1',
+  status: 'cancelled',
+  ratePlan: 'flexible',
+  checkIn: '2026-11-20',
+  checkOut: '2026-11-22',
+  totalPrice: 1000,
+  ...fields
+});
+
+describe('evaluateCancellation', () => {
+  it('refunds everything before the free cancellation deadline', () => {
+    const result = evaluateCancellation(booking({}), { paid: 300, now: NOW });
+    
+    assert.equal(result.freeCancellationUntil, '2026-11-13');
+    assert.equal(result.penalty, 0);
+    assert.equal(result.refund, 300);
+  });
+  
+  it('keeps the penalty after the deadline, up to what was paid', () => {
+    const lateBooking = booking({ checkIn: '2026-10-22', checkOut: '2026-10-24' });
+    
+    const paidInFull = evaluateCancellation(lateBooking, { paid: 1000, now: NOW });
+    const paidDeposit = evaluateCancellation(lateBooking, { paid: 100, now: NOW });
+    
+    assert.equal(paidInFull.penalty, 300);
+    assert.equal(paidInFull.refund, 700);
+    assert.equal(paidDeposit.retained, 100);
+    assert.equal(paidDeposit.refund, 0);
+  });
+  
+  it('never refunds a non-refundable rate', () => {
+    const result = evaluateCancellation(booking({ ratePlan: 'non-refundable' }), { paid: 1000, now: NOW });
+    
+    assert.equal(result.freeCancellationUntil, null);
+    assert.equal(result.penalty, 1000);
+    assert.equal(result.reason, 'Non-refundable rate');
+  });
+  
+  it('refunds declined requests and keeps the total for no-shows', () => {
+    const lateBooking = { checkIn: '2026-10-19', checkOut: '2026-10-20' };
+    
+    assert.equal(evaluateCancellation(booking({ ...lateBooking, status: 'declined' }), { paid: 300, now: NOW }).refund, 300);
+    assert.equal(evaluateCancellation(booking({ ...lateBooking, status: 'no-show' }), { paid: 300, now: NOW }).retained, 300);
+  });
+  
+  it('still charges the penalty when a stay is moved after its deadline', () => {
+    // Three days before arrival, past the 7-day deadline, the guest moves the stay a month out
+    const original = booking({ checkIn: '2026-10-22', checkOut: '2026-10-24' });
+    const moved = { ...original, ...keepPassedDeadline(original, NOW), checkIn: '2026-11-22', checkOut: '2026-11-24' };
+    
+    const result = evaluateCancellation(moved, { paid: 1000, now: NOW });
+    
+    assert.equal(result.freeCancellationUntil, '2026-10-15');
+    assert.equal(result.penalty, 300);
+    assert.equal(result.reason, 'Cancelled after the free cancellation deadline');
+  });
+  
+  it('follows the new dates when a stay is moved before its deadline', () => {
+    const original = booking({});
+    const moved = { ...original, ...keepPassedDeadline(original, NOW), checkIn: '2026-12-20', checkOut: '2026-12-22' };
+    
+    assert.deepEqual(keepPassedDeadline(original, NOW), {});
+    assert.equal(getBookingDeadline(moved), '2026-12-13');
+    assert.equal(evaluateCancellation(moved, { paid: 300, now: NOW }).refund, 300);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Front Desk Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findNoShows } = require('../services/frontDesk');
+
+const booking = (id, checkIn, checkOut, status = 'confirmed') => ({ id, checkIn, checkOut, status });
+
+describe('findNoShows', () => {
+  const bookings = [
+    booking('today', '2026-10-19', '2026-10-21'),
+    booking('pending', '2026-10-19', '2026-10-20', 'pending'),
+    booking('arrived', '2026-10-19', '2026-10-21', 'checked-in'),
+    booking('yesterday', '2026-10-18', '2026-10-21'),
+    booking('long-over', '2026-01-10', '2026-01-12'),
+    booking('tomorrow', '2026-10-20', '2026-10-22')
+  ];
+  
+  it('waits for the arrival cutoff on the day of arrival', () => {
+    const noShows = findNoShows(bookings, new Date('2026-10-19T22:59:00Z'), '23:00');
+    
+    assert.ok(noShows.every(entry => entry.checkIn !== '2026-10-19'));
+  });
+  
+  it('marks the day\'s pending and confirmed arrivals after the cutoff', () => {
+    const noShows = findNoShows(bookings, new Date('2026-10-19T23:00:00Z'), '23:00');
+    
+    assert.deepEqual(noShows.map(entry => entry.id), ['today', 'pending', 'yesterday']);
+  });
+  
+  it('catches up on yesterday\'s arrival while the stay is still running', () => {
+    const noShows = findNoShows(bookings, new Date('2026-10-19T08:00:00Z'), '23:00');
+    
+    assert.deepEqual(noShows.map(entry => entry.id), ['yesterday']);
+  });
+  
+  it('leaves stays that have already ended', () => {
+    const noShows = findNoShows(bookings, new Date('2026-10-21T08:00:00Z'), '23:00');
+    
+    assert.deepEqual(noShows.map(entry => entry.id), ['tomorrow']);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Pricing Engine Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuote, createBookingQuote, priceCalendarNights, matchesQuote } = require('../services/pricing');
+const rateRules = require('../services/rateRules');
+
+// The rules a new resort starts with: seasons, a weekend surcharge, a holiday
+// minimum stay and a training stay discount
+const DEFAULT_RULES = rateRules.DEFAULT_RATE_RULES.map(rule =>
+  rateRules.createRateRule(rateRules.validateRateRule(rule).rule)
+);
+
+describe('createQuote', () => {
+  it('charges the nightly rate, the resort fee and lodging tax', () => {
+    // Monday and Tuesday nights in November: no season or weekend applies
+    const quote = createQuote({ roomType: 'Adventure Room', checkIn: '2026-11-02', checkOut: '2026-11-04' }, DEFAULT_RULES);
+    
+    assert.equal(quote.nights, 2);
+    assert.deepEqual(quote.nightly.map(night => night.rate), [275, 275]);
+    assert.equal(quote.subtotal, 550);
+    assert.equal(quote.fees, 50);
+    assert.equal(quote.taxes, 55);
+    assert.equal(quote.total, 655);
+    assert.deepEqual(quote.lineItems.map(item => item.code), ['room', 'resort-fee', 'tax']);
+    assert.deepEqual(quote.violations, []);
+  });
+  
+  it('adds the weekend surcharge to Friday and Saturday nights', () => {
+    const quote = createQuote({ roomType: 'Adventure Room', checkIn: '2026-11-06', checkOut: '2026-11-08' }, DEFAULT_RULES);
+    
+    assert.deepEqual(quote.nightly.map(night => night.rate), [316.25, 316.25]);
+    assert.equal(quote.ratesVary, false);
+    assert.equal(quote.total, 745.75);
+  });
+  
+  it('takes the length-of-stay discount before the rate plan adjustment', () => {
+    const quote = createQuote({
+      roomType: 'Adventure Room',
+      checkIn: '2026-11-02',
+      checkOut: '2026-11-09',
+      ratePlan: 'advance-purchase'
+    }, DEFAULT_RULES);
+    
+    const amounts = Object.fromEntries(quote.lineItems.map(item => [item.code, item.amount]));
+    assert.equal(amounts.room, 2007.5);
+    assert.equal(amounts['length-of-stay-discount'], -200.75);
+    assert.equal(amounts['rate-plan'], -180.67);
+    assert.equal(amounts.tax, 162.61);
+    assert.equal(quote.total, 1963.69);
+  });
+  
+  it('ignores rules that are switched off', () => {
+    const inactive = DEFAULT_RULES.map(rule => ({ ...rule, active: false }));
+    const quote = createQuote({ roomType: 'Adventure Room', checkIn: '2026-11-06', checkOut: '2026-11-08' }, inactive);
+    
+    assert.deepEqual(quote.nightly.map(night => night.rate), [275, 275]);
+  });
+  
+  it('reports stays shorter than a minimum stay rule', () => {
+    const quote = createQuote({ roomType: 'Adventure Room', checkIn: '2026-12-30', checkOut: '2027-01-01' }, DEFAULT_RULES);
+    
+    assert.equal(quote.violations.length, 1);
+    assert.match(quote.violations[0], /Holiday minimum stay/);
+  });
+  
+  it('charges a group rate without applying rate rules', () => {
+    const quote = createQuote({
+      roomType: 'Adventure Room',
+      checkIn: '2026-11-06',
+      checkOut: '2026-11-08',
+      groupRate: { name: 'Ski Club', nightlyRate: 200 }
+    }, DEFAULT_RULES);
+    
+    assert.deepEqual(quote.nightly.map(night => night.rate), [200, 200]);
+    assert.match(quote.lineItems[0].description, /Ski Club group rate/);
+  });
+  
+  it('never prices a night below zero when discounts stack', () => {
+    const discounts = [
+      { id: 'a', type: 'weekend', name: 'Friday deal', days: [5], adjustmentPercent: -99 },
+      { id: 'b', type: 'weekend', name: 'Late deal', days: [5], adjustmentPercent: -99 }
+    ];
+    const quote = createQuote({ roomType: 'Adventure Room', checkIn: '2026-11-06', checkOut: '2026-11-07' }, discounts);
+    
+    assert.equal(quote.nightly[0].rate, 0);
+    assert.equal(quote.subtotal, 0);
+    assert.equal(quote.total, 25);
+  });
+  
+  it('returns null for an unknown room type or rate plan', () => {
+    assert.equal(createQuote({ roomType: 'Broom Closet', checkIn: '2026-11-02', checkOut: '2026-11-04' }), null);
+    assert.equal(createQuote({ roomType: 'Adventure Room', checkIn: '2026-11-02', checkOut: '2026-11-04', ratePlan: 'free' }), null);
+  });
+});
+
+describe('createBookingQuote', () => {
+  it('prices every room and adds up the totals', () => {
+    const quote = createBookingQuote({
+      rooms: [{ roomType: 'Adventure Room', adults: 2 }, { roomType: 'Wellness Room', adults: 1, children: 1 }],
+      checkIn: '2026-11-02',
+      checkOut: '2026-11-04'
+    }, DEFAULT_RULES);
+    
+    assert.equal(quote.rooms.length, 2);
+    assert.equal(quote.rooms[1].children, 1);
+    assert.equal(quote.subtotal, 550 + 700);
+    assert.equal(quote.total, 655 + 820);
+    assert.ok(quote.lineItems.every(item => item.room === 0 || item.room === 1));
+  });
+  
+  it('returns null when any room cannot be priced', () => {
+    const quote = createBookingQuote({
+      rooms: [{ roomType: 'Adventure Room', adults: 2 }, { roomType: 'Broom Closet', adults: 1 }],
+      checkIn: '2026-11-02',
+      checkOut: '2026-11-04'
+    });
+    
+    assert.equal(quote, null);
+  });
+});
+
+describe('priceCalendarNights', () => {
+  it('prices each night with the rate plan and the longest minimum stay', () => {
+    const nights = priceCalendarNights({
+      roomType: 'Adventure Room',
+      dates: ['2026-11-02', '2026-12-31'],
+      ratePlan: 'non-refundable'
+    }, DEFAULT_RULES);
+    
+    assert.deepEqual(nights, [
+      { date: '2026-11-02', rate: 233.75, minNights: null },
+      { date: '2026-12-31', rate: 303.88, minNights: 4 }
+    ]);
+  });
+});
+
+describe('matchesQuote', () => {
+  it('accepts a missing total or one within a cent of the quote', () => {
+    assert.equal(matchesQuote(undefined, { total: 655 }), true);
+    assert.equal(matchesQuote('655.00', { total: 655 }), true);
+    assert.equal(matchesQuote(654.5, { total: 655 }), false);
+  });
+});
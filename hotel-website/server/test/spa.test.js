@@ -0,0 +1,23 @@
+/**
+ * Spa Booking Tests
+ * 
+ * Run with `npm test` from the server directory.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isTooSoon, hasStarted } = require('../services/spa');
+
+describe('appointment times', () => {
+  it('reads appointment times as UTC whatever the server time zone', () => {
+    const massage = { date: '2026-10-19', startTime: '14:00' };
+    
+    assert.equal(hasStarted(massage, new Date('2026-10-19T13:59:00Z')), false);
+    assert.equal(hasStarted(massage, new Date('2026-10-19T14:00:00Z')), true);
+  });
+  
+  it('does not offer times less than the minimum notice away', () => {
+    assert.equal(isTooSoon('2026-10-19', '14:00', new Date('2026-10-19T12:00:00Z')), false);
+    assert.equal(isTooSoon('2026-10-19', '14:00', new Date('2026-10-19T13:30:00Z')), true);
+  });
+});
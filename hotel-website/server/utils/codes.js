@@ -0,0 +1,28 @@
+/**
+ * Readable Codes
+ * 
+ * Random codes that guests read out or type in by hand, such as booking
+ * references (AAR-7KQ2MX) and group codes (GRP-7KQ2MX).
+ */
+
+const crypto = require('crypto');
+
+// Code characters, leaving out 0/O and 1/I/L which are easy to misread
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Generates a new code with a prefix
+ * 
+ * @param {string} prefix - Prefix such as 'AAR'
+ * @return {string} Code such as AAR-7KQ2MX
+ */
+const generateCode = (prefix) => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${prefix}-${code}`;
+};
+
+module.exports = { generateCode };
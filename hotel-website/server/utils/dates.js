@@ -0,0 +1,138 @@
+/**
+ * Date Utilities
+ * 
+ * Helpers for working with the calendar dates used by bookings.
+ * Stay dates are stored as plain 'YYYY-MM-DD' strings and all arithmetic is
+ * done in UTC so that a "night" never shifts because of the server time zone.
+ * Times of day (sessions, appointments, the arrival cutoff) are 'HH:MM'
+ * strings on the same UTC clock, so "has it started?" has one answer
+ * whatever time zone the server runs in.
+ */
+
+// Number of milliseconds in one day
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Matches a plain calendar date such as 2025-05-28
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks whether a value is a real calendar date in 'YYYY-MM-DD' format
+ * 
+ * @param {string} value - Value to check
+ * @return {boolean} True if the value is a valid date string
+ */
+const isValidDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  
+  // Round-trip through Date to reject values such as 2025-02-30
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Converts a 'YYYY-MM-DD' string to a Date at midnight UTC
+ * 
+ * @param {string} value - Date string
+ * @return {Date} Date object
+ */
+const toUtcDate = (value) => new Date(`${value}T00:00:00Z`);
+
+/**
+ * Converts a date and an 'HH:MM' time to the moment they describe (UTC)
+ * 
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time such as '07:30'
+ * @return {Date} Date object
+ */
+const toUtcDateTime = (date, time) => new Date(`${date}T${time}:00Z`);
+
+/**
+ * Formats a Date as a 'YYYY-MM-DD' string (UTC)
+ * 
+ * @param {Date} date - Date object
+ * @return {string} Date string
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Adds a number of days to a 'YYYY-MM-DD' string
+ * 
+ * @param {string} value - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @return {string} Resulting date string
+ */
+const addDays = (value, days) => formatDate(new Date(toUtcDate(value).getTime() + days * DAY_MS));
+
+/**
+ * Counts the nights between check-in and check-out
+ * 
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {number} Number of nights (0 or negative if the range is invalid)
+ */
+const nightsBetween = (checkIn, checkOut) => 
+  Math.round((toUtcDate(checkOut) - toUtcDate(checkIn)) / DAY_MS);
+
+/**
+ * Lists every night of a stay, identified by the date the night starts on
+ * A stay from 2025-05-28 to 2025-05-30 covers the nights of the 28th and 29th.
+ * 
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+ * @return {string[]} Date strings, one per night
+ */
+const eachNight = (checkIn, checkOut) => {
+  const nights = [];
+  for (let night = checkIn; night < checkOut; night = addDays(night, 1)) {
+    nights.push(night);
+  }
+  return nights;
+};
+
+/**
+ * Checks whether two stays share at least one night
+ * Check-out day is not a night, so back-to-back stays do not overlap.
+ * 
+ * @param {string} startA - First stay check-in
+ * @param {string} endA - First stay check-out
+ * @param {string} startB - Second stay check-in
+ * @param {string} endB - Second stay check-out
+ * @return {boolean} True if the stays overlap
+ */
+const rangesOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Converts an 'HH:MM' time to minutes after midnight
+ * 
+ * @param {string} time - Time such as '07:30'
+ * @return {number} Minutes after midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Converts minutes after midnight to an 'HH:MM' time
+ * 
+ * @param {number} minutes - Minutes after midnight
+ * @return {string} Time such as '07:30'
+ */
+const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+module.exports = {
+  DAY_MS,
+  isValidDateString,
+  toUtcDate,
+  toUtcDateTime,
+  formatDate,
+  addDays,
+  nightsBetween,
+  eachNight,
+  rangesOverlap,
+  timeToMinutes,
+  minutesToTime
+};
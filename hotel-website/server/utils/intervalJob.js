@@ -0,0 +1,34 @@
+/**
+ * Interval Jobs
+ * 
+ * Background work of the server, such as scheduled emails and releasing
+ * expired group blocks, runs once when the server starts and then every few
+ * minutes. A failed run is logged and the next one goes ahead as planned.
+ */
+
+/**
+ * Runs a job now and then every intervalMinutes
+ * 
+ * @param {Function} job - Async job to run
+ * @param {number} intervalMinutes - Minutes between runs (0 disables)
+ * @param {string} description - What the job does, for the error log, e.g. 'releasing room blocks'
+ * @return {Object|null} Timer, or null if scheduling is disabled
+ */
+const startIntervalJob = (job, intervalMinutes, description) => {
+  if (!intervalMinutes || intervalMinutes <= 0) return null;
+  
+  const run = () => {
+    job().catch((error) => {
+      console.error(`Error ${description}:`, error);
+    });
+  };
+  
+  run();
+  
+  // Do not keep the process alive just for the scheduler
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startIntervalJob };
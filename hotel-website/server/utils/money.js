@@ -0,0 +1,19 @@
+/**
+ * Money Utilities
+ * 
+ * Amounts are plain numbers of US dollars. Every calculated amount (prices,
+ * payments, refunds, folio charges) is rounded to whole cents with
+ * roundCurrency so totals add up the same everywhere.
+ */
+
+/**
+ * Rounds an amount to whole cents
+ * 
+ * @param {number} amount - Amount in dollars
+ * @return {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  roundCurrency
+};
@@ -0,0 +1,36 @@
+/**
+ * Mutex Utility
+ * 
+ * A minimal in-process lock for async code. Tasks passed to runExclusive()
+ * run one at a time, in the order they were queued, so a check followed by
+ * a write (such as "is a room free? then book it") cannot interleave with
+ * another request doing the same.
+ */
+
+/**
+ * Creates a mutex
+ * 
+ * @return {Object} Mutex with runExclusive(task)
+ */
+const createMutex = () => {
+  // Resolves when the most recently queued task has finished
+  let last = Promise.resolve();
+  
+  /**
+   * Runs a task once every earlier task has finished
+   * 
+   * @param {Function} task - Async function to run while holding the lock
+   * @return {Promise<*>} Resolves or rejects with the task's result
+   */
+  const runExclusive = (task) => {
+    const result = last.then(() => task());
+    
+    // A failed task releases the lock for the next one
+    last = result.catch(() => {});
+    return result;
+  };
+  
+  return { runExclusive };
+};
+
+module.exports = { createMutex };
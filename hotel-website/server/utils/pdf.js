@@ -0,0 +1,237 @@
+/**
+ * PDF Writer
+ * 
+ * Just enough of the PDF format to lay out plain documents such as
+ * invoices: US Letter pages with text in Helvetica (regular and bold),
+ * lines and shaded boxes. Helvetica is one of the standard fonts every PDF
+ * viewer has, so nothing is embedded and no library is needed.
+ * 
+ * Positions are in points (1/72 inch) from the top-left corner of the page.
+ * Text is written in the WinAnsi encoding; characters it lacks print as '?'.
+ */
+
+// US Letter, in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Glyph widths of the printable ASCII characters (32-126), in 1/1000 em
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes and widths of the other characters documents use
+const EXTRA_CHARACTERS = {
+  '€': { code: 0x80, width: 556 },
+  '•': { code: 0x95, width: 350 },
+  '–': { code: 0x96, width: 556 },
+  '—': { code: 0x97, width: 1000 },
+  '‘': { code: 0x91, width: 222 },
+  '’': { code: 0x92, width: 222 },
+  '“': { code: 0x93, width: 333 },
+  '”': { code: 0x94, width: 333 },
+  '…': { code: 0x85, width: 1000 },
+  '·': { code: 0xb7, width: 278 },
+  '×': { code: 0xd7, width: 584 }
+};
+
+// Widths of those characters by WinAnsi code
+const EXTRA_WIDTHS = Object.fromEntries(Object.values(EXTRA_CHARACTERS).map(({ code, width }) => [code, width]));
+
+/**
+ * Converts text to WinAnsi character codes
+ * 
+ * @param {string} text - Text to convert
+ * @return {number[]} Character codes
+ */
+const toWinAnsi = (text) => Array.from(String(text), (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint >= 32 && codePoint <= 126) return codePoint;
+  if (EXTRA_CHARACTERS[char]) return EXTRA_CHARACTERS[char].code;
+  if (codePoint >= 0xa0 && codePoint <= 0xff) return codePoint;
+  return 63; // '?'
+});
+
+/**
+ * Measures text
+ * 
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false] - Whether the text is bold
+ * @return {number} Width in points
+ */
+const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = toWinAnsi(text).reduce((sum, code) => {
+    if (code >= 32 && code <= 126) return sum + widths[code - 32];
+    return sum + (EXTRA_WIDTHS[code] || 556);
+  }, 0);
+  return units * size / 1000;
+};
+
+/**
+ * Writes text as a PDF string literal
+ * 
+ * @param {string} text - Text to write
+ * @return {string} e.g. '(Total \\(USD\\))', with WinAnsi bytes as latin1 characters
+ */
+const toPdfString = (text) => {
+  const body = toWinAnsi(text)
+    .map(code => {
+      const char = String.fromCharCode(code);
+      return ['(', ')', '\\'].includes(char) ? `\\${char}` : char;
+    })
+    .join('');
+  return `(${body})`;
+};
+
+/**
+ * Formats a number for a content stream
+ * 
+ * @param {number} value - Number
+ * @return {string} Number with at most two decimals
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Creates a PDF document
+ * 
+ * @param {Object} [info={}] - Document properties
+ * @param {string} [info.title] - Title shown by PDF viewers
+ * @return {Object} Document with addPage, text, line, rect, measureText and toBuffer
+ */
+const createPdfDocument = ({ title } = {}) => {
+  const pages = [];
+  let current = null;
+  
+  /**
+   * Starts a new page; later drawing goes on it
+   */
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+  
+  /**
+   * Writes a line of text
+   * 
+   * @param {number} x - Left edge (or right edge with align 'right')
+   * @param {number} y - Baseline
+   * @param {string} content - Text to write
+   * @param {Object} [options]
+   * @param {number} [options.size=10] - Font size in points
+   * @param {boolean} [options.bold=false] - Use Helvetica-Bold
+   * @param {string} [options.align='left'] - 'left' or 'right'
+   * @param {number} [options.gray=0] - Gray level, 0 (black) to 1 (white)
+   */
+  const text = (x, y, content, { size = 10, bold = false, align = 'left', gray = 0 } = {}) => {
+    const left = align === 'right' ? x - measureText(content, size, bold) : x;
+    current.push(`BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td ${toPdfString(content)} Tj ET`);
+  };
+  
+  /**
+   * Draws a straight line
+   * 
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} [options]
+   * @param {number} [options.width=0.5] - Line width in points
+   * @param {number} [options.gray=0] - Gray level
+   */
+  const line = (x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) => {
+    current.push(`${num(width)} w ${num(gray)} G ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+  };
+  
+  /**
+   * Fills a rectangle
+   * 
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} [options]
+   * @param {number} [options.gray=0.9] - Gray level
+   */
+  const rect = (x, y, width, height, { gray = 0.9 } = {}) => {
+    current.push(`${num(gray)} g ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+  };
+  
+  /**
+   * Serializes the document
+   * 
+   * @return {Buffer} PDF file
+   */
+  const toBuffer = () => {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    
+    // Fixed objects first so the page tree can refer to them
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = addObject(`<< /Title ${toPdfString(title || '')} /Producer (Alpine Athletics Resort) >>`);
+    
+    const pageIds = pages.map((operations) => {
+      const stream = operations.join('\n');
+      const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+    
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    
+    // Byte offsets of every object for the cross-reference table
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    
+    return Buffer.from(output, 'latin1');
+  };
+  
+  addPage();
+  
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    addPage,
+    text,
+    line,
+    rect,
+    measureText,
+    toBuffer
+  };
+};
+
+module.exports = {
+  createPdfDocument,
+  measureText
+};
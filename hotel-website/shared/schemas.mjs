@@ -0,0 +1,398 @@
+/**
+ * Request Schemas
+ *
+ * Rules for the payloads the API accepts, used by the server's validation
+ * middleware and by the client forms (see validation.mjs for the rule names).
+ *
+ * Context values:
+ *   roomTypes   Names of the room types that can be booked
+ *   ratePlans   Codes of the rate plans that can be booked
+ *   addOns      Codes of the add-on services that can be booked
+ *   treatments  Codes of the spa treatments that can be booked
+ *   roomNumbers Numbers of the resort's rooms
+ *   today       Earliest allowed check-in date (YYYY-MM-DD)
+ */
+
+// Every status a booking can have, in lifecycle order
+export const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'checked-in',
+  'checked-out',
+  'completed',
+  'cancelled',
+  'no-show',
+  'declined'
+];
+
+// Housekeeping states of a room, in the order a room is turned around
+export const HOUSEKEEPING_STATUSES = ['dirty', 'cleaning', 'inspected', 'ready'];
+
+// Documents the front desk accepts as ID at check-in
+export const ID_DOCUMENT_TYPES = ['passport', 'drivers-license', 'national-id', 'other'];
+
+// Ways the front desk settles what a guest still owes at check-out
+export const SETTLEMENT_METHODS = ['card', 'cash'];
+
+// Kinds of incidental charges staff post to a guest's folio
+export const INCIDENTAL_CATEGORIES = ['restaurant', 'bar', 'gear-rental', 'spa', 'minibar', 'laundry', 'other'];
+
+// Card details for a payment; only the last four digits are ever stored
+export const paymentSchema = {
+  cardName: { label: 'Name on card', required: true, maxLength: 100 },
+  cardNumber: { label: 'Card number', required: true, format: 'card' },
+  expiry: { label: 'Expiry date', required: true, format: 'expiry' },
+  cvc: { label: 'Security code', required: true, format: 'cvc' }
+};
+
+// Most rooms one booking can hold
+export const MAX_ROOMS_PER_BOOKING = 10;
+
+// One room of a booking; occupancy limits per room type are checked by the server
+export const roomLineSchema = {
+  roomType: { label: 'Room type', required: true, maxLength: 100, oneOf: 'roomTypes' },
+  adults: { label: 'Adults', type: 'number', required: true, integer: true, min: 1, max: 10 },
+  children: { label: 'Children', type: 'number', integer: true, min: 0, max: 10 },
+  // Optional names of the people staying in the room
+  guestNames: { label: 'Guest names', type: 'array', maxItems: 20, items: { label: 'Guest name', maxLength: 100 } }
+};
+
+// Rooms of a booking
+const roomsRule = {
+  label: 'Rooms',
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_ROOMS_PER_BOOKING,
+  items: { label: 'Room', type: 'object', schema: roomLineSchema }
+};
+
+// Most add-on lines one booking can hold
+export const MAX_ADD_ONS_PER_BOOKING = 20;
+
+// One add-on service booked with a stay; the server checks dates, limits and capacity
+export const addOnSelectionSchema = {
+  code: { label: 'Add-on', required: true, maxLength: 50, oneOf: 'addOns' },
+  quantity: { label: 'Quantity', type: 'number', required: true, integer: true, min: 1, max: 50 },
+  // Day of the stay for scheduled add-ons such as guided tours
+  date: { label: 'Add-on date', format: 'date' }
+};
+
+// Longest stay that can be booked, in nights
+export const MAX_STAY_NIGHTS = 30;
+
+// POST /api/bookings
+export const bookingSchema = {
+  fullName: { label: 'Full name', required: true, minLength: 2, maxLength: 100 },
+  email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+  phone: { label: 'Phone number', required: true, format: 'phone', maxLength: 30 },
+  checkIn: { label: 'Check-in date', required: true, format: 'date', notBefore: 'today' },
+  checkOut: { label: 'Check-out date', required: true, format: 'date', after: 'checkIn', maxDaysAfter: MAX_STAY_NIGHTS },
+  rooms: { ...roomsRule, required: true },
+  ratePlan: { label: 'Rate plan', maxLength: 50, oneOf: 'ratePlans' },
+  message: { label: 'Message', maxLength: 2000 },
+  totalPrice: { label: 'Total price', type: 'number', min: 0 },
+  // Books against a group block at the group rate
+  groupCode: { label: 'Group code', maxLength: 20 },
+  // Discount code; cannot be combined with a group code
+  promoCode: { label: 'Promo code', maxLength: 20 },
+  // Gear rental, guided tours and meal plans booked with the stay
+  addOns: {
+    label: 'Add-ons',
+    type: 'array',
+    maxItems: MAX_ADD_ONS_PER_BOOKING,
+    items: { label: 'Add-on', type: 'object', schema: addOnSelectionSchema }
+  },
+  // Pays the deposit; required by the server when a deposit is configured
+  payment: { label: 'Payment details', type: 'object', schema: paymentSchema }
+};
+
+// PUT /api/guest/bookings/:reference (rooms are kept when left out)
+export const bookingChangeSchema = {
+  email: { label: 'Email', format: 'email', maxLength: 254 },
+  token: { label: 'Access token', maxLength: 200 },
+  checkIn: { label: 'Check-in date', required: true, format: 'date', notBefore: 'today' },
+  checkOut: { label: 'Check-out date', required: true, format: 'date', after: 'checkIn', maxDaysAfter: MAX_STAY_NIGHTS },
+  rooms: roomsRule,
+  totalPrice: { label: 'Total price', type: 'number', min: 0 }
+};
+
+// POST /api/quote (a single roomType is quoted as one room for one adult)
+export const quoteSchema = {
+  roomType: { label: 'Room type', maxLength: 100, oneOf: 'roomTypes' },
+  checkIn: { label: 'Check-in date', required: true, format: 'date' },
+  checkOut: { label: 'Check-out date', required: true, format: 'date', after: 'checkIn', maxDaysAfter: MAX_STAY_NIGHTS },
+  rooms: roomsRule,
+  ratePlan: bookingSchema.ratePlan,
+  groupCode: bookingSchema.groupCode,
+  promoCode: bookingSchema.promoCode,
+  addOns: bookingSchema.addOns,
+  // Prices a change to this booking with the promo code it was made with
+  reference: { label: 'Booking reference', maxLength: 50 },
+  token: { label: 'Access token', maxLength: 200 }
+};
+
+// POST /api/guest/bookings/lookup
+export const guestLookupSchema = {
+  reference: { label: 'Booking reference', required: true, maxLength: 50 },
+  email: { label: 'Email', required: true, format: 'email', maxLength: 254 }
+};
+
+// Proof that a guest owns a booking: the access token or the booking's email;
+// POST /api/guest/bookings/:reference/cancel and the activity and spa cancel routes
+export const guestAccessSchema = {
+  email: { label: 'Email', format: 'email', maxLength: 254 },
+  token: { label: 'Access token', maxLength: 200 }
+};
+
+// POST /api/guest/bookings/:reference/payments
+export const guestPaymentSchema = {
+  email: { label: 'Email', format: 'email', maxLength: 254 },
+  token: { label: 'Access token', maxLength: 200 },
+  payment: { label: 'Payment details', type: 'object', required: true, schema: paymentSchema }
+};
+
+// PUT /api/admin/bookings/:id
+export const statusUpdateSchema = {
+  status: { label: 'Status', required: true, oneOf: BOOKING_STATUSES },
+  reason: { label: 'Reason', maxLength: 500 }
+};
+
+// POST /api/admin/bookings/:id/move
+export const bookingMoveSchema = {
+  roomIndex: { label: 'Room line', type: 'number', required: true, integer: true, min: 0, max: MAX_ROOMS_PER_BOOKING - 1 },
+  roomNumber: { label: 'Room', required: true, maxLength: 10, oneOf: 'roomNumbers' },
+  checkIn: { label: 'Check-in date', required: true, format: 'date', notBefore: 'today' },
+  checkOut: { label: 'Check-out date', required: true, format: 'date', after: 'checkIn', maxDaysAfter: MAX_STAY_NIGHTS },
+  totalPrice: { label: 'Total price', type: 'number', min: 0 }
+};
+
+// PUT /api/admin/bookings/:id/rooms/:roomIndex
+export const roomAssignmentSchema = {
+  roomNumber: { label: 'Room', required: true, maxLength: 10, oneOf: 'roomNumbers' }
+};
+
+// POST /api/admin/bookings/:id/check-in
+export const checkInSchema = {
+  idVerified: { label: 'ID verified', type: 'boolean', required: true },
+  idType: { label: 'ID type', required: true, oneOf: ID_DOCUMENT_TYPES },
+  // Only the end of the document number is kept, like cards
+  idLast4: { label: 'Last 4 of ID number', maxLength: 4 },
+  keyCount: { label: 'Keys issued', type: 'number', required: true, integer: true, min: 1, max: 20 },
+  // Rooms chosen at the desk; room lines left out keep or get one automatically
+  rooms: {
+    label: 'Rooms',
+    type: 'array',
+    maxItems: MAX_ROOMS_PER_BOOKING,
+    items: {
+      label: 'Room',
+      type: 'object',
+      schema: {
+        roomIndex: { label: 'Room line', type: 'number', required: true, integer: true, min: 0, max: MAX_ROOMS_PER_BOOKING - 1 },
+        roomNumber: { label: 'Room', required: true, maxLength: 10, oneOf: 'roomNumbers' }
+      }
+    }
+  }
+};
+
+// POST /api/admin/bookings/:id/check-out
+export const checkOutSchema = {
+  keysReturned: { label: 'Keys returned', type: 'number', required: true, integer: true, min: 0, max: 20 },
+  // Required when something is still owed
+  settlement: {
+    label: 'Settlement',
+    type: 'object',
+    schema: {
+      method: { label: 'Payment method', required: true, oneOf: SETTLEMENT_METHODS },
+      payment: { label: 'Payment details', type: 'object', schema: paymentSchema }
+    }
+  }
+};
+
+// POST /api/admin/bookings/:id/folio/charges
+export const folioChargeSchema = {
+  category: { label: 'Category', required: true, oneOf: INCIDENTAL_CATEGORIES },
+  description: { label: 'Description', required: true, maxLength: 200 },
+  // Amounts include tax, like the prices on a restaurant bill
+  unitPrice: { label: 'Unit price', type: 'number', required: true, min: 0.01, max: 10000 },
+  quantity: { label: 'Quantity', type: 'number', integer: true, min: 1, max: 100 },
+  // Day of the charge; defaults to today and must fall within the stay
+  date: { label: 'Date', format: 'date' }
+};
+
+// POST /api/admin/spa-appointments/:id/cancel
+export const spaCancelSchema = {
+  reason: { label: 'Reason', maxLength: 500 }
+};
+
+// POST /api/admin/bookings/:id/folio/charges/:chargeId/void
+export const folioVoidSchema = {
+  reason: { label: 'Reason', required: true, maxLength: 500 }
+};
+
+// PUT /api/admin/rooms/:roomNumber
+export const roomSchema = {
+  floor: { label: 'Floor', type: 'number', required: true, integer: true, min: 0, max: 50 },
+  features: { label: 'Features', type: 'array', maxItems: 20, items: { label: 'Feature', required: true, maxLength: 50 } },
+  outOfOrder: { label: 'Out of order', type: 'boolean' },
+  outOfOrderReason: { label: 'Out of order reason', maxLength: 200 },
+  // Out of order until the day before this date; without it, until staff clear the flag
+  outOfOrderUntil: { label: 'Back in service on', format: 'date', notBefore: 'today' }
+};
+
+// PUT /api/admin/rooms/:roomNumber/housekeeping
+export const housekeepingUpdateSchema = {
+  status: { label: 'Housekeeping status', required: true, oneOf: HOUSEKEEPING_STATUSES }
+};
+
+// Rooms of one type held by a group block, at the agreed nightly rate
+export const roomAllocationSchema = {
+  roomType: { label: 'Room type', required: true, maxLength: 100, oneOf: 'roomTypes' },
+  rooms: { label: 'Rooms', type: 'number', required: true, integer: true, min: 1, max: 50 },
+  nightlyRate: { label: 'Group rate', type: 'number', required: true, min: 0 }
+};
+
+// POST /api/admin/room-blocks and PUT /api/admin/room-blocks/:id
+export const roomBlockSchema = {
+  name: { label: 'Group name', required: true, minLength: 2, maxLength: 100 },
+  contactName: { label: 'Contact name', maxLength: 100 },
+  contactEmail: { label: 'Contact email', format: 'email', maxLength: 254 },
+  checkIn: { label: 'Check-in date', required: true, format: 'date', notBefore: 'today' },
+  checkOut: { label: 'Check-out date', required: true, format: 'date', after: 'checkIn', maxDaysAfter: MAX_STAY_NIGHTS },
+  // Last day members can book; unclaimed rooms are released after it
+  cutoffDate: { label: 'Cutoff date', required: true, format: 'date', notBefore: 'today' },
+  allocations: {
+    label: 'Rooms held',
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 10,
+    items: { label: 'Allocation', type: 'object', schema: roomAllocationSchema }
+  },
+  notes: { label: 'Notes', maxLength: 2000 }
+};
+
+// Ways a promo code can discount a stay
+export const PROMO_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// POST /api/admin/promo-codes and PUT /api/admin/promo-codes/:id
+export const promoCodeSchema = {
+  code: { label: 'Code', required: true, minLength: 3, maxLength: 20, format: 'code' },
+  description: { label: 'Description', maxLength: 200 },
+  discountType: { label: 'Discount type', required: true, oneOf: PROMO_DISCOUNT_TYPES },
+  // Percent off, or dollars off the whole booking
+  amount: { label: 'Discount', type: 'number', required: true, min: 0.01 },
+  // Days the code can be booked with
+  validFrom: { label: 'Valid from', format: 'date' },
+  validUntil: { label: 'Valid until', format: 'date' },
+  // Nights the stay must fall within
+  stayFrom: { label: 'Stays from', format: 'date' },
+  stayUntil: { label: 'Stays until', format: 'date' },
+  // Empty means every room type
+  roomTypes: { label: 'Room types', type: 'array', items: { label: 'Room type', oneOf: 'roomTypes' } },
+  minNights: { label: 'Minimum nights', type: 'number', integer: true, min: 1, max: 365 },
+  maxUses: { label: 'Usage limit', type: 'number', integer: true, min: 1 },
+  active: { label: 'Active', type: 'boolean' }
+};
+
+// Kinds of activity on the schedule
+export const ACTIVITY_CATEGORIES = ['Yoga', 'Fitness class', 'Guided climb', 'Outdoors'];
+
+// POST /api/admin/activities and PUT /api/admin/activities/:id
+export const activitySchema = {
+  name: { label: 'Activity name', required: true, minLength: 2, maxLength: 100 },
+  category: { label: 'Category', required: true, oneOf: ACTIVITY_CATEGORIES },
+  description: { label: 'Description', maxLength: 500 },
+  instructor: { label: 'Instructor', required: true, maxLength: 100 },
+  location: { label: 'Location', required: true, maxLength: 100 },
+  // Days the session repeats on, 0 = Sunday
+  daysOfWeek: {
+    label: 'Days',
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 7,
+    items: { label: 'Day', type: 'number', integer: true, min: 0, max: 6 }
+  },
+  startTime: { label: 'Start time', required: true, format: 'time' },
+  durationMinutes: { label: 'Duration', type: 'number', required: true, integer: true, min: 15, max: 480 },
+  capacity: { label: 'Capacity', type: 'number', required: true, integer: true, min: 1, max: 200 },
+  // First and last day of the series; without an end date it repeats indefinitely
+  startDate: { label: 'Start date', required: true, format: 'date' },
+  endDate: { label: 'End date', format: 'date' },
+  active: { label: 'Active', type: 'boolean' }
+};
+
+// POST /api/guest/bookings/:reference/activities
+export const activitySignupSchema = {
+  email: { label: 'Email', format: 'email', maxLength: 254 },
+  token: { label: 'Access token', maxLength: 200 },
+  activityId: { label: 'Activity', required: true, maxLength: 100 },
+  date: { label: 'Session date', required: true, format: 'date', notBefore: 'today' },
+  participants: { label: 'Participants', type: 'number', required: true, integer: true, min: 1, max: 20 }
+};
+
+// POST /api/guest/bookings/:reference/spa
+export const spaAppointmentSchema = {
+  email: { label: 'Email', format: 'email', maxLength: 254 },
+  token: { label: 'Access token', maxLength: 200 },
+  treatmentCode: { label: 'Treatment', required: true, maxLength: 50, oneOf: 'treatments' },
+  date: { label: 'Appointment date', required: true, format: 'date', notBefore: 'today' },
+  startTime: { label: 'Start time', required: true, format: 'time' }
+};
+
+// POST /api/admin/login
+export const loginSchema = {
+  username: { label: 'Username', required: true, maxLength: 100 },
+  // Long passwords are still hashed, so cap them; never trim them
+  password: { label: 'Password', required: true, maxLength: 1024, trim: false }
+};
+
+// Staff roles from least to most powerful
+export const STAFF_ROLES = ['front-desk', 'manager', 'owner'];
+
+// Shortest password accepted for staff accounts
+export const MIN_PASSWORD_LENGTH = 10;
+
+// Staff passwords; long ones are still hashed, so cap them, and never trim them
+const staffPasswordRule = { label: 'Password', minLength: MIN_PASSWORD_LENGTH, maxLength: 1024, trim: false };
+
+// POST /api/admin/users
+export const staffUserSchema = {
+  username: { label: 'Username', required: true, minLength: 3, maxLength: 32, format: 'username' },
+  password: { ...staffPasswordRule, required: true },
+  role: { label: 'Role', required: true, oneOf: STAFF_ROLES }
+};
+
+// PUT /api/admin/users/:id (fields left out are kept)
+export const staffUserUpdateSchema = {
+  role: { label: 'Role', oneOf: STAFF_ROLES },
+  password: staffPasswordRule
+};
+
+// Kinds of rate rule (see server/services/rateRules.js)
+export const RATE_RULE_TYPES = ['season', 'weekend', 'min-stay', 'length-of-stay'];
+
+// POST /api/admin/rate-rules and PUT /api/admin/rate-rules/:id; which fields
+// a rule needs depends on its type and is checked by the server
+export const rateRuleSchema = {
+  type: { label: 'Type', required: true, oneOf: RATE_RULE_TYPES },
+  name: { label: 'Name', required: true, maxLength: 100 },
+  startDate: { label: 'Start date', format: 'date' },
+  endDate: { label: 'End date', format: 'date' },
+  repeatsAnnually: { label: 'Repeats every year', type: 'boolean' },
+  // Weekdays the rule applies on, 0 = Sunday
+  days: { label: 'Days', type: 'array', maxItems: 7, items: { label: 'Day', type: 'number', integer: true, min: 0, max: 6 } },
+  minNights: { label: 'Minimum nights', type: 'number', integer: true, min: 1, max: 365 },
+  adjustmentPercent: { label: 'Adjustment', type: 'number' },
+  // Empty means every room type
+  roomTypes: { label: 'Room types', type: 'array', items: { label: 'Room type', oneOf: 'roomTypes' } },
+  active: { label: 'Active', type: 'boolean' }
+};
+
+// POST /api/admin/email-templates/preview and PUT /api/admin/email-templates/:id;
+// placeholders are checked by the server
+export const emailTemplateSchema = {
+  subject: { label: 'Subject', required: true, maxLength: 200 },
+  body: { label: 'Body', required: true, maxLength: 20000 },
+  enabled: { label: 'Enabled', type: 'boolean' }
+};
@@ -0,0 +1,295 @@
+/**
+ * Declarative Validation
+ *
+ * A small validator shared by the server (request middleware) and the client
+ * (form checks), so both sides apply the same rules. A schema maps each field
+ * to its rules:
+ *
+ *   label       Name used in error messages, e.g. 'Check-in date'
+ *   type        'string' (default), 'number', 'boolean', 'object' or 'array'
+ *   schema      For objects: the rules of its fields (errors are keyed 'field.child')
+ *   items       For arrays: the rules of each item (errors are keyed 'field.0', 'field.0.child')
+ *   minItems    Fewest items an array may have
+ *   maxItems    Most items an array may have
+ *   required    The field must be present and not empty
+ *   trim        Strings are trimmed unless this is false (e.g. passwords)
+ *   minLength   Shortest accepted string
+ *   maxLength   Longest accepted string
+ *   format      'email', 'phone', 'date' (YYYY-MM-DD), 'time' (HH:MM, 24-hour),
+ *               'card' (card number), 'expiry' (MM/YY), 'cvc', 'code'
+ *               (letters, digits and dashes) or 'username' (letters, digits,
+ *               dots, dashes and underscores)
+ *   oneOf       Allowed values, or the name of a context key that holds them
+ *   min, max    Bounds for numbers
+ *   integer     Numbers must be whole
+ *   notBefore   Earliest date, or the name of a context key such as 'today'
+ *   after       Name of another date field this date must be later than
+ *   maxDaysAfter With after: the most days this date may be later than the other field
+ *
+ * Context values (room types, today's date) differ between server and client,
+ * so they are passed to validate() instead of being part of the schema. Rules
+ * that refer to a missing context key are skipped.
+ */
+
+// Matches a plain calendar date such as 2025-05-28
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds in a day, for counting the days between two dates
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pragmatic email check: something@domain.tld
+const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+
+/**
+ * Checks a card number with the Luhn checksum
+ *
+ * @param {string} value - Card number, spaces and dashes allowed
+ * @return {boolean} True if the number has 12-19 digits and a valid checksum
+ */
+const isCardNumber = (value) => {
+  const digits = value.replace(/[\s-]/g, '');
+  if (!/^\d{12,19}$/.test(digits)) return false;
+
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+/**
+ * Checks whether a value is a real calendar date in 'YYYY-MM-DD' format
+ *
+ * @param {string} value - Value to check
+ * @return {boolean} True for dates such as 2025-05-28, false for 2025-02-30
+ */
+const isDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Checks for the format rule, with the message shown when a value fails
+const FORMATS = {
+  email: {
+    test: (value) => EMAIL_PATTERN.test(value),
+    message: () => 'Please enter a valid email address'
+  },
+  phone: {
+    // 10 to 15 digits once spaces, brackets, dots, dashes and a leading + are removed
+    test: (value) => /^\d{10,15}$/.test(value.replace(/[\s().+-]/g, '')),
+    message: () => 'Please enter a valid phone number'
+  },
+  date: {
+    test: isDate,
+    message: (label) => `${label} must be a valid date`
+  },
+  time: {
+    test: (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    message: (label) => `${label} must be a time such as 07:30`
+  },
+  card: {
+    test: isCardNumber,
+    message: () => 'Please enter a valid card number'
+  },
+  expiry: {
+    test: (value) => /^(0[1-9]|1[0-2])\/\d{2}$/.test(value),
+    message: () => 'Please enter the expiry date as MM/YY'
+  },
+  cvc: {
+    test: (value) => /^\d{3,4}$/.test(value),
+    message: () => 'Please enter the 3 or 4 digit security code'
+  },
+  code: {
+    test: (value) => /^[A-Z0-9-]+$/i.test(value),
+    message: (label) => `${label} can only contain letters, numbers and dashes`
+  },
+  username: {
+    test: (value) => /^[A-Z0-9._-]+$/i.test(value),
+    message: (label) => `${label} can only contain letters, numbers, dots, dashes and underscores`
+  }
+};
+
+/**
+ * Resolves a rule value that may name a context key
+ *
+ * @param {*} ruleValue - Literal value, or a context key
+ * @param {Object} context - Context values
+ * @return {*} The value to check against, or undefined if the key is missing
+ */
+const resolve = (ruleValue, context) =>
+  typeof ruleValue === 'string' && !DATE_PATTERN.test(ruleValue) ? context[ruleValue] : ruleValue;
+
+/**
+ * Checks whether a value counts as missing
+ *
+ * @param {*} value - Field value
+ * @return {boolean} True for undefined, null and empty strings
+ */
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validates one field against its rules
+ *
+ * @param {*} value - Normalized field value
+ * @param {Object} rules - Field rules
+ * @param {Object} values - All normalized values (for rules comparing fields)
+ * @param {Object} schema - The whole schema (for labels of other fields)
+ * @param {Object} context - Context values
+ * @return {string|null} Error message, or null if the value is valid
+ */
+const checkField = (value, rules, values, schema, context) => {
+  const label = rules.label;
+
+  if (isEmpty(value)) {
+    return rules.required ? `${label} is required` : null;
+  }
+
+  if (rules.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${label} must be true or false`;
+  }
+
+  if ((rules.type || 'string') === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+    if (rules.integer && !Number.isInteger(value)) return `${label} must be a whole number`;
+    if (rules.min !== undefined && value < rules.min) return `${label} must be at least ${rules.min}`;
+    if (rules.max !== undefined && value > rules.max) return `${label} must be at most ${rules.max}`;
+    return null;
+  }
+
+  if (typeof value !== 'string') return `${label} must be text`;
+  if (rules.minLength && value.length < rules.minLength) {
+    return `${label} must be at least ${rules.minLength} characters`;
+  }
+  if (rules.maxLength && value.length > rules.maxLength) {
+    return `${label} must be at most ${rules.maxLength} characters`;
+  }
+
+  const format = FORMATS[rules.format];
+  if (format && !format.test(value)) return format.message(label);
+
+  const allowed = resolve(rules.oneOf, context);
+  if (Array.isArray(allowed) && !allowed.includes(value)) {
+    return `${label} must be one of: ${allowed.join(', ')}`;
+  }
+
+  const earliest = resolve(rules.notBefore, context);
+  if (earliest && value < earliest) return `${label} cannot be in the past`;
+
+  if (rules.after) {
+    const other = values[rules.after];
+    if (typeof other === 'string' && isDate(other) && value <= other) {
+      return `${label} must be after ${schema[rules.after].label.toLowerCase()}`;
+    }
+    if (typeof other === 'string' && isDate(other) && rules.maxDaysAfter !== undefined &&
+        (Date.parse(value) - Date.parse(other)) / DAY_MS > rules.maxDaysAfter) {
+      return `${label} can be at most ${rules.maxDaysAfter} days after ${schema[rules.after].label.toLowerCase()}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Formats a number of list entries for messages
+ *
+ * @param {number} count - Number of entries
+ * @return {string} e.g. '1 entry' or '10 entries'
+ */
+const countEntries = (count) => `${count} ${count === 1 ? 'entry' : 'entries'}`;
+
+/**
+ * Validates a nested object or array field
+ *
+ * @param {*} value - Normalized field value
+ * @param {Object} rules - Field rules (type 'object' or 'array')
+ * @param {Object} context - Context values
+ * @return {Object} { value: *, errors: Object } errors are keyed relative to the field
+ */
+const checkNested = (value, rules, context) => {
+  if (rules.type === 'object') {
+    return validate(rules.schema, value, context);
+  }
+
+  if (!Array.isArray(value)) {
+    return { value: undefined, errors: { '': `${rules.label} must be a list` } };
+  }
+  if (rules.minItems && value.length < rules.minItems) {
+    return { value: undefined, errors: { '': `${rules.label} must have at least ${countEntries(rules.minItems)}` } };
+  }
+  if (rules.maxItems && value.length > rules.maxItems) {
+    return { value: undefined, errors: { '': `${rules.label} can have at most ${countEntries(rules.maxItems)}` } };
+  }
+
+  // Each item is checked as if it were a field named by its index
+  const itemSchema = Object.fromEntries(value.map((item, index) => [index, rules.items]));
+  const result = validate(itemSchema, Object.assign({}, value), context);
+  // Empty optional items are left out, like empty optional fields
+  const items = value.map((item, index) => result.value[index]).filter(item => item !== undefined);
+  return { value: items, errors: result.errors };
+};
+
+/**
+ * Validates input against a schema
+ *
+ * Only fields named in the schema are kept, strings are trimmed (unless
+ * trim is false) and empty optional fields are left out.
+ *
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} input - Values to validate, e.g. a request body
+ * @param {Object} [context={}] - Values that rules can refer to by name
+ * @return {Object} { value: Object, errors: Object } errors are keyed by field
+ */
+export const validate = (schema, input, context = {}) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    const raw = source[field];
+    values[field] = typeof raw === 'string' && rules.trim !== false ? raw.trim() : raw;
+  });
+
+  const errors = {};
+  const value = {};
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    // Nested objects and arrays are validated with the rules of their parts
+    if (rules.type === 'object' || rules.type === 'array') {
+      const nested = values[field];
+      if (isEmpty(nested)) {
+        if (rules.required) errors[field] = `${rules.label} is required`;
+        return;
+      }
+
+      const result = checkNested(nested, rules, context);
+      Object.entries(result.errors).forEach(([child, error]) => {
+        errors[child ? `${field}.${child}` : field] = error;
+      });
+      if (!hasErrors(result.errors)) value[field] = result.value;
+      return;
+    }
+
+    const error = checkField(values[field], rules, values, schema, context);
+    if (error) {
+      errors[field] = error;
+    } else if (!isEmpty(values[field])) {
+      value[field] = values[field];
+    }
+  });
+
+  return { value, errors };
+};
+
+/**
+ * Checks whether a validation result has errors
+ *
+ * @param {Object} errors - Errors returned by validate()
+ * @return {boolean} True if any field failed
+ */
+export const hasErrors = (errors) => Object.keys(errors).length > 0;